@@ -180,7 +180,8 @@ process_catalog_data() {
         --catalog-type "$catalog_type" \
         --ocp-version "v${ocp_version}" \
         --operators-file "$operators_file" \
-        --dependencies-file "$dependencies_file"; then
+        --dependencies-file "$dependencies_file" \
+        --bundles-dir "${catalog_dir}/bundles"; then
         print_error "Failed to generate metadata for ${catalog_type} v${ocp_version}"
         return 1
     fi
@@ -3,6 +3,8 @@
 from __future__ import annotations
 
 import argparse
+import base64
+import binascii
 import json
 import re
 import sys
@@ -39,6 +41,10 @@ def parse_args(argv: list[str]) -> argparse.Namespace:
     generate_parser.add_argument("--ocp-version", required=True, help="Catalog version, e.g. v4.20.")
     generate_parser.add_argument("--operators-file", required=True, help="Output path for operators.json.")
     generate_parser.add_argument("--dependencies-file", required=True, help="Output path for dependencies.json.")
+    generate_parser.add_argument(
+        "--bundles-dir",
+        help="Output directory for the per-package bundle index (<package>.json), used when configs are not shipped.",
+    )
 
     audit_parser = subparsers.add_parser("audit", help="Audit generated metadata against extracted configs.")
     audit_parser.add_argument(
@@ -244,6 +250,127 @@ def extract_bundle_version(bundle_doc: dict[str, Any]) -> str | None:
     return extract_version_from_name(normalize_string(bundle_doc.get("name")))
 
 
+def decode_bundle_object(value: Any) -> dict[str, Any] | None:
+    data = value.get("data") if is_dict(value) else None
+    if not isinstance(data, str):
+        return None
+    try:
+        decoded = json.loads(base64.b64decode(data))
+    except (binascii.Error, ValueError):
+        return None
+    return decoded if is_dict(decoded) else None
+
+
+def extract_csv_metadata(bundle_doc: dict[str, Any]) -> dict[str, Any]:
+    """Return the CSV fields of a bundle, from olm.csv.metadata or the embedded ClusterServiceVersion of older catalogs."""
+    properties = [prop for prop in bundle_doc.get("properties", []) if is_dict(prop)] if isinstance(bundle_doc.get("properties"), list) else []
+
+    for prop in properties:
+        if prop.get("type") == "olm.csv.metadata" and is_dict(prop.get("value")):
+            return prop["value"]
+
+    for prop in properties:
+        if prop.get("type") != "olm.bundle.object":
+            continue
+        bundle_object = decode_bundle_object(prop.get("value"))
+        if bundle_object and bundle_object.get("kind") == "ClusterServiceVersion":
+            spec = bundle_object.get("spec") if is_dict(bundle_object.get("spec")) else {}
+            object_metadata = bundle_object.get("metadata") if is_dict(bundle_object.get("metadata")) else {}
+            return {**spec, "annotations": object_metadata.get("annotations") or {}}
+
+    return {}
+
+
+def summarize_description(value: Any, max_length: int = 300) -> str | None:
+    text = normalize_string(value)
+    if not text:
+        return None
+
+    paragraph = next((part for part in re.split(r"\n\s*\n", text) if part.strip() and not part.strip().startswith("#")), "")
+    summary = " ".join(paragraph.split())
+    if len(summary) > max_length:
+        summary = summary[: max_length - 3].rsplit(" ", 1)[0] + "..."
+    return summary or None
+
+
+def build_package_details(package_doc: dict[str, Any], bundle_doc: dict[str, Any] | None) -> dict[str, Any]:
+    csv_metadata = extract_csv_metadata(bundle_doc) if bundle_doc else {}
+    annotations = csv_metadata.get("annotations") if is_dict(csv_metadata.get("annotations")) else {}
+    provider = csv_metadata.get("provider")
+    keywords = csv_metadata.get("keywords") if isinstance(csv_metadata.get("keywords"), list) else []
+    icon = package_doc.get("icon")
+
+    return {
+        "displayName": normalize_string(csv_metadata.get("displayName")) or None,
+        "description": (
+            summarize_description(annotations.get("description"))
+            or summarize_description(csv_metadata.get("description"))
+            or summarize_description(package_doc.get("description"))
+        ),
+        "provider": (normalize_string(provider.get("name")) if is_dict(provider) else "") or None,
+        "keywords": unique_strings([normalize_string(keyword) for keyword in keywords]),
+        "categories": unique_strings([category.strip() for category in normalize_string(annotations.get("categories")).split(",")]),
+        "hasIcon": is_dict(icon) and bool(normalize_string(icon.get("base64data"))),
+    }
+
+
+def build_bundle_index(
+    operator_name: str,
+    package_doc: dict[str, Any],
+    default_channel: str | None,
+    channel_docs_by_name: dict[str, list[dict[str, Any]]],
+    bundle_by_name: dict[str, dict[str, Any]],
+) -> dict[str, Any]:
+    """Return the update graph, images and icon of a package: what the server needs from configs/ at runtime."""
+    channel_entries: dict[str, list[dict[str, Any]]] = {}
+    for channel_name, docs in sorted(channel_docs_by_name.items()):
+        entries: list[dict[str, Any]] = []
+        for document in docs:
+            for entry in document.get("entries", []) if isinstance(document.get("entries"), list) else []:
+                if not is_dict(entry) or not normalize_string(entry.get("name")):
+                    continue
+                compact: dict[str, Any] = {"name": normalize_string(entry["name"])}
+                if normalize_string(entry.get("replaces")):
+                    compact["replaces"] = normalize_string(entry["replaces"])
+                skips = [normalize_string(skip) for skip in entry.get("skips", []) if normalize_string(skip)] if isinstance(entry.get("skips"), list) else []
+                if skips:
+                    compact["skips"] = skips
+                if normalize_string(entry.get("skipRange")):
+                    compact["skipRange"] = normalize_string(entry["skipRange"])
+                entries.append(compact)
+        channel_entries[channel_name] = entries
+
+    bundles: dict[str, dict[str, Any]] = {}
+    for bundle_name, info in sorted(bundle_by_name.items()):
+        bundle_doc = info["doc"]
+        related_images = [
+            {**({"name": normalize_string(related["name"])} if normalize_string(related.get("name")) else {}), "image": normalize_string(related["image"])}
+            for related in bundle_doc.get("relatedImages", []) if isinstance(bundle_doc.get("relatedImages"), list)
+            if is_dict(related) and normalize_string(related.get("image"))
+        ]
+        annotations = extract_csv_metadata(bundle_doc).get("annotations")
+        created_at = normalize_string(annotations.get("createdAt")) if is_dict(annotations) else ""
+        bundles[bundle_name] = {
+            "version": info.get("version"),
+            **({"image": normalize_string(bundle_doc["image"])} if normalize_string(bundle_doc.get("image")) else {}),
+            "relatedImages": related_images,
+            **({"createdAt": created_at} if created_at else {}),
+        }
+
+    icon = package_doc.get("icon")
+    return {
+        "name": operator_name,
+        "defaultChannel": default_channel,
+        **(
+            {"icon": {"base64data": icon["base64data"], "mediatype": normalize_string(icon.get("mediatype")) or "image/svg+xml"}}
+            if is_dict(icon) and normalize_string(icon.get("base64data"))
+            else {}
+        ),
+        "channelEntries": channel_entries,
+        "bundles": bundles,
+    }
+
+
 def choose_docs(records: list[dict[str, Any]], preferred_category: str, doc_type: str) -> list[dict[str, Any]]:
     preferred = [record for record in records if record["category"] == preferred_category and record["kind"] == doc_type]
     if preferred:
@@ -253,7 +380,9 @@ def choose_docs(records: list[dict[str, Any]], preferred_category: str, doc_type
     return fallback
 
 
-def build_operator_metadata(operator_dir: Path, catalog_type: str, ocp_version: str) -> tuple[dict[str, Any] | None, list[dict[str, Any]], list[str]]:
+def build_operator_metadata(
+    operator_dir: Path, catalog_type: str, ocp_version: str
+) -> tuple[dict[str, Any] | None, list[dict[str, Any]], dict[str, Any] | None, list[str]]:
     records: list[dict[str, Any]] = []
     warnings: list[str] = []
 
@@ -282,7 +411,7 @@ def build_operator_metadata(operator_dir: Path, catalog_type: str, ocp_version:
     bundle_records = choose_docs(records, "bundle_explicit", "bundle")
 
     if not package_records and not channel_records and not bundle_records:
-        return None, [], warnings
+        return None, [], None, warnings
 
     package_doc = package_records[0]["doc"] if package_records else {}
     operator_name = (
@@ -400,15 +529,20 @@ def build_operator_metadata(operator_dir: Path, catalog_type: str, ocp_version:
         "availableVersions": available_versions,
         "minVersion": available_versions[0] if available_versions else None,
         "maxVersion": available_versions[-1] if available_versions else None,
+        **build_package_details(package_doc, selected_bundle_doc),
         "catalog": catalog_type,
         "ocpVersion": ocp_version,
         "catalogUrl": f"registry.redhat.io/redhat/{catalog_type}:{ocp_version}",
     }
 
-    return metadata, dependencies, warnings
+    bundle_index = build_bundle_index(operator_name, package_doc, default_channel, channel_docs_by_name, bundle_by_name)
 
+    return metadata, dependencies, bundle_index, warnings
 
-def generate_snapshot_metadata(catalog_dir: Path, catalog_type: str, ocp_version: str) -> tuple[list[dict[str, Any]], dict[str, list[dict[str, Any]]], list[str]]:
+
+def generate_snapshot_metadata(
+    catalog_dir: Path, catalog_type: str, ocp_version: str, bundles_dir: Path | None = None
+) -> tuple[list[dict[str, Any]], dict[str, list[dict[str, Any]]], list[str]]:
     configs_dir = catalog_dir / "configs"
     operators: list[dict[str, Any]] = []
     dependencies: dict[str, list[dict[str, Any]]] = {}
@@ -418,11 +552,13 @@ def generate_snapshot_metadata(catalog_dir: Path, catalog_type: str, ocp_version
         return operators, dependencies, [f"Missing configs directory: {configs_dir}"]
 
     for operator_dir in sorted(path for path in configs_dir.iterdir() if path.is_dir()):
-        metadata, operator_dependencies, operator_warnings = build_operator_metadata(operator_dir, catalog_type, ocp_version)
+        metadata, operator_dependencies, bundle_index, operator_warnings = build_operator_metadata(operator_dir, catalog_type, ocp_version)
         warnings.extend(operator_warnings)
         if metadata is None:
             continue
         operators.append(metadata)
+        if bundles_dir is not None and bundle_index is not None and "/" not in metadata["name"]:
+            write_compact_json(bundles_dir / f"{metadata['name']}.json", bundle_index)
         if operator_dependencies:
             dependencies[metadata["name"]] = operator_dependencies
 
@@ -435,6 +571,11 @@ def write_json(file_path: Path, content: Any) -> None:
     file_path.write_text(json.dumps(content, indent=2) + "\n", encoding="utf-8")
 
 
+def write_compact_json(file_path: Path, content: Any) -> None:
+    file_path.parent.mkdir(parents=True, exist_ok=True)
+    file_path.write_text(json.dumps(content, separators=(",", ":")) + "\n", encoding="utf-8")
+
+
 def normalize_operator_for_compare(operator: dict[str, Any]) -> dict[str, Any]:
     normalized_channel_versions = {
         channel: sort_versions(versions if isinstance(versions, list) else [])
@@ -459,6 +600,12 @@ def normalize_operator_for_compare(operator: dict[str, Any]) -> dict[str, Any]:
         "availableVersions": sort_versions(operator.get("availableVersions") or []),
         "minVersion": operator.get("minVersion"),
         "maxVersion": operator.get("maxVersion"),
+        "displayName": operator.get("displayName"),
+        "description": operator.get("description"),
+        "provider": operator.get("provider"),
+        "keywords": unique_strings(operator.get("keywords") or []),
+        "categories": unique_strings(operator.get("categories") or []),
+        "hasIcon": bool(operator.get("hasIcon")),
         "catalog": operator.get("catalog"),
         "ocpVersion": operator.get("ocpVersion"),
         "catalogUrl": operator.get("catalogUrl"),
@@ -756,7 +903,11 @@ def run_generate(args: argparse.Namespace) -> int:
     catalog_dir = Path(args.catalog_dir)
     operators_file = Path(args.operators_file)
     dependencies_file = Path(args.dependencies_file)
-    operators, dependencies, warnings = generate_snapshot_metadata(catalog_dir, args.catalog_type, args.ocp_version)
+    bundles_dir = Path(args.bundles_dir) if args.bundles_dir else None
+    if bundles_dir is not None and bundles_dir.is_dir():
+        for stale_file in bundles_dir.glob("*.json"):
+            stale_file.unlink()
+    operators, dependencies, warnings = generate_snapshot_metadata(catalog_dir, args.catalog_type, args.ocp_version, bundles_dir)
 
     write_json(operators_file, operators)
     write_json(dependencies_file, dependencies)
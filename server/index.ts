@@ -2,13 +2,19 @@ import express, { Request, Response, NextFunction } from 'express';
 import cors from 'cors';
 import fs from 'fs';
 import path from 'path';
-import { exec, spawn, ChildProcess } from 'child_process';
+import { exec, execFile, spawn, ChildProcess } from 'child_process';
 import { promisify } from 'util';
 import YAML from 'yaml';
 import { v4 as uuidv4 } from 'uuid';
 import compression from 'compression';
 import multer from 'multer';
 import { fileURLToPath, pathToFileURL } from 'url';
+import { StringDecoder } from 'string_decoder';
+import { createHash } from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createGunzip } from 'zlib';
+import cron, { type ScheduledTask } from 'node-cron';
 
 const fsp = fs.promises;
 
@@ -16,18 +22,183 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+type MirrorWorkflow = 'mirrorToDisk' | 'diskToMirror' | 'mirrorToMirror' | 'delete';
+
+// A delete operation runs "oc-mirror delete --generate" and then, unless it only
+// generates the plan, deletes the images listed in it from the target registry.
+type DeleteStage = 'generate' | 'execute' | 'all';
 
 interface OperationRecord {
   id: string;
   name: string;
   configFile: string;
   mirrorDestination?: string;
-  status: 'running' | 'success' | 'failed' | 'stopped';
+  workflow?: MirrorWorkflow;
+  source?: string;
+  destination?: string;
+  targetRegistry?: string;
+  parentOperationId?: string;
+  attempt?: number;
+  results?: OperationResults;
+  dryRun?: boolean;
+  dryRunSummary?: DryRunSummary;
+  deleteStage?: DeleteStage;
+  deletePlanId?: string;
+  forceCacheDelete?: boolean;
+  scheduleId?: string;
+  scheduleName?: string;
+  status: 'queued' | 'running' | 'success' | 'failed' | 'stopped' | 'interrupted';
+  pid?: number;
+  queuedAt?: string;
+  queuePosition?: number;
   startedAt: string;
   completedAt?: string;
   duration?: number;
   errorMessage?: string | null;
-  logs: string[];
+}
+
+interface ArchiveFile {
+  name: string;
+  size: number;
+}
+
+interface ClusterResourceFile {
+  name: string;
+  kind: string;
+  size: number;
+}
+
+interface OperationResults {
+  collectedAt: string;
+  archives: ArchiveFile[];
+  archiveSize: number;
+  clusterResources: ClusterResourceFile[];
+}
+
+type DryRunImageGroup = 'release' | 'operator' | 'additional';
+
+interface DryRunImage {
+  source: string;
+  destination: string;
+  missing: boolean;
+}
+
+interface DryRunSummary {
+  total: number;
+  missing: number;
+  release: number;
+  operator: number;
+  additional: number;
+}
+
+interface DryRunImages {
+  summary: DryRunSummary;
+  images: Record<DryRunImageGroup, DryRunImage[]>;
+}
+
+interface ScheduleRecord {
+  id: string;
+  name: string;
+  cronExpression: string;
+  configFile: string;
+  mirrorDestinationSubdir?: string;
+  workflow: MirrorWorkflow;
+  targetRegistry?: string;
+  dryRun?: boolean;
+  enabled: boolean;
+  createdAt: string;
+  updatedAt: string;
+  lastRunAt?: string;
+  lastOperationId?: string;
+  lastError?: string | null;
+}
+
+interface ConfigTemplate {
+  id: string;
+  name: string;
+  description?: string;
+  content: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+interface FbcBundle {
+  name: string;
+  version: string | null;
+  images: string[];
+  image?: string;
+  relatedImages: { name?: string; image: string }[];
+  // CSV createdAt annotation, when the bundle has one
+  createdAt?: string;
+}
+
+interface FbcChannelEntry {
+  name: string;
+  replaces?: string;
+  skips?: string[];
+  skipRange?: string;
+}
+
+interface FbcPackage {
+  name: string;
+  defaultChannel?: string;
+  channels: Record<string, string[]>;
+  channelEntries: Record<string, FbcChannelEntry[]>;
+  bundles: Record<string, FbcBundle>;
+  icon?: { base64data: string; mediatype: string };
+}
+
+interface OperatorImageEstimate {
+  catalog: string;
+  package: string;
+  channels: string[];
+  bundles: number;
+  images: number;
+  resolved: boolean;
+}
+
+interface ConfigValidationIssue {
+  path: string;
+  message: string;
+}
+
+interface ConfigValidationResult {
+  valid: boolean;
+  errors: ConfigValidationIssue[];
+  warnings: ConfigValidationIssue[];
+}
+
+interface ConfigRevision {
+  id: string;
+  filename: string;
+  createdAt: string;
+  size: number;
+  source: 'initial' | 'save' | 'upload' | 'restore';
+  restoredFrom?: string;
+}
+
+interface ConfigDiffChange {
+  type: 'added' | 'removed' | 'changed';
+  kind: 'archiveSize' | 'platform' | 'platformChannel' | 'catalog' | 'package' | 'channel' | 'additionalImage' | 'blockedImage' | 'helmRepository' | 'helmChart' | 'localHelmChart';
+  path: string;
+  field?: string;
+  before?: unknown;
+  after?: unknown;
+}
+
+interface MirrorDirectory {
+  name: string;
+  path: string;
+  archives: ArchiveFile[];
+  archiveSize: number;
+  totalSize: number;
+  modifiedAt: string;
+  configFile: string | null;
+  lastOperation: Pick<OperationRecord, 'id' | 'name' | 'status' | 'workflow' | 'startedAt' | 'completedAt'> | null;
+  inUse: boolean;
+  reserved: boolean;
 }
 
 interface SystemInfo {
@@ -42,9 +213,11 @@ interface CatalogEntry {
   name: string;
   url: string;
   description: string;
+  custom?: boolean;
   ocpVersion?: string;
   operators?: OperatorEntry[];
   operatorCount?: number;
+  fetchedAt?: string | null;
 }
 
 interface OperatorEntry {
@@ -60,6 +233,13 @@ interface OperatorEntry {
   channelVersionRanges?: Record<string, { minVersion?: string | null; maxVersion?: string | null }>;
   minVersion?: string | null;
   maxVersion?: string | null;
+  // Package details from the head bundle's CSV and the olm.package document
+  displayName?: string | null;
+  description?: string | null;
+  provider?: string | null;
+  keywords?: string[];
+  categories?: string[];
+  hasIcon?: boolean;
 }
 
 interface OperatorDependency {
@@ -72,12 +252,27 @@ interface OperatorDependency {
   isDependencyPackage?: boolean;
 }
 
+interface CustomCatalogRecord {
+  id: string;
+  name: string;
+  description?: string;
+  image: string;
+  catalogType: string;
+  catalogVersion: string;
+  operatorCount: number;
+  createdAt: string;
+}
+
 interface PreFetchedCatalogData {
   index: {
     catalogs: Array<{
       catalog_type: string;
       ocp_version: string;
       catalog_url: string;
+      // When fetch-catalogs-host.sh extracted the index, from its catalog-info.json
+      extracted_at?: string;
+      // Set for catalogs registered through /api/catalogs/custom
+      custom_catalog_id?: string;
     }>;
   };
   operators: Record<string, OperatorEntry[]>;
@@ -94,7 +289,8 @@ interface OperatorCache {
 
 interface RunningProcess {
   pid: number | undefined;
-  child: ChildProcess;
+  // Undefined for processes adopted after a server restart
+  child?: ChildProcess;
 }
 
 interface ChannelObject {
@@ -119,6 +315,16 @@ const STORAGE_DIR = process.env.STORAGE_DIR || './data';
 const CONFIGS_DIR = path.join(STORAGE_DIR, 'configs');
 const OPERATIONS_DIR = path.join(STORAGE_DIR, 'operations');
 const LOGS_DIR = path.join(STORAGE_DIR, 'logs');
+const DRY_RUNS_DIR = path.join(STORAGE_DIR, 'dry-runs');
+const CONFIG_REVISIONS_DIR = path.join(STORAGE_DIR, 'config-revisions');
+const DELETE_CONFIGS_DIR = path.join(STORAGE_DIR, 'delete-configs');
+const DELETE_PLANS_DIR = path.join(STORAGE_DIR, 'delete-plans');
+const CUSTOM_CATALOGS_DIR = path.join(STORAGE_DIR, 'custom-catalogs');
+const CUSTOM_CATALOGS_FILE = path.join(CUSTOM_CATALOGS_DIR, 'catalogs.json');
+const CATALOG_DATA_DIR = path.join(__dirname, '../catalog-data');
+const CATALOG_FRESHNESS_HOURS = Number(process.env.CATALOG_FRESHNESS_HOURS) || 24;
+const SCHEDULES_FILE = path.join(STORAGE_DIR, 'schedules.json');
+const TEMPLATES_FILE = path.join(STORAGE_DIR, 'templates.json');
 const CACHE_DIR = process.env.OC_MIRROR_CACHE_DIR || path.join(STORAGE_DIR, 'cache');
 const APP_ROOT_DIR = process.env.OC_MIRROR_WORKDIR || path.resolve(__dirname, '..');
 const MIRROR_BASE_DIR = path.resolve(process.env.OC_MIRROR_BASE_MIRROR_DIR || path.join(STORAGE_DIR, 'mirrors'));
@@ -129,12 +335,50 @@ const AUTHFILE_PATH = process.env.OC_MIRROR_AUTHFILE || '/app/pull-secret.json';
 
 const runningProcesses = new Map<string, RunningProcess>();
 
+const DEFAULT_SETTINGS = {
+  maxConcurrentOperations: 1,
+  logRetentionDays: 30,
+  autoCleanup: true,
+  registryCredentials: {
+    username: '',
+    password: '',
+    registry: ''
+  },
+  proxySettings: {
+    enabled: false,
+    host: '',
+    port: '',
+    username: '',
+    password: ''
+  }
+};
+
+async function loadSettings(): Promise<typeof DEFAULT_SETTINGS> {
+  try {
+    const content = await fsp.readFile(path.join(STORAGE_DIR, 'settings.json'), 'utf8');
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(content) };
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+}
+
+async function getMaxConcurrentOperations(): Promise<number> {
+  const { maxConcurrentOperations } = await loadSettings();
+  const parsed = Number(maxConcurrentOperations);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : 1;
+}
+
 async function ensureDirectories(): Promise<void> {
   const dirs = [
     STORAGE_DIR,
     CONFIGS_DIR,
     OPERATIONS_DIR,
     LOGS_DIR,
+    DRY_RUNS_DIR,
+    CONFIG_REVISIONS_DIR,
+    DELETE_CONFIGS_DIR,
+    DELETE_PLANS_DIR,
+    CUSTOM_CATALOGS_DIR,
     CACHE_DIR,
     MIRROR_BASE_DIR,
     DEFAULT_MIRROR_DIR,
@@ -149,66 +393,16 @@ async function ensureDirectories(): Promise<void> {
   }
 }
 
-// Note: With custom mirror destinations (default: DEFAULT_MIRROR_DIR),
-// mirror files persist across restarts, so we keep operation history
-async function clearOperationHistory(): Promise<void> {
-  let hasPersistedMirrors = false;
-  
-  try {
-    const files = await fsp.readdir(DEFAULT_MIRROR_DIR);
-    hasPersistedMirrors = files.length > 0;
-  } catch {
-    hasPersistedMirrors = false;
-  }
-
-  if (!hasPersistedMirrors) {
-    let clearedOps = 0;
-    let clearedLogs = 0;
-
-    try {
-      const opFiles = await fsp.readdir(OPERATIONS_DIR);
-      for (const file of opFiles) {
-        if (file.endsWith('.json')) {
-          try {
-            await fsp.unlink(path.join(OPERATIONS_DIR, file));
-            clearedOps++;
-          } catch (error: any) {
-            console.warn(`Failed to delete operation file ${file}:`, error);
-          }
-        }
-      }
-    } catch (error: any) {
-      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
-        console.warn('Error reading operations directory:', error);
-      }
-    }
-
-    try {
-      const logFiles = await fsp.readdir(LOGS_DIR);
-      for (const file of logFiles) {
-        try {
-          await fsp.unlink(path.join(LOGS_DIR, file));
-          clearedLogs++;
-        } catch (error: any) {
-          console.warn(`Failed to delete log file ${file}:`, error);
-        }
-      }
-    } catch (error: any) {
-      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
-        console.warn('Error reading logs directory:', error);
-      }
-    }
-    
-    if (clearedOps > 0 || clearedLogs > 0) {
-      console.log(`Cleared ${clearedOps} operation files and ${clearedLogs} log files on startup (fresh start detected)`);
-    }
-  } else {
-    console.log('Persistent mirror files detected - keeping operation history');
-  }
-}
-
-ensureDirectories().then(() => {
-  clearOperationHistory();
+// Operation history is kept across restarts: records left running by the previous
+// process are reconciled, and queued ones are picked up again.
+ensureDirectories().then(async () => {
+  await reconcileOrphanedOperations();
+  await restoreCustomCatalogs();
+  watchCatalogData();
+  await restoreOperationQueue();
+  await restoreSchedules();
+}).catch((error: any) => {
+  console.error('Error during server startup:', error);
 });
 
 const storage = multer.diskStorage({
@@ -284,56 +478,129 @@ async function getSystemInfo(): Promise<SystemInfo> {
   }
 }
 
-async function getOperations(): Promise<OperationRecord[]> {
-  try {
-    const files = await fsp.readdir(OPERATIONS_DIR);
-    const operations: OperationRecord[] = [];
+// Operation records are indexed in memory and written through to one JSON file
+// per operation, so listing operations never re-reads the directory. Logs are
+// kept only in LOGS_DIR.
+let operationIndex: Map<string, OperationRecord> | null = null;
+let operationIndexLoading: Promise<Map<string, OperationRecord>> | null = null;
+const pendingOperationWrites = new Map<string, Promise<void>>();
+
+function writeOperationFile(operation: OperationRecord): Promise<void> {
+  const previous = pendingOperationWrites.get(operation.id) || Promise.resolve();
+  const write = previous
+    .catch(() => {})
+    .then(() => fsp.writeFile(path.join(OPERATIONS_DIR, `${operation.id}.json`), JSON.stringify(operation, null, 2)));
+
+  pendingOperationWrites.set(operation.id, write);
+  write
+    .finally(() => {
+      if (pendingOperationWrites.get(operation.id) === write) {
+        pendingOperationWrites.delete(operation.id);
+      }
+    })
+    .catch(() => {});
+  return write;
+}
 
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        const content = await fsp.readFile(path.join(OPERATIONS_DIR, file), 'utf8');
-        operations.push(JSON.parse(content));
+// Records written before logs moved to LOGS_DIR embed a logs array.
+async function migrateEmbeddedLogs(record: OperationRecord & { logs?: string[] }): Promise<OperationRecord> {
+  if (!Array.isArray(record.logs)) {
+    return record;
+  }
+
+  const { logs, ...operation } = record;
+  const logFile = path.join(LOGS_DIR, `${operation.id}.log`);
+  const hasLogFile = await fsp.access(logFile).then(() => true).catch(() => false);
+  if (!hasLogFile && logs.length > 0) {
+    await fsp.writeFile(logFile, logs.join('\n'));
+  }
+  await writeOperationFile(operation);
+  return operation;
+}
+
+async function loadOperationIndex(): Promise<Map<string, OperationRecord>> {
+  if (operationIndex) {
+    return operationIndex;
+  }
+
+  if (!operationIndexLoading) {
+    operationIndexLoading = (async () => {
+      const index = new Map<string, OperationRecord>();
+      try {
+        const files = await fsp.readdir(OPERATIONS_DIR);
+        for (const file of files) {
+          if (!file.endsWith('.json')) {
+            continue;
+          }
+          try {
+            const record = JSON.parse(await fsp.readFile(path.join(OPERATIONS_DIR, file), 'utf8'));
+            index.set(record.id, await migrateEmbeddedLogs(record));
+          } catch (error: any) {
+            console.error(`Error reading operation file ${file}:`, error);
+          }
+        }
+      } catch (error: any) {
+        if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+          console.error('Error reading operations:', error);
+        }
       }
-    }
 
-    return operations.sort((a, b) => new Date(b.startedAt).getTime() - new Date(a.startedAt).getTime());
-  } catch (error: any) {
-    console.error('Error reading operations:', error);
-    return [];
+      operationIndex = index;
+      operationIndexLoading = null;
+      return index;
+    })();
   }
+
+  return operationIndexLoading;
+}
+
+async function getOperations(): Promise<OperationRecord[]> {
+  const index = await loadOperationIndex();
+  return [...index.values()]
+    .map(operation => ({ ...operation }))
+    .sort((a, b) => new Date(b.startedAt).getTime() - new Date(a.startedAt).getTime());
 }
 
 async function saveOperation(operation: OperationRecord): Promise<void> {
-  const filename = `${operation.id}.json`;
-  await fsp.writeFile(path.join(OPERATIONS_DIR, filename), JSON.stringify(operation, null, 2));
+  const index = await loadOperationIndex();
+  index.set(operation.id, { ...operation });
+  await writeOperationFile(operation);
 }
 
 async function updateOperation(operationId: string, updates: Partial<OperationRecord>): Promise<OperationRecord> {
-  const filename = `${operationId}.json`;
-  const filepath = path.join(OPERATIONS_DIR, filename);
-  
-  try {
-    const content = await fsp.readFile(filepath, 'utf8');
-    const operation: OperationRecord = JSON.parse(content);
-    const updatedOperation = { ...operation, ...updates };
-    await fsp.writeFile(filepath, JSON.stringify(updatedOperation, null, 2));
-    return updatedOperation;
-  } catch (error: any) {
-    console.error('Error updating operation:', error);
-    throw error;
+  const index = await loadOperationIndex();
+  const operation = index.get(operationId);
+  if (!operation) {
+    throw new Error(`Operation ${operationId} not found`);
   }
+
+  const updatedOperation = { ...operation, ...updates };
+  index.set(operationId, updatedOperation);
+  await writeOperationFile(updatedOperation);
+  return { ...updatedOperation };
 }
 
 async function getOperation(operationId: string): Promise<OperationRecord> {
-  const filename = `${operationId}.json`;
-  const filepath = path.join(OPERATIONS_DIR, filename);
-  
+  const operation = (await loadOperationIndex()).get(operationId);
+  if (!operation) {
+    throw new Error(`Operation ${operationId} not found`);
+  }
+  return { ...operation };
+}
+
+async function deleteOperation(operationId: string): Promise<void> {
+  (await loadOperationIndex()).delete(operationId);
+  await pendingOperationWrites.get(operationId)?.catch(() => {});
   try {
-    const content = await fsp.readFile(filepath, 'utf8');
-    return JSON.parse(content);
-  } catch (error: any) {
-    console.error('Error reading operation:', error);
-    throw error;
+    await fsp.unlink(path.join(OPERATIONS_DIR, `${path.basename(operationId)}.json`));
+  } catch {}
+}
+
+async function readOperationLogs(operationId: string): Promise<string> {
+  try {
+    return await fsp.readFile(path.join(LOGS_DIR, `${path.basename(operationId)}.log`), 'utf8');
+  } catch {
+    return '';
   }
 }
 
@@ -357,57 +624,93 @@ async function getSystemHealth(): Promise<string> {
 }
 
 let preFetchedCatalogData: PreFetchedCatalogData | null = null;
+// Bumped by resetCatalogCaches(), so a lazy load that started before a reset
+// or reload does not cache what it read after newer data was swapped in.
+let catalogDataGeneration = 0;
 
 async function loadPreFetchedCatalogData(): Promise<PreFetchedCatalogData | null> {
   if (preFetchedCatalogData) {
     return preFetchedCatalogData;
   }
 
+  const generation = catalogDataGeneration;
   try {
-    const catalogIndexPath = path.join(__dirname, '../catalog-data/catalog-index.json');
-    const catalogIndex = JSON.parse(await fsp.readFile(catalogIndexPath, 'utf8'));
-    
-    preFetchedCatalogData = {
-      index: catalogIndex,
-      operators: {},
-      channels: {}
-    };
-
-    let totalOperators = 0;
-
-    for (const catalog of catalogIndex.catalogs) {
-      const operatorsPath = path.join(__dirname, `../catalog-data/${catalog.catalog_type}/${catalog.ocp_version}/operators.json`);
-      try {
-        const operators: OperatorEntry[] = JSON.parse(await fsp.readFile(operatorsPath, 'utf8'));
-        const key = `${catalog.catalog_type}:${catalog.ocp_version}`;
-        preFetchedCatalogData.operators[key] = operators;
-        totalOperators += operators.length;
-
-        operators.forEach((operator: OperatorEntry) => {
-          const channelKey = `${operator.name}:${catalog.catalog_type}:${catalog.ocp_version}`;
-          preFetchedCatalogData!.channels[channelKey] = operator.channels || [];
-        });
-        
-        console.log(`Loaded ${operators.length} operators for ${key}`);
-      } catch (error: any) {
-        console.warn(`Could not load operators for ${catalog.catalog_type}:${catalog.ocp_version}:`, error.message);
-      }
+    const catalogData = await readPreFetchedCatalogData();
+    if (generation === catalogDataGeneration) {
+      preFetchedCatalogData = catalogData;
     }
-
-    console.log(`Pre-fetched catalog data loaded successfully with ${totalOperators} total operators`);
-    return preFetchedCatalogData;
+    return preFetchedCatalogData || catalogData;
   } catch (error: any) {
     console.error('Error loading pre-fetched catalog data:', error);
     return null;
   }
 }
 
+async function readPreFetchedCatalogData(): Promise<PreFetchedCatalogData> {
+  const catalogIndexPath = path.join(CATALOG_DATA_DIR, 'catalog-index.json');
+  let catalogIndex: PreFetchedCatalogData['index'] = { catalogs: [] };
+  try {
+    catalogIndex = JSON.parse(await fsp.readFile(catalogIndexPath, 'utf8'));
+  } catch (error: any) {
+    if (customCatalogs.length === 0) {
+      throw error;
+    }
+  }
+  catalogIndex.catalogs.push(...customCatalogs.map(catalog => ({
+    catalog_type: catalog.catalogType,
+    ocp_version: catalog.catalogVersion,
+    catalog_url: catalog.image,
+    extracted_at: catalog.createdAt,
+    custom_catalog_id: catalog.id
+  })));
+
+  const catalogData: PreFetchedCatalogData = {
+    index: catalogIndex,
+    operators: {},
+    channels: {}
+  };
+
+  let totalOperators = 0;
+
+  for (const catalog of catalogIndex.catalogs) {
+    const catalogDir = catalog.custom_catalog_id
+      ? path.join(CUSTOM_CATALOGS_DIR, catalog.custom_catalog_id)
+      : path.join(CATALOG_DATA_DIR, catalog.catalog_type, catalog.ocp_version);
+    try {
+      const operators: OperatorEntry[] = JSON.parse(await fsp.readFile(path.join(catalogDir, 'operators.json'), 'utf8'));
+      const key = `${catalog.catalog_type}:${catalog.ocp_version}`;
+      catalogData.operators[key] = operators;
+      totalOperators += operators.length;
+
+      operators.forEach((operator: OperatorEntry) => {
+        const channelKey = `${operator.name}:${catalog.catalog_type}:${catalog.ocp_version}`;
+        catalogData.channels[channelKey] = operator.channels || [];
+      });
+      
+      console.log(`Loaded ${operators.length} operators for ${key}`);
+    } catch (error: any) {
+      console.warn(`Could not load operators for ${catalog.catalog_type}:${catalog.ocp_version}:`, error.message);
+    }
+
+    // A catalog re-fetched on its own updates its catalog-info.json before the index is regenerated.
+    if (!catalog.custom_catalog_id) {
+      try {
+        const info = JSON.parse(await fsp.readFile(path.join(catalogDir, 'catalog-info.json'), 'utf8'));
+        catalog.extracted_at = info.extracted_at || catalog.extracted_at;
+      } catch {}
+    }
+  }
+
+  console.log(`Pre-fetched catalog data loaded successfully with ${totalOperators} total operators`);
+  return catalogData;
+}
+
 async function queryOperatorCatalog(catalogUrl: string): Promise<{ name: string }[]> {
   try {
     const catalogData = await loadPreFetchedCatalogData();
     if (catalogData) {
       const catalogType = getCatalogNameFromUrl(catalogUrl);
-      const catalogVersion = catalogUrl.includes(':') ? catalogUrl.split(':')[1] : 'v4.20';
+      const catalogVersion = getCatalogVersionFromUrl(catalogUrl);
       const key = `${catalogType}:${catalogVersion}`;
       
       if (catalogData.operators[key]) {
@@ -427,7 +730,7 @@ async function queryOperatorCatalog(catalogUrl: string): Promise<{ name: string
 async function queryOperatorChannels(catalogUrl: string, operatorName: string): Promise<(string | { name: string })[]> {
   try {
     const catalogType = getCatalogNameFromUrl(catalogUrl);
-    const catalogVersion = catalogUrl.includes(':') ? catalogUrl.split(':')[1] : 'v4.20';
+    const catalogVersion = getCatalogVersionFromUrl(catalogUrl);
 
     const actualChannels = await getActualChannelsFromCatalog(catalogType, catalogVersion, operatorName);
     if (actualChannels && actualChannels.length > 0) {
@@ -454,6 +757,10 @@ async function queryOperatorChannels(catalogUrl: string, operatorName: string):
 }
 
 function getCatalogNameFromUrl(catalogUrl: string): string {
+  const customCatalog = customCatalogs.find(catalog => getImageRepository(catalog.image) === getImageRepository(catalogUrl));
+  if (customCatalog) {
+    return customCatalog.catalogType;
+  }
   if (catalogUrl.includes('redhat-operator-index')) {
     return 'redhat-operator-index';
   } else if (catalogUrl.includes('certified-operator-index')) {
@@ -464,6 +771,27 @@ function getCatalogNameFromUrl(catalogUrl: string): string {
   return 'redhat-operator-index';
 }
 
+// Tag of a catalog image reference; the registry host may carry a port, so
+// only a colon after the last slash separates the tag.
+function getCatalogVersionFromUrl(catalogUrl: string, fallback = 'v4.20'): string {
+  const name = catalogUrl.slice(catalogUrl.lastIndexOf('/') + 1);
+  return name.includes(':') ? name.slice(name.lastIndexOf(':') + 1) : fallback;
+}
+
+function getImageRepository(image: string): string {
+  const slash = image.lastIndexOf('/');
+  const colon = image.lastIndexOf(':');
+  return colon > slash ? image.slice(0, colon) : image;
+}
+
+function getCatalogConfigsDir(catalogType: string, catalogVersion: string): string {
+  const customCatalog = customCatalogs.find(catalog =>
+    catalog.catalogType === catalogType && catalog.catalogVersion === catalogVersion);
+  return customCatalog
+    ? path.join(CUSTOM_CATALOGS_DIR, customCatalog.id, 'configs')
+    : path.join(__dirname, `../catalog-data/${catalogType}/${catalogVersion}/configs`);
+}
+
 function getCatalogDescription(catalogType: string): string {
   const descriptions: Record<string, string> = {
     'redhat-operator-index': 'Red Hat certified operators',
@@ -498,7 +826,7 @@ async function getActualChannelsFromCatalog(catalogType: string, catalogVersion:
     }
   }
 
-  const catalogPath = path.join(__dirname, `../catalog-data/${catalogType}/${catalogVersion}/configs/${operatorName}/catalog.json`);
+  const catalogPath = path.join(getCatalogConfigsDir(catalogType, catalogVersion), operatorName, 'catalog.json');
 
   try {
       await fsp.access(catalogPath);
@@ -562,16 +890,30 @@ async function loadDependenciesData(): Promise<Record<string, Record<string, Ope
     return dependenciesDataCache;
   }
 
+  const generation = catalogDataGeneration;
+  const dependencies = await readDependenciesData();
+  if (generation === catalogDataGeneration) {
+    dependenciesDataCache = dependencies;
+  }
+  return dependenciesDataCache || dependencies;
+}
+
+async function readDependenciesData(): Promise<Record<string, Record<string, OperatorDependency[]>> | null> {
+  let dependencies: Record<string, Record<string, OperatorDependency[]>> = {};
   try {
-    const dependenciesPath = path.join(__dirname, '../catalog-data/dependencies.json');
+    const dependenciesPath = path.join(CATALOG_DATA_DIR, 'dependencies.json');
     const content = await fsp.readFile(dependenciesPath, 'utf8');
-    dependenciesDataCache = JSON.parse(content);
+    dependencies = JSON.parse(content);
     console.log('Loaded pre-fetched dependencies data from dependencies.json');
-    return dependenciesDataCache;
   } catch (error: any) {
     console.log('No pre-fetched dependencies.json found, dependency detection may be limited');
-    return null;
+    if (customCatalogs.length === 0) {
+      return null;
+    }
   }
+
+  await addCustomCatalogDependencies(dependencies);
+  return dependencies;
 }
 
 async function getOperatorDependencies(catalogType: string, catalogVersion: string, operatorName: string): Promise<OperatorDependency[]> {
@@ -695,18 +1037,16 @@ async function updateOperatorCache(): Promise<OperatorCache> {
   if (catalogData && catalogData.index.catalogs.length > 0) {
     console.log('Using pre-fetched catalog data for cache update');
 
-    const catalogs: CatalogEntry[] = catalogData.index.catalogs.map(catalog => ({
-      name: catalog.catalog_type,
-      url: catalog.catalog_url,
-      description: getCatalogDescription(catalog.catalog_type),
-      ocpVersion: catalog.ocp_version
-    }));
-
-    const catalogResults: CatalogEntry[] = catalogs.map(catalog => {
-      const key = `${catalog.name}:${catalog.ocpVersion}`;
-      const operators = catalogData.operators[key] || [];
+    const catalogResults: CatalogEntry[] = catalogData.index.catalogs.map(catalog => {
+      const customCatalog = customCatalogs.find(entry => entry.id === catalog.custom_catalog_id);
+      const operators = catalogData.operators[`${catalog.catalog_type}:${catalog.ocp_version}`] || [];
       return {
-        ...catalog,
+        name: customCatalog?.name || catalog.catalog_type,
+        url: catalog.catalog_url,
+        description: customCatalog ? customCatalog.description || 'Custom catalog' : getCatalogDescription(catalog.catalog_type),
+        custom: Boolean(customCatalog),
+        ocpVersion: catalog.ocp_version,
+        fetchedAt: catalog.extracted_at || null,
         operators: operators.map(op => ({ name: op.name }))
       };
     });
@@ -790,7 +1130,10 @@ app.get('/api/stats', async (req: Request, res: Response) => {
       totalOperations: operations.length,
       successfulOperations: operations.filter(op => op.status === 'success').length,
       failedOperations: operations.filter(op => op.status === 'failed').length,
-      runningOperations: operations.filter(op => op.status === 'running').length
+      runningOperations: operations.filter(op => op.status === 'running').length,
+      interruptedOperations: operations.filter(op => op.status === 'interrupted').length,
+      queuedOperations: operations.filter(op => op.status === 'queued').length,
+      maxConcurrentOperations: await getMaxConcurrentOperations()
     };
     res.json(stats);
   } catch (error: any) {
@@ -802,7 +1145,7 @@ app.get('/api/operations/recent', async (req: Request, res: Response) => {
   try {
     const operations = await getOperations();
     const recent = operations.slice(0, 10); // Get last 10 operations
-    res.json(recent);
+    res.json(withQueuePositions(recent));
   } catch (error: any) {
     res.status(500).json({ error: 'Failed to get recent operations' });
   }
@@ -878,1112 +1221,6182 @@ app.get('/api/system/paths', async (req: Request, res: Response) => {
   }
 });
 
-app.get('/api/config/list', async (req: Request, res: Response) => {
-  try {
-    const files = await fsp.readdir(CONFIGS_DIR);
-    const configs = [];
-
-    for (const file of files) {
-      if (file.endsWith('.yaml') || file.endsWith('.yml')) {
-        const stats = await fsp.stat(path.join(CONFIGS_DIR, file));
-        configs.push({
-          name: file,
-          size: `${(stats.size / 1024).toFixed(2)} KB`,
-          modified: stats.mtime
-        });
-      }
-    }
+// Server-side counterpart of the rules in MirrorConfig.tsx, covering the full
+// mirror.openshift.io/v2alpha1 ImageSetConfiguration schema. Paths use the
+// same notation as the YAML, e.g. mirror.operators[0].packages[2].channels[0].minVersion.
+const IMAGESET_API_VERSION = 'mirror.openshift.io/v2alpha1';
+const IMAGESET_TOP_LEVEL_KEYS = ['kind', 'apiVersion', 'archiveSize', 'mirror'];
+const IMAGESET_MIRROR_KEYS = ['platform', 'operators', 'additionalImages', 'helm', 'blockedImages'];
+const PLATFORM_ARCHITECTURES = ['amd64', 'arm64', 'ppc64le', 's390x', 'multi'];
+const PLATFORM_CHANNEL_TYPES = ['ocp', 'okd'];
+const OCP_MINOR_VERSION_PATTERN = /^\d+\.\d+$/;
+
+function isPlainObject(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
 
-    res.json(configs);
-  } catch (error: any) {
-    res.status(500).json({ error: 'Failed to list configurations' });
+function isValidVersionString(version: unknown): boolean {
+  if (typeof version !== 'string' || !version) {
+    return false;
   }
-});
+  const parts = version.split('.');
+  return parts.length >= 2 && parts.every(part => !Number.isNaN(parseInt(part, 10)));
+}
 
-app.post('/api/config/save', async (req: Request, res: Response) => {
-  try {
-    const { config, name } = req.body;
-    const filename = name || `imageset-config-${Date.now()}.yaml`;
-    const filepath = path.join(CONFIGS_DIR, filename);
-    
-    await fsp.writeFile(filepath, config);
-    res.json({ message: 'Configuration saved successfully', filename });
-  } catch (error: any) {
-    res.status(500).json({ error: 'Failed to save configuration' });
+function getMajorMinorVersion(version: string): string {
+  const [major, minor] = version.split('.');
+  return `${major}.${minor}`;
+}
+
+function isNonEmptyString(value: unknown): value is string {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Looks up a catalog URL in the pre-fetched catalog data. Returns null for
+// catalogs that were not pre-fetched, whose contents cannot be checked.
+async function findPreFetchedCatalogOperators(catalogUrl: string): Promise<OperatorEntry[] | null> {
+  const catalogData = await loadPreFetchedCatalogData();
+  const catalog = catalogData?.index.catalogs.find(entry => entry.catalog_url === catalogUrl);
+  if (!catalogData || !catalog) {
+    return null;
   }
-});
+  return catalogData.operators[`${catalog.catalog_type}:${catalog.ocp_version}`] || null;
+}
 
-app.post('/api/config/upload', async (req: Request, res: Response) => {
-  try {
-    const { filename, content } = req.body;
-    
-    if (!filename || !content) {
-      return res.status(400).json({ error: 'Filename and content are required' });
+function getOperatorChannelNames(operator: OperatorEntry): string[] {
+  const channelNames = extractChannelNames(operator.channels);
+  return channelNames.length > 0 ? channelNames : Object.keys(operator.channelVersions || {});
+}
+
+function validateVersionBounds(
+  errors: ConfigValidationIssue[],
+  entryPath: string,
+  entry: Record<string, any>,
+  availableVersions: string[] = []
+): void {
+  for (const field of ['minVersion', 'maxVersion']) {
+    if (entry[field] !== undefined && entry[field] !== null && !isValidVersionString(String(entry[field]))) {
+      errors.push({ path: `${entryPath}.${field}`, message: `${field === 'minVersion' ? 'Min' : 'Max'} version must be a valid version like 4.16.0` });
     }
+  }
 
-    try {
-      const parsed = YAML.parse(content);
+  const { minVersion, maxVersion } = entry;
+  const minValid = isValidVersionString(String(minVersion ?? ''));
+  const maxValid = isValidVersionString(String(maxVersion ?? ''));
+  if (minValid && maxValid && compareVersionStrings(String(minVersion), String(maxVersion)) > 0) {
+    errors.push({ path: `${entryPath}.minVersion`, message: 'Min version cannot be greater than max version' });
+    return;
+  }
 
-      if (!parsed.kind || parsed.kind !== 'ImageSetConfiguration') {
-        return res.status(400).json({ error: 'Invalid YAML: Must be an ImageSetConfiguration' });
-      }
+  if ((minValid || maxValid) && availableVersions.length > 0) {
+    const inRange = availableVersions.some(version =>
+      (!minValid || compareVersionStrings(version, String(minVersion)) >= 0)
+      && (!maxValid || compareVersionStrings(version, String(maxVersion)) <= 0));
+    if (!inRange) {
+      errors.push({
+        path: entryPath,
+        message: `No versions available in range ${minValid ? minVersion : '0.0.0'} to ${maxValid ? maxVersion : 'latest'}`
+      });
+    }
+  }
+}
 
-      if (!parsed.apiVersion || !parsed.apiVersion.includes('mirror.openshift.io')) {
-        return res.status(400).json({ error: 'Invalid YAML: Must have mirror.openshift.io API version' });
-      }
+function validateNamedList(
+  errors: ConfigValidationIssue[],
+  listPath: string,
+  list: unknown,
+  validateEntry?: (entry: Record<string, any>, entryPath: string) => void
+): void {
+  if (list === undefined || list === null) {
+    return;
+  }
+  if (!Array.isArray(list)) {
+    errors.push({ path: listPath, message: 'Must be a list' });
+    return;
+  }
 
-      if (!parsed.mirror) {
-        return res.status(400).json({ error: 'Invalid YAML: Missing mirror section' });
-      }
-    } catch (yamlError: any) {
-      return res.status(400).json({ error: `Invalid YAML: ${yamlError.message}` });
+  list.forEach((entry, index) => {
+    const entryPath = `${listPath}[${index}]`;
+    if (!isPlainObject(entry)) {
+      errors.push({ path: entryPath, message: 'Must be an object' });
+      return;
+    }
+    if (!isNonEmptyString(entry.name)) {
+      errors.push({ path: `${entryPath}.name`, message: 'Name is required' });
     }
+    validateEntry?.(entry, entryPath);
+  });
+}
 
-    const finalFilename = filename.endsWith('.yaml') || filename.endsWith('.yml') 
-      ? filename 
-      : `${filename}.yaml`;
-    
-    const filepath = path.join(CONFIGS_DIR, finalFilename);
+function validatePlatform(errors: ConfigValidationIssue[], platform: unknown): void {
+  if (!isPlainObject(platform)) {
+    errors.push({ path: 'mirror.platform', message: 'Must be an object' });
+    return;
+  }
 
-    try {
-      await fsp.access(filepath);
-      return res.status(409).json({ error: 'Configuration file already exists' });
-    } catch (error: any) {
+  for (const field of ['graph', 'kubeVirtContainer']) {
+    if (platform[field] !== undefined && typeof platform[field] !== 'boolean') {
+      errors.push({ path: `mirror.platform.${field}`, message: 'Must be true or false' });
     }
-    
-    await fsp.writeFile(filepath, content);
-    res.json({ message: 'Configuration uploaded successfully', filename: finalFilename });
-  } catch (error: any) {
-    console.error('Error uploading configuration:', error);
-    res.status(500).json({ error: 'Failed to upload configuration' });
   }
-});
 
-app.delete('/api/config/delete/:filename', async (req: Request, res: Response) => {
-  try {
-    const { filename } = req.params;
-    
-    if (!filename) {
-      return res.status(400).json({ error: 'Filename is required' });
+  if (platform.architectures !== undefined) {
+    if (!Array.isArray(platform.architectures)) {
+      errors.push({ path: 'mirror.platform.architectures', message: 'Must be a list' });
+    } else {
+      platform.architectures.forEach((architecture: unknown, index: number) => {
+        if (!PLATFORM_ARCHITECTURES.includes(String(architecture))) {
+          errors.push({
+            path: `mirror.platform.architectures[${index}]`,
+            message: `Unsupported architecture "${architecture}". Use one of: ${PLATFORM_ARCHITECTURES.join(', ')}`
+          });
+        }
+      });
     }
+  }
 
-    if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
-      return res.status(400).json({ error: 'Invalid filename' });
-    }
+  if (platform.release !== undefined && !isNonEmptyString(platform.release)) {
+    errors.push({ path: 'mirror.platform.release', message: 'Must be a release image reference' });
+  }
 
-    const filepath = path.join(CONFIGS_DIR, filename);
+  validateNamedList(errors, 'mirror.platform.channels', platform.channels, (channel, channelPath) => {
+    if (channel.type !== undefined && !PLATFORM_CHANNEL_TYPES.includes(channel.type)) {
+      errors.push({ path: `${channelPath}.type`, message: `Channel type must be one of: ${PLATFORM_CHANNEL_TYPES.join(', ')}` });
+    }
+    for (const field of ['shortestPath', 'full']) {
+      if (channel[field] !== undefined && typeof channel[field] !== 'boolean') {
+        errors.push({ path: `${channelPath}.${field}`, message: 'Must be true or false' });
+      }
+    }
 
-    try {
-      await fsp.access(filepath);
-    } catch (error: any) {
-      return res.status(404).json({ error: 'Configuration file not found' });
+    const channelLine = typeof channel.name === 'string' ? channel.name.match(/(\d+\.\d+)/)?.[1] : undefined;
+    for (const field of ['minVersion', 'maxVersion']) {
+      const value = channel[field];
+      if (channelLine && isValidVersionString(String(value ?? '')) && getMajorMinorVersion(String(value)) !== channelLine) {
+        errors.push({
+          path: `${channelPath}.${field}`,
+          message: `${field === 'minVersion' ? 'Min' : 'Max'} version must match channel ${channelLine}.x (e.g., ${channelLine}.0)`
+        });
+      }
     }
+    validateVersionBounds(errors, channelPath, channel);
+  });
+}
 
-    await fsp.unlink(filepath);
-    res.json({ message: 'Configuration deleted successfully' });
-  } catch (error: any) {
-    console.error('Error deleting configuration:', error);
-    res.status(500).json({ error: 'Failed to delete configuration' });
+async function validateOperators(
+  errors: ConfigValidationIssue[],
+  warnings: ConfigValidationIssue[],
+  operators: unknown
+): Promise<void> {
+  if (!Array.isArray(operators)) {
+    errors.push({ path: 'mirror.operators', message: 'Must be a list' });
+    return;
   }
-});
 
-app.get('/api/channels', async (req: Request, res: Response) => {
-  try {
-    const channels = [
-      'stable-4.16', 'stable-4.17', 'stable-4.18', 'stable-4.19', 'stable-4.20'
-    ];
-    res.json(channels);
-  } catch (error: any) {
-    res.status(500).json({ error: 'Failed to get channels' });
-  }
-});
+  for (const [catalogIndex, catalog] of operators.entries()) {
+    const catalogPath = `mirror.operators[${catalogIndex}]`;
+    if (!isPlainObject(catalog)) {
+      errors.push({ path: catalogPath, message: 'Must be an object' });
+      continue;
+    }
 
-app.get('/api/catalogs', async (req: Request, res: Response) => {
-  try {
-    const cache = await updateOperatorCache();
-    const catalogs = cache.catalogs.map(catalog => ({
-      name: catalog.name,
-      url: catalog.url,
-      description: catalog.description,
-      operatorCount: catalog.operators ? catalog.operators.length : 0
-    }));
-    res.json(catalogs);
-  } catch (error: any) {
-    console.error('Error fetching catalogs:', error);
-    const fallbackCatalogs = [
-      {
-        name: 'redhat-operator-index',
-        url: 'registry.redhat.io/redhat/redhat-operator-index',
-        description: 'Red Hat certified operators',
-        operatorCount: 0
-      },
-      {
-        name: 'certified-operator-index',
-        url: 'registry.redhat.io/redhat/certified-operator-index',
-        description: 'Certified operators from partners',
-        operatorCount: 0
-      },
-      {
-        name: 'community-operator-index',
-        url: 'registry.redhat.io/redhat/community-operator-index',
-        description: 'Community operators',
-        operatorCount: 0
+    if (!isNonEmptyString(catalog.catalog)) {
+      errors.push({ path: `${catalogPath}.catalog`, message: 'Catalog is required' });
+    }
+    if (catalog.full !== undefined && typeof catalog.full !== 'boolean') {
+      errors.push({ path: `${catalogPath}.full`, message: 'Must be true or false' });
+    }
+    for (const field of ['targetCatalog', 'targetTag']) {
+      if (catalog[field] !== undefined && !isNonEmptyString(catalog[field])) {
+        errors.push({ path: `${catalogPath}.${field}`, message: 'Must be a non-empty string' });
       }
-    ];
-    res.json(fallbackCatalogs);
-  }
-});
+    }
 
-app.get('/api/operators', async (req: Request, res: Response) => {
-  try {
-    const { catalog, detailed } = req.query;
+    const packages = catalog.packages ?? [];
+    if (!Array.isArray(packages)) {
+      errors.push({ path: `${catalogPath}.packages`, message: 'Must be a list' });
+      continue;
+    }
+    if (packages.length === 0 && catalog.full !== true) {
+      errors.push({ path: `${catalogPath}.packages`, message: 'At least one package is required unless full is true' });
+    }
 
-    if (catalog) {
-      const catalogData = await loadPreFetchedCatalogData();
-      if (catalogData) {
-        const catalogType = getCatalogNameFromUrl(catalog as string);
-        const catalogVersion = (catalog as string).includes(':') ? (catalog as string).split(':')[1] : 'v4.20';
-        const key = `${catalogType}:${catalogVersion}`;
-        
-        const operators = catalogData.operators[key];
-        if (operators) {
-          if (detailed === 'true') {
-            const detailedOperators = operators.map(operator => {
-              const normalizedChannels = normalizeChannels(operator.channels || [], operator.name, operator);
-              return {
-                name: operator.name,
-                defaultChannel: operator.defaultChannel,
-                channels: normalizedChannels,
-                allChannels: normalizedChannels.map(ch => ch.name),
-                catalog: operator.catalog,
-                ocpVersion: operator.ocpVersion,
-                catalogUrl: operator.catalogUrl
-              };
-            });
-            res.json(detailedOperators);
-          } else {
-            res.json(operators.map(operator => operator.name));
-          }
-          return;
-        }
+    const catalogOperators = isNonEmptyString(catalog.catalog) ? await findPreFetchedCatalogOperators(catalog.catalog) : null;
+    if (isNonEmptyString(catalog.catalog) && !catalogOperators && packages.length > 0) {
+      warnings.push({
+        path: `${catalogPath}.catalog`,
+        message: 'Catalog is not in the pre-fetched catalog data; package and channel names were not checked'
+      });
+    }
+
+    validateNamedList(errors, `${catalogPath}.packages`, packages, (pkg, packagePath) => {
+      const operator = catalogOperators?.find(entry => entry.name === pkg.name);
+      if (catalogOperators && isNonEmptyString(pkg.name) && !operator) {
+        errors.push({ path: `${packagePath}.name`, message: `Package "${pkg.name}" not found in catalog ${catalog.catalog}` });
       }
 
-      const cache = await updateOperatorCache();
-      const allOperators = Object.values(cache.operators);
-      const filteredOperators = allOperators
-        .filter(operator => operator.catalog === catalog);
+      validateVersionBounds(errors, packagePath, pkg, operator ? getVersionsFromMetadata(operator) : []);
 
-      if (detailed === 'true') {
-        const detailedOperators = filteredOperators.map(operator => {
-          const normalizedChannels = normalizeChannels(operator.channels || [], operator.name, operator);
-          return {
-            name: operator.name,
-            defaultChannel: operator.defaultChannel,
-            channels: normalizedChannels,
-            allChannels: normalizedChannels.map(ch => ch.name),
-            catalog: operator.catalog,
-            ocpVersion: operator.ocpVersion,
-            catalogUrl: operator.catalogUrl
-          };
-        });
-        res.json(detailedOperators);
-      } else {
-        res.json(filteredOperators.map(operator => operator.name));
+      if (pkg.bundles !== undefined) {
+        validateNamedList(errors, `${packagePath}.bundles`, pkg.bundles);
+        if (Array.isArray(pkg.bundles) && pkg.bundles.length > 0
+          && ((Array.isArray(pkg.channels) && pkg.channels.length > 0) || pkg.minVersion || pkg.maxVersion)) {
+          errors.push({ path: `${packagePath}.bundles`, message: 'Bundles cannot be combined with channels or minVersion/maxVersion' });
+        }
       }
-    } else {
-      const cache = await updateOperatorCache();
-      const uniqueOperators = [...new Set(Object.values(cache.operators).map(op => op.name))];
-      res.json(uniqueOperators);
-    }
-  } catch (error: any) {
-    console.error('Error fetching operators:', error);
-    const fallbackOperators = [
-      'advanced-cluster-management',
-      'elasticsearch-operator',
-      'kiali-ossm',
-      'servicemeshoperator',
-      'openshift-pipelines-operator-rh',
-      'serverless-operator',
-      'jaeger-product',
-      'rhods-operator',
-      'openshift-gitops-operator',
-      'openshift-logging',
-      'openshift-monitoring',
-      'cluster-logging',
-      'local-storage-operator',
-      'node-feature-discovery-operator',
-      'performance-addon-operator',
-      'ptp-operator',
-      'sriov-network-operator',
-      'bare-metal-event-relay',
-      'cluster-baremetal-operator',
-      'metal3-operator'
-    ];
-    res.json(fallbackOperators);
+
+      const channelNames = operator ? getOperatorChannelNames(operator) : [];
+      validateNamedList(errors, `${packagePath}.channels`, pkg.channels, (channel, channelPath) => {
+        if (operator && channelNames.length > 0 && isNonEmptyString(channel.name) && !channelNames.includes(channel.name)) {
+          errors.push({
+            path: `${channelPath}.name`,
+            message: `Channel "${channel.name}" not found for package ${pkg.name}. Available channels: ${channelNames.join(', ')}`
+          });
+          return;
+        }
+        validateVersionBounds(errors, channelPath, channel, operator ? getVersionsFromMetadata(operator, channel.name) : []);
+      });
+    });
   }
-});
+}
 
-app.post('/api/operators/refresh-cache', async (req: Request, res: Response) => {
-  try {
-    operatorCache.lastUpdate = null;
-    await updateOperatorCache();
-    res.json({ message: 'Operator cache refreshed successfully' });
-  } catch (error: any) {
-    console.error('Error refreshing operator cache:', error);
-    res.status(500).json({ error: 'Failed to refresh operator cache' });
+function validateHelm(errors: ConfigValidationIssue[], helm: unknown): void {
+  if (!isPlainObject(helm)) {
+    errors.push({ path: 'mirror.helm', message: 'Must be an object' });
+    return;
   }
-});
 
-function compareVersionStrings(a: string, b: string): number {
-  const getBaseVersion = (version: string): string => {
-    const match = version.match(/^(\d+\.\d+\.\d+)/);
-    return match ? match[1] : version;
-  };
+  validateNamedList(errors, 'mirror.helm.repositories', helm.repositories, (repo, repoPath) => {
+    if (!isNonEmptyString(repo.url)) {
+      errors.push({ path: `${repoPath}.url`, message: 'Repository URL is required' });
+    } else if (!/^(https?|oci):\/\/\S+$/.test(repo.url.trim())) {
+      errors.push({ path: `${repoPath}.url`, message: 'Repository URL must start with http://, https:// or oci://' });
+    }
+    validateNamedList(errors, `${repoPath}.charts`, repo.charts);
+  });
 
-  const baseA = getBaseVersion(a);
-  const baseB = getBaseVersion(b);
+  validateNamedList(errors, 'mirror.helm.local', helm.local, (chart, chartPath) => {
+    if (!isNonEmptyString(chart.path)) {
+      errors.push({ path: `${chartPath}.path`, message: 'Path is required' });
+    }
+  });
+}
 
-  const partsA = baseA.split('.').map(Number);
-  const partsB = baseB.split('.').map(Number);
+async function validateImageSetConfiguration(config: unknown): Promise<ConfigValidationResult> {
+  const errors: ConfigValidationIssue[] = [];
+  const warnings: ConfigValidationIssue[] = [];
+  const result = () => ({ valid: errors.length === 0, errors, warnings });
 
-  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
-    const partA = partsA[i] || 0;
-    const partB = partsB[i] || 0;
+  if (!isPlainObject(config)) {
+    errors.push({ path: '', message: 'Configuration must be a YAML object' });
+    return result();
+  }
 
-    if (partA !== partB) {
-      return partA - partB;
-    }
+  if (config.kind !== 'ImageSetConfiguration') {
+    errors.push({ path: 'kind', message: 'Must be an ImageSetConfiguration' });
+  }
+  if (typeof config.apiVersion !== 'string' || !config.apiVersion.includes('mirror.openshift.io')) {
+    errors.push({ path: 'apiVersion', message: 'Must have mirror.openshift.io API version' });
+  } else if (config.apiVersion !== IMAGESET_API_VERSION) {
+    errors.push({ path: 'apiVersion', message: `oc-mirror v2 requires ${IMAGESET_API_VERSION}` });
   }
 
-  return a.localeCompare(b);
-}
+  if (config.archiveSize !== undefined && config.archiveSize !== null
+    && !(Number.isInteger(Number(config.archiveSize)) && Number(config.archiveSize) > 0)) {
+    errors.push({ path: 'archiveSize', message: 'Archive size must be a whole number of GiB greater than 0' });
+  }
 
-function sortVersions(versions: string[]): string[] {
-  return Array.from(new Set(versions.filter(version => version && version.trim()))).sort(compareVersionStrings);
-}
+  Object.keys(config)
+    .filter(key => !IMAGESET_TOP_LEVEL_KEYS.includes(key))
+    .forEach(key => warnings.push({ path: key, message: 'Unknown field, ignored by oc-mirror v2' }));
 
-function getQueryStringValue(value: unknown): string | undefined {
-  if (typeof value === 'string') {
-    return value;
+  const mirror = config.mirror;
+  if (!isPlainObject(mirror)) {
+    errors.push({ path: 'mirror', message: 'Missing mirror section' });
+    return result();
   }
 
-  if (Array.isArray(value)) {
-    const first = value[0];
-    return typeof first === 'string' ? first : undefined;
+  Object.keys(mirror)
+    .filter(key => !IMAGESET_MIRROR_KEYS.includes(key))
+    .forEach(key => warnings.push({ path: `mirror.${key}`, message: 'Unknown field, ignored by oc-mirror v2' }));
+
+  const hasPlatform = (mirror.platform?.channels?.length || 0) > 0 || Boolean(mirror.platform?.release);
+  const hasOperators = (mirror.operators?.length || 0) > 0;
+  const hasImages = (mirror.additionalImages?.length || 0) > 0;
+  const hasHelm = (mirror.helm?.repositories?.length || 0) > 0 || (mirror.helm?.local?.length || 0) > 0;
+  if (!hasPlatform && !hasOperators && !hasImages && !hasHelm) {
+    errors.push({ path: 'mirror', message: 'At least one platform channel, operator, additional image, or Helm chart is required' });
   }
 
-  return undefined;
+  if (mirror.platform !== undefined && mirror.platform !== null) {
+    validatePlatform(errors, mirror.platform);
+  }
+  if (mirror.operators !== undefined && mirror.operators !== null) {
+    await validateOperators(errors, warnings, mirror.operators);
+  }
+  validateNamedList(errors, 'mirror.additionalImages', mirror.additionalImages);
+  validateNamedList(errors, 'mirror.blockedImages', mirror.blockedImages);
+  if (mirror.helm !== undefined && mirror.helm !== null) {
+    validateHelm(errors, mirror.helm);
+  }
+
+  return result();
 }
 
-function extractChannelNames(channels: (string | { name: string })[] | undefined): string[] {
-  if (!channels || !Array.isArray(channels)) {
-    return [];
+// Accepts the configuration as a YAML string or an already parsed object.
+function parseConfigInput(input: unknown): { parsed: unknown; content: string } {
+  if (typeof input === 'string') {
+    return { parsed: YAML.parse(input), content: input };
   }
+  return { parsed: input, content: YAML.stringify(input) };
+}
 
-  if (channels.length === 1 && typeof channels[0] === 'string') {
-    if (channels[0].includes('\n')) {
-      return channels[0].split('\n').filter(line => line.trim()).map(channel => channel.trim());
+// Parses and validates a configuration sent to a save route, returning either
+// the YAML to write or the 400 response body.
+async function prepareConfigContent(
+  config: unknown
+): Promise<{ content: string } | { error: string; details?: ConfigValidationIssue[]; warnings?: ConfigValidationIssue[] }> {
+  let input: { parsed: unknown; content: string };
+  try {
+    input = parseConfigInput(config);
+  } catch (yamlError: any) {
+    return { error: `Invalid YAML: ${yamlError.message}` };
+  }
+
+  const validation = await validateImageSetConfiguration(input.parsed);
+  if (!validation.valid) {
+    return { error: 'Invalid ImageSetConfiguration', details: validation.errors, warnings: validation.warnings };
+  }
+  return { content: input.content };
+}
+
+app.post('/api/config/validate', async (req: Request, res: Response) => {
+  try {
+    const { config } = req.body;
+    if (config === undefined || config === null || config === '') {
+      return res.status(400).json({ error: 'config is required', help: 'Send the ImageSetConfiguration as YAML text or JSON in "config"' });
     }
 
-    if (channels[0].includes(' ')) {
-      return channels[0].split(' ').filter(channel => channel.trim()).map(channel => channel.trim());
+    let parsed: unknown;
+    try {
+      parsed = parseConfigInput(config).parsed;
+    } catch (yamlError: any) {
+      return res.json({ valid: false, errors: [{ path: '', message: `Invalid YAML: ${yamlError.message}` }], warnings: [] });
     }
 
-    return [channels[0]];
+    res.json(await validateImageSetConfiguration(parsed));
+  } catch (error: any) {
+    console.error('Error validating configuration:', error);
+    res.status(500).json({ error: 'Failed to validate configuration' });
   }
+});
 
-  return channels
-    .map(channel => {
-      if (typeof channel === 'string') {
-        return channel;
-      }
+// Default OperatorHub CatalogSources and the pre-fetched catalogs they serve.
+const CATALOG_SOURCE_TYPES: Record<string, string> = {
+  'redhat-operators': 'redhat-operator-index',
+  'certified-operators': 'certified-operator-index',
+  'community-operators': 'community-operator-index'
+};
 
-      if (channel && typeof channel === 'object' && channel.name) {
-        return channel.name;
-      }
+interface ImportedSubscription {
+  namespace: string;
+  packageName: string;
+  channel: string | null;
+  source: string;
+  installedVersion: string | null;
+  catalog: string;
+}
 
-      return String(channel);
-    })
-    .filter(channel => channel.trim());
+// Flattens `oc get ... -o yaml` output (a List, or one resource per document)
+// into the individual resources.
+function collectClusterResources(content: string): Record<string, any>[] {
+  const resources: Record<string, any>[] = [];
+  for (const document of YAML.parseAllDocuments(content)) {
+    if (document.errors.length > 0) {
+      throw new Error(document.errors[0].message);
+    }
+    const value = document.toJS();
+    const items = isPlainObject(value) && Array.isArray(value.items) ? value.items : [value];
+    resources.push(...items.filter(isPlainObject));
+  }
+  return resources;
 }
 
-function extractVersionInfo(channelNames: string[], operatorName: string | null): { genericChannels: string[]; versions: string[] } {
-  const versions = new Set<string>();
-  const genericChannels: string[] = [];
-  
-  channelNames.forEach(channel => {
-    if (!channel || !channel.trim()) return;
+// Reads the installed version from the exported CSV, falling back to the
+// version in the CSV name (e.g. odf-operator.v4.19.3-rhodf).
+function getInstalledVersion(csvName: unknown, csvVersions: Map<string, string>): string | null {
+  if (!isNonEmptyString(csvName)) {
+    return null;
+  }
+  return csvVersions.get(csvName) || csvName.match(/\.v?(\d+\.\d+\.\d+\S*)$/)?.[1] || null;
+}
 
-    if (operatorName && channel.includes(`${operatorName}.`)) {
-      const versionWithV = channel.match(new RegExp(`${operatorName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.v(.+)`));
-      if (versionWithV) {
-        versions.add(versionWithV[1]);
-        return;
-      }
+async function getCatalogUrlForType(catalogType: string, ocpVersion: string): Promise<string> {
+  const catalogData = await loadPreFetchedCatalogData();
+  const catalog = catalogData?.index.catalogs.find(entry =>
+    entry.catalog_type === catalogType && entry.ocp_version === `v${ocpVersion}`);
+  return catalog?.catalog_url || `registry.redhat.io/redhat/${catalogType}:v${ocpVersion}`;
+}
 
-      const versionWithoutV = channel.match(new RegExp(`${operatorName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.(.+)`));
-      if (versionWithoutV) {
-        versions.add(versionWithoutV[1]);
-        return;
+async function buildConfigFromSubscriptions(resources: Record<string, any>[], ocpVersion: string) {
+  const csvVersions = new Map<string, string>();
+  resources
+    .filter(resource => resource.kind === 'ClusterServiceVersion' && isNonEmptyString(resource.metadata?.name))
+    .forEach(csv => {
+      if (isNonEmptyString(csv.spec?.version)) {
+        csvVersions.set(csv.metadata.name, csv.spec.version);
       }
+    });
+
+  const subscriptions: ImportedSubscription[] = [];
+  const skipped: { namespace: string; name: string; source: string; reason: string }[] = [];
+  const catalogs = new Map<string, Map<string, Record<string, any>>>();
+
+  for (const subscription of resources.filter(resource => resource.kind === 'Subscription')) {
+    const namespace = subscription.metadata?.namespace || '';
+    const source = subscription.spec?.source || '';
+    const packageName = subscription.spec?.name;
+    if (!isNonEmptyString(packageName)) {
+      skipped.push({ namespace, name: subscription.metadata?.name || '', source, reason: 'Subscription has no spec.name' });
+      continue;
     }
 
-    if (operatorName) {
-      const operatorBase = operatorName.replace(/-certified$/, '').replace(/-community$/, '');
-      if (operatorBase !== operatorName && channel.includes(`${operatorBase}.`)) {
-        const versionWithV = channel.match(new RegExp(`${operatorBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.v(.+)`));
-        if (versionWithV) {
-          versions.add(versionWithV[1]);
-          return;
-        }
+    const catalogType = CATALOG_SOURCE_TYPES[source];
+    if (!catalogType) {
+      skipped.push({
+        namespace,
+        name: packageName,
+        source,
+        reason: `CatalogSource "${source}" is not one of the pre-fetched catalogs (${Object.keys(CATALOG_SOURCE_TYPES).join(', ')})`
+      });
+      continue;
+    }
 
-        const versionWithoutV = channel.match(new RegExp(`${operatorBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.(.+)`));
-        if (versionWithoutV) {
-          versions.add(versionWithoutV[1]);
-          return;
-        }
+    const catalog = await getCatalogUrlForType(catalogType, ocpVersion);
+    const catalogOperators = await findPreFetchedCatalogOperators(catalog);
+    const operator = catalogOperators?.find(entry => entry.name === packageName);
+    const channel = isNonEmptyString(subscription.spec?.channel) ? subscription.spec.channel : operator?.defaultChannel || null;
+    const installedVersion = getInstalledVersion(subscription.status?.installedCSV || subscription.status?.currentCSV, csvVersions);
+    subscriptions.push({ namespace, packageName, channel, source, installedVersion, catalog });
+
+    if (!catalogs.has(catalog)) {
+      catalogs.set(catalog, new Map());
+    }
+    const packages = catalogs.get(catalog)!;
+    const pkg = packages.get(packageName) || { name: packageName, channels: [] };
+    packages.set(packageName, pkg);
+    if (!channel) {
+      continue;
+    }
+
+    // The same package can be subscribed in several namespaces; keep the
+    // lowest installed version per channel so every cluster copy is covered.
+    const existing = pkg.channels.find((entry: Record<string, any>) => entry.name === channel);
+    if (!existing) {
+      pkg.channels.push(installedVersion ? { name: channel, minVersion: installedVersion } : { name: channel });
+    } else if (existing.minVersion && (!installedVersion || compareVersionStrings(installedVersion, existing.minVersion) < 0)) {
+      existing.minVersion = installedVersion || undefined;
+    }
+  }
+
+  const dependencies: { packageName: string; requiredBy: string; catalog: string }[] = [];
+  for (const subscription of subscriptions) {
+    const catalogType = getCatalogNameFromUrl(subscription.catalog);
+    for (const dependency of await getOperatorDependencies(catalogType, `v${ocpVersion}`, subscription.packageName)) {
+      const catalog = dependency.catalogUrl || subscription.catalog;
+      if (!catalogs.has(catalog)) {
+        catalogs.set(catalog, new Map());
       }
+      const packages = catalogs.get(catalog)!;
+      if (packages.has(dependency.packageName)) {
+        continue;
+      }
+      packages.set(dependency.packageName, {
+        name: dependency.packageName,
+        channels: dependency.defaultChannel ? [{ name: dependency.defaultChannel }] : []
+      });
+      dependencies.push({ packageName: dependency.packageName, requiredBy: subscription.packageName, catalog });
     }
+  }
 
-    const genericVersionWithV = channel.match(/^[^.]+\.v(.+)/);
-    if (genericVersionWithV) {
-      versions.add(genericVersionWithV[1]);
-      return;
+  const config = {
+    kind: 'ImageSetConfiguration',
+    apiVersion: IMAGESET_API_VERSION,
+    mirror: {
+      operators: [...catalogs.entries()].map(([catalog, packages]) => ({
+        catalog,
+        packages: [...packages.values()].map(pkg => (pkg.channels.length > 0 ? pkg : { name: pkg.name }))
+      }))
     }
+  };
 
-    const genericVersionWithoutV = channel.match(/^[^.]+\.(\d+\.\d+\.\d+.*)/);
-    if (genericVersionWithoutV) {
-      versions.add(genericVersionWithoutV[1]);
-      return;
+  return { config, subscriptions, dependencies, skipped };
+}
+
+app.post('/api/config/from-subscriptions', async (req: Request, res: Response) => {
+  try {
+    const { content } = req.body;
+    const ocpVersion = String(req.body.ocpVersion || '').trim();
+    if (!isNonEmptyString(content)) {
+      return res.status(400).json({
+        error: 'content is required',
+        help: 'Send the output of "oc get subscriptions,csv -A -o yaml" in "content"'
+      });
+    }
+    if (!OCP_MINOR_VERSION_PATTERN.test(ocpVersion)) {
+      return res.status(400).json({
+        error: 'Invalid OCP version',
+        provided: req.body.ocpVersion,
+        help: 'Use the major.minor version of the catalogs to mirror from, e.g. 4.19'
+      });
     }
 
-    const versionMatch = channel.match(/^v?(\d+\.\d+\.\d+)/);
-    if (versionMatch) {
-      versions.add(versionMatch[1]);
-      return;
+    let resources: Record<string, any>[];
+    try {
+      resources = collectClusterResources(content);
+    } catch (yamlError: any) {
+      return res.status(400).json({ error: `Invalid YAML: ${yamlError.message}` });
+    }
+    if (!resources.some(resource => resource.kind === 'Subscription')) {
+      return res.status(400).json({
+        error: 'No Subscriptions found',
+        help: 'Export them with "oc get subscriptions,csv -A -o yaml"'
+      });
     }
 
-    genericChannels.push(channel);
-  });
+    const { config, subscriptions, dependencies, skipped } = await buildConfigFromSubscriptions(resources, ocpVersion);
+    const { valid, errors, warnings } = await validateImageSetConfiguration(config);
 
-  return {
-    genericChannels,
-    versions: sortVersions(Array.from(versions))
+    res.json({
+      ocpVersion,
+      content: YAML.stringify(config),
+      subscriptions,
+      dependencies,
+      skipped,
+      valid,
+      errors,
+      warnings
+    });
+  } catch (error: any) {
+    console.error('Error generating configuration from subscriptions:', error);
+    res.status(500).json({ error: 'Failed to generate configuration from subscriptions' });
+  }
+});
+
+const FBC_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const FBC_IGNORED_FILES = ['released-bundles.json'];
+// Used until a completed mirror-to-disk operation provides a measured value.
+const DEFAULT_BYTES_PER_IMAGE = 250 * 1024 * 1024;
+const CALIBRATION_SAMPLE_LIMIT = 20;
+
+// Splits concatenated JSON documents, as written by `opm render`, without
+// relying on any separator between them.
+function parseJsonDocuments(text: string): unknown[] {
+  const documents: unknown[] = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      if (depth === 0) {
+        start = i;
+      }
+      depth++;
+    } else if ((char === '}' || char === ']') && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        documents.push(JSON.parse(text.slice(start, i + 1)));
+      }
+    }
+  }
+  return documents;
+}
+
+async function readFbcDocuments(dir: string): Promise<Record<string, any>[]> {
+  const documents: Record<string, any>[] = [];
+  for (const entry of await fsp.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      documents.push(...await readFbcDocuments(entryPath));
+      continue;
+    }
+    // Uploaded archives can contain symlinks, devices or FIFOs; only read regular files
+    if (!entry.isFile()) {
+      continue;
+    }
+    const extension = path.extname(entry.name).toLowerCase();
+    if (!FBC_FILE_EXTENSIONS.includes(extension) || FBC_IGNORED_FILES.includes(entry.name)) {
+      continue;
+    }
+    try {
+      const content = await fsp.readFile(entryPath, 'utf8');
+      const parsed = extension === '.json'
+        ? parseJsonDocuments(content)
+        : YAML.parseAllDocuments(content).map(document => document.toJS());
+      parsed.flat().filter(isPlainObject).forEach(document => documents.push(document));
+    } catch (error: any) {
+      console.warn(`Skipping unreadable catalog file ${entryPath}:`, error.message);
+    }
+  }
+  return documents;
+}
+
+function getFbcBundleVersion(bundle: Record<string, any>): string | null {
+  const packageProperty = (Array.isArray(bundle.properties) ? bundle.properties : [])
+    .find((property: any) => property?.type === 'olm.package' && isNonEmptyString(property.value?.version));
+  return packageProperty?.value.version || String(bundle.name || '').match(/(?:^|\.)v?(\d+\.\d+\.\d+\S*)$/)?.[1] || null;
+}
+
+// Reads the compact per-package index that scripts/catalog_metadata.py writes to
+// catalog-data/<type>/<version>/bundles/. The container image ships these
+// instead of the extracted configs.
+async function readFbcBundleIndex(catalogType: string, catalogVersion: string, packageName: string): Promise<FbcPackage | null> {
+  let index: any;
+  try {
+    const indexPath = path.join(CATALOG_DATA_DIR, catalogType, catalogVersion, 'bundles', `${path.basename(packageName)}.json`);
+    index = JSON.parse(await fsp.readFile(indexPath, 'utf8'));
+  } catch {
+    return null;
+  }
+  if (!isPlainObject(index?.channelEntries) || !isPlainObject(index?.bundles)) {
+    return null;
+  }
+
+  const fbcPackage: FbcPackage = {
+    name: packageName,
+    ...(isNonEmptyString(index.defaultChannel) && { defaultChannel: index.defaultChannel }),
+    channels: {},
+    channelEntries: {},
+    bundles: {},
+    ...(isNonEmptyString(index.icon?.base64data) && {
+      icon: { base64data: index.icon.base64data, mediatype: index.icon.mediatype || 'image/svg+xml' }
+    })
   };
+  for (const [channelName, entries] of Object.entries(index.channelEntries)) {
+    const channelEntries = (Array.isArray(entries) ? entries : []).filter((entry: any) => isNonEmptyString(entry?.name));
+    fbcPackage.channelEntries[channelName] = channelEntries;
+    fbcPackage.channels[channelName] = channelEntries.map((entry: FbcChannelEntry) => entry.name);
+  }
+  for (const [bundleName, bundle] of Object.entries<any>(index.bundles)) {
+    const relatedImages = (Array.isArray(bundle?.relatedImages) ? bundle.relatedImages : [])
+      .filter((related: any) => isNonEmptyString(related?.image));
+    fbcPackage.bundles[bundleName] = {
+      name: bundleName,
+      version: isNonEmptyString(bundle?.version) ? bundle.version : null,
+      images: [...new Set([bundle?.image, ...relatedImages.map((related: { image: string }) => related.image)].filter(isNonEmptyString))],
+      ...(isNonEmptyString(bundle?.image) && { image: bundle.image }),
+      relatedImages,
+      ...(isNonEmptyString(bundle?.createdAt) && { createdAt: bundle.createdAt })
+    };
+  }
+  return fbcPackage;
 }
 
-function getVersionsFromMetadata(operatorData: OperatorEntry, channelName?: string): string[] {
-  if (channelName && operatorData.channelVersions && Object.prototype.hasOwnProperty.call(operatorData.channelVersions, channelName)) {
-    return sortVersions(operatorData.channelVersions[channelName] || []);
+// Parsed FBC packages, keyed by catalog type, catalog version and package name.
+const fbcPackageCache = new Map<string, FbcPackage | null>();
+const fbcPackageNamesCache = new Map<string, Set<string>>();
+
+// Packages of a catalog whose FBC content is on disk, as a bundle index or an
+// extracted configs/ directory. Catalogs fetched before bundle indexes existed
+// and shipped without configs/ have neither.
+async function listFbcPackageNames(catalogType: string, catalogVersion: string): Promise<Set<string>> {
+  const key = `${catalogType}:${catalogVersion}`;
+  const cached = fbcPackageNamesCache.get(key);
+  if (cached) {
+    return cached;
   }
 
-  if (!channelName) {
-    const allChannelVersions = Object.values(operatorData.channelVersions || {}).flat();
-    if (allChannelVersions.length > 0 || Object.keys(operatorData.channelVersions || {}).length > 0) {
-      return sortVersions(allChannelVersions);
+  const names = new Set<string>();
+  const bundleFiles = await fsp.readdir(path.join(CATALOG_DATA_DIR, catalogType, catalogVersion, 'bundles')).catch(() => [] as string[]);
+  bundleFiles.filter(file => file.endsWith('.json')).forEach(file => names.add(file.slice(0, -'.json'.length)));
+  const configEntries = await fsp.readdir(getCatalogConfigsDir(catalogType, catalogVersion), { withFileTypes: true }).catch(() => []);
+  configEntries.filter(entry => entry.isDirectory()).forEach(entry => names.add(entry.name));
+  fbcPackageNamesCache.set(key, names);
+  return names;
+}
+
+async function loadFbcPackage(catalogType: string, catalogVersion: string, packageName: string): Promise<FbcPackage | null> {
+  const key = `${catalogType}:${catalogVersion}:${packageName}`;
+  if (fbcPackageCache.has(key)) {
+    return fbcPackageCache.get(key)!;
+  }
+
+  const indexedPackage = await readFbcBundleIndex(catalogType, catalogVersion, packageName);
+  if (indexedPackage) {
+    fbcPackageCache.set(key, indexedPackage);
+    return indexedPackage;
+  }
+
+  const packageDir = path.join(getCatalogConfigsDir(catalogType, catalogVersion), path.basename(packageName));
+  let documents: Record<string, any>[];
+  try {
+    documents = await readFbcDocuments(packageDir);
+  } catch {
+    fbcPackageCache.set(key, null);
+    return null;
+  }
+
+  const fbcPackage: FbcPackage = { name: packageName, channels: {}, channelEntries: {}, bundles: {} };
+  for (const document of documents) {
+    if (document.schema === 'olm.package' && document.name === packageName) {
+      fbcPackage.defaultChannel = document.defaultChannel;
+      if (isNonEmptyString(document.icon?.base64data)) {
+        fbcPackage.icon = { base64data: document.icon.base64data, mediatype: document.icon.mediatype || 'image/svg+xml' };
+      }
+    } else if (document.schema === 'olm.channel' && document.package === packageName && isNonEmptyString(document.name)) {
+      const entries: FbcChannelEntry[] = (Array.isArray(document.entries) ? document.entries : [])
+        .filter((entry: any) => isNonEmptyString(entry?.name))
+        .map((entry: any) => ({
+          name: entry.name,
+          ...(isNonEmptyString(entry.replaces) && { replaces: entry.replaces }),
+          ...(Array.isArray(entry.skips) && entry.skips.length > 0 && { skips: entry.skips.filter(isNonEmptyString) }),
+          ...(isNonEmptyString(entry.skipRange) && { skipRange: entry.skipRange })
+        }));
+      fbcPackage.channelEntries[document.name] = entries;
+      fbcPackage.channels[document.name] = entries.map(entry => entry.name);
+    } else if (document.schema === 'olm.bundle' && document.package === packageName && isNonEmptyString(document.name)) {
+      const relatedImages = (Array.isArray(document.relatedImages) ? document.relatedImages : [])
+        .filter((related: any) => isNonEmptyString(related?.image))
+        .map((related: any) => ({ ...(isNonEmptyString(related.name) && { name: related.name }), image: related.image }));
+      const createdAt = getCsvMetadata(document).annotations?.createdAt;
+      fbcPackage.bundles[document.name] = {
+        name: document.name,
+        version: getFbcBundleVersion(document),
+        images: [...new Set([document.image, ...relatedImages.map((related: { image: string }) => related.image)].filter(isNonEmptyString))],
+        ...(isNonEmptyString(document.image) && { image: document.image }),
+        relatedImages,
+        ...(isNonEmptyString(createdAt) && { createdAt })
+      };
     }
+  }
 
-    if (operatorData.availableVersions) {
-      return sortVersions(operatorData.availableVersions);
+  fbcPackageCache.set(key, fbcPackage);
+  return fbcPackage;
+}
+
+function isVersionInBounds(version: string | null, minVersion?: string, maxVersion?: string): boolean {
+  if (!version) {
+    return false;
+  }
+  return (!minVersion || compareVersionStrings(version, minVersion) >= 0)
+    && (!maxVersion || compareVersionStrings(version, maxVersion) <= 0);
+}
+
+// The channel head is the entry no other entry replaces or skips. OLM treats
+// a channel with several such entries as ambiguous; the highest version among
+// them is reported then.
+function getFbcChannelHead(fbcPackage: FbcPackage, channel: string): FbcBundle | null {
+  const entries = fbcPackage.channelEntries[channel] || [];
+  const superseded = new Set<string>();
+  for (const entry of entries) {
+    if (entry.replaces) superseded.add(entry.replaces);
+    (entry.skips || []).forEach(name => superseded.add(name));
+  }
+  const candidates = entries
+    .filter(entry => !superseded.has(entry.name))
+    .map(entry => fbcPackage.bundles[entry.name])
+    .filter(Boolean)
+    .sort((a, b) => compareVersionStrings(a.version || '', b.version || ''));
+  return candidates[candidates.length - 1] || null;
+}
+
+// Resolves a package entry to bundles the way oc-mirror v2 does: listed
+// bundles as-is, a version range within each channel, and otherwise only the
+// channel head unless the whole catalog is mirrored.
+function selectFbcBundles(fbcPackage: FbcPackage, pkg: Record<string, any>, full: boolean): { channels: string[]; bundles: FbcBundle[] } {
+  if (Array.isArray(pkg.bundles) && pkg.bundles.length > 0) {
+    const bundles = pkg.bundles
+      .map((bundle: any) => fbcPackage.bundles[bundle?.name])
+      .filter(Boolean);
+    return { channels: [], bundles };
+  }
+
+  const requestedChannels: Record<string, any>[] = Array.isArray(pkg.channels) && pkg.channels.length > 0
+    ? pkg.channels.filter(isPlainObject)
+    : full
+      ? Object.keys(fbcPackage.channels).map(name => ({ name }))
+      : fbcPackage.defaultChannel ? [{ name: fbcPackage.defaultChannel }] : [];
+
+  const selected = new Map<string, FbcBundle>();
+  for (const channel of requestedChannels) {
+    const channelBundles = (fbcPackage.channels[channel.name] || [])
+      .map(name => fbcPackage.bundles[name])
+      .filter(Boolean)
+      .sort((a, b) => compareVersionStrings(a.version || '', b.version || ''));
+    const minVersion = channel.minVersion || pkg.minVersion;
+    const maxVersion = channel.maxVersion || pkg.maxVersion;
+
+    if (minVersion || maxVersion) {
+      channelBundles
+        .filter(bundle => isVersionInBounds(bundle.version, minVersion, maxVersion))
+        .forEach(bundle => selected.set(bundle.name, bundle));
+    } else if (full) {
+      channelBundles.forEach(bundle => selected.set(bundle.name, bundle));
+    } else {
+      const head = getFbcChannelHead(fbcPackage, channel.name);
+      if (head) selected.set(head.name, head);
     }
   }
 
-  const channelNames = extractChannelNames(operatorData.channels);
-  const { versions } = extractVersionInfo(channelNames, operatorData.name);
-  return versions;
+  return { channels: requestedChannels.map(channel => channel.name), bundles: [...selected.values()] };
 }
 
-function normalizeChannels(
-  channels: (string | { name: string })[] | undefined,
-  operatorName: string | null = null,
-  operatorData?: OperatorEntry,
-): ChannelObject[] {
-  let channelNames = extractChannelNames(channels);
+async function estimateMirrorImages(mirror: Record<string, any>) {
+  const images = new Set<string>();
+  const operators: OperatorImageEstimate[] = [];
+  const warnings: string[] = [];
+  const catalogData = await loadPreFetchedCatalogData();
 
-  if (channelNames.length === 0 && operatorData?.channelVersions) {
-    channelNames = Object.keys(operatorData.channelVersions);
+  // oc-mirror skips blocked images, so they take no space in the archives.
+  const blockedNames = new Set<string>((Array.isArray(mirror.blockedImages) ? mirror.blockedImages : [])
+    .map((image: any) => image?.name)
+    .filter(isNonEmptyString));
+  const blockedImages = new Set<string>();
+  const isBlocked = (image: string) => {
+    const blocked = blockedNames.has(image) || blockedNames.has(getImageRepository(image.split('@')[0]));
+    if (blocked) blockedImages.add(image);
+    return blocked;
+  };
+
+  for (const catalog of Array.isArray(mirror.operators) ? mirror.operators.filter(isPlainObject) : []) {
+    const indexEntry = catalogData?.index.catalogs.find(entry => entry.catalog_url === catalog.catalog);
+    const full = catalog.full === true;
+    let packages: Record<string, any>[] = Array.isArray(catalog.packages) ? catalog.packages.filter(isPlainObject) : [];
+
+    if (!indexEntry) {
+      warnings.push(`Catalog ${catalog.catalog} is not in the pre-fetched catalog data; its images are not counted`);
+      packages.forEach(pkg => operators.push({
+        catalog: catalog.catalog, package: pkg.name, channels: [], bundles: 0, images: 0, resolved: false
+      }));
+      continue;
+    }
+
+    if (full && packages.length === 0) {
+      packages = (catalogData!.operators[`${indexEntry.catalog_type}:${indexEntry.ocp_version}`] || [])
+        .map(operator => ({ name: operator.name }));
+    }
+
+    for (const pkg of packages) {
+      if (!isNonEmptyString(pkg.name) || !FBC_PACKAGE_NAME_PATTERN.test(pkg.name)) {
+        warnings.push(`Skipping package with invalid name ${JSON.stringify(pkg.name ?? null)} in ${catalog.catalog}`);
+        continue;
+      }
+      const fbcPackage = await loadFbcPackage(indexEntry.catalog_type, indexEntry.ocp_version, pkg.name);
+      if (!fbcPackage || Object.keys(fbcPackage.bundles).length === 0) {
+        warnings.push(`No bundle data found for ${pkg.name} in ${catalog.catalog}; its images are not counted`);
+        operators.push({ catalog: catalog.catalog, package: pkg.name, channels: [], bundles: 0, images: 0, resolved: false });
+        continue;
+      }
+
+      const { channels, bundles } = selectFbcBundles(fbcPackage, pkg, full);
+      if (bundles.length === 0) {
+        warnings.push(`No bundles of ${pkg.name} match the selected channels and versions`);
+      }
+      const packageImages = new Set(bundles.flatMap(bundle => bundle.images).filter(image => !isBlocked(image)));
+      packageImages.forEach(image => images.add(image));
+      operators.push({
+        catalog: catalog.catalog,
+        package: pkg.name,
+        channels,
+        bundles: bundles.length,
+        images: packageImages.size,
+        resolved: true
+      });
+    }
   }
 
-  if (channelNames.length === 0) {
-    return [];
+  const additionalImages = (Array.isArray(mirror.additionalImages) ? mirror.additionalImages : [])
+    .map((image: any) => image?.name)
+    .filter(isNonEmptyString);
+  additionalImages.forEach((image: string) => images.add(image));
+
+  [...images].filter(isBlocked).forEach(image => images.delete(image));
+
+  return { images, operators, additionalImages: additionalImages.length, blockedImages: blockedImages.size, warnings };
+}
+
+// Bytes per image measured on completed mirror-to-disk operations, keyed by
+// operation id. Null marks operations that cannot be used as a sample.
+const calibrationSamples = new Map<string, number | null>();
+
+async function getCalibrationSample(operation: OperationRecord): Promise<number | null> {
+  if (calibrationSamples.has(operation.id)) {
+    return calibrationSamples.get(operation.id)!;
   }
 
-  if (operatorData?.channelVersions || operatorData?.channelVersionRanges) {
-    return channelNames.map(channel => {
-      const range = operatorData?.channelVersionRanges?.[channel];
-      const availableVersions = operatorData ? getVersionsFromMetadata(operatorData, channel) : [];
-      return {
-        name: channel,
-        availableVersions,
-        minVersion: range?.minVersion ?? null,
-        maxVersion: range?.maxVersion ?? null,
-      };
-    });
+  let sample: number | null = null;
+  try {
+    const content = await readConfigAtTime(path.basename(operation.configFile), operation.startedAt);
+    const config = content === null ? null : YAML.parse(content);
+    const mirror = isPlainObject(config?.mirror) ? config.mirror : {};
+    // Release payloads and Helm charts are not counted, so archives that
+    // contain them would inflate the per-image size.
+    const hasUncountedContent = (Array.isArray(mirror.platform?.channels) && mirror.platform.channels.length > 0)
+      || isNonEmptyString(mirror.platform?.release)
+      || isPlainObject(mirror.helm);
+    if (!hasUncountedContent) {
+      const { images } = await estimateMirrorImages(mirror);
+      sample = images.size > 0 ? operation.results!.archiveSize / images.size : null;
+    }
+  } catch {}
+
+  calibrationSamples.set(operation.id, sample);
+  return sample;
+}
+
+// Returns the content a configuration had at the given time, from its revisions,
+// so an operation is measured against what it actually mirrored. Null if the
+// file did not exist yet.
+async function readConfigAtTime(filename: string, timestamp: string): Promise<string | null> {
+  const revisions = await listConfigRevisions(filename);
+  if (revisions.length === 0) {
+    return fsp.readFile(path.join(CONFIGS_DIR, filename), 'utf8').catch(() => null);
   }
 
-  const { genericChannels, versions } = extractVersionInfo(channelNames, operatorName);
-  const channelObjects: ChannelObject[] = genericChannels.map(channel => ({ name: channel }));
+  const time = new Date(timestamp).getTime();
+  const current = [...revisions].reverse().find(revision => new Date(revision.createdAt).getTime() <= time);
+  // An "initial" revision holds the content from before it was recorded.
+  const revision = current || (revisions[0].source === 'initial' ? revisions[0] : null);
+  return revision ? (await readConfigRevision(filename, revision.id))?.content ?? null : null;
+}
 
-  if (channelObjects.length > 0 && versions.length > 0) {
-    channelObjects[0].availableVersions = versions;
+// Uses the median so incremental archives, which only hold images missing from
+// earlier runs, do not skew the estimate.
+async function getBytesPerImage(): Promise<{ bytesPerImage: number; source: 'operations' | 'default'; samples: number }> {
+  const operations = (await getOperations())
+    .filter(operation => operation.status === 'success'
+      && (operation.workflow || 'mirrorToDisk') === 'mirrorToDisk'
+      && !operation.dryRun
+      && (operation.results?.archiveSize || 0) > 0)
+    .sort((a, b) => String(b.completedAt || '').localeCompare(String(a.completedAt || '')))
+    .slice(0, CALIBRATION_SAMPLE_LIMIT);
+
+  const samples: number[] = [];
+  for (const operation of operations) {
+    const sample = await getCalibrationSample(operation);
+    if (sample) {
+      samples.push(sample);
+    }
   }
-  
-  return channelObjects;
+
+  if (samples.length === 0) {
+    return { bytesPerImage: DEFAULT_BYTES_PER_IMAGE, source: 'default', samples: 0 };
+  }
+  samples.sort((a, b) => a - b);
+  const middle = Math.floor(samples.length / 2);
+  const median = samples.length % 2 ? samples[middle] : (samples[middle - 1] + samples[middle]) / 2;
+  return { bytesPerImage: Math.round(median), source: 'operations', samples: samples.length };
 }
 
-app.get('/api/operators/:operator/versions', async (req: Request, res: Response) => {
+app.post('/api/config/estimate', async (req: Request, res: Response) => {
   try {
-    const { operator } = req.params;
-    const catalog = getQueryStringValue(req.query.catalog);
-    const channel = getQueryStringValue(req.query.channel);
+    const { config } = req.body;
+    if (config === undefined || config === null || config === '') {
+      return res.status(400).json({ error: 'config is required', help: 'Send the ImageSetConfiguration as YAML text or JSON in "config"' });
+    }
 
-    const catalogData = await loadPreFetchedCatalogData();
-    if (catalogData) {
-      if (catalog) {
-        const catalogType = getCatalogNameFromUrl(catalog);
-        const catalogVersion = catalog.includes(':') ? catalog.split(':')[1] : 'v4.20';
-        const key = `${catalogType}:${catalogVersion}`;
-        
-        const operators = catalogData.operators[key];
-        if (operators) {
-          const operatorData = operators.find(op => op.name === operator);
-          if (operatorData) {
-            return res.json({ versions: getVersionsFromMetadata(operatorData, channel) });
-          }
-        }
-      } else {
-        for (const operators of Object.values(catalogData.operators)) {
-          const operatorData = operators.find(op => op.name === operator);
-          if (operatorData) {
-            return res.json({ versions: getVersionsFromMetadata(operatorData, channel) });
-          }
-        }
-      }
+    let parsed: any;
+    try {
+      parsed = parseConfigInput(config).parsed;
+    } catch (yamlError: any) {
+      return res.status(400).json({ error: `Invalid YAML: ${yamlError.message}` });
+    }
+    if (!isPlainObject(parsed) || !isPlainObject(parsed.mirror)) {
+      return res.status(400).json({ error: 'Configuration must have a mirror section' });
     }
 
-    res.status(404).json({ error: 'Operator not found' });
-    
+    const { images, operators, additionalImages, blockedImages, warnings } = await estimateMirrorImages(parsed.mirror);
+    const calibration = await getBytesPerImage();
+    const notEstimated = [];
+    if ((Array.isArray(parsed.mirror.platform?.channels) && parsed.mirror.platform.channels.length > 0)
+      || isNonEmptyString(parsed.mirror.platform?.release)) {
+      notEstimated.push('platform');
+    }
+    if (isPlainObject(parsed.mirror.helm)) {
+      notEstimated.push('helm');
+    }
+
+    res.json({
+      uniqueImages: images.size,
+      additionalImages,
+      blockedImages,
+      operators,
+      estimatedBytes: images.size * calibration.bytesPerImage,
+      calibration,
+      notEstimated,
+      warnings
+    });
   } catch (error: any) {
-    console.error(`Error getting versions for ${req.params.operator}:`, error);
-    res.status(500).json({ error: 'Failed to get operator versions' });
+    console.error('Error estimating configuration size:', error);
+    res.status(500).json({ error: 'Failed to estimate configuration size' });
+  }
+});
+
+app.get('/api/config/list', async (req: Request, res: Response) => {
+  try {
+    const files = await fsp.readdir(CONFIGS_DIR);
+    const configs = [];
+
+    for (const file of files) {
+      if (file.endsWith('.yaml') || file.endsWith('.yml')) {
+        const stats = await fsp.stat(path.join(CONFIGS_DIR, file));
+        configs.push({
+          name: file,
+          size: `${(stats.size / 1024).toFixed(2)} KB`,
+          modified: stats.mtime
+        });
+      }
+    }
+
+    res.json(configs);
+  } catch (error: any) {
+    res.status(500).json({ error: 'Failed to list configurations' });
+  }
+});
+
+app.post('/api/config/save', async (req: Request, res: Response) => {
+  try {
+    const { config, name } = req.body;
+    const filename = name || `imageset-config-${Date.now()}.yaml`;
+
+    if (!isValidConfigFilename(filename)) {
+      return res.status(400).json({ error: 'Invalid filename', provided: filename });
+    }
+
+    const prepared = await prepareConfigContent(config);
+    if ('error' in prepared) {
+      return res.status(400).json(prepared);
+    }
+
+    await withFileLock(path.join(CONFIGS_DIR, filename), () => writeConfigWithRevision(filename, prepared.content, 'save'));
+    res.json({ message: 'Configuration saved successfully', filename });
+  } catch (error: any) {
+    res.status(500).json({ error: 'Failed to save configuration' });
+  }
+});
+
+app.post('/api/config/upload', async (req: Request, res: Response) => {
+  try {
+    const { filename, content } = req.body;
+    
+    if (!filename || !content) {
+      return res.status(400).json({ error: 'Filename and content are required' });
+    }
+
+    const finalFilename = filename.endsWith('.yaml') || filename.endsWith('.yml') 
+      ? filename 
+      : `${filename}.yaml`;
+    if (!isValidConfigFilename(finalFilename)) {
+      return res.status(400).json({ error: 'Invalid filename', provided: filename });
+    }
+
+    let parsed: unknown;
+    try {
+      parsed = YAML.parse(content);
+    } catch (yamlError: any) {
+      return res.status(400).json({ error: `Invalid YAML: ${yamlError.message}` });
+    }
+
+    const validation = await validateImageSetConfiguration(parsed);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid ImageSetConfiguration', details: validation.errors, warnings: validation.warnings });
+    }
+
+    const filepath = path.join(CONFIGS_DIR, finalFilename);
+    const created = await withFileLock(path.join(CONFIGS_DIR, finalFilename), async () => {
+      if (await fsp.access(filepath).then(() => true, () => false)) {
+        return false;
+      }
+      await writeConfigWithRevision(finalFilename, content, 'upload');
+      return true;
+    });
+    if (!created) {
+      return res.status(409).json({ error: 'Configuration file already exists' });
+    }
+    res.json({ message: 'Configuration uploaded successfully', filename: finalFilename });
+  } catch (error: any) {
+    console.error('Error uploading configuration:', error);
+    res.status(500).json({ error: 'Failed to upload configuration' });
+  }
+});
+
+app.delete('/api/config/delete/:filename', async (req: Request, res: Response) => {
+  try {
+    const { filename } = req.params;
+    
+    if (!filename) {
+      return res.status(400).json({ error: 'Filename is required' });
+    }
+
+    if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
+      return res.status(400).json({ error: 'Invalid filename' });
+    }
+
+    const filepath = path.join(CONFIGS_DIR, filename);
+
+    try {
+      await fsp.access(filepath);
+    } catch (error: any) {
+      return res.status(404).json({ error: 'Configuration file not found' });
+    }
+
+    await fsp.unlink(filepath);
+    res.json({ message: 'Configuration deleted successfully' });
+  } catch (error: any) {
+    console.error('Error deleting configuration:', error);
+    res.status(500).json({ error: 'Failed to delete configuration' });
+  }
+});
+
+// Registered after /api/config/list so that path is not taken as a filename.
+app.get('/api/config/:filename', async (req: Request, res: Response) => {
+  try {
+    const { filename } = req.params;
+    if (!isValidConfigFilename(filename)) {
+      return res.status(400).json({ error: 'Invalid filename' });
+    }
+
+    const filepath = path.join(CONFIGS_DIR, filename);
+    let content: string;
+    let stats: fs.Stats;
+    try {
+      [content, stats] = await Promise.all([fsp.readFile(filepath, 'utf8'), fsp.stat(filepath)]);
+    } catch (error: any) {
+      return res.status(404).json({ error: 'Configuration file not found' });
+    }
+
+    const etag = getConfigEtag(content);
+    res.setHeader('ETag', `"${etag}"`);
+    res.json({ filename, content, size: stats.size, modified: stats.mtime.toISOString(), etag });
+  } catch (error: any) {
+    console.error('Error reading configuration:', error);
+    res.status(500).json({ error: 'Failed to read configuration' });
+  }
+});
+
+// Saves over an existing configuration. expectedEtag is the content hash the
+// client loaded; if the file changed since then the save is refused with 409
+// so concurrent editors do not overwrite each other's changes. The check and
+// the write run under the file's lock, after the content has been validated.
+app.put('/api/config/:filename', async (req: Request, res: Response) => {
+  try {
+    const { filename } = req.params;
+    const { config } = req.body;
+    const expectedEtag = String(req.body.expectedEtag || req.get('If-Match') || '').replace(/^"|"$/g, '');
+    if (!isValidConfigFilename(filename)) {
+      return res.status(400).json({ error: 'Invalid filename' });
+    }
+    if (!expectedEtag) {
+      return res.status(400).json({
+        error: 'expectedEtag is required',
+        help: 'Send the "etag" returned by GET /api/config/:filename, in the body or an If-Match header'
+      });
+    }
+
+    const prepared = await prepareConfigContent(config);
+    if ('error' in prepared) {
+      return res.status(400).json(prepared);
+    }
+
+    const filepath = path.join(CONFIGS_DIR, filename);
+    const result = await withFileLock(path.join(CONFIGS_DIR, filename), async () => {
+      let current: string;
+      try {
+        current = await fsp.readFile(filepath, 'utf8');
+      } catch {
+        return { status: 404, body: { error: 'Configuration file not found' } };
+      }
+      if (getConfigEtag(current) !== expectedEtag) {
+        const stats = await fsp.stat(filepath);
+        return {
+          status: 409,
+          body: {
+            error: 'Configuration was modified since it was opened',
+            code: 'CONFLICT',
+            filename,
+            modified: stats.mtime.toISOString(),
+            etag: getConfigEtag(current)
+          }
+        };
+      }
+
+      await writeConfigWithRevision(filename, prepared.content, 'save');
+      const updated = await fsp.stat(filepath);
+      return {
+        status: 200,
+        body: { message: 'Configuration saved successfully', filename, modified: updated.mtime.toISOString(), etag: getConfigEtag(prepared.content) }
+      };
+    });
+    res.status(result.status).json(result.body);
+  } catch (error: any) {
+    console.error('Error saving configuration:', error);
+    res.status(500).json({ error: 'Failed to save configuration' });
+  }
+});
+
+// Every write to a configuration file is also stored as a revision under
+// CONFIG_REVISIONS_DIR/<filename>/, with the list of revisions in revisions.json.
+const CONFIG_REVISIONS_INDEX = 'revisions.json';
+
+function isValidConfigFilename(filename: string): boolean {
+  return Boolean(filename) && !filename.includes('..') && !filename.includes('/') && !filename.includes('\\');
+}
+
+function getConfigEtag(content: string): string {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+// Read-modify-write cycles on a file run one at a time, so a conflict check
+// and the write it guards, or two edits of a JSON store, cannot interleave.
+const fileLocks = new Map<string, Promise<unknown>>();
+
+function withFileLock<T>(filePath: string, task: () => Promise<T>): Promise<T> {
+  const previous = fileLocks.get(filePath) || Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+
+  fileLocks.set(filePath, run);
+  run
+    .finally(() => {
+      if (fileLocks.get(filePath) === run) {
+        fileLocks.delete(filePath);
+      }
+    })
+    .catch(() => {});
+  return run;
+}
+
+// Writes through a temporary file and a rename, so a crash or a concurrent
+// reader never sees a half-written file.
+async function writeFileAtomic(filePath: string, content: string): Promise<void> {
+  const tempPath = `${filePath}.${uuidv4()}.tmp`;
+  try {
+    await fsp.writeFile(tempPath, content);
+    await fsp.rename(tempPath, filePath);
+  } catch (error) {
+    await fsp.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+async function listConfigRevisions(filename: string): Promise<ConfigRevision[]> {
+  try {
+    return JSON.parse(await fsp.readFile(path.join(CONFIG_REVISIONS_DIR, filename, CONFIG_REVISIONS_INDEX), 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+async function recordConfigRevision(
+  filename: string,
+  content: string,
+  source: ConfigRevision['source'],
+  restoredFrom?: string
+): Promise<ConfigRevision> {
+  const revisionsDir = path.join(CONFIG_REVISIONS_DIR, filename);
+  await fsp.mkdir(revisionsDir, { recursive: true });
+
+  const createdAt = new Date().toISOString();
+  const revision: ConfigRevision = {
+    id: `${createdAt.replace(/[:.]/g, '-')}-${uuidv4().slice(0, 8)}`,
+    filename,
+    createdAt,
+    size: Buffer.byteLength(content),
+    source,
+    ...(restoredFrom ? { restoredFrom } : {})
+  };
+
+  await fsp.writeFile(path.join(revisionsDir, `${revision.id}.yaml`), content);
+  const revisions = await listConfigRevisions(filename);
+  revisions.push(revision);
+  await fsp.writeFile(path.join(revisionsDir, CONFIG_REVISIONS_INDEX), JSON.stringify(revisions, null, 2));
+  return revision;
+}
+
+// Configs saved before revisions existed get their current content recorded
+// as an "initial" revision before the first overwrite.
+async function writeConfigWithRevision(
+  filename: string,
+  content: string,
+  source: ConfigRevision['source'],
+  restoredFrom?: string
+): Promise<ConfigRevision> {
+  if (!isValidConfigFilename(filename)) {
+    throw new Error(`Invalid configuration filename: ${filename}`);
+  }
+  const filepath = path.join(CONFIGS_DIR, filename);
+
+  if ((await listConfigRevisions(filename)).length === 0) {
+    try {
+      await recordConfigRevision(filename, await fsp.readFile(filepath, 'utf8'), 'initial');
+    } catch {}
+  }
+
+  await writeFileAtomic(filepath, content);
+  return recordConfigRevision(filename, content, source, restoredFrom);
+}
+
+async function readConfigRevision(filename: string, revisionId: string): Promise<{ revision: ConfigRevision; content: string } | null> {
+  if (revisionId === 'current') {
+    try {
+      const filepath = path.join(CONFIGS_DIR, filename);
+      const [content, stats] = await Promise.all([fsp.readFile(filepath, 'utf8'), fsp.stat(filepath)]);
+      return {
+        revision: { id: 'current', filename, createdAt: stats.mtime.toISOString(), size: stats.size, source: 'save' },
+        content
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  const revision = (await listConfigRevisions(filename)).find(item => item.id === revisionId);
+  if (!revision) {
+    return null;
+  }
+
+  try {
+    return { revision, content: await fsp.readFile(path.join(CONFIG_REVISIONS_DIR, filename, `${revision.id}.yaml`), 'utf8') };
+  } catch {
+    return null;
+  }
+}
+
+// Compares two lists of named entries. Entries only in one list are reported as
+// added or removed; entries in both are passed to compareEntries.
+function diffKeyedEntries<T>(
+  changes: ConfigDiffChange[],
+  kind: ConfigDiffChange['kind'],
+  basePath: string,
+  before: T[],
+  after: T[],
+  keyOf: (entry: T) => string,
+  compareEntries: (beforeEntry: T, afterEntry: T, entryPath: string) => void
+): void {
+  const beforeMap = new Map(before.map(entry => [keyOf(entry), entry]));
+  const afterMap = new Map(after.map(entry => [keyOf(entry), entry]));
+
+  for (const [key, entry] of beforeMap) {
+    const entryPath = `${basePath}[${key}]`;
+    const afterEntry = afterMap.get(key);
+    if (afterEntry === undefined) {
+      changes.push({ type: 'removed', kind, path: entryPath, before: entry });
+    } else {
+      compareEntries(entry, afterEntry, entryPath);
+    }
+  }
+
+  for (const [key, entry] of afterMap) {
+    if (!beforeMap.has(key)) {
+      changes.push({ type: 'added', kind, path: `${basePath}[${key}]`, after: entry });
+    }
+  }
+}
+
+function diffFields(
+  changes: ConfigDiffChange[],
+  kind: ConfigDiffChange['kind'],
+  entryPath: string,
+  before: any,
+  after: any,
+  fields: string[]
+): void {
+  for (const field of fields) {
+    const beforeValue = before?.[field] ?? null;
+    const afterValue = after?.[field] ?? null;
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes.push({ type: 'changed', kind, path: entryPath ? `${entryPath}.${field}` : field, field, before: beforeValue, after: afterValue });
+    }
+  }
+}
+
+function diffImageSetConfigs(before: any, after: any): ConfigDiffChange[] {
+  const changes: ConfigDiffChange[] = [];
+  const beforeMirror = before?.mirror || {};
+  const afterMirror = after?.mirror || {};
+  const byName = (entry: any) => String(entry?.name ?? '');
+
+  diffFields(changes, 'archiveSize', '', before, after, ['archiveSize']);
+  diffFields(changes, 'platform', 'mirror.platform', beforeMirror.platform, afterMirror.platform,
+    ['architectures', 'graph', 'release', 'kubeVirtContainer']);
+
+  diffKeyedEntries(changes, 'platformChannel', 'mirror.platform.channels',
+    beforeMirror.platform?.channels || [], afterMirror.platform?.channels || [], byName,
+    (beforeChannel, afterChannel, channelPath) => diffFields(changes, 'platformChannel', channelPath,
+      beforeChannel, afterChannel, ['type', 'minVersion', 'maxVersion', 'shortestPath', 'full']));
+
+  diffKeyedEntries(changes, 'catalog', 'mirror.operators',
+    beforeMirror.operators || [], afterMirror.operators || [], (entry: any) => String(entry?.catalog ?? ''),
+    (beforeCatalog: any, afterCatalog: any, catalogPath) => {
+      diffFields(changes, 'catalog', catalogPath, beforeCatalog, afterCatalog, ['full', 'targetCatalog', 'targetTag', 'skipDependencies']);
+      diffKeyedEntries(changes, 'package', `${catalogPath}.packages`,
+        beforeCatalog.packages || [], afterCatalog.packages || [], byName,
+        (beforePackage: any, afterPackage: any, packagePath) => {
+          diffFields(changes, 'package', packagePath, beforePackage, afterPackage, ['defaultChannel', 'minVersion', 'maxVersion', 'bundles']);
+          diffKeyedEntries(changes, 'channel', `${packagePath}.channels`,
+            beforePackage.channels || [], afterPackage.channels || [], byName,
+            (beforeChannel, afterChannel, channelPath) => diffFields(changes, 'channel', channelPath,
+              beforeChannel, afterChannel, ['minVersion', 'maxVersion']));
+        });
+    });
+
+  diffKeyedEntries(changes, 'additionalImage', 'mirror.additionalImages',
+    beforeMirror.additionalImages || [], afterMirror.additionalImages || [], byName, () => {});
+
+  diffKeyedEntries(changes, 'blockedImage', 'mirror.blockedImages',
+    beforeMirror.blockedImages || [], afterMirror.blockedImages || [], byName, () => {});
+
+  diffKeyedEntries(changes, 'helmRepository', 'mirror.helm.repositories',
+    beforeMirror.helm?.repositories || [], afterMirror.helm?.repositories || [], byName,
+    (beforeRepo: any, afterRepo: any, repoPath) => {
+      diffFields(changes, 'helmRepository', repoPath, beforeRepo, afterRepo, ['url']);
+      diffKeyedEntries(changes, 'helmChart', `${repoPath}.charts`,
+        beforeRepo.charts || [], afterRepo.charts || [], byName,
+        (beforeChart, afterChart, chartPath) => diffFields(changes, 'helmChart', chartPath, beforeChart, afterChart, ['version']));
+    });
+
+  diffKeyedEntries(changes, 'localHelmChart', 'mirror.helm.local',
+    beforeMirror.helm?.local || [], afterMirror.helm?.local || [], byName,
+    (beforeChart, afterChart, chartPath) => diffFields(changes, 'localHelmChart', chartPath, beforeChart, afterChart, ['path']));
+
+  return changes;
+}
+
+app.get('/api/config/:filename/revisions', async (req: Request, res: Response) => {
+  try {
+    const { filename } = req.params;
+    if (!isValidConfigFilename(filename)) {
+      return res.status(400).json({ error: 'Invalid filename' });
+    }
+
+    const revisions = await listConfigRevisions(filename);
+    res.json(revisions.reverse());
+  } catch (error: any) {
+    console.error('Error listing configuration revisions:', error);
+    res.status(500).json({ error: 'Failed to list configuration revisions' });
+  }
+});
+
+app.get('/api/config/:filename/revisions/:revisionId', async (req: Request, res: Response) => {
+  try {
+    const { filename, revisionId } = req.params;
+    if (!isValidConfigFilename(filename)) {
+      return res.status(400).json({ error: 'Invalid filename' });
+    }
+
+    const result = await readConfigRevision(filename, revisionId);
+    if (!result) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ ...result.revision, content: result.content });
+  } catch (error: any) {
+    console.error('Error reading configuration revision:', error);
+    res.status(500).json({ error: 'Failed to read configuration revision' });
+  }
+});
+
+app.post('/api/config/:filename/revisions/:revisionId/restore', async (req: Request, res: Response) => {
+  try {
+    const { filename, revisionId } = req.params;
+    if (!isValidConfigFilename(filename)) {
+      return res.status(400).json({ error: 'Invalid filename' });
+    }
+
+    const result = revisionId === 'current' ? null : await readConfigRevision(filename, revisionId);
+    if (!result) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const revision = await withFileLock(path.join(CONFIGS_DIR, filename), () => writeConfigWithRevision(filename, result.content, 'restore', revisionId));
+    res.json({ message: 'Configuration restored successfully', filename, revision });
+  } catch (error: any) {
+    console.error('Error restoring configuration revision:', error);
+    res.status(500).json({ error: 'Failed to restore configuration revision' });
+  }
+});
+
+app.get('/api/config/:filename/diff', async (req: Request, res: Response) => {
+  try {
+    const { filename } = req.params;
+    if (!isValidConfigFilename(filename)) {
+      return res.status(400).json({ error: 'Invalid filename' });
+    }
+
+    const fromId = typeof req.query.from === 'string' ? req.query.from : '';
+    const toId = typeof req.query.to === 'string' && req.query.to ? req.query.to : 'current';
+    if (!fromId) {
+      return res.status(400).json({
+        error: 'from is required',
+        help: 'Pass a revision id as from, and optionally to (defaults to "current")'
+      });
+    }
+
+    const [from, to] = await Promise.all([readConfigRevision(filename, fromId), readConfigRevision(filename, toId)]);
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Revision not found', provided: { from: fromId, to: toId } });
+    }
+
+    let changes: ConfigDiffChange[];
+    try {
+      changes = diffImageSetConfigs(YAML.parse(from.content), YAML.parse(to.content));
+    } catch (yamlError: any) {
+      return res.status(422).json({ error: `Invalid YAML: ${yamlError.message}` });
+    }
+
+    res.json({
+      filename,
+      from: from.revision,
+      to: to.revision,
+      summary: {
+        added: changes.filter(change => change.type === 'added').length,
+        removed: changes.filter(change => change.type === 'removed').length,
+        changed: changes.filter(change => change.type === 'changed').length
+      },
+      changes
+    });
+  } catch (error: any) {
+    console.error('Error comparing configuration revisions:', error);
+    res.status(500).json({ error: 'Failed to compare configuration revisions' });
+  }
+});
+
+app.get('/api/channels', async (req: Request, res: Response) => {
+  try {
+    const channels = [
+      'stable-4.16', 'stable-4.17', 'stable-4.18', 'stable-4.19', 'stable-4.20'
+    ];
+    res.json(channels);
+  } catch (error: any) {
+    res.status(500).json({ error: 'Failed to get channels' });
+  }
+});
+
+app.get('/api/catalogs', async (req: Request, res: Response) => {
+  try {
+    const cache = await updateOperatorCache();
+    const catalogs = cache.catalogs.map(catalog => {
+      const ageHours = getCatalogAgeHours(catalog.fetchedAt);
+      return {
+        name: catalog.name,
+        url: catalog.url,
+        description: catalog.description,
+        custom: catalog.custom || false,
+        operatorCount: catalog.operators ? catalog.operators.length : 0,
+        fetchedAt: catalog.fetchedAt || null,
+        ageHours,
+        // Custom catalogs are uploaded snapshots that fetch-catalogs-host.sh never refreshes
+        stale: !catalog.custom && ageHours !== null && ageHours > CATALOG_FRESHNESS_HOURS
+      };
+    });
+    res.json(catalogs);
+  } catch (error: any) {
+    console.error('Error fetching catalogs:', error);
+    const fallbackCatalogs = [
+      {
+        name: 'redhat-operator-index',
+        url: 'registry.redhat.io/redhat/redhat-operator-index',
+        description: 'Red Hat certified operators',
+        operatorCount: 0
+      },
+      {
+        name: 'certified-operator-index',
+        url: 'registry.redhat.io/redhat/certified-operator-index',
+        description: 'Certified operators from partners',
+        operatorCount: 0
+      },
+      {
+        name: 'community-operator-index',
+        url: 'registry.redhat.io/redhat/community-operator-index',
+        description: 'Community operators',
+        operatorCount: 0
+      }
+    ];
+    res.json(fallbackCatalogs);
+  }
+});
+
+// Custom catalogs are kept in memory so getCatalogNameFromUrl, which is
+// synchronous, can resolve their image references.
+let customCatalogs: CustomCatalogRecord[] = [];
+
+const CATALOG_ARCHIVE_PATTERN = /\.(tar|tar\.gz|tgz)$/i;
+const CATALOG_IMAGE_PATTERN = /^[^\s/]+(\/[^\s/:@]+)+:[A-Za-z0-9_][A-Za-z0-9_.-]{0,127}$/;
+const FBC_PACKAGE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// A catalog's /configs is mostly small JSON files; even the Red Hat operator
+// index, the largest there is, stays below these limits once compressed.
+const CATALOG_UPLOAD_MAX_FILE_BYTES = 512 * 1024 * 1024;
+const CATALOG_UPLOAD_MAX_FILES = 20000;
+const CATALOG_UPLOAD_MAX_EXTRACTED_BYTES = 4 * 1024 * 1024 * 1024;
+
+const catalogUpload = multer({
+  dest: path.join(CUSTOM_CATALOGS_DIR, '.uploads'),
+  preservePath: true,
+  limits: { fileSize: CATALOG_UPLOAD_MAX_FILE_BYTES, files: CATALOG_UPLOAD_MAX_FILES }
+});
+
+function receiveCatalogUpload(req: Request, res: Response, next: NextFunction): void {
+  catalogUpload.array('files')(req, res, (error: unknown) => {
+    if (error instanceof multer.MulterError) {
+      res.status(error.code === 'LIMIT_FILE_SIZE' || error.code === 'LIMIT_FILE_COUNT' ? 413 : 400).json({
+        error: 'Upload rejected',
+        details: error.message,
+        help: `Uploads are limited to ${CATALOG_UPLOAD_MAX_FILES} files of at most ${CATALOG_UPLOAD_MAX_FILE_BYTES / 1024 ** 2} MiB each`
+      });
+      return;
+    }
+    next(error);
+  });
+}
+
+async function loadCustomCatalogs(): Promise<CustomCatalogRecord[]> {
+  try {
+    return JSON.parse(await fsp.readFile(CUSTOM_CATALOGS_FILE, 'utf8'));
+  } catch (error: any) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Callers hold withFileLock(CUSTOM_CATALOGS_FILE) around the load and save.
+async function saveCustomCatalogs(catalogs: CustomCatalogRecord[]): Promise<void> {
+  await writeFileAtomic(CUSTOM_CATALOGS_FILE, JSON.stringify(catalogs, null, 2));
+  customCatalogs = catalogs;
+}
+
+async function restoreCustomCatalogs(): Promise<void> {
+  try {
+    customCatalogs = await loadCustomCatalogs();
+  } catch (error: any) {
+    console.error('Error loading custom catalogs:', error);
+    return;
+  }
+  if (customCatalogs.length > 0) {
+    console.log(`Loaded ${customCatalogs.length} custom catalogs`);
+  }
+}
+
+function findCustomCatalogConflict(
+  catalogs: CustomCatalogRecord[],
+  catalogData: PreFetchedCatalogData | null,
+  name: string,
+  image: string
+): { error: string; provided: string } | null {
+  if (catalogs.some(catalog => catalog.name.toLowerCase() === name.toLowerCase())) {
+    return { error: 'A custom catalog with this name already exists', provided: name };
+  }
+  if (catalogs.some(catalog => catalog.image === image) || catalogData?.index.catalogs.some(catalog => catalog.catalog_url === image)) {
+    return { error: 'This catalog image is already registered', provided: image };
+  }
+  return null;
+}
+
+async function addCustomCatalogDependencies(dependencies: Record<string, Record<string, OperatorDependency[]>>): Promise<void> {
+  for (const catalog of customCatalogs) {
+    try {
+      const content = await fsp.readFile(path.join(CUSTOM_CATALOGS_DIR, catalog.id, 'dependencies.json'), 'utf8');
+      dependencies[`${catalog.catalogType}:${catalog.catalogVersion}`] = JSON.parse(content);
+    } catch (error: any) {
+      console.warn(`Could not load dependencies for custom catalog ${catalog.name}:`, error.message);
+    }
+  }
+}
+
+// Drops everything derived from catalog data so the next request reloads it.
+// Size estimates are calibrated against catalog content, so their samples go too.
+function resetCatalogCaches(): void {
+  catalogDataGeneration += 1;
+  preFetchedCatalogData = null;
+  dependenciesDataCache = null;
+  operatorCache.catalogs = [];
+  operatorCache.operators = {};
+  operatorCache.channels = {};
+  operatorCache.lastUpdate = null;
+  fbcPackageCache.clear();
+  fbcPackageNamesCache.clear();
+  calibrationSamples.clear();
+}
+
+let catalogReload: Promise<PreFetchedCatalogData> | null = null;
+let catalogReloadQueued: Promise<PreFetchedCatalogData> | null = null;
+let catalogReloadTimer: NodeJS.Timeout | null = null;
+const CATALOG_RELOAD_DELAY_MS = 5000;
+const CATALOG_WATCHED_FILES = new Set(['catalog-index.json', 'dependencies.json']);
+
+// Reads the catalog index, operators and dependencies from disk and only then
+// swaps them in together, so requests keep being served from the previous
+// snapshot while fetch-catalogs-host.sh is still writing the new one. If the
+// new data cannot be read, the previous snapshot stays in place.
+// A reload requested while one is running may be about files the running one
+// already read, so it runs again afterwards; requests arriving meanwhile share
+// that second run.
+async function reloadCatalogData(): Promise<PreFetchedCatalogData> {
+  if (catalogReload) {
+    if (!catalogReloadQueued) {
+      catalogReloadQueued = catalogReload.catch(() => {}).then(() => {
+        catalogReloadQueued = null;
+        return reloadCatalogData();
+      });
+    }
+    return catalogReloadQueued;
+  }
+
+  catalogReload = (async () => {
+    try {
+      const generation = catalogDataGeneration;
+      const [catalogData, dependencies] = await Promise.all([readPreFetchedCatalogData(), readDependenciesData()]);
+      // A reset while reading (a custom catalog was added or removed) means this
+      // snapshot may be incomplete; leave the next request to read it again.
+      if (generation === catalogDataGeneration) {
+        resetCatalogCaches();
+        preFetchedCatalogData = catalogData;
+        dependenciesDataCache = dependencies;
+      }
+      return catalogData;
+    } finally {
+      catalogReload = null;
+    }
+  })();
+  return catalogReload;
+}
+
+// fetch-catalogs-host.sh regenerates catalog-index.json and dependencies.json
+// last, in several writes, so reload once they have been quiet for a while.
+function watchCatalogData(): void {
+  try {
+    const watcher = fs.watch(CATALOG_DATA_DIR, (_eventType, filename) => {
+      if (!filename || !CATALOG_WATCHED_FILES.has(filename.toString())) return;
+      if (catalogReloadTimer) clearTimeout(catalogReloadTimer);
+      catalogReloadTimer = setTimeout(async () => {
+        catalogReloadTimer = null;
+        try {
+          const catalogData = await reloadCatalogData();
+          console.log(`Catalog data changed on disk, reloaded ${catalogData.index.catalogs.length} catalogs`);
+        } catch (error: any) {
+          console.error('Failed to reload catalog data, keeping the previous snapshot:', error.message);
+        }
+      }, CATALOG_RELOAD_DELAY_MS);
+    });
+    watcher.on('error', (error: Error) => {
+      console.warn('Stopped watching catalog data:', error.message);
+    });
+  } catch (error: any) {
+    console.warn(`Could not watch ${CATALOG_DATA_DIR} for catalog updates:`, error.message);
+  }
+}
+
+function getCatalogAgeHours(fetchedAt: string | null | undefined): number | null {
+  const timestamp = fetchedAt ? Date.parse(fetchedAt) : NaN;
+  if (Number.isNaN(timestamp)) return null;
+  return Math.max(0, Math.round((Date.now() - timestamp) / 360000) / 10);
+}
+
+function getCustomCatalogType(image: string): string {
+  return `custom-${getImageRepository(image).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')}`;
+}
+
+// Groups FBC documents by package, whatever the uploaded layout: one
+// directory per package or a single rendered catalog file.
+function groupFbcDocuments(documents: Record<string, any>[]): Map<string, Record<string, any>[]> {
+  const packages = new Map<string, Record<string, any>[]>();
+  for (const document of documents) {
+    const packageName = document.schema === 'olm.package' ? document.name : document.package;
+    if (!isNonEmptyString(packageName) || !FBC_PACKAGE_NAME_PATTERN.test(packageName)) {
+      continue;
+    }
+    if (!packages.has(packageName)) {
+      packages.set(packageName, []);
+    }
+    packages.get(packageName)!.push(document);
+  }
+  return packages;
+}
+
+// CSV fields of a bundle, from olm.csv.metadata or the embedded
+// ClusterServiceVersion of older catalogs.
+function getCsvMetadata(bundle: Record<string, any>): Record<string, any> {
+  const properties = (Array.isArray(bundle.properties) ? bundle.properties : []).filter(isPlainObject);
+  const csvMetadata = properties.find((property: any) => property.type === 'olm.csv.metadata' && isPlainObject(property.value));
+  if (csvMetadata) {
+    return csvMetadata.value;
+  }
+
+  for (const property of properties.filter((entry: any) => entry.type === 'olm.bundle.object')) {
+    try {
+      const bundleObject = JSON.parse(Buffer.from(String(property.value?.data), 'base64').toString('utf8'));
+      if (bundleObject?.kind === 'ClusterServiceVersion') {
+        return { ...bundleObject.spec, annotations: bundleObject.metadata?.annotations || {} };
+      }
+    } catch {
+      // Not a JSON object; keep looking
+    }
+  }
+  return {};
+}
+
+function summarizeDescription(value: unknown, maxLength = 300): string | null {
+  if (!isNonEmptyString(value)) {
+    return null;
+  }
+  const paragraph = value.trim().split(/\n\s*\n/).find(part => part.trim() && !part.trim().startsWith('#')) || '';
+  let summary = paragraph.split(/\s+/).filter(Boolean).join(' ');
+  if (summary.length > maxLength) {
+    summary = summary.slice(0, maxLength - 3).replace(/\s+\S*$/, '') + '...';
+  }
+  return summary || null;
+}
+
+// Mirrors build_package_details in scripts/catalog_metadata.py.
+function buildPackageDetails(packageDoc: Record<string, any>, bundle: Record<string, any> | undefined) {
+  const csvMetadata = bundle ? getCsvMetadata(bundle) : {};
+  const annotations = isPlainObject(csvMetadata.annotations) ? csvMetadata.annotations : {};
+  const uniqueSorted = (values: unknown[]) =>
+    [...new Set(values.filter(isNonEmptyString).map(value => value.trim()).filter(Boolean))].sort();
+
+  return {
+    displayName: isNonEmptyString(csvMetadata.displayName) ? csvMetadata.displayName.trim() : null,
+    description: summarizeDescription(annotations.description)
+      || summarizeDescription(csvMetadata.description)
+      || summarizeDescription(packageDoc.description),
+    provider: isNonEmptyString(csvMetadata.provider?.name) ? csvMetadata.provider.name.trim() : null,
+    keywords: uniqueSorted(Array.isArray(csvMetadata.keywords) ? csvMetadata.keywords : []),
+    categories: uniqueSorted(isNonEmptyString(annotations.categories) ? annotations.categories.split(',') : []),
+    hasIcon: isNonEmptyString(packageDoc.icon?.base64data)
+  };
+}
+
+// Mirrors build_operator_metadata in scripts/catalog_metadata.py so custom
+// catalogs get the same operators.json and dependencies.json shape.
+function buildOperatorMetadata(
+  packageName: string,
+  documents: Record<string, any>[],
+  catalog: Pick<CustomCatalogRecord, 'catalogType' | 'catalogVersion' | 'image'>
+): { metadata: OperatorEntry; dependencies: OperatorDependency[] } {
+  const packageDoc = documents.find(document => document.schema === 'olm.package') || {};
+  const defaultChannel = isNonEmptyString(packageDoc.defaultChannel) ? packageDoc.defaultChannel.trim() : undefined;
+
+  const bundles = new Map<string, { version: string | null; document: Record<string, any> }>();
+  documents
+    .filter(document => document.schema === 'olm.bundle' && isNonEmptyString(document.name))
+    .forEach(document => bundles.set(document.name, { version: getFbcBundleVersion(document), document }));
+
+  const channelVersions: Record<string, string[]> = {};
+  documents
+    .filter(document => document.schema === 'olm.channel' && isNonEmptyString(document.name))
+    .forEach(document => {
+      const versions = (Array.isArray(document.entries) ? document.entries : [])
+        .map((entry: any) => entry?.name)
+        .filter(isNonEmptyString)
+        .map((name: string) => bundles.get(name)?.version || getFbcBundleVersion({ name }))
+        .filter(isNonEmptyString);
+      channelVersions[document.name] = sortVersions([...(channelVersions[document.name] || []), ...versions]);
+    });
+
+  let channels = Object.keys(channelVersions).sort();
+  if (channels.length === 0 && defaultChannel) {
+    channels = [defaultChannel];
+  }
+
+  const bundleVersions = [...bundles.values()].map(bundle => bundle.version).filter(isNonEmptyString);
+  const channelVersionList = Object.values(channelVersions).flat();
+  const availableVersions = sortVersions(channelVersionList.length > 0 ? channelVersionList : bundleVersions);
+  if (Object.keys(channelVersions).length === 0 && defaultChannel && availableVersions.length > 0) {
+    channelVersions[defaultChannel] = availableVersions;
+  }
+  channels.forEach(channel => {
+    channelVersions[channel] = channelVersions[channel] || [];
+  });
+
+  const channelVersionRanges: Record<string, { minVersion: string | null; maxVersion: string | null }> = {};
+  Object.keys(channelVersions).sort().forEach(channel => {
+    const versions = channelVersions[channel];
+    channelVersionRanges[channel] = { minVersion: versions[0] || null, maxVersion: versions[versions.length - 1] || null };
+  });
+
+  // Dependencies come from the newest bundle of the default channel, or the
+  // newest bundle overall when the default channel has none.
+  const newestBundle = (candidates: { version: string | null; document: Record<string, any> }[]) =>
+    candidates
+      .filter(candidate => candidate.version)
+      .sort((a, b) => compareVersionStrings(a.version!, b.version!))
+      .pop()?.document;
+  const defaultChannelDoc = documents.find(document => document.schema === 'olm.channel' && document.name === defaultChannel);
+  const defaultChannelBundles = (Array.isArray(defaultChannelDoc?.entries) ? defaultChannelDoc.entries : [])
+    .map((entry: any) => bundles.get(entry?.name))
+    .filter((bundle: unknown): bundle is { version: string | null; document: Record<string, any> } => Boolean(bundle));
+  const selectedBundle = newestBundle(defaultChannelBundles) || newestBundle([...bundles.values()]);
+
+  const dependencies = new Map<string, OperatorDependency>();
+  (Array.isArray(selectedBundle?.properties) ? selectedBundle!.properties : [])
+    .filter((property: any) => property?.type === 'olm.package.required' && isNonEmptyString(property.value?.packageName))
+    .forEach((property: any) => {
+      const versionRange = property.value.versionRange ?? null;
+      dependencies.set(`${property.value.packageName}:${versionRange}`, {
+        packageName: property.value.packageName.trim(),
+        versionRange: versionRange === null ? null : String(versionRange)
+      });
+    });
+
+  const sortedChannelVersions: Record<string, string[]> = {};
+  Object.keys(channelVersions).sort().forEach(channel => {
+    sortedChannelVersions[channel] = channelVersions[channel];
+  });
+
+  return {
+    metadata: {
+      name: isNonEmptyString(packageDoc.name) ? packageDoc.name.trim() : packageName,
+      defaultChannel,
+      channels,
+      channelVersions: sortedChannelVersions,
+      channelVersionRanges,
+      availableVersions,
+      minVersion: availableVersions[0] || null,
+      maxVersion: availableVersions[availableVersions.length - 1] || null,
+      ...buildPackageDetails(packageDoc, selectedBundle),
+      catalog: catalog.catalogType,
+      ocpVersion: catalog.catalogVersion,
+      catalogUrl: catalog.image
+    },
+    dependencies: [...dependencies.values()].sort((a, b) =>
+      a.packageName.localeCompare(b.packageName) || String(a.versionRange || '').localeCompare(String(b.versionRange || '')))
+  };
+}
+
+// Feeds the archive to tar through a byte counter, so extraction stops once the
+// uncompressed content grows past CATALOG_UPLOAD_MAX_EXTRACTED_BYTES instead of
+// filling the disk.
+async function extractCatalogArchive(file: Express.Multer.File, stagingDir: string): Promise<void> {
+  const tar = spawn('tar', ['-xf', '-', '-C', stagingDir, '--no-same-owner'], { stdio: ['pipe', 'ignore', 'pipe'] });
+  let stderr = '';
+  tar.stderr?.on('data', (chunk: Buffer) => { stderr += chunk.toString(); });
+  const exited = new Promise<void>((resolve, reject) => {
+    tar.on('error', reject);
+    tar.on('close', code => code === 0 ? resolve() : reject(new Error(stderr.trim() || `tar exited with code ${code}`)));
+  });
+
+  let extractedBytes = 0;
+  const limit = new Transform({
+    transform(chunk: Buffer, _encoding, callback) {
+      extractedBytes += chunk.length;
+      callback(extractedBytes > CATALOG_UPLOAD_MAX_EXTRACTED_BYTES
+        ? new Error(`The archive extracts to more than ${CATALOG_UPLOAD_MAX_EXTRACTED_BYTES / 1024 ** 3} GiB`)
+        : null, chunk);
+    }
+  });
+  const gunzip = /\.(tar\.gz|tgz)$/i.test(file.originalname) ? [createGunzip()] : [];
+
+  try {
+    await pipeline([fs.createReadStream(file.path), ...gunzip, limit, tar.stdin!]);
+  } catch (error) {
+    tar.kill();
+    await exited.catch(() => {});
+    throw error;
+  }
+  await exited;
+}
+
+// Copies the uploaded files into stagingDir: a single tarball is extracted,
+// other files keep their relative paths from a directory upload.
+async function stageCatalogUpload(files: Express.Multer.File[], stagingDir: string): Promise<void> {
+  await fsp.mkdir(stagingDir, { recursive: true });
+  if (files.length === 1 && CATALOG_ARCHIVE_PATTERN.test(files[0].originalname)) {
+    await extractCatalogArchive(files[0], stagingDir);
+    return;
+  }
+
+  const totalBytes = files.reduce((total, file) => total + file.size, 0);
+  if (totalBytes > CATALOG_UPLOAD_MAX_EXTRACTED_BYTES) {
+    throw new Error(`The upload holds more than ${CATALOG_UPLOAD_MAX_EXTRACTED_BYTES / 1024 ** 3} GiB`);
+  }
+
+  for (const file of files) {
+    const relativePath = path.normalize(file.originalname);
+    if (path.isAbsolute(relativePath) || relativePath.split(path.sep).includes('..')) {
+      throw new Error(`Invalid file path: ${file.originalname}`);
+    }
+    const target = path.join(stagingDir, relativePath);
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    await fsp.rename(file.path, target);
+  }
+}
+
+app.post('/api/catalogs/reload', async (req: Request, res: Response) => {
+  try {
+    const catalogData = await reloadCatalogData();
+    res.json({
+      message: 'Catalog data reloaded successfully',
+      catalogs: catalogData.index.catalogs.length,
+      operators: Object.values(catalogData.operators).reduce((total, operators) => total + operators.length, 0)
+    });
+  } catch (error: any) {
+    console.error('Error reloading catalog data:', error);
+    res.status(500).json({
+      error: 'Failed to reload catalog data',
+      details: error.message,
+      help: 'The previously loaded catalog data is still in use. Check that catalog-data/catalog-index.json is complete and valid JSON'
+    });
+  }
+});
+
+app.get('/api/catalogs/custom', async (req: Request, res: Response) => {
+  res.json(customCatalogs);
+});
+
+app.post('/api/catalogs/custom', receiveCatalogUpload, async (req: Request, res: Response) => {
+  const files = (req.files as Express.Multer.File[] | undefined) || [];
+  const id = uuidv4();
+  const stagingDir = path.join(CUSTOM_CATALOGS_DIR, '.uploads', `${id}-staging`);
+  const catalogDir = path.join(CUSTOM_CATALOGS_DIR, id);
+
+  try {
+    const name = String(req.body.name || '').trim();
+    const image = String(req.body.image || '').trim();
+    const description = String(req.body.description || '').trim() || undefined;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Catalog name is required' });
+    }
+    if (!CATALOG_IMAGE_PATTERN.test(image)) {
+      return res.status(400).json({
+        error: 'Invalid catalog image reference',
+        provided: image,
+        help: 'Use the full image reference with a tag, e.g. registry.example.com:5000/operators/my-index:v1.0'
+      });
+    }
+    if (files.length === 0) {
+      return res.status(400).json({
+        error: 'Catalog content is required',
+        help: 'Upload the FBC directory (the catalog\'s /configs) or a .tar/.tar.gz of it in "files"'
+      });
+    }
+    const conflict = findCustomCatalogConflict(customCatalogs, await loadPreFetchedCatalogData(), name, image);
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
+
+    try {
+      await stageCatalogUpload(files, stagingDir);
+    } catch (error: any) {
+      return res.status(400).json({ error: 'Failed to read the uploaded catalog', details: error.message });
+    }
+
+    const packages = groupFbcDocuments(await readFbcDocuments(stagingDir));
+    if (packages.size === 0) {
+      return res.status(400).json({
+        error: 'No File-Based Catalog packages found in the upload',
+        help: 'The upload must contain olm.package, olm.channel and olm.bundle documents (JSON or YAML)'
+      });
+    }
+
+    const record: CustomCatalogRecord = {
+      id,
+      name,
+      description,
+      image,
+      catalogType: getCustomCatalogType(image),
+      catalogVersion: getCatalogVersionFromUrl(image),
+      operatorCount: packages.size,
+      createdAt: new Date().toISOString()
+    };
+
+    const operators: OperatorEntry[] = [];
+    const dependencies: Record<string, OperatorDependency[]> = {};
+    for (const [packageName, documents] of packages) {
+      const packageDir = path.join(catalogDir, 'configs', packageName);
+      await fsp.mkdir(packageDir, { recursive: true });
+      await fsp.writeFile(path.join(packageDir, 'catalog.json'), documents.map(document => JSON.stringify(document)).join('\n') + '\n');
+
+      const { metadata, dependencies: operatorDependencies } = buildOperatorMetadata(packageName, documents, record);
+      operators.push(metadata);
+      if (operatorDependencies.length > 0) {
+        dependencies[metadata.name] = operatorDependencies;
+      }
+    }
+    operators.sort((a, b) => a.name.localeCompare(b.name));
+    await fsp.writeFile(path.join(catalogDir, 'operators.json'), JSON.stringify(operators, null, 2));
+    await fsp.writeFile(path.join(catalogDir, 'dependencies.json'), JSON.stringify(dependencies, null, 2));
+
+    // The checks above ran before the (slow) staging step, so repeat them against
+    // the file under the lock before appending the record.
+    const result = await withFileLock(CUSTOM_CATALOGS_FILE, async () => {
+      const catalogs = await loadCustomCatalogs();
+      const duplicate = findCustomCatalogConflict(catalogs, await loadPreFetchedCatalogData(), name, image);
+      if (duplicate) {
+        return { status: 409, body: duplicate };
+      }
+      await saveCustomCatalogs([...catalogs, record]);
+      return { status: 201, body: record };
+    });
+    if (result.status !== 201) {
+      await fsp.rm(catalogDir, { recursive: true, force: true });
+      return res.status(result.status).json(result.body);
+    }
+    resetCatalogCaches();
+
+    res.status(201).json(record);
+  } catch (error: any) {
+    console.error('Error registering custom catalog:', error);
+    await fsp.rm(catalogDir, { recursive: true, force: true });
+    res.status(500).json({ error: 'Failed to register custom catalog' });
+  } finally {
+    await fsp.rm(stagingDir, { recursive: true, force: true });
+    await Promise.all(files.map(file => fsp.rm(file.path, { force: true })));
+  }
+});
+
+app.delete('/api/catalogs/custom/:id', async (req: Request, res: Response) => {
+  try {
+    const catalog = await withFileLock(CUSTOM_CATALOGS_FILE, async () => {
+      const catalogs = await loadCustomCatalogs();
+      const existing = catalogs.find(entry => entry.id === req.params.id);
+      if (existing) {
+        await saveCustomCatalogs(catalogs.filter(entry => entry.id !== existing.id));
+      }
+      return existing || null;
+    });
+    if (!catalog) {
+      return res.status(404).json({ error: 'Custom catalog not found' });
+    }
+
+    await fsp.rm(path.join(CUSTOM_CATALOGS_DIR, catalog.id), { recursive: true, force: true });
+    resetCatalogCaches();
+
+    res.json({ message: 'Custom catalog deleted successfully' });
+  } catch (error: any) {
+    console.error('Error deleting custom catalog:', error);
+    res.status(500).json({ error: 'Failed to delete custom catalog' });
+  }
+});
+
+interface CatalogPackageChange {
+  name: string;
+  defaultChannel: { from: string | null; to: string | null };
+  defaultChannelChanged: boolean;
+  addedChannels: string[];
+  removedChannels: string[];
+  headVersions: Array<{ channel: string; from: string | null; to: string | null }>;
+}
+
+interface CatalogVersionDiff {
+  catalogType: string;
+  fromUrl: string;
+  toUrl: string;
+  addedPackages: string[];
+  removedPackages: string[];
+  changedPackages: CatalogPackageChange[];
+}
+
+// Head of a channel from the upgrade graph in the bundle data; the channel's
+// highest version is only used when the package has no bundle data.
+async function getChannelHeadVersion(catalogType: string, catalogVersion: string, operator: OperatorEntry, channel: string): Promise<string | null> {
+  const fbcPackage = FBC_PACKAGE_NAME_PATTERN.test(operator.name)
+    ? await loadFbcPackage(catalogType, catalogVersion, operator.name)
+    : null;
+  if (fbcPackage && Object.keys(fbcPackage.bundles).length > 0) {
+    return getFbcChannelHead(fbcPackage, channel)?.version || null;
+  }
+  const versions = operator.channelVersions?.[channel] || [];
+  return operator.channelVersionRanges?.[channel]?.maxVersion || versions[versions.length - 1] || null;
+}
+
+// Compares the same catalog in two OCP versions. Packages outside scope are
+// ignored; with a scope, packages new in the target are not reported.
+async function diffCatalogPackages(
+  catalogType: string,
+  fromVersion: string,
+  toVersion: string,
+  fromOperators: OperatorEntry[],
+  toOperators: OperatorEntry[],
+  scope: Set<string> | null
+) {
+  const inScope = (name: string) => !scope || scope.has(name);
+  const fromByName = new Map(fromOperators.filter(op => inScope(op.name)).map(op => [op.name, op]));
+  const toByName = new Map(toOperators.filter(op => inScope(op.name)).map(op => [op.name, op]));
+
+  const addedPackages = scope ? [] : [...toByName.keys()].filter(name => !fromByName.has(name)).sort();
+  const removedPackages = [...fromByName.keys()].filter(name => !toByName.has(name)).sort();
+  const changedPackages: CatalogPackageChange[] = [];
+
+  for (const name of [...fromByName.keys()].sort()) {
+    const before = fromByName.get(name)!;
+    const after = toByName.get(name);
+    if (!after) {
+      continue;
+    }
+
+    const beforeChannels = getOperatorChannelNames(before);
+    const afterChannels = getOperatorChannelNames(after);
+    const headVersions: CatalogPackageChange['headVersions'] = [];
+    for (const channel of beforeChannels.filter(channel => afterChannels.includes(channel)).sort()) {
+      const head = {
+        channel,
+        from: await getChannelHeadVersion(catalogType, fromVersion, before, channel),
+        to: await getChannelHeadVersion(catalogType, toVersion, after, channel)
+      };
+      if (head.from !== head.to) {
+        headVersions.push(head);
+      }
+    }
+    const change: CatalogPackageChange = {
+      name,
+      defaultChannel: { from: before.defaultChannel || null, to: after.defaultChannel || null },
+      defaultChannelChanged: (before.defaultChannel || null) !== (after.defaultChannel || null),
+      addedChannels: afterChannels.filter(channel => !beforeChannels.includes(channel)).sort(),
+      removedChannels: beforeChannels.filter(channel => !afterChannels.includes(channel)).sort(),
+      headVersions
+    };
+    if (change.defaultChannelChanged || change.addedChannels.length > 0 || change.removedChannels.length > 0 || change.headVersions.length > 0) {
+      changedPackages.push(change);
+    }
+  }
+
+  return { addedPackages, removedPackages, changedPackages };
+}
+
+app.get('/api/catalogs/diff', async (req: Request, res: Response) => {
+  try {
+    const [fromVersion, toVersion] = [req.query.from, req.query.to].map(version =>
+      String(version || '').trim().replace(/^v/, ''));
+    if (!OCP_MINOR_VERSION_PATTERN.test(fromVersion) || !OCP_MINOR_VERSION_PATTERN.test(toVersion)) {
+      return res.status(400).json({
+        error: 'Invalid OCP version',
+        provided: { from: req.query.from, to: req.query.to },
+        help: 'Pass the major.minor versions to compare in "from" and "to", e.g. from=4.18&to=4.19'
+      });
+    }
+
+    const catalogData = await loadPreFetchedCatalogData();
+    if (!catalogData) {
+      return res.status(503).json({ error: 'Pre-fetched catalog data is not available' });
+    }
+
+    // Scope: packages per catalog type from a saved configuration, or the
+    // same package names in every catalog. A full catalog without packages is
+    // compared unscoped (null).
+    let scope: Map<string, Set<string> | null> | null = null;
+    let packageScope: Set<string> | null = null;
+    const warnings: string[] = [];
+    const configFile = typeof req.query.config === 'string' ? req.query.config : '';
+    if (configFile) {
+      const config = await readMirrorConfig(configFile);
+      if (!config) {
+        return res.status(404).json({ error: 'Configuration file not found or not valid YAML', configFile });
+      }
+      scope = new Map();
+      for (const operator of Array.isArray(config.mirror?.operators) ? config.mirror.operators : []) {
+        if (!isNonEmptyString(operator?.catalog)) {
+          continue;
+        }
+        const indexEntry = catalogData.index.catalogs.find(catalog =>
+          getImageRepository(catalog.catalog_url) === getImageRepository(operator.catalog));
+        if (!indexEntry) {
+          warnings.push(`Catalog ${operator.catalog} in ${configFile} is not in the pre-fetched catalog data; it is not compared`);
+          continue;
+        }
+        const catalogType = indexEntry.catalog_type;
+        const operatorPackages = (Array.isArray(operator.packages) ? operator.packages : [])
+          .filter((pkg: any) => isNonEmptyString(pkg?.name));
+        if (scope.get(catalogType) === null || (operator.full === true && operatorPackages.length === 0)) {
+          scope.set(catalogType, null);
+          continue;
+        }
+        const packages = scope.get(catalogType) || new Set<string>();
+        operatorPackages.forEach((pkg: any) => packages.add(pkg.name));
+        scope.set(catalogType, packages);
+      }
+    } else if (isNonEmptyString(req.query.packages)) {
+      packageScope = new Set(req.query.packages.split(',').map(name => name.trim()).filter(Boolean));
+    }
+
+    const findCatalog = (catalogType: string, version: string) =>
+      catalogData.index.catalogs.find(catalog => catalog.catalog_type === catalogType && catalog.ocp_version === `v${version}`);
+    const catalogTypes = [...new Set(catalogData.index.catalogs
+      .filter(catalog => !catalog.custom_catalog_id)
+      .map(catalog => catalog.catalog_type))]
+      .filter(catalogType => !scope || scope.has(catalogType));
+
+    const catalogs: CatalogVersionDiff[] = [];
+    for (const catalogType of catalogTypes) {
+      const fromCatalog = findCatalog(catalogType, fromVersion);
+      const toCatalog = findCatalog(catalogType, toVersion);
+      if (!fromCatalog || !toCatalog) {
+        warnings.push(`${catalogType} has no pre-fetched catalog for OCP ${fromCatalog ? toVersion : fromVersion}`);
+        continue;
+      }
+
+      const diff = await diffCatalogPackages(
+        catalogType,
+        `v${fromVersion}`,
+        `v${toVersion}`,
+        catalogData.operators[`${catalogType}:v${fromVersion}`] || [],
+        catalogData.operators[`${catalogType}:v${toVersion}`] || [],
+        scope ? scope.get(catalogType) ?? null : packageScope
+      );
+      catalogs.push({ catalogType, fromUrl: fromCatalog.catalog_url, toUrl: toCatalog.catalog_url, ...diff });
+    }
+
+    if (catalogs.length === 0) {
+      return res.status(404).json({
+        error: `No catalogs found for both OCP ${fromVersion} and ${toVersion}`,
+        warnings
+      });
+    }
+
+    res.json({
+      from: fromVersion,
+      to: toVersion,
+      ...(configFile && { config: configFile }),
+      catalogs,
+      summary: {
+        addedPackages: catalogs.reduce((sum, catalog) => sum + catalog.addedPackages.length, 0),
+        removedPackages: catalogs.reduce((sum, catalog) => sum + catalog.removedPackages.length, 0),
+        changedPackages: catalogs.reduce((sum, catalog) => sum + catalog.changedPackages.length, 0)
+      },
+      warnings
+    });
+  } catch (error: any) {
+    console.error('Error comparing catalogs:', error);
+    res.status(500).json({ error: 'Failed to compare catalogs' });
+  }
+});
+
+app.get('/api/operators', async (req: Request, res: Response) => {
+  try {
+    const { catalog, detailed } = req.query;
+
+    if (catalog) {
+      const catalogData = await loadPreFetchedCatalogData();
+      if (catalogData) {
+        const catalogType = getCatalogNameFromUrl(catalog as string);
+        const catalogVersion = getCatalogVersionFromUrl(catalog as string);
+        const key = `${catalogType}:${catalogVersion}`;
+        
+        const operators = catalogData.operators[key];
+        if (operators) {
+          if (detailed === 'true') {
+            const detailedOperators = operators.map(operator => {
+              const normalizedChannels = normalizeChannels(operator.channels || [], operator.name, operator);
+              return {
+                name: operator.name,
+                defaultChannel: operator.defaultChannel,
+                channels: normalizedChannels,
+                allChannels: normalizedChannels.map(ch => ch.name),
+                displayName: operator.displayName || null,
+                description: operator.description || null,
+                provider: operator.provider || null,
+                catalog: operator.catalog,
+                ocpVersion: operator.ocpVersion,
+                catalogUrl: operator.catalogUrl
+              };
+            });
+            res.json(detailedOperators);
+          } else {
+            res.json(operators.map(operator => operator.name));
+          }
+          return;
+        }
+      }
+
+      const cache = await updateOperatorCache();
+      const allOperators = Object.values(cache.operators);
+      const filteredOperators = allOperators
+        .filter(operator => operator.catalog === catalog);
+
+      if (detailed === 'true') {
+        const detailedOperators = filteredOperators.map(operator => {
+          const normalizedChannels = normalizeChannels(operator.channels || [], operator.name, operator);
+          return {
+            name: operator.name,
+            defaultChannel: operator.defaultChannel,
+            channels: normalizedChannels,
+            allChannels: normalizedChannels.map(ch => ch.name),
+            displayName: operator.displayName || null,
+            description: operator.description || null,
+            provider: operator.provider || null,
+            catalog: operator.catalog,
+            ocpVersion: operator.ocpVersion,
+            catalogUrl: operator.catalogUrl
+          };
+        });
+        res.json(detailedOperators);
+      } else {
+        res.json(filteredOperators.map(operator => operator.name));
+      }
+    } else {
+      const cache = await updateOperatorCache();
+      const uniqueOperators = [...new Set(Object.values(cache.operators).map(op => op.name))];
+      res.json(uniqueOperators);
+    }
+  } catch (error: any) {
+    console.error('Error fetching operators:', error);
+    const fallbackOperators = [
+      'advanced-cluster-management',
+      'elasticsearch-operator',
+      'kiali-ossm',
+      'servicemeshoperator',
+      'openshift-pipelines-operator-rh',
+      'serverless-operator',
+      'jaeger-product',
+      'rhods-operator',
+      'openshift-gitops-operator',
+      'openshift-logging',
+      'openshift-monitoring',
+      'cluster-logging',
+      'local-storage-operator',
+      'node-feature-discovery-operator',
+      'performance-addon-operator',
+      'ptp-operator',
+      'sriov-network-operator',
+      'bare-metal-event-relay',
+      'cluster-baremetal-operator',
+      'metal3-operator'
+    ];
+    res.json(fallbackOperators);
+  }
+});
+
+const OPERATOR_SEARCH_LIMIT = 50;
+
+// Field weights for operator search: a query term matching the package name
+// counts more than one found only in the description.
+const OPERATOR_SEARCH_FIELDS: Array<{ weight: number; values: (operator: OperatorEntry) => string[] }> = [
+  { weight: 10, values: operator => [operator.name] },
+  { weight: 8, values: operator => [operator.displayName || ''] },
+  { weight: 5, values: operator => operator.keywords || [] },
+  { weight: 4, values: operator => [operator.provider || ''] },
+  { weight: 3, values: operator => operator.categories || [] },
+  { weight: 1, values: operator => [operator.description || ''] }
+];
+
+// Every term must match some field. Each term scores its best field weight,
+// doubled when it starts a word, and whole-query name matches rank first.
+function scoreOperatorMatch(operator: OperatorEntry, query: string): number {
+  const terms = query.split(/\s+/).filter(Boolean);
+  let score = 0;
+  for (const term of terms) {
+    let best = 0;
+    for (const field of OPERATOR_SEARCH_FIELDS) {
+      for (const value of field.values(operator).map(entry => entry.toLowerCase())) {
+        const index = value.indexOf(term);
+        if (index === -1) {
+          continue;
+        }
+        const startsWord = index === 0 || /[^a-z0-9]/.test(value[index - 1]);
+        best = Math.max(best, field.weight * (startsWord ? 2 : 1));
+      }
+    }
+    if (best === 0) {
+      return 0;
+    }
+    score += best;
+  }
+
+  const name = operator.name.toLowerCase();
+  const displayName = (operator.displayName || '').toLowerCase();
+  if (name === query || displayName === query) {
+    score += 100;
+  } else if (name.startsWith(query) || displayName.startsWith(query)) {
+    score += 40;
+  }
+  return score;
+}
+
+app.get('/api/operators/search', async (req: Request, res: Response) => {
+  try {
+    const query = String(req.query.q || '').trim().toLowerCase();
+    const catalog = typeof req.query.catalog === 'string' ? req.query.catalog : '';
+    const limit = Math.min(Math.max(Number.parseInt(String(req.query.limit || OPERATOR_SEARCH_LIMIT), 10) || OPERATOR_SEARCH_LIMIT, 1), 200);
+    if (!query) {
+      return res.status(400).json({ error: 'q is required', help: 'Search by package name, display name, keyword, provider or category' });
+    }
+
+    const catalogData = await loadPreFetchedCatalogData();
+    if (!catalogData) {
+      return res.status(503).json({ error: 'Pre-fetched catalog data is not available' });
+    }
+    const catalogs = catalogData.index.catalogs.filter(entry => !catalog || entry.catalog_url === catalog);
+    if (catalog && catalogs.length === 0) {
+      return res.status(404).json({ error: 'Catalog not found', provided: catalog });
+    }
+
+    const matches = catalogs.flatMap(entry =>
+      (catalogData.operators[`${entry.catalog_type}:${entry.ocp_version}`] || [])
+        .map(operator => ({ operator, catalogUrl: entry.catalog_url, score: scoreOperatorMatch(operator, query) }))
+        .filter(match => match.score > 0));
+    matches.sort((a, b) => b.score - a.score || a.operator.name.localeCompare(b.operator.name));
+
+    // hasIcon comes from the metadata; the icon itself is served from the
+    // bundle index or configs/, so only link it when those are on disk.
+    const results = matches.slice(0, limit);
+    const packageNames = new Map<string, Set<string>>();
+    for (const { catalogUrl } of results) {
+      if (!packageNames.has(catalogUrl)) {
+        packageNames.set(catalogUrl, await listFbcPackageNames(getCatalogNameFromUrl(catalogUrl), getCatalogVersionFromUrl(catalogUrl)));
+      }
+    }
+
+    res.json({
+      query,
+      catalog: catalog || null,
+      total: matches.length,
+      results: results.map(({ operator, catalogUrl, score }) => ({
+        name: operator.name,
+        displayName: operator.displayName || null,
+        description: operator.description || null,
+        provider: operator.provider || null,
+        keywords: operator.keywords || [],
+        categories: operator.categories || [],
+        defaultChannel: operator.defaultChannel,
+        catalogUrl,
+        iconUrl: operator.hasIcon && packageNames.get(catalogUrl)?.has(operator.name)
+          ? `/api/operators/${encodeURIComponent(operator.name)}/icon?catalog=${encodeURIComponent(catalogUrl)}`
+          : null,
+        score
+      }))
+    });
+  } catch (error: any) {
+    console.error('Error searching operators:', error);
+    res.status(500).json({ error: 'Failed to search operators' });
+  }
+});
+
+app.get('/api/operators/:operator/icon', async (req: Request, res: Response) => {
+  try {
+    const catalog = typeof req.query.catalog === 'string' ? req.query.catalog : '';
+    if (!catalog) {
+      return res.status(400).json({ error: 'catalog is required' });
+    }
+    const fbcPackage = await loadFbcPackage(getCatalogNameFromUrl(catalog), getCatalogVersionFromUrl(catalog), req.params.operator);
+    if (!fbcPackage?.icon || !fbcPackage.icon.mediatype.startsWith('image/')) {
+      return res.status(404).json({ error: 'Operator icon not found' });
+    }
+
+    // Icons come from catalog content; keep SVG scripts from running if opened directly
+    res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.type(fbcPackage.icon.mediatype).send(Buffer.from(fbcPackage.icon.base64data, 'base64'));
+  } catch (error: any) {
+    console.error('Error fetching operator icon:', error);
+    res.status(500).json({ error: 'Failed to fetch operator icon' });
+  }
+});
+
+app.post('/api/operators/refresh-cache', async (req: Request, res: Response) => {
+  try {
+    await reloadCatalogData();
+    await updateOperatorCache();
+    res.json({ message: 'Operator cache refreshed successfully' });
+  } catch (error: any) {
+    console.error('Error refreshing operator cache:', error);
+    res.status(500).json({ error: 'Failed to refresh operator cache' });
+  }
+});
+
+function compareVersionStrings(a: string, b: string): number {
+  const getBaseVersion = (version: string): string => {
+    const match = version.match(/^(\d+\.\d+\.\d+)/);
+    return match ? match[1] : version;
+  };
+
+  const baseA = getBaseVersion(a);
+  const baseB = getBaseVersion(b);
+
+  const partsA = baseA.split('.').map(Number);
+  const partsB = baseB.split('.').map(Number);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const partA = partsA[i] || 0;
+    const partB = partsB[i] || 0;
+
+    if (partA !== partB) {
+      return partA - partB;
+    }
+  }
+
+  return a.localeCompare(b);
+}
+
+function sortVersions(versions: string[]): string[] {
+  return Array.from(new Set(versions.filter(version => version && version.trim()))).sort(compareVersionStrings);
+}
+
+function getQueryStringValue(value: unknown): string | undefined {
+  if (typeof value === 'string') {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    const first = value[0];
+    return typeof first === 'string' ? first : undefined;
+  }
+
+  return undefined;
+}
+
+function extractChannelNames(channels: (string | { name: string })[] | undefined): string[] {
+  if (!channels || !Array.isArray(channels)) {
+    return [];
+  }
+
+  if (channels.length === 1 && typeof channels[0] === 'string') {
+    if (channels[0].includes('\n')) {
+      return channels[0].split('\n').filter(line => line.trim()).map(channel => channel.trim());
+    }
+
+    if (channels[0].includes(' ')) {
+      return channels[0].split(' ').filter(channel => channel.trim()).map(channel => channel.trim());
+    }
+
+    return [channels[0]];
+  }
+
+  return channels
+    .map(channel => {
+      if (typeof channel === 'string') {
+        return channel;
+      }
+
+      if (channel && typeof channel === 'object' && channel.name) {
+        return channel.name;
+      }
+
+      return String(channel);
+    })
+    .filter(channel => channel.trim());
+}
+
+function extractVersionInfo(channelNames: string[], operatorName: string | null): { genericChannels: string[]; versions: string[] } {
+  const versions = new Set<string>();
+  const genericChannels: string[] = [];
+  
+  channelNames.forEach(channel => {
+    if (!channel || !channel.trim()) return;
+
+    if (operatorName && channel.includes(`${operatorName}.`)) {
+      const versionWithV = channel.match(new RegExp(`${operatorName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.v(.+)`));
+      if (versionWithV) {
+        versions.add(versionWithV[1]);
+        return;
+      }
+
+      const versionWithoutV = channel.match(new RegExp(`${operatorName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.(.+)`));
+      if (versionWithoutV) {
+        versions.add(versionWithoutV[1]);
+        return;
+      }
+    }
+
+    if (operatorName) {
+      const operatorBase = operatorName.replace(/-certified$/, '').replace(/-community$/, '');
+      if (operatorBase !== operatorName && channel.includes(`${operatorBase}.`)) {
+        const versionWithV = channel.match(new RegExp(`${operatorBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.v(.+)`));
+        if (versionWithV) {
+          versions.add(versionWithV[1]);
+          return;
+        }
+
+        const versionWithoutV = channel.match(new RegExp(`${operatorBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.(.+)`));
+        if (versionWithoutV) {
+          versions.add(versionWithoutV[1]);
+          return;
+        }
+      }
+    }
+
+    const genericVersionWithV = channel.match(/^[^.]+\.v(.+)/);
+    if (genericVersionWithV) {
+      versions.add(genericVersionWithV[1]);
+      return;
+    }
+
+    const genericVersionWithoutV = channel.match(/^[^.]+\.(\d+\.\d+\.\d+.*)/);
+    if (genericVersionWithoutV) {
+      versions.add(genericVersionWithoutV[1]);
+      return;
+    }
+
+    const versionMatch = channel.match(/^v?(\d+\.\d+\.\d+)/);
+    if (versionMatch) {
+      versions.add(versionMatch[1]);
+      return;
+    }
+
+    genericChannels.push(channel);
+  });
+
+  return {
+    genericChannels,
+    versions: sortVersions(Array.from(versions))
+  };
+}
+
+function getVersionsFromMetadata(operatorData: OperatorEntry, channelName?: string): string[] {
+  if (channelName && operatorData.channelVersions && Object.prototype.hasOwnProperty.call(operatorData.channelVersions, channelName)) {
+    return sortVersions(operatorData.channelVersions[channelName] || []);
+  }
+
+  if (!channelName) {
+    const allChannelVersions = Object.values(operatorData.channelVersions || {}).flat();
+    if (allChannelVersions.length > 0 || Object.keys(operatorData.channelVersions || {}).length > 0) {
+      return sortVersions(allChannelVersions);
+    }
+
+    if (operatorData.availableVersions) {
+      return sortVersions(operatorData.availableVersions);
+    }
+  }
+
+  const channelNames = extractChannelNames(operatorData.channels);
+  const { versions } = extractVersionInfo(channelNames, operatorData.name);
+  return versions;
+}
+
+function normalizeChannels(
+  channels: (string | { name: string })[] | undefined,
+  operatorName: string | null = null,
+  operatorData?: OperatorEntry,
+): ChannelObject[] {
+  let channelNames = extractChannelNames(channels);
+
+  if (channelNames.length === 0 && operatorData?.channelVersions) {
+    channelNames = Object.keys(operatorData.channelVersions);
+  }
+
+  if (channelNames.length === 0) {
+    return [];
+  }
+
+  if (operatorData?.channelVersions || operatorData?.channelVersionRanges) {
+    return channelNames.map(channel => {
+      const range = operatorData?.channelVersionRanges?.[channel];
+      const availableVersions = operatorData ? getVersionsFromMetadata(operatorData, channel) : [];
+      return {
+        name: channel,
+        availableVersions,
+        minVersion: range?.minVersion ?? null,
+        maxVersion: range?.maxVersion ?? null,
+      };
+    });
+  }
+
+  const { genericChannels, versions } = extractVersionInfo(channelNames, operatorName);
+  const channelObjects: ChannelObject[] = genericChannels.map(channel => ({ name: channel }));
+
+  if (channelObjects.length > 0 && versions.length > 0) {
+    channelObjects[0].availableVersions = versions;
+  }
+  
+  return channelObjects;
+}
+
+app.get('/api/operators/:operator/versions', async (req: Request, res: Response) => {
+  try {
+    const { operator } = req.params;
+    const catalog = getQueryStringValue(req.query.catalog);
+    const channel = getQueryStringValue(req.query.channel);
+
+    const catalogData = await loadPreFetchedCatalogData();
+    if (catalogData) {
+      if (catalog) {
+        const catalogType = getCatalogNameFromUrl(catalog);
+        const catalogVersion = getCatalogVersionFromUrl(catalog);
+        const key = `${catalogType}:${catalogVersion}`;
+        
+        const operators = catalogData.operators[key];
+        if (operators) {
+          const operatorData = operators.find(op => op.name === operator);
+          if (operatorData) {
+            return res.json({ versions: getVersionsFromMetadata(operatorData, channel) });
+          }
+        }
+      } else {
+        for (const operators of Object.values(catalogData.operators)) {
+          const operatorData = operators.find(op => op.name === operator);
+          if (operatorData) {
+            return res.json({ versions: getVersionsFromMetadata(operatorData, channel) });
+          }
+        }
+      }
+    }
+
+    res.status(404).json({ error: 'Operator not found' });
+    
+  } catch (error: any) {
+    console.error(`Error getting versions for ${req.params.operator}:`, error);
+    res.status(500).json({ error: 'Failed to get operator versions' });
+  }
+});
+
+app.get('/api/operators/:operator/bundles', async (req: Request, res: Response) => {
+  try {
+    const { operator } = req.params;
+    const catalog = getQueryStringValue(req.query.catalog);
+    if (!catalog) {
+      return res.status(400).json({ error: 'catalog is required', help: 'Pass the catalog URL, e.g. registry.redhat.io/redhat/redhat-operator-index:v4.19' });
+    }
+
+    const fbcPackage = await loadFbcPackage(getCatalogNameFromUrl(catalog), getCatalogVersionFromUrl(catalog), operator);
+    if (!fbcPackage || Object.keys(fbcPackage.bundles).length === 0) {
+      return res.status(404).json({
+        error: 'Operator not found in the catalog content',
+        help: 'Bundle details need the bundle index under catalog-data/<type>/<version>/bundles; run fetch-catalogs-host.sh to generate it'
+      });
+    }
+
+    const channel = getQueryStringValue(req.query.channel) || fbcPackage.defaultChannel || '';
+    const entries = fbcPackage.channelEntries[channel];
+    if (!entries) {
+      return res.status(404).json({
+        error: 'Channel not found',
+        provided: channel,
+        help: `Available channels: ${Object.keys(fbcPackage.channelEntries).sort().join(', ')}`
+      });
+    }
+
+    const bundles = entries
+      .filter(entry => fbcPackage.bundles[entry.name])
+      .map(entry => {
+        const bundle = fbcPackage.bundles[entry.name];
+        return {
+          name: bundle.name,
+          version: bundle.version,
+          replaces: entry.replaces || null,
+          skips: entry.skips || [],
+          skipRange: entry.skipRange || null,
+          createdAt: bundle.createdAt || null,
+          image: bundle.image || null,
+          relatedImages: bundle.relatedImages
+        };
+      })
+      .sort((a, b) => compareVersionStrings(b.version || '', a.version || ''));
+
+    res.json({
+      operator,
+      catalog,
+      channel,
+      defaultChannel: fbcPackage.defaultChannel || null,
+      channels: Object.keys(fbcPackage.channelEntries).sort(),
+      head: getFbcChannelHead(fbcPackage, channel)?.name || null,
+      bundles
+    });
+  } catch (error: any) {
+    console.error(`Error getting bundles for ${req.params.operator}:`, error);
+    res.status(500).json({ error: 'Failed to get operator bundles' });
+  }
+});
+
+type UpgradeEdge = 'replaces' | 'skips' | 'skipRange';
+
+// Evaluates an OLM skipRange such as ">=4.18.0 <4.19.1": comparators joined by
+// spaces must all hold, alternatives are separated by "||".
+function satisfiesSkipRange(version: string, range: string): boolean {
+  return range.split('||').some(alternative => {
+    const comparators = alternative.trim().split(/\s+/).filter(Boolean);
+    return comparators.length > 0 && comparators.every(comparator => {
+      const match = comparator.match(/^(>=|<=|>|<|==|=|!=)?v?(.+)$/);
+      if (!match) {
+        return false;
+      }
+      const result = compareVersionStrings(version, match[2]);
+      switch (match[1]) {
+        case '>=': return result >= 0;
+        case '<=': return result <= 0;
+        case '>': return result > 0;
+        case '<': return result < 0;
+        case '!=': return result !== 0;
+        default: return result === 0;
+      }
+    });
+  });
+}
+
+// How a channel entry upgrades from a given version, if it does. Edges are
+// matched on versions so an installed bundle that is no longer in the
+// catalog can still be upgraded from.
+function getUpgradeEdge(entry: FbcChannelEntry, fromVersion: string, fbcPackage: FbcPackage): UpgradeEdge | null {
+  const versionOf = (name: string) => fbcPackage.bundles[name]?.version || getFbcBundleVersion({ name });
+  if (entry.replaces && versionOf(entry.replaces) === fromVersion) {
+    return 'replaces';
+  }
+  if ((entry.skips || []).some(name => versionOf(name) === fromVersion)) {
+    return 'skips';
+  }
+  if (entry.skipRange && satisfiesSkipRange(fromVersion, entry.skipRange)) {
+    return 'skipRange';
+  }
+  return null;
+}
+
+// Shortest upgrade path from one version to another within a channel,
+// preferring newer bundles at each hop. Returns null when there is none.
+function findUpgradePath(fbcPackage: FbcPackage, channel: string, fromVersion: string, toVersion: string) {
+  const entries = (fbcPackage.channelEntries[channel] || [])
+    .filter(entry => fbcPackage.bundles[entry.name]?.version)
+    .sort((a, b) => compareVersionStrings(fbcPackage.bundles[b.name].version!, fbcPackage.bundles[a.name].version!));
+  const previous = new Map<string, { from: string; entry: FbcChannelEntry; via: UpgradeEdge }>();
+  const queue = [fromVersion];
+  const visited = new Set(queue);
+
+  while (queue.length > 0) {
+    const current = queue.shift()!;
+    if (current === toVersion) {
+      break;
+    }
+    for (const entry of entries) {
+      const version = fbcPackage.bundles[entry.name].version!;
+      if (visited.has(version) || compareVersionStrings(version, current) <= 0 || compareVersionStrings(version, toVersion) > 0) {
+        continue;
+      }
+      const via = getUpgradeEdge(entry, current, fbcPackage);
+      if (via) {
+        visited.add(version);
+        previous.set(version, { from: current, entry, via });
+        queue.push(version);
+      }
+    }
+  }
+
+  if (!previous.has(toVersion)) {
+    return null;
+  }
+  const hops: Array<{ name: string; version: string; from: string; via: UpgradeEdge; skipRange: string | null }> = [];
+  for (let version = toVersion; version !== fromVersion;) {
+    const step = previous.get(version)!;
+    hops.unshift({ name: step.entry.name, version, from: step.from, via: step.via, skipRange: step.entry.skipRange || null });
+    version = step.from;
+  }
+  return hops;
+}
+
+app.get('/api/operators/:operator/upgrade-path', async (req: Request, res: Response) => {
+  try {
+    const { operator } = req.params;
+    const catalog = getQueryStringValue(req.query.catalog);
+    const installedVersion = (getQueryStringValue(req.query.from) || '').trim().replace(/^v/, '');
+    if (!catalog || !installedVersion) {
+      return res.status(400).json({
+        error: 'catalog and from are required',
+        help: 'Pass the catalog URL and the installed version in "from"; "channel" and the target version "to" are optional'
+      });
+    }
+
+    const fbcPackage = await loadFbcPackage(getCatalogNameFromUrl(catalog), getCatalogVersionFromUrl(catalog), operator);
+    if (!fbcPackage || Object.keys(fbcPackage.bundles).length === 0) {
+      return res.status(404).json({
+        error: 'Operator not found in the catalog content',
+        help: 'Upgrade paths need the bundle index under catalog-data/<type>/<version>/bundles; run fetch-catalogs-host.sh to generate it'
+      });
+    }
+
+    const channel = getQueryStringValue(req.query.channel) || fbcPackage.defaultChannel || '';
+    const channelVersions = sortVersions((fbcPackage.channelEntries[channel] || [])
+      .map(entry => fbcPackage.bundles[entry.name]?.version)
+      .filter(isNonEmptyString));
+    if (channelVersions.length === 0) {
+      return res.status(404).json({
+        error: 'Channel not found',
+        provided: channel,
+        help: `Available channels: ${Object.keys(fbcPackage.channelEntries).sort().join(', ')}`
+      });
+    }
+
+    const targetVersion = (getQueryStringValue(req.query.to) || '').trim().replace(/^v/, '')
+      || getFbcChannelHead(fbcPackage, channel)?.version
+      || channelVersions[channelVersions.length - 1];
+    if (!channelVersions.includes(targetVersion)) {
+      return res.status(400).json({
+        error: `Version ${targetVersion} is not in channel ${channel}`,
+        provided: targetVersion,
+        help: `Available versions: ${channelVersions.join(', ')}`
+      });
+    }
+    if (compareVersionStrings(targetVersion, installedVersion) <= 0) {
+      return res.status(400).json({
+        error: 'The target version must be newer than the installed version',
+        provided: { from: installedVersion, to: targetVersion }
+      });
+    }
+
+    const hops = findUpgradePath(fbcPackage, channel, installedVersion, targetVersion);
+    if (!hops) {
+      return res.status(422).json({
+        error: `No upgrade path from ${installedVersion} to ${targetVersion} in channel ${channel}`,
+        help: 'No chain of replaces, skips or skipRange edges in this channel leads from the installed version to the target. Try another channel or target version.'
+      });
+    }
+
+    // The installed bundle is already on the cluster, so the bounds start at
+    // the first hop. Other bundles inside the bounds are mirrored as well.
+    const minVersion = hops[0].version;
+    const bundlesInBounds = channelVersions.filter(version => isVersionInBounds(version, minVersion, targetVersion));
+
+    res.json({
+      operator,
+      catalog,
+      channel,
+      installedVersion,
+      targetVersion,
+      hops,
+      minVersion,
+      maxVersion: targetVersion,
+      bundlesInBounds: bundlesInBounds.length,
+      extraBundles: bundlesInBounds.filter(version => !hops.some(hop => hop.version === version))
+    });
+  } catch (error: any) {
+    console.error(`Error calculating upgrade path for ${req.params.operator}:`, error);
+    res.status(500).json({ error: 'Failed to calculate upgrade path' });
   }
 });
 
 app.get('/api/operator-channels/:operator', async (req: Request, res: Response) => {
   try {
-    const { operator } = req.params;
-    const catalogUrl = getQueryStringValue(req.query.catalogUrl);
+    const { operator } = req.params;
+    const catalogUrl = getQueryStringValue(req.query.catalogUrl);
+
+    const catalogData = await loadPreFetchedCatalogData();
+    if (catalogData) {
+      if (catalogUrl) {
+        const catalogType = getCatalogNameFromUrl(catalogUrl);
+        const catalogVersion = getCatalogVersionFromUrl(catalogUrl);
+        const key = `${catalogType}:${catalogVersion}`;
+        
+        const operators = catalogData.operators[key];
+        if (operators) {
+          const operatorData = operators.find(op => op.name === operator);
+          if (operatorData) {
+            const normalizedChannels = normalizeChannels(operatorData.channels || [], operatorData.name, operatorData);
+            return res.json({
+              name: operatorData.name,
+              defaultChannel: operatorData.defaultChannel,
+              channels: normalizedChannels,
+              allChannels: normalizedChannels.map(ch => ch.name),
+              catalog: operatorData.catalog,
+              ocpVersion: operatorData.ocpVersion,
+              catalogUrl: operatorData.catalogUrl
+            });
+          }
+        }
+      } else {
+        for (const operators of Object.values(catalogData.operators)) {
+          const operatorData = operators.find(op => op.name === operator);
+          if (operatorData) {
+            const normalizedChannels = normalizeChannels(operatorData.channels || [], operatorData.name, operatorData);
+            return res.json({
+              name: operatorData.name,
+              defaultChannel: operatorData.defaultChannel,
+              channels: normalizedChannels,
+              allChannels: normalizedChannels.map(ch => ch.name),
+              catalog: operatorData.catalog,
+              ocpVersion: operatorData.ocpVersion,
+              catalogUrl: operatorData.catalogUrl
+            });
+          }
+        }
+      }
+    }
+
+    if (catalogUrl) {
+      const channels = await queryOperatorChannels(catalogUrl as string, operator);
+      if (channels && Array.isArray(channels) && channels.length > 0) {
+        const normalizedChannels = normalizeChannels(channels, operator);
+        return res.json(normalizedChannels);
+      }
+    }
+
+    if (operatorCache.channels[operator] && isCacheValid()) {
+      const normalizedChannels = normalizeChannels(operatorCache.channels[operator], operator);
+      return res.json(normalizedChannels);
+    }
+
+    const cache = await updateOperatorCache();
+    const operatorInfo = Object.values(cache.operators).find(op => op.name === operator);
+    
+    if (!operatorInfo) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+
+    const channels = await queryOperatorChannels(operatorInfo.catalog!, operator);
+    
+    if (channels && Array.isArray(channels) && channels.length > 0) {
+      operatorCache.channels[operator] = channels;
+      const normalizedChannels = normalizeChannels(channels, operator);
+      return res.json(normalizedChannels);
+    }
+    
+    res.status(404).json({ error: 'No channels found for this operator' });
+  } catch (error: any) {
+    console.error(`Error fetching channels for ${req.params.operator}:`, error);
+    res.status(500).json({ error: 'Failed to get operator channels' });
+  }
+});
+
+app.get('/api/operators/channels', async (req: Request, res: Response) => {
+  try {
+    const { catalogUrl, operatorName } = req.query;
+    
+    if (!catalogUrl || !operatorName) {
+      return res.status(400).json({ error: 'catalogUrl and operatorName query parameters are required' });
+    }
+    
+    const channels = await queryOperatorChannels(catalogUrl as string, operatorName as string);
+    if (channels && Array.isArray(channels) && channels.length > 0) {
+      const normalizedChannels = normalizeChannels(channels, operatorName as string);
+      return res.json(normalizedChannels);
+    }
+    
+    res.status(404).json({ error: 'No channels found for this operator' });
+  } catch (error: any) {
+    console.error(`Error fetching channels:`, error);
+    res.status(500).json({ error: 'Failed to get operator channels' });
+  }
+});
+
+app.get('/api/operators/:operator/dependencies', async (req: Request, res: Response) => {
+  try {
+    const { operator } = req.params;
+    const { catalogUrl } = req.query;
+    
+    let dependencies: OperatorDependency[] = [];
+    let catalogType: string | null = null;
+    let catalogVersion: string | null = null;
+
+    if (catalogUrl) {
+      catalogType = getCatalogNameFromUrl(catalogUrl as string);
+      catalogVersion = getCatalogVersionFromUrl(catalogUrl as string, 'v4.19');
+      
+      dependencies = await getOperatorDependencies(catalogType, catalogVersion, operator);
+    } else {
+      const catalogData = await loadPreFetchedCatalogData();
+      if (catalogData && catalogData.index && catalogData.index.catalogs) {
+        for (const catalog of catalogData.index.catalogs) {
+          const deps = await getOperatorDependencies(
+            catalog.catalog_type,
+            catalog.ocp_version,
+            operator
+          );
+          
+          if (deps.length > 0) {
+            dependencies = deps;
+            catalogType = catalog.catalog_type;
+            catalogVersion = catalog.ocp_version;
+            break;
+          }
+        }
+      }
+    }
+    
+    if (dependencies.length === 0) {
+      return res.json({ 
+        operator,
+        dependencies: [],
+        message: 'No dependencies found for this operator'
+      });
+    }
+    
+    res.json({
+      operator,
+      catalogType,
+      catalogVersion,
+      dependencies,
+      count: dependencies.length
+    });
+  } catch (error: any) {
+    console.error(`Error getting dependencies for ${req.params.operator}:`, error);
+    res.status(500).json({ error: 'Failed to get operator dependencies' });
+  }
+});
+
+app.get('/api/operations', async (req: Request, res: Response) => {
+  try {
+    const operations = await getOperations();
+    res.json(withQueuePositions(operations));
+  } catch (error: any) {
+    res.status(500).json({ error: 'Failed to get operations' });
+  }
+});
+
+const OPERATION_STATUSES: OperationRecord['status'][] = ['queued', 'running', 'success', 'failed', 'stopped', 'interrupted'];
+const OPERATION_WORKFLOWS: MirrorWorkflow[] = ['mirrorToDisk', 'diskToMirror', 'mirrorToMirror', 'delete'];
+const HISTORY_SORT_FIELDS = ['startedAt', 'completedAt', 'duration', 'status', 'configFile', 'name'] as const;
+type HistorySortField = typeof HISTORY_SORT_FIELDS[number];
+const DEFAULT_HISTORY_PAGE_SIZE = 20;
+const MAX_HISTORY_PAGE_SIZE = 500;
+
+function queryString(value: unknown): string {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// A date-only upper bound ("2024-05-31") covers the whole day.
+function parseHistoryDate(value: string, endOfDay: boolean): number | null {
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    return null;
+  }
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+function operationDestinations(operation: OperationRecord): string[] {
+  return [operation.destination, operation.mirrorDestination, operation.targetRegistry]
+    .filter((value): value is string => Boolean(value));
+}
+
+function compareOperations(a: OperationRecord, b: OperationRecord, sortBy: HistorySortField): number {
+  switch (sortBy) {
+    case 'startedAt':
+    case 'completedAt': {
+      const aTime = a[sortBy] ? new Date(a[sortBy] as string).getTime() : 0;
+      const bTime = b[sortBy] ? new Date(b[sortBy] as string).getTime() : 0;
+      return aTime - bTime;
+    }
+    case 'duration':
+      return (a.duration ?? -1) - (b.duration ?? -1);
+    default:
+      return (a[sortBy] || '').localeCompare(b[sortBy] || '');
+  }
+}
+
+app.get('/api/operations/history', async (req: Request, res: Response) => {
+  try {
+    const page = queryString(req.query.page) ? parseInt(queryString(req.query.page), 10) : 1;
+    const pageSize = queryString(req.query.pageSize)
+      ? parseInt(queryString(req.query.pageSize), 10)
+      : DEFAULT_HISTORY_PAGE_SIZE;
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: 'page must be a positive integer', provided: req.query.page });
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 0 || pageSize > MAX_HISTORY_PAGE_SIZE) {
+      return res.status(400).json({
+        error: `pageSize must be an integer between 0 and ${MAX_HISTORY_PAGE_SIZE}`,
+        help: 'Use pageSize=0 to return every matching operation',
+        provided: req.query.pageSize,
+      });
+    }
+
+    const sortBy = (queryString(req.query.sortBy) || 'startedAt') as HistorySortField;
+    if (!HISTORY_SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({
+        error: 'Invalid sortBy',
+        help: `Supported fields: ${HISTORY_SORT_FIELDS.join(', ')}`,
+        provided: req.query.sortBy,
+      });
+    }
+    const sortOrder = queryString(req.query.sortOrder) || 'desc';
+    if (sortOrder !== 'asc' && sortOrder !== 'desc') {
+      return res.status(400).json({ error: 'sortOrder must be asc or desc', provided: req.query.sortOrder });
+    }
+
+    const statuses = queryString(req.query.status).split(',').map(status => status.trim()).filter(Boolean);
+    const invalidStatus = statuses.find(status => !OPERATION_STATUSES.includes(status as OperationRecord['status']));
+    if (invalidStatus) {
+      return res.status(400).json({
+        error: 'Invalid status filter',
+        help: `Supported statuses: ${OPERATION_STATUSES.join(', ')}`,
+        provided: invalidStatus,
+      });
+    }
+
+    const workflows = queryString(req.query.workflow).split(',').map(workflow => workflow.trim()).filter(Boolean);
+    const invalidWorkflow = workflows.find(workflow => !OPERATION_WORKFLOWS.includes(workflow as MirrorWorkflow));
+    if (invalidWorkflow) {
+      return res.status(400).json({
+        error: 'Invalid workflow filter',
+        help: `Supported workflows: ${OPERATION_WORKFLOWS.join(', ')}`,
+        provided: invalidWorkflow,
+      });
+    }
+
+    const from = queryString(req.query.from);
+    const to = queryString(req.query.to);
+    const fromTime = from ? parseHistoryDate(from, false) : null;
+    const toTime = to ? parseHistoryDate(to, true) : null;
+    if ((from && fromTime === null) || (to && toTime === null)) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        help: 'Use ISO 8601 dates, e.g. 2024-05-01 or 2024-05-01T12:00:00Z',
+        provided: { from: req.query.from, to: req.query.to },
+      });
+    }
+
+    const configFile = queryString(req.query.configFile);
+    const destination = queryString(req.query.destination).toLowerCase();
+    const dryRunOnly = queryString(req.query.dryRun) === 'true';
+
+    const operations = await getOperations();
+    const matching = operations.filter(operation => {
+      if (statuses.length > 0 && !statuses.includes(operation.status)) {
+        return false;
+      }
+      if (configFile && operation.configFile !== configFile) {
+        return false;
+      }
+      if (workflows.length > 0 && !workflows.includes(operation.workflow || 'mirrorToDisk')) {
+        return false;
+      }
+      if (dryRunOnly && !operation.dryRun) {
+        return false;
+      }
+      const startedAt = new Date(operation.startedAt).getTime();
+      if (fromTime !== null && startedAt < fromTime) {
+        return false;
+      }
+      if (toTime !== null && startedAt > toTime) {
+        return false;
+      }
+      if (destination && !operationDestinations(operation).some(value => value.toLowerCase().includes(destination))) {
+        return false;
+      }
+      return true;
+    });
+
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    matching.sort((a, b) => compareOperations(a, b, sortBy) * direction);
+
+    const total = matching.length;
+    const totalPages = pageSize === 0 ? 1 : Math.max(1, Math.ceil(total / pageSize));
+    const pageItems = pageSize === 0 ? matching : matching.slice((page - 1) * pageSize, page * pageSize);
+
+    res.json({
+      operations: withQueuePositions(pageItems),
+      total,
+      page: pageSize === 0 ? 1 : page,
+      pageSize,
+      totalPages,
+      facets: {
+        configFiles: [...new Set(operations.map(operation => operation.configFile))].sort(),
+        destinations: [...new Set(operations.flatMap(operationDestinations))].sort(),
+      },
+    });
+  } catch (error: any) {
+    res.status(500).json({ error: 'Failed to get operation history' });
+  }
+});
+
+app.get('/api/operations/:id/retry-chain', async (req: Request, res: Response) => {
+  try {
+    const operations = await getOperations();
+    const byId = new Map(operations.map(operation => [operation.id, operation]));
+    if (!byId.has(req.params.id)) {
+      return res.status(404).json({ error: 'Operation not found' });
+    }
+
+    let root = byId.get(req.params.id) as OperationRecord;
+    while (root.parentOperationId && byId.has(root.parentOperationId)) {
+      root = byId.get(root.parentOperationId) as OperationRecord;
+    }
+
+    const chain: OperationRecord[] = [root];
+    for (let i = 0; i < chain.length; i++) {
+      const parentId = chain[i].id;
+      chain.push(...operations.filter(operation => operation.parentOperationId === parentId));
+    }
+    chain.sort((a, b) => (a.attempt || 1) - (b.attempt || 1)
+      || new Date(a.startedAt).getTime() - new Date(b.startedAt).getTime());
+
+    res.json(withQueuePositions(chain));
+  } catch (error: any) {
+    res.status(500).json({ error: 'Failed to get retry chain' });
+  }
+});
+
+const MIRROR_WORKFLOWS: MirrorWorkflow[] = ['mirrorToDisk', 'diskToMirror', 'mirrorToMirror'];
+const UPSTREAM_SOURCE = 'Upstream registries';
+
+function normalizeTargetRegistry(input: unknown): string | null {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const registry = input.trim().replace(/^docker:\/\//, '').replace(/\/+$/, '');
+  if (!registry || !/^[a-zA-Z0-9.-]+(:\d+)?(\/[a-zA-Z0-9._-]+)*$/.test(registry)) {
+    return null;
+  }
+
+  return registry;
+}
+
+function buildOcMirrorArgs(
+  workflow: MirrorWorkflow,
+  configPath: string,
+  mirrorPath: string,
+  cacheDir: string,
+  targetRegistry?: string,
+  dryRun = false,
+): string[] {
+  const mirrorUrl = pathToFileURL(mirrorPath).href;
+  const args = [
+    '--v2',
+    '--config', configPath,
+    '--dest-tls-verify=false',
+    '--src-tls-verify=false',
+    '--cache-dir', cacheDir,
+    '--authfile', AUTHFILE_PATH,
+  ];
+
+  if (dryRun) {
+    args.push('--dry-run');
+  }
+
+  switch (workflow) {
+    case 'diskToMirror':
+      args.push('--from', mirrorUrl, `docker://${targetRegistry}`);
+      break;
+    case 'mirrorToMirror':
+      args.push('--workspace', mirrorUrl, `docker://${targetRegistry}`);
+      break;
+    default:
+      args.push(mirrorUrl);
+  }
+
+  return args;
+}
+
+function getOperationConfigPath(operation: Pick<OperationRecord, 'configFile' | 'workflow'>): string {
+  return path.join(operation.workflow === 'delete' ? DELETE_CONFIGS_DIR : CONFIGS_DIR, operation.configFile);
+}
+
+function getDeletePlanPath(planOperationId: string): string {
+  return path.join(DELETE_PLANS_DIR, `${planOperationId}.yaml`);
+}
+
+interface OperationStep {
+  args: string[];
+  onSuccess?: () => Promise<void>;
+}
+
+function buildDeleteSteps(operation: OperationRecord): OperationStep[] {
+  const workspacePath = operation.mirrorDestination || DEFAULT_MIRROR_DIR;
+  const registryUrl = `docker://${operation.targetRegistry}`;
+  const commonArgs = [
+    '--v2',
+    '--dest-tls-verify=false',
+    '--src-tls-verify=false',
+    '--cache-dir', CACHE_DIR,
+    '--authfile', AUTHFILE_PATH,
+  ];
+  const stage = operation.deleteStage || 'all';
+  const steps: OperationStep[] = [];
+
+  if (stage !== 'execute') {
+    steps.push({
+      args: [
+        'delete',
+        '--config', getOperationConfigPath(operation),
+        '--workspace', pathToFileURL(workspacePath).href,
+        '--generate',
+        ...commonArgs,
+        registryUrl,
+      ],
+      // oc-mirror overwrites working-dir/delete on every run, so keep a copy per operation
+      onSuccess: () => fsp.copyFile(
+        path.join(workspacePath, 'working-dir', 'delete', 'delete-images.yaml'),
+        getDeletePlanPath(operation.id)
+      ),
+    });
+  }
+
+  if (stage !== 'generate') {
+    steps.push({
+      args: [
+        'delete',
+        '--delete-yaml-file', getDeletePlanPath(operation.deletePlanId || operation.id),
+        ...commonArgs,
+        ...(operation.forceCacheDelete ? ['--force-cache-delete=true'] : []),
+        registryUrl,
+      ],
+    });
+  }
+
+  return steps;
+}
+
+function buildOperationSteps(operation: OperationRecord): OperationStep[] {
+  if (operation.workflow === 'delete') {
+    return buildDeleteSteps(operation);
+  }
+
+  return [{
+    args: buildOcMirrorArgs(
+      operation.workflow || 'mirrorToDisk',
+      getOperationConfigPath(operation),
+      operation.mirrorDestination || DEFAULT_MIRROR_DIR,
+      CACHE_DIR,
+      operation.targetRegistry,
+      operation.dryRun,
+    ),
+  }];
+}
+
+// Takes over the slot reserved for the operation: runStep(0) adds it to
+// runningProcesses synchronously.
+function launchOperation(operation: OperationRecord): void {
+  releaseOperationSlot();
+  const operationId = operation.id;
+  const logFile = path.join(LOGS_DIR, `${operationId}.log`);
+  const logStream = fs.createWriteStream(logFile);
+  const steps = buildOperationSteps(operation);
+
+  let stdout = '';
+  let stderr = '';
+
+  const finishOperation = async (code: number | null) => {
+    runningProcesses.delete(operationId);
+    logStream.end();
+
+    try {
+      let logs = stdout + stderr;
+      if (!logs) {
+        try {
+          logs = await fsp.readFile(logFile, 'utf8');
+        } catch {}
+      }
+
+      const hasErrorInLogs = logs.toLowerCase().includes('[error]') || logs.toLowerCase().includes('error:');
+      let finalStatus: OperationRecord['status'] = 'success';
+      if (code !== 0 || hasErrorInLogs) finalStatus = 'failed';
+
+      const opData = await getOperation(operationId);
+      if (opData.status === 'stopped') finalStatus = 'stopped';
+      
+      const completedAt = new Date().toISOString();
+      const duration = Math.floor((new Date(completedAt).getTime() - new Date(operation.startedAt).getTime()) / 1000);
+
+      let dryRunSummary: DryRunSummary | undefined;
+      if (operation.dryRun) {
+        try {
+          dryRunSummary = await saveDryRunImages(operation);
+        } catch (error: any) {
+          console.error(`Error reading dry-run output for ${operationId}:`, error);
+        }
+      }
+      
+      await updateOperation(operationId, {
+        status: finalStatus,
+        dryRunSummary,
+        completedAt,
+        duration,
+        errorMessage: code !== 0 ? `Process exited with code ${code}` : (hasErrorInLogs ? 'Error detected in logs' : null),
+        results: operation.workflow === 'delete'
+          ? undefined
+          : await collectOperationResults(operation.mirrorDestination || DEFAULT_MIRROR_DIR)
+      });
+    } catch (error: any) {
+      console.error(`Error finalizing operation ${operationId}:`, error);
+    }
+    processQueue();
+  };
+
+  const runStep = (index: number) => {
+    const step = steps[index];
+    const child = spawn('oc-mirror', step.args, {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      cwd: APP_ROOT_DIR
+    });
+
+    runningProcesses.set(operationId, {
+      pid: child.pid,
+      child: child
+    });
+
+    if (child.pid) {
+      updateOperation(operationId, { pid: child.pid }).catch((error: any) => {
+        console.error(`Error recording pid for operation ${operationId}:`, error);
+      });
+    }
+
+    child.stdout!.pipe(logStream, { end: false });
+    child.stderr!.pipe(logStream, { end: false });
+
+    child.stdout!.on('data', (data: Buffer) => {
+      stdout += data.toString();
+    });
+
+    child.stderr!.on('data', (data: Buffer) => {
+      stderr += data.toString();
+    });
+
+    child.on('close', async (code: number | null) => {
+      if (code === 0 && step.onSuccess) {
+        try {
+          await step.onSuccess();
+        } catch (error: any) {
+          await fsp.appendFile(logFile, `[ERROR] ${error.message}\n`).catch(() => {});
+          return finishOperation(1);
+        }
+      }
+
+      if (code === 0 && index < steps.length - 1 && runningProcesses.has(operationId)) {
+        runStep(index + 1);
+        return;
+      }
+      finishOperation(code);
+    });
+
+    child.on('error', async (error: Error) => {
+      runningProcesses.delete(operationId);
+      logStream.end();
+
+      try {
+        const completedAt = new Date().toISOString();
+        const duration = Math.floor((new Date(completedAt).getTime() - new Date(operation.startedAt).getTime()) / 1000);
+
+        await fsp.appendFile(logFile, `${error.message}\n`);
+        await updateOperation(operationId, {
+          status: 'failed',
+          completedAt,
+          duration,
+          errorMessage: error.message
+        });
+      } catch (updateError: any) {
+        console.error(`Error finalizing operation ${operationId}:`, updateError);
+      }
+      processQueue();
+    });
+  };
+
+  runStep(0);
+}
+
+// Operations waiting for a free slot, in FIFO order. Slots are counted from
+// runningProcesses plus reservedOperationSlots, so an operation leaving the queue
+// holds its slot while its record is updated and until it has a process.
+const operationQueue: string[] = [];
+let queueProcessing = false;
+let queueRecheckRequested = false;
+
+async function processQueue(): Promise<void> {
+  if (queueProcessing) {
+    queueRecheckRequested = true;
+    return;
+  }
+  queueProcessing = true;
+
+  try {
+    do {
+      queueRecheckRequested = false;
+      const maxConcurrent = await getMaxConcurrentOperations();
+
+      while (operationQueue.length > 0 && getUsedOperationSlots() < maxConcurrent) {
+        const nextId = operationQueue.shift()!;
+        reservedOperationSlots++;
+        let operation: OperationRecord;
+        try {
+          const queued = await getOperation(nextId);
+          if (queued.status !== 'queued') {
+            releaseOperationSlot();
+            continue;
+          }
+          operation = await updateOperation(nextId, {
+            status: 'running',
+            startedAt: new Date().toISOString()
+          });
+        } catch {
+          releaseOperationSlot();
+          continue;
+        }
+        console.log(`Starting queued operation ${nextId} (${operationQueue.length} still queued)`);
+        launchOperation(operation);
+      }
+    } while (queueRecheckRequested);
+  } catch (error: any) {
+    console.error('Error processing operation queue:', error);
+  } finally {
+    queueProcessing = false;
+  }
+}
+
+// A "running" record without a process in runningProcesses was left behind by a
+// previous server instance. Live oc-mirror processes that are still writing logs
+// are adopted and watched; everything else is marked interrupted.
+const ORPHAN_LOG_IDLE_MS = 10 * 60 * 1000;
+const ADOPTED_PROCESS_POLL_MS = 15 * 1000;
+
+function isOcMirrorProcessAlive(pid?: number): boolean {
+  if (!pid) {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+  } catch (error: any) {
+    if (error.code !== 'EPERM') {
+      return false;
+    }
+  }
+  // PIDs are reused after a container restart, so make sure it is still oc-mirror
+  try {
+    return fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').includes('oc-mirror');
+  } catch {
+    return true;
+  }
+}
+
+async function getLastLogActivity(operationId: string): Promise<Date | null> {
+  try {
+    return (await fsp.stat(path.join(LOGS_DIR, `${operationId}.log`))).mtime;
+  } catch {
+    return null;
+  }
+}
+
+async function markOperationInterrupted(operation: OperationRecord, reason: string): Promise<void> {
+  const lastActivity = await getLastLogActivity(operation.id);
+  const completedAt = (lastActivity || new Date()).toISOString();
+
+  await updateOperation(operation.id, {
+    status: 'interrupted',
+    completedAt,
+    duration: Math.max(0, Math.floor((new Date(completedAt).getTime() - new Date(operation.startedAt).getTime()) / 1000)),
+    errorMessage: reason
+  });
+  console.log(`Marked operation ${operation.id} as interrupted: ${reason}`);
+}
+
+function adoptOrphanedProcess(operation: OperationRecord): void {
+  runningProcesses.set(operation.id, { pid: operation.pid });
+  console.log(`Adopted running oc-mirror process ${operation.pid} for operation ${operation.id}`);
+
+  const timer = setInterval(async () => {
+    if (isOcMirrorProcessAlive(operation.pid)) {
+      return;
+    }
+    clearInterval(timer);
+    runningProcesses.delete(operation.id);
+
+    try {
+      const current = await getOperation(operation.id);
+      if (current.status === 'running') {
+        await markOperationInterrupted(current, `oc-mirror process ${operation.pid} exited after a server restart, so its exit status is unknown. Check the logs and retry if needed.`);
+      }
+    } catch (error: any) {
+      console.error(`Error finalizing adopted operation ${operation.id}:`, error);
+    }
+    processQueue();
+  }, ADOPTED_PROCESS_POLL_MS);
+}
+
+async function reconcileOrphanedOperations(): Promise<void> {
+  const orphans = (await getOperations()).filter(op => op.status === 'running' && !runningProcesses.has(op.id));
+
+  for (const operation of orphans) {
+    try {
+      const lastActivity = await getLastLogActivity(operation.id);
+      const lastOutput = lastActivity ? ` Last log output at ${lastActivity.toISOString()}.` : '';
+      const logIdle = !lastActivity || Date.now() - lastActivity.getTime() > ORPHAN_LOG_IDLE_MS;
+
+      if (!isOcMirrorProcessAlive(operation.pid)) {
+        await markOperationInterrupted(operation, operation.pid
+          ? `The server restarted while this operation was running and oc-mirror process ${operation.pid} no longer exists.${lastOutput}`
+          : `The server restarted while this operation was running.${lastOutput}`);
+      } else if (logIdle) {
+        process.kill(operation.pid!, 'SIGTERM');
+        await markOperationInterrupted(operation, `oc-mirror process ${operation.pid} survived a server restart but wrote no log output for ${ORPHAN_LOG_IDLE_MS / 60000} minutes, so it was terminated.${lastOutput}`);
+      } else {
+        adoptOrphanedProcess(operation);
+      }
+    } catch (error: any) {
+      console.error(`Error reconciling operation ${operation.id}:`, error);
+    }
+  }
+}
+
+async function restoreOperationQueue(): Promise<void> {
+  const queued = (await getOperations())
+    .filter(op => op.status === 'queued')
+    .sort((a, b) => new Date(a.queuedAt || a.startedAt).getTime() - new Date(b.queuedAt || b.startedAt).getTime());
+
+  for (const op of queued) {
+    if (!operationQueue.includes(op.id)) {
+      operationQueue.push(op.id);
+    }
+  }
+
+  if (queued.length > 0) {
+    console.log(`Restored ${queued.length} queued operations`);
+    await processQueue();
+  }
+}
+
+type NewOperationRecord = Omit<OperationRecord, 'status' | 'queuedAt' | 'startedAt'>;
+type SubmitOperationResult = ReturnType<typeof submitOperation>;
+
+const MIRROR_BEING_DELETED_ERROR = {
+  error: 'The mirror directory is being deleted',
+  help: 'Wait for the deletion to finish, then start the operation again'
+};
+
+// Saves a new operation record and launches or queues it. Returns null without
+// saving anything while its mirror directory is being deleted.
+async function createOperation(operation: NewOperationRecord): Promise<SubmitOperationResult | null> {
+  const release = claimMirrorForOperation(operation.mirrorDestination || DEFAULT_MIRROR_DIR);
+  if (!release) {
+    return null;
+  }
+
+  const hasSlot = await reserveOperationSlot();
+  try {
+    const queuedAt = new Date().toISOString();
+    const record: OperationRecord = {
+      ...operation,
+      status: hasSlot ? 'running' : 'queued',
+      queuedAt,
+      startedAt: queuedAt
+    };
+    try {
+      await saveOperation(record);
+    } catch (error) {
+      if (hasSlot) releaseOperationSlot();
+      throw error;
+    }
+    return submitOperation(record);
+  } finally {
+    release();
+  }
+}
+
+// Launches the operation when a slot is free, otherwise appends it to the queue.
+// A "running" record must hold a slot taken with reserveOperationSlot().
+function submitOperation(operation: OperationRecord): { message: string; operationId: string; status: OperationRecord['status']; queuePosition?: number } {
+  if (operation.status === 'running') {
+    launchOperation(operation);
+    return { message: 'Operation started successfully', operationId: operation.id, status: operation.status };
+  }
+
+  operationQueue.push(operation.id);
+  console.log(`Queued operation ${operation.id} at position ${operationQueue.length}`);
+  processQueue();
+
+  return {
+    message: 'Operation queued until a slot is available',
+    operationId: operation.id,
+    status: operation.status,
+    queuePosition: operationQueue.indexOf(operation.id) + 1
+  };
+}
+
+// Slots promised to operations that have not reached runningProcesses yet, because
+// their record is still being saved. Taken and counted without awaiting in between,
+// so concurrent starts cannot both see the same free slot.
+let reservedOperationSlots = 0;
+
+function getUsedOperationSlots(): number {
+  return runningProcesses.size + reservedOperationSlots;
+}
+
+async function reserveOperationSlot(): Promise<boolean> {
+  const maxConcurrent = await getMaxConcurrentOperations();
+  if (operationQueue.length > 0 || getUsedOperationSlots() >= maxConcurrent) {
+    return false;
+  }
+  reservedOperationSlots++;
+  return true;
+}
+
+function releaseOperationSlot(): void {
+  reservedOperationSlots = Math.max(0, reservedOperationSlots - 1);
+}
+
+function withQueuePositions(operations: OperationRecord[]): OperationRecord[] {
+  return operations.map(op => {
+    const index = operationQueue.indexOf(op.id);
+    return index === -1 ? op : { ...op, queuePosition: index + 1 };
+  });
+}
+
+interface StartOperationOptions {
+  configFile: string;
+  mirrorDestinationSubdir?: string;
+  workflow?: MirrorWorkflow;
+  targetRegistry?: string;
+  dryRun?: boolean;
+  scheduleId?: string;
+  scheduleName?: string;
+}
+
+interface StartOperationResult {
+  statusCode: number;
+  body: Record<string, any>;
+}
+
+// Validates the request, prepares the mirror directory and launches or queues the
+// operation. Shared by the start route and scheduled runs.
+async function startOperation(options: StartOperationOptions): Promise<StartOperationResult> {
+  const { configFile, mirrorDestinationSubdir, dryRun = false } = options;
+  const workflow: MirrorWorkflow = options.workflow || 'mirrorToDisk';
+  const operationId = uuidv4();
+  const configPath = path.join(CONFIGS_DIR, configFile);
+
+  if (!MIRROR_WORKFLOWS.includes(workflow)) {
+    return {
+      statusCode: 400,
+      body: {
+        error: 'Invalid workflow',
+        provided: workflow,
+        help: `Use one of: ${MIRROR_WORKFLOWS.join(', ')}`
+      }
+    };
+  }
+
+  let targetRegistry: string | undefined;
+  if (workflow !== 'mirrorToDisk') {
+    const normalizedRegistry = normalizeTargetRegistry(options.targetRegistry);
+    if (!normalizedRegistry) {
+      return {
+        statusCode: 400,
+        body: {
+          error: 'A valid target registry is required for this workflow',
+          provided: options.targetRegistry,
+          help: 'Use a registry host with optional port and path, e.g. "registry.example.com:5000/mirror"'
+        }
+      };
+    }
+    targetRegistry = normalizedRegistry;
+  }
+
+  try {
+    await fsp.access(configPath);
+  } catch (error: any) {
+    return { statusCode: 404, body: { error: 'Configuration file not found' } };
+  }
+
+  const baseMirrorPath = MIRROR_BASE_DIR;
+  let subdirName = 'default';
+  
+  if (mirrorDestinationSubdir && mirrorDestinationSubdir.trim()) {
+    const subdirInput = mirrorDestinationSubdir.trim();
+
+    if (subdirInput.includes('/') || subdirInput.includes('..') || subdirInput.includes('\\')) {
+      return {
+        statusCode: 400,
+        body: {
+          error: 'Subdirectory name cannot contain path separators or traversal characters',
+          provided: subdirInput,
+          help: 'Use a simple name like "odf" or "production" (no slashes or special characters)'
+        }
+      };
+    }
+    
+    if (!subdirInput || subdirInput.length === 0) {
+      return { statusCode: 400, body: { error: 'Subdirectory name cannot be empty' } };
+    }
+
+    if (!/^[a-zA-Z0-9_-]+$/.test(subdirInput)) {
+      return {
+        statusCode: 400,
+        body: {
+          error: 'Subdirectory name contains invalid characters',
+          provided: subdirInput,
+          help: 'Use only letters, numbers, dashes (-), and underscores (_)'
+        }
+      };
+    }
+    
+    subdirName = subdirInput;
+  }
+
+  const mirrorPath = path.join(baseMirrorPath, subdirName);
+
+  if (workflow === 'diskToMirror') {
+    const sourceExists = await fsp.access(mirrorPath).then(() => true).catch(() => false);
+    if (!sourceExists) {
+      return {
+        statusCode: 404,
+        body: {
+          error: 'Mirror source directory not found',
+          path: mirrorPath,
+          subdirectory: subdirName,
+          help: 'Run a mirrorToDisk operation into this subdirectory first, or copy an archive set into it.'
+        }
+      };
+    }
+  }
+
+  try {
+    await fsp.mkdir(baseMirrorPath, { recursive: true, mode: 0o777 });
+    const testFile = path.join(baseMirrorPath, `.test-write-${operationId}`);
+    try {
+      await fsp.writeFile(testFile, 'test', { flag: 'w' });
+      await fsp.unlink(testFile);
+    } catch (writeError: any) {
+      console.error(`Cannot write to base mirror directory ${baseMirrorPath}:`, writeError);
+      return {
+        statusCode: 500,
+        body: {
+          error: 'Base mirror directory is not writable',
+          path: baseMirrorPath,
+          details: writeError.message,
+          code: writeError.code
+        }
+      };
+    }
+  } catch (error: any) {
+    console.error(`Error accessing base mirror directory ${baseMirrorPath}:`, error);
+    return {
+      statusCode: 500,
+      body: {
+        error: 'Cannot access base mirror directory',
+        path: baseMirrorPath,
+        details: error.message,
+        code: error.code
+      }
+    };
+  }
+
+  try {
+    const dirExists = await fsp.access(mirrorPath).then(() => true).catch(() => false);
+
+    if (!dirExists) {
+      await fsp.mkdir(mirrorPath, { recursive: true, mode: 0o775 });
+      console.log(`Created new mirror directory: ${mirrorPath}`);
+    } else {
+      console.log(`Using existing mirror directory: ${mirrorPath}`);
+    }
+
+    await fsp.access(mirrorPath, fs.constants.W_OK);
+
+    const testFile = path.join(mirrorPath, `.test-write-${operationId}`);
+    try {
+      await fsp.writeFile(testFile, 'test', { flag: 'w' });
+      await fsp.unlink(testFile);
+    } catch (writeError: any) {
+      console.error(`Cannot write to mirror directory ${mirrorPath}:`, writeError);
+      return {
+        statusCode: 500,
+        body: {
+          error: 'Mirror destination directory exists but is not writable',
+          path: mirrorPath,
+          subdirectory: subdirName,
+          details: writeError.message,
+          code: writeError.code,
+          help: 'The directory exists but the container cannot write to it. Check permissions on the host.'
+        }
+      };
+    }
+  } catch (error: any) {
+    console.error(`Error creating/accessing mirror directory ${mirrorPath}:`, error);
+    return {
+      statusCode: 500,
+      body: {
+        error: 'Cannot create or access mirror destination directory',
+        path: mirrorPath,
+        subdirectory: subdirName,
+        details: error.message,
+        code: error.code
+      }
+    };
+  }
+
+  const mirrorUrl = pathToFileURL(mirrorPath).href;
+  const operation: NewOperationRecord = {
+    id: operationId,
+    name: `${dryRun ? 'Dry Run' : 'Mirror Operation'} ${operationId.slice(0, 8)}`,
+    configFile,
+    mirrorDestination: mirrorPath,
+    workflow,
+    dryRun: dryRun || undefined,
+    scheduleId: options.scheduleId,
+    scheduleName: options.scheduleName,
+    source: workflow === 'diskToMirror' ? mirrorUrl : UPSTREAM_SOURCE,
+    destination: workflow === 'mirrorToDisk' ? mirrorUrl : `docker://${targetRegistry}`,
+    targetRegistry
+  };
+
+  let result: SubmitOperationResult | null;
+  try {
+    result = await createOperation(operation);
+  } catch (error: any) {
+    console.error(`Error saving operation ${operationId}:`, error);
+    return {
+      statusCode: 500,
+      body: {
+        error: 'Failed to create operation record',
+        details: error.message
+      }
+    };
+  }
+  if (!result) {
+    return { statusCode: 409, body: MIRROR_BEING_DELETED_ERROR };
+  }
+
+  return { statusCode: 200, body: result };
+}
+
+app.post('/api/operations/start', async (req: Request, res: Response) => {
+  try {
+    const result = await startOperation({
+      configFile: req.body.configFile,
+      mirrorDestinationSubdir: req.body.mirrorDestinationSubdir,
+      workflow: req.body.workflow,
+      targetRegistry: req.body.targetRegistry,
+      dryRun: req.body.dryRun === true
+    });
+    res.status(result.statusCode).json(result.body);
+  } catch (error: any) {
+    console.error('Error starting operation:', error);
+    res.status(500).json({ error: 'Failed to start operation' });
+  }
+});
+
+app.post('/api/operations/:id/retry', async (req: Request, res: Response) => {
+  try {
+    const { id } = req.params;
+    let parent: OperationRecord;
+    try {
+      parent = await getOperation(id);
+    } catch {
+      return res.status(404).json({ error: 'Operation not found' });
+    }
+
+    if (parent.status !== 'failed' && parent.status !== 'stopped' && parent.status !== 'interrupted') {
+      return res.status(409).json({
+        error: 'Only failed, stopped or interrupted operations can be retried',
+        status: parent.status
+      });
+    }
+
+    try {
+      await fsp.access(getOperationConfigPath(parent));
+    } catch {
+      return res.status(404).json({ error: 'Configuration file not found', configFile: parent.configFile });
+    }
+
+    const workflow = parent.workflow || 'mirrorToDisk';
+    const mirrorPath = parent.mirrorDestination || DEFAULT_MIRROR_DIR;
+
+    if (workflow === 'diskToMirror') {
+      const sourceExists = await fsp.access(mirrorPath).then(() => true).catch(() => false);
+      if (!sourceExists) {
+        return res.status(404).json({ error: 'Mirror source directory not found', path: mirrorPath });
+      }
+    } else {
+      try {
+        await fsp.mkdir(mirrorPath, { recursive: true, mode: 0o775 });
+      } catch (error: any) {
+        console.error(`Error creating mirror directory ${mirrorPath}:`, error);
+        return res.status(500).json({
+          error: 'Cannot create or access mirror destination directory',
+          path: mirrorPath,
+          details: error.message
+        });
+      }
+    }
+
+    // The cache directory is shared, so oc-mirror picks up where the parent stopped.
+    const operationId = uuidv4();
+    const operation: NewOperationRecord = {
+      id: operationId,
+      name: `${getOperationLabel(parent)} ${operationId.slice(0, 8)}`,
+      configFile: parent.configFile,
+      mirrorDestination: mirrorPath,
+      workflow,
+      dryRun: parent.dryRun,
+      deleteStage: parent.deleteStage,
+      deletePlanId: parent.deletePlanId,
+      forceCacheDelete: parent.forceCacheDelete,
+      source: parent.source,
+      destination: parent.destination,
+      targetRegistry: parent.targetRegistry,
+      parentOperationId: parent.id,
+      attempt: (parent.attempt || 1) + 1
+    };
+
+    let result: SubmitOperationResult | null;
+    try {
+      result = await createOperation(operation);
+    } catch (error: any) {
+      console.error(`Error saving operation ${operationId}:`, error);
+      return res.status(500).json({
+        error: 'Failed to create operation record',
+        details: error.message
+      });
+    }
+    if (!result) {
+      return res.status(409).json(MIRROR_BEING_DELETED_ERROR);
+    }
+
+    console.log(`Retrying operation ${parent.id} as ${operationId} (attempt ${operation.attempt})`);
+    res.json({ ...result, parentOperationId: parent.id, attempt: operation.attempt });
+  } catch (error: any) {
+    console.error('Error retrying operation:', error);
+    res.status(500).json({ error: 'Failed to retry operation' });
+  }
+});
+
+function getOperationLabel(operation: Pick<OperationRecord, 'workflow' | 'dryRun' | 'deleteStage'>): string {
+  if (operation.workflow === 'delete') {
+    return operation.deleteStage === 'generate' ? 'Delete Plan' : 'Delete Operation';
+  }
+  return operation.dryRun ? 'Dry Run' : 'Mirror Operation';
+}
+
+// DeleteImageSetConfigurations live next to, but apart from, the mirror
+// configurations so they never show up as something that can be mirrored.
+const DELETE_CONFIG_SECTIONS = ['platform', 'operators', 'additionalImages', 'helm'];
+
+function isValidDeleteConfigFilename(filename: string): boolean {
+  return isValidConfigFilename(filename) && (filename.endsWith('.yaml') || filename.endsWith('.yml'));
+}
+
+async function validateDeleteImageSetConfiguration(config: unknown): Promise<ConfigValidationResult> {
+  if (!isPlainObject(config)) {
+    return { valid: false, errors: [{ path: '', message: 'Configuration must be a YAML object' }], warnings: [] };
+  }
+
+  // The delete section has the same schema as mirror, so reuse its rules
+  const result = await validateImageSetConfiguration({
+    kind: 'ImageSetConfiguration',
+    apiVersion: config.apiVersion,
+    mirror: config.delete,
+  });
+  const toDeletePath = (issue: ConfigValidationIssue) => ({
+    ...issue,
+    path: issue.path.replace(/^mirror/, 'delete'),
+    message: issue.message.replace('Missing mirror section', 'Missing delete section'),
+  });
+  const errors = result.errors.map(toDeletePath);
+  const warnings = result.warnings.map(toDeletePath);
+
+  if (config.kind !== 'DeleteImageSetConfiguration') {
+    errors.unshift({ path: 'kind', message: 'Must be a DeleteImageSetConfiguration' });
+  }
+  if (isPlainObject(config.delete) && config.delete.blockedImages !== undefined) {
+    warnings.push({ path: 'delete.blockedImages', message: 'Not used by oc-mirror delete' });
+  }
+  Object.keys(config)
+    .filter(key => !['kind', 'apiVersion', 'delete'].includes(key))
+    .forEach(key => warnings.push({ path: key, message: 'Unknown field, ignored by oc-mirror v2' }));
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+function channelKey(channel: Record<string, any>): string {
+  return `${channel.type || ''}:${channel.name}`;
+}
+
+// Versions of a channel in the pre-fetched catalog metadata, oldest first, or
+// null when the catalog or channel is not known there.
+async function findChannelVersions(catalogUrl: string, packageName: string, channelName: string): Promise<string[] | null> {
+  const operators = await findPreFetchedCatalogOperators(catalogUrl);
+  const versions = operators?.find(entry => entry.name === packageName)?.channelVersions?.[channelName];
+  return versions ? sortVersions(versions) : null;
+}
+
+// Versions oc-mirror selects from a channel: those within the channel or
+// package bounds, every version with full, and otherwise only the newest.
+function selectChannelVersions(versions: string[], channel: Record<string, any>, pkg: Record<string, any>, full: boolean): string[] {
+  const minVersion = channel.minVersion || pkg.minVersion;
+  const maxVersion = channel.maxVersion || pkg.maxVersion;
+  if (minVersion || maxVersion) {
+    return versions.filter(version => isVersionInBounds(version, minVersion, maxVersion));
+  }
+  return full ? versions : versions.slice(-1);
+}
+
+const hasEntries = (value: unknown): boolean => Array.isArray(value) && value.length > 0;
+
+// Delete entry for a package that source mirrors and keep still mirrors in
+// some form. Versions are resolved from the catalog metadata so nothing keep
+// still mirrors, in any of its channels, ends up in the delete range. Package
+// shapes whose overlap cannot be worked out are left out with a warning.
+async function buildPackageDeleteEntry(
+  catalog: Record<string, any>,
+  pkg: Record<string, any>,
+  kept: { catalog: Record<string, any>; pkg: Record<string, any> }[],
+  warnings: string[]
+): Promise<Record<string, any> | null> {
+  if (hasEntries(pkg.bundles)) {
+    if (kept.some(entry => !hasEntries(entry.pkg.bundles))) {
+      warnings.push(`${pkg.name}: lists bundles while the kept configuration mirrors it by channel; its bundles are not included`);
+      return null;
+    }
+    const keptBundles = new Set(kept.flatMap(entry => entry.pkg.bundles.map((bundle: Record<string, any>) => bundle?.name)));
+    const bundles = pkg.bundles.filter((bundle: Record<string, any>) => !keptBundles.has(bundle?.name));
+    return bundles.length > 0 ? { name: pkg.name, bundles: structuredClone(bundles) } : null;
+  }
+  if (kept.some(entry => hasEntries(entry.pkg.bundles))) {
+    warnings.push(`${pkg.name}: the kept configuration lists bundles of it; its channels are not included`);
+    return null;
+  }
+  if (!hasEntries(pkg.channels) || kept.some(entry => !hasEntries(entry.pkg.channels))) {
+    warnings.push(`${pkg.name}: mirrored through its default channel; select channels explicitly to delete versions that are no longer mirrored`);
+    return null;
+  }
+
+  const keptVersions = new Set<string>();
+  for (const entry of kept) {
+    for (const channel of entry.pkg.channels) {
+      const versions = await findChannelVersions(entry.catalog.catalog, pkg.name, channel.name);
+      if (!versions) {
+        warnings.push(`${pkg.name}: no catalog versions found for kept channel ${channel.name}; the package is not included`);
+        return null;
+      }
+      selectChannelVersions(versions, channel, entry.pkg, Boolean(entry.catalog.full)).forEach(version => keptVersions.add(version));
+    }
+  }
+
+  const channels: Record<string, any>[] = [];
+  for (const channel of pkg.channels) {
+    const versions = await findChannelVersions(catalog.catalog, pkg.name, channel.name);
+    if (!versions) {
+      warnings.push(`${pkg.name} channel ${channel.name}: no catalog versions found for ${catalog.catalog}; not included`);
+      continue;
+    }
+    let candidates = selectChannelVersions(versions, channel, pkg, Boolean(catalog.full));
+
+    // A kept channel only gives up the versions below its raised minVersion
+    const keptChannels = kept.flatMap(entry => entry.pkg.channels
+      .filter((keptChannel: Record<string, any>) => keptChannel.name === channel.name)
+      .map((keptChannel: Record<string, any>) => keptChannel.minVersion || entry.pkg.minVersion));
+    if (keptChannels.length > 0) {
+      if (keptChannels.some(minVersion => !minVersion)) {
+        continue;
+      }
+      const lowestKept = sortVersions(keptChannels)[0];
+      candidates = candidates.filter(version => compareVersionStrings(version, lowestKept) < 0);
+    }
+
+    // The delete range cannot have gaps, so it stops below the first version keep still mirrors
+    const firstKept = candidates.findIndex(version => keptVersions.has(version));
+    if (firstKept !== -1) {
+      warnings.push(`${pkg.name} channel ${channel.name}: ${candidates[firstKept]} is still mirrored by the kept configuration; it and later versions are not included`);
+      candidates = candidates.slice(0, firstKept);
+    }
+    if (candidates.length > 0) {
+      channels.push({ name: channel.name, minVersion: candidates[0], maxVersion: candidates[candidates.length - 1] });
+    }
+  }
+  return channels.length > 0 ? { name: pkg.name, channels } : null;
+}
+
+// Builds the delete section for everything in source. With keep, only what
+// source mirrors and keep no longer does is deleted: removed packages, channels,
+// bundles, images and charts, plus operator versions cut off by a raised
+// minVersion, never a version keep still mirrors.
+async function buildDeleteSection(
+  source: Record<string, any>,
+  keep?: Record<string, any>
+): Promise<{ section: Record<string, any>; warnings: string[] }> {
+  const section: Record<string, any> = {};
+  const warnings: string[] = [];
+
+  if (!keep) {
+    for (const key of DELETE_CONFIG_SECTIONS) {
+      if (source[key] !== undefined) {
+        section[key] = structuredClone(source[key]);
+      }
+    }
+    if (section.platform) {
+      delete section.platform.graph;
+    }
+    return { section, warnings };
+  }
+
+  const keepChannels = new Map<string, Record<string, any>>(
+    (keep.platform?.channels || []).map((channel: Record<string, any>) => [channelKey(channel), channel])
+  );
+  const platformChannels = (source.platform?.channels || []).filter((channel: Record<string, any>) => {
+    const kept = keepChannels.get(channelKey(channel));
+    if (kept && kept.minVersion && kept.minVersion !== channel.minVersion) {
+      warnings.push(`Platform channel ${channel.name}: minVersion changed to ${kept.minVersion}; older releases are not deleted automatically`);
+    }
+    return !kept;
+  });
+  if (platformChannels.length > 0) {
+    section.platform = { channels: platformChannels };
+    if (source.platform.architectures) {
+      section.platform.architectures = source.platform.architectures;
+    }
+  }
+
+  const operators: Record<string, any>[] = [];
+  for (const catalog of source.operators || []) {
+    // Catalog tags follow the OpenShift version, so match on the repository
+    const repository = imageRepository(String(catalog.catalog || ''));
+    const keptCatalogs = (keep.operators || []).filter((entry: Record<string, any>) =>
+      imageRepository(String(entry.catalog || '')) === repository);
+    if (keptCatalogs.length === 0) {
+      operators.push(structuredClone(catalog));
+      continue;
+    }
+    if (keptCatalogs.some((entry: Record<string, any>) => entry.full && !hasEntries(entry.packages))) {
+      warnings.push(`Catalog ${catalog.catalog}: the kept configuration mirrors the whole catalog; nothing is deleted from it`);
+      continue;
+    }
+    if (catalog.full && !hasEntries(catalog.packages)) {
+      warnings.push(`Catalog ${catalog.catalog}: mirrored in full; list its packages to delete what the kept configuration no longer mirrors`);
+      continue;
+    }
+
+    const packages: Record<string, any>[] = [];
+    for (const pkg of catalog.packages || []) {
+      const keptPackages = keptCatalogs.flatMap((entry: Record<string, any>) => (entry.packages || [])
+        .filter((keptPackage: Record<string, any>) => keptPackage.name === pkg.name)
+        .map((keptPackage: Record<string, any>) => ({ catalog: entry, pkg: keptPackage })));
+      if (keptPackages.length === 0) {
+        packages.push(structuredClone(pkg));
+        continue;
+      }
+      const deleteEntry = await buildPackageDeleteEntry(catalog, pkg, keptPackages, warnings);
+      if (deleteEntry) {
+        packages.push(deleteEntry);
+      }
+    }
+    if (packages.length > 0) {
+      operators.push({ catalog: catalog.catalog, ...(catalog.full ? { full: true } : {}), packages });
+    }
+  }
+  if (operators.length > 0) {
+    section.operators = operators;
+  }
+
+  const keptImages = new Set((keep.additionalImages || []).map((image: Record<string, any>) => image.name));
+  const additionalImages = (source.additionalImages || []).filter((image: Record<string, any>) => !keptImages.has(image.name));
+  if (additionalImages.length > 0) {
+    section.additionalImages = additionalImages;
+  }
+
+  const repositories = (source.helm?.repositories || []).map((repo: Record<string, any>) => {
+    const keptRepo = (keep.helm?.repositories || []).find((entry: Record<string, any>) => entry.name === repo.name);
+    if (!keptRepo) {
+      return repo;
+    }
+    const charts = (repo.charts || []).filter((chart: Record<string, any>) =>
+      !(keptRepo.charts || []).some((entry: Record<string, any>) => entry.name === chart.name && entry.version === chart.version));
+    return charts.length > 0 ? { ...repo, charts } : null;
+  }).filter(Boolean);
+  const local = (source.helm?.local || []).filter((chart: Record<string, any>) =>
+    !(keep.helm?.local || []).some((entry: Record<string, any>) => entry.name === chart.name && entry.path === chart.path));
+  if (repositories.length > 0 || local.length > 0) {
+    section.helm = {
+      ...(repositories.length > 0 ? { repositories } : {}),
+      ...(local.length > 0 ? { local } : {}),
+    };
+  }
+
+  return { section, warnings };
+}
+
+async function readMirrorConfig(filename: string): Promise<Record<string, any> | null> {
+  if (!isValidConfigFilename(filename)) {
+    return null;
+  }
+  try {
+    const parsed = YAML.parse(await fsp.readFile(path.join(CONFIGS_DIR, filename), 'utf8'));
+    return isPlainObject(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+app.post('/api/delete-configs/generate', async (req: Request, res: Response) => {
+  try {
+    const { configFile, keepConfigFile } = req.body;
+    if (!configFile) {
+      return res.status(400).json({ error: 'configFile is required' });
+    }
+
+    const source = await readMirrorConfig(configFile);
+    if (!source) {
+      return res.status(404).json({ error: 'Configuration file not found or not valid YAML', configFile });
+    }
+    let keep: Record<string, any> | undefined;
+    if (keepConfigFile) {
+      keep = (await readMirrorConfig(keepConfigFile)) || undefined;
+      if (!keep) {
+        return res.status(404).json({ error: 'Configuration file not found or not valid YAML', configFile: keepConfigFile });
+      }
+    }
+
+    const { section, warnings } = await buildDeleteSection(source.mirror || {}, keep ? keep.mirror || {} : undefined);
+    const deleteConfig = {
+      kind: 'DeleteImageSetConfiguration',
+      apiVersion: IMAGESET_API_VERSION,
+      delete: section,
+    };
+
+    res.json({
+      content: YAML.stringify(deleteConfig),
+      empty: Object.keys(section).length === 0,
+      warnings,
+    });
+  } catch (error: any) {
+    console.error('Error generating delete configuration:', error);
+    res.status(500).json({ error: 'Failed to generate delete configuration' });
+  }
+});
+
+app.get('/api/delete-configs', async (req: Request, res: Response) => {
+  try {
+    const files = (await fsp.readdir(DELETE_CONFIGS_DIR)).filter(isValidDeleteConfigFilename);
+    const configs = [];
+    for (const file of files) {
+      const stats = await fsp.stat(path.join(DELETE_CONFIGS_DIR, file));
+      configs.push({ name: file, size: `${(stats.size / 1024).toFixed(2)} KB`, modified: stats.mtime });
+    }
+    res.json(configs);
+  } catch (error: any) {
+    console.error('Error listing delete configurations:', error);
+    res.status(500).json({ error: 'Failed to list delete configurations' });
+  }
+});
+
+app.get('/api/delete-configs/:filename', async (req: Request, res: Response) => {
+  try {
+    const { filename } = req.params;
+    if (!isValidDeleteConfigFilename(filename)) {
+      return res.status(400).json({ error: 'Invalid filename' });
+    }
+    try {
+      res.json({ filename, content: await fsp.readFile(path.join(DELETE_CONFIGS_DIR, filename), 'utf8') });
+    } catch {
+      res.status(404).json({ error: 'Delete configuration not found' });
+    }
+  } catch (error: any) {
+    console.error('Error reading delete configuration:', error);
+    res.status(500).json({ error: 'Failed to read delete configuration' });
+  }
+});
+
+app.post('/api/delete-configs', async (req: Request, res: Response) => {
+  try {
+    const { name, content } = req.body;
+    const filename = name && !name.endsWith('.yaml') && !name.endsWith('.yml') ? `${name}.yaml` : name;
+    if (!filename || !isValidDeleteConfigFilename(filename)) {
+      return res.status(400).json({ error: 'Invalid filename', provided: name });
+    }
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'content is required' });
+    }
+
+    let parsed: unknown;
+    try {
+      parsed = YAML.parse(content);
+    } catch (yamlError: any) {
+      return res.status(400).json({ error: `Invalid YAML: ${yamlError.message}` });
+    }
+    const validation = await validateDeleteImageSetConfiguration(parsed);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid DeleteImageSetConfiguration', details: validation.errors, warnings: validation.warnings });
+    }
+
+    await fsp.writeFile(path.join(DELETE_CONFIGS_DIR, filename), content);
+    res.json({ message: 'Delete configuration saved successfully', filename, warnings: validation.warnings });
+  } catch (error: any) {
+    console.error('Error saving delete configuration:', error);
+    res.status(500).json({ error: 'Failed to save delete configuration' });
+  }
+});
+
+app.delete('/api/delete-configs/:filename', async (req: Request, res: Response) => {
+  try {
+    const { filename } = req.params;
+    if (!isValidDeleteConfigFilename(filename)) {
+      return res.status(400).json({ error: 'Invalid filename' });
+    }
+    try {
+      await fsp.unlink(path.join(DELETE_CONFIGS_DIR, filename));
+    } catch {
+      return res.status(404).json({ error: 'Delete configuration not found' });
+    }
+    res.json({ message: 'Delete configuration deleted successfully' });
+  } catch (error: any) {
+    console.error('Error deleting delete configuration:', error);
+    res.status(500).json({ error: 'Failed to delete delete configuration' });
+  }
+});
+
+
+// Starts a tracked delete against targetRegistry. The mirror subdirectory is the
+// oc-mirror workspace used when the images were mirrored. With execute=false only
+// the plan is generated; review it and run POST /api/operations/:id/delete-execute.
+app.post('/api/operations/delete', async (req: Request, res: Response) => {
+  try {
+    const { deleteConfigFile, mirrorDestinationSubdir, forceCacheDelete, execute } = req.body;
+    if (!deleteConfigFile || !isValidDeleteConfigFilename(deleteConfigFile)) {
+      return res.status(400).json({ error: 'A valid deleteConfigFile is required', provided: deleteConfigFile });
+    }
+    try {
+      await fsp.access(path.join(DELETE_CONFIGS_DIR, deleteConfigFile));
+    } catch {
+      return res.status(404).json({ error: 'Delete configuration not found' });
+    }
+
+    const targetRegistry = normalizeTargetRegistry(req.body.targetRegistry);
+    if (!targetRegistry) {
+      return res.status(400).json({
+        error: 'A valid target registry is required for this workflow',
+        provided: req.body.targetRegistry,
+        help: 'Use a registry host with optional port and path, e.g. "registry.example.com:5000/mirror"'
+      });
+    }
+
+    const subdir = typeof mirrorDestinationSubdir === 'string' && mirrorDestinationSubdir.trim()
+      ? mirrorDestinationSubdir.trim()
+      : 'default';
+    if (!MIRROR_NAME_PATTERN.test(subdir)) {
+      return res.status(400).json({
+        error: 'Subdirectory name contains invalid characters',
+        provided: subdir,
+        help: 'Use only letters, numbers, dashes (-), and underscores (_)'
+      });
+    }
+    const workspacePath = path.join(MIRROR_BASE_DIR, subdir);
+    if (!await fsp.access(workspacePath).then(() => true).catch(() => false)) {
+      return res.status(404).json({
+        error: 'Mirror workspace not found',
+        path: workspacePath,
+        help: 'Use the mirror subdirectory that was the workspace when these images were mirrored.'
+      });
+    }
+
+    const operationId = uuidv4();
+    const deleteStage: DeleteStage = execute === true ? 'all' : 'generate';
+    const result = await createOperation({
+      id: operationId,
+      name: `${getOperationLabel({ workflow: 'delete', deleteStage })} ${operationId.slice(0, 8)}`,
+      configFile: deleteConfigFile,
+      mirrorDestination: workspacePath,
+      workflow: 'delete',
+      deleteStage,
+      forceCacheDelete: forceCacheDelete === true || undefined,
+      source: pathToFileURL(workspacePath).href,
+      destination: `docker://${targetRegistry}`,
+      targetRegistry,
+    });
+    if (!result) {
+      return res.status(409).json(MIRROR_BEING_DELETED_ERROR);
+    }
+    res.json(result);
+  } catch (error: any) {
+    console.error('Error starting delete operation:', error);
+    res.status(500).json({ error: 'Failed to start delete operation' });
+  }
+});
+
+app.get('/api/operations/:id/delete-plan', async (req: Request, res: Response) => {
+  try {
+    const { id } = req.params;
+    let operation: OperationRecord;
+    try {
+      operation = await getOperation(id);
+    } catch {
+      return res.status(404).json({ error: 'Operation not found' });
+    }
+    if (operation.workflow !== 'delete') {
+      return res.status(400).json({ error: 'Operation is not a delete operation' });
+    }
+
+    try {
+      const content = await fsp.readFile(getDeletePlanPath(operation.deletePlanId || operation.id), 'utf8');
+      res.json({ operationId: operation.deletePlanId || operation.id, content });
+    } catch {
+      res.status(404).json({ error: 'Delete plan not found', help: 'The plan is written once the generate step succeeds.' });
+    }
+  } catch (error: any) {
+    console.error('Error reading delete plan:', error);
+    res.status(500).json({ error: 'Failed to read delete plan' });
+  }
+});
+
+app.post('/api/operations/:id/delete-execute', async (req: Request, res: Response) => {
+  try {
+    const { id } = req.params;
+    let plan: OperationRecord;
+    try {
+      plan = await getOperation(id);
+    } catch {
+      return res.status(404).json({ error: 'Operation not found' });
+    }
+    if (plan.workflow !== 'delete' || plan.deleteStage !== 'generate' || plan.status !== 'success') {
+      return res.status(409).json({
+        error: 'Only successful delete plan operations can be executed',
+        status: plan.status
+      });
+    }
+    try {
+      await fsp.access(getDeletePlanPath(plan.id));
+    } catch {
+      return res.status(404).json({ error: 'Delete plan not found' });
+    }
+
+    const operationId = uuidv4();
+    const result = await createOperation({
+      id: operationId,
+      name: `${getOperationLabel({ workflow: 'delete', deleteStage: 'execute' })} ${operationId.slice(0, 8)}`,
+      configFile: plan.configFile,
+      mirrorDestination: plan.mirrorDestination,
+      workflow: 'delete',
+      deleteStage: 'execute',
+      deletePlanId: plan.id,
+      forceCacheDelete: req.body.forceCacheDelete === true || plan.forceCacheDelete,
+      source: plan.source,
+      destination: plan.destination,
+      targetRegistry: plan.targetRegistry,
+      parentOperationId: plan.id,
+    });
+    if (!result) {
+      return res.status(409).json(MIRROR_BEING_DELETED_ERROR);
+    }
+    res.json(result);
+  } catch (error: any) {
+    console.error('Error executing delete plan:', error);
+    res.status(500).json({ error: 'Failed to execute delete plan' });
+  }
+});
+
+app.get('/api/operations/queue', async (req: Request, res: Response) => {
+  try {
+    const queued: OperationRecord[] = [];
+    for (const id of operationQueue) {
+      try {
+        queued.push(await getOperation(id));
+      } catch {}
+    }
+
+    res.json({
+      maxConcurrentOperations: await getMaxConcurrentOperations(),
+      runningOperations: runningProcesses.size,
+      queue: withQueuePositions(queued)
+    });
+  } catch (error: any) {
+    console.error('Error reading operation queue:', error);
+    res.status(500).json({ error: 'Failed to get operation queue' });
+  }
+});
+
+app.post('/api/operations/:id/queue-position', async (req: Request, res: Response) => {
+  try {
+    const { id } = req.params;
+    const position = Number(req.body.position);
+    const currentIndex = operationQueue.indexOf(id);
+
+    if (currentIndex === -1) {
+      return res.status(404).json({ error: 'Operation is not queued' });
+    }
+
+    if (!Number.isInteger(position) || position < 1) {
+      return res.status(400).json({ error: 'Position must be a positive integer' });
+    }
+
+    const targetIndex = Math.min(position, operationQueue.length) - 1;
+    operationQueue.splice(currentIndex, 1);
+    operationQueue.splice(targetIndex, 0, id);
+
+    res.json({ message: 'Queue position updated successfully', queuePosition: targetIndex + 1 });
+  } catch (error: any) {
+    console.error('Error reordering operation queue:', error);
+    res.status(500).json({ error: 'Failed to update queue position' });
+  }
+});
+
+app.post('/api/operations/:id/stop', async (req: Request, res: Response) => {
+  try {
+    const { id } = req.params;
+    let operation: OperationRecord;
+    try {
+      operation = await getOperation(id);
+    } catch {
+      return res.status(404).json({ error: 'Operation not found' });
+    }
+    if (operation.status !== 'running' && operation.status !== 'queued') {
+      return res.status(409).json({
+        error: 'Only running or queued operations can be stopped',
+        status: operation.status
+      });
+    }
+
+    const queueIndex = operationQueue.indexOf(id);
+    if (queueIndex !== -1) {
+      operationQueue.splice(queueIndex, 1);
+      await updateOperation(id, {
+        status: 'stopped',
+        completedAt: new Date().toISOString(),
+        errorMessage: 'Cancelled while queued'
+      });
+      return res.json({ message: 'Queued operation cancelled successfully' });
+    }
+
+    const processInfo = runningProcesses.get(id);
+    if (processInfo) {
+      try {
+        const { child } = processInfo;
+        if (child) {
+          child.kill('SIGTERM');
+
+          setTimeout(() => {
+            if (child.killed === false) {
+              child.kill('SIGKILL');
+            }
+          }, 5000);
+        } else if (processInfo.pid) {
+          process.kill(processInfo.pid, 'SIGTERM');
+        }
+
+        runningProcesses.delete(id);
+      } catch (killError: any) {
+        console.error('Error killing process:', killError);
+      }
+    }
+
+    await updateOperation(id, {
+      status: 'stopped',
+      completedAt: new Date().toISOString()
+    });
+    
+    res.json({ message: 'Operation stopped successfully' });
+  } catch (error: any) {
+    console.error('Error stopping operation:', error);
+    res.status(500).json({ error: 'Failed to stop operation' });
+  }
+});
+
+app.delete('/api/operations/:id', async (req: Request, res: Response) => {
+  try {
+    const { id } = req.params;
+
+    const queueIndex = operationQueue.indexOf(id);
+    if (queueIndex !== -1) {
+      operationQueue.splice(queueIndex, 1);
+    }
+
+    await deleteOperation(id);
+    await fsp.rm(path.join(DRY_RUNS_DIR, path.basename(id)), { recursive: true, force: true });
+    
+    res.json({ message: 'Operation deleted successfully' });
+  } catch (error: any) {
+    res.status(500).json({ error: 'Failed to delete operation' });
+  }
+});
+
+app.get('/api/operations/:id/logs', async (req: Request, res: Response) => {
+  try {
+    const { id } = req.params;
+    await getOperation(id);
+    const logs = await readOperationLogs(id);
+    
+    res.json({ logs });
+  } catch (error: any) {
+    res.status(500).json({ error: 'Failed to get operation logs' });
+  }
+});
+
+// With --dry-run, oc-mirror writes mapping.txt (every image it would copy) and
+// missing.txt (images not yet in the cache) to working-dir/dry-run. Both files are
+// copied to DRY_RUNS_DIR when the operation finishes so later runs into the
+// same mirror directory cannot overwrite them.
+const DRY_RUN_SUBDIR = path.join('working-dir', 'dry-run');
+const DRY_RUN_FILES = ['mapping.txt', 'missing.txt'];
+const DRY_RUN_IMAGES_FILE = 'images.json';
+
+function parseImageMapping(content: string): { source: string; destination: string }[] {
+  return content
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const separator = line.indexOf('=');
+      const source = separator === -1 ? line : line.slice(0, separator);
+      const destination = separator === -1 ? '' : line.slice(separator + 1);
+      return {
+        source: source.replace(/^docker:\/\//, ''),
+        destination: destination.replace(/^docker:\/\//, '')
+      };
+    });
+}
+
+// Strips the tag or digest so "quay.io/foo/bar:1" and "quay.io/foo/bar@sha256:..." compare equal.
+function imageRepository(image: string): string {
+  const withoutDigest = image.split('@')[0];
+  const lastSlash = withoutDigest.lastIndexOf('/');
+  const lastColon = withoutDigest.lastIndexOf(':');
+  return lastColon > lastSlash ? withoutDigest.slice(0, lastColon) : withoutDigest;
+}
+
+async function readAdditionalImageRepositories(configFile: string): Promise<Set<string>> {
+  try {
+    const config = YAML.parse(await fsp.readFile(path.join(CONFIGS_DIR, configFile), 'utf8'));
+    const additionalImages: { name?: string }[] = config?.mirror?.additionalImages || [];
+    return new Set(additionalImages.filter(image => image?.name).map(image => imageRepository(image.name!)));
+  } catch {
+    return new Set();
+  }
+}
+
+function classifyDryRunImage(source: string, additionalRepositories: Set<string>): DryRunImageGroup {
+  if (additionalRepositories.has(imageRepository(source))) {
+    return 'additional';
+  }
+  if (/\/openshift-release-dev\/(ocp-release|ocp-v4\.0-art-dev)\b/.test(source)) {
+    return 'release';
+  }
+  return 'operator';
+}
+
+async function saveDryRunImages(operation: OperationRecord): Promise<DryRunSummary> {
+  const sourceDir = path.join(operation.mirrorDestination || DEFAULT_MIRROR_DIR, DRY_RUN_SUBDIR);
+  const targetDir = path.join(DRY_RUNS_DIR, operation.id);
+  await fsp.mkdir(targetDir, { recursive: true });
+
+  const contents: Record<string, string> = {};
+  for (const file of DRY_RUN_FILES) {
+    try {
+      contents[file] = await fsp.readFile(path.join(sourceDir, file), 'utf8');
+      await fsp.writeFile(path.join(targetDir, file), contents[file]);
+    } catch {
+      contents[file] = '';
+    }
+  }
+
+  const additionalRepositories = await readAdditionalImageRepositories(operation.configFile);
+  const missingEntries = parseImageMapping(contents['missing.txt']);
+  const missingSources = new Set(missingEntries.map(entry => entry.source));
+  const entries = parseImageMapping(contents['mapping.txt']);
+  for (const missing of missingEntries) {
+    if (!entries.some(entry => entry.source === missing.source)) {
+      entries.push(missing);
+    }
+  }
+
+  const images: Record<DryRunImageGroup, DryRunImage[]> = { release: [], operator: [], additional: [] };
+  for (const entry of entries) {
+    images[classifyDryRunImage(entry.source, additionalRepositories)].push({
+      ...entry,
+      missing: missingSources.has(entry.source)
+    });
+  }
+
+  const summary: DryRunSummary = {
+    total: entries.length,
+    missing: missingSources.size,
+    release: images.release.length,
+    operator: images.operator.length,
+    additional: images.additional.length
+  };
+
+  await fsp.writeFile(path.join(targetDir, DRY_RUN_IMAGES_FILE), JSON.stringify({ summary, images }, null, 2));
+  return summary;
+}
+
+// oc-mirror writes archives (mirror_000001.tar, ...) at the top of the mirror
+// directory and the manifests to apply to the cluster under working-dir.
+const CLUSTER_RESOURCES_SUBDIR = path.join('working-dir', 'cluster-resources');
+
+async function readClusterResourceKind(filePath: string): Promise<string> {
+  try {
+    const documents = YAML.parseAllDocuments(await fsp.readFile(filePath, 'utf8'));
+    const kinds = [...new Set(documents.map(doc => doc.toJSON()?.kind).filter(Boolean))];
+    return kinds.join(', ') || 'Unknown';
+  } catch {
+    return 'Unknown';
+  }
+}
+
+async function collectOperationResults(mirrorPath: string): Promise<OperationResults> {
+  const results: OperationResults = {
+    collectedAt: new Date().toISOString(),
+    archives: [],
+    archiveSize: 0,
+    clusterResources: []
+  };
+
+  try {
+    const entries = await fsp.readdir(mirrorPath, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.isFile() && entry.name.endsWith('.tar')) {
+        const stats = await fsp.stat(path.join(mirrorPath, entry.name));
+        results.archives.push({ name: entry.name, size: stats.size });
+        results.archiveSize += stats.size;
+      }
+    }
+    results.archives.sort((a, b) => a.name.localeCompare(b.name));
+  } catch {}
+
+  const resourcesDir = path.join(mirrorPath, CLUSTER_RESOURCES_SUBDIR);
+  try {
+    const entries = await fsp.readdir(resourcesDir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.isFile() && /\.(ya?ml|json)$/.test(entry.name)) {
+        const filePath = path.join(resourcesDir, entry.name);
+        const stats = await fsp.stat(filePath);
+        results.clusterResources.push({
+          name: entry.name,
+          kind: await readClusterResourceKind(filePath),
+          size: stats.size
+        });
+      }
+    }
+    results.clusterResources.sort((a, b) => a.name.localeCompare(b.name));
+  } catch {}
+
+  return results;
+}
+
+// Results are captured when the operation finishes; operations that are still
+// running or predate result collection are inspected on demand.
+async function getOperationResults(operation: OperationRecord): Promise<OperationResults> {
+  return operation.results || collectOperationResults(operation.mirrorDestination || DEFAULT_MIRROR_DIR);
+}
+
+async function resolveClusterResource(operation: OperationRecord, filename: string): Promise<string | null> {
+  const results = await getOperationResults(operation);
+  if (!results.clusterResources.some(resource => resource.name === filename)) {
+    return null;
+  }
+
+  const filePath = path.join(operation.mirrorDestination || DEFAULT_MIRROR_DIR, CLUSTER_RESOURCES_SUBDIR, path.basename(filename));
+  return fsp.access(filePath).then(() => filePath).catch(() => null);
+}
+
+app.get('/api/operations/:id/details', async (req: Request, res: Response) => {
+  try {
+    const { id } = req.params;
+    const operation = await getOperation(id);
+    
+    if (!operation) {
+      return res.status(404).json({ error: 'Operation not found' });
+    }
+
+    const results = await getOperationResults(operation);
+    const details = {
+      imagesMirrored: 0,
+      operatorsMirrored: 0,
+      totalSize: results.archiveSize,
+      platformImages: 0,
+      additionalImages: 0,
+      helmCharts: 0,
+      configFile: operation.configFile,
+      archives: results.archives,
+      clusterResources: results.clusterResources,
+      manifestFiles: results.clusterResources.map(resource => resource.name)
+    };
+
+    const logs = await readOperationLogs(operation.id);
+    if (logs) {
+
+      const imagesToCopyMatch = logs.match(/📌 images to copy (\d+)/);
+      if (imagesToCopyMatch) {
+        details.imagesMirrored = parseInt(imagesToCopyMatch[1]);
+      }
+
+      const operatorSuccessMatch = logs.match(/✓ (\d+) \/ (\d+) operator images mirrored successfully/);
+      if (operatorSuccessMatch) {
+        details.operatorsMirrored = parseInt(operatorSuccessMatch[1]);
+      }
+
+      const catalogMatches = logs.match(/Collected catalog ([^\n]+)/g);
+      if (catalogMatches) {
+        details.operatorsMirrored = catalogMatches.length;
+      }
+
+      const releaseImagesMatch = logs.match(/🔍 collecting release images/);
+      if (releaseImagesMatch) {
+        const releaseImagesCollected = logs.match(/Success copying.*release.*➡️ cache/g);
+        if (releaseImagesCollected) {
+          details.platformImages = releaseImagesCollected.length;
+        } else {
+          details.platformImages = 0;
+        }
+      } else {
+        details.platformImages = 0;
+      }
+
+      const additionalImagesMatch = logs.match(/🔍 collecting additional images/);
+      if (additionalImagesMatch) {
+        const additionalImagesCollected = logs.match(/Success copying.*additional.*➡️ cache/g);
+        if (additionalImagesCollected) {
+          details.additionalImages = additionalImagesCollected.length;
+        } else {
+          details.additionalImages = 0;
+        }
+      } else {
+        details.additionalImages = 0;
+      }
+
+      const helmImagesMatch = logs.match(/🔍 collecting helm images/);
+      if (helmImagesMatch) {
+        const helmChartsCollected = logs.match(/Success copying.*helm.*➡️ cache/g);
+        if (helmChartsCollected) {
+          details.helmCharts = helmChartsCollected.length;
+        } else {
+          details.helmCharts = 0;
+        }
+      } else {
+        details.helmCharts = 0;
+      }
+    }
+    
+    res.json(details);
+  } catch (error: any) {
+    console.error('Error getting operation details:', error);
+    res.status(500).json({ error: 'Failed to get operation details' });
+  }
+});
+
+app.get('/api/operations/:id/cluster-resources', async (req: Request, res: Response) => {
+  try {
+    let operation: OperationRecord;
+    try {
+      operation = await getOperation(req.params.id);
+    } catch {
+      return res.status(404).json({ error: 'Operation not found' });
+    }
 
-    const catalogData = await loadPreFetchedCatalogData();
-    if (catalogData) {
-      if (catalogUrl) {
-        const catalogType = getCatalogNameFromUrl(catalogUrl);
-        const catalogVersion = catalogUrl.includes(':') ? catalogUrl.split(':')[1] : 'v4.20';
-        const key = `${catalogType}:${catalogVersion}`;
-        
-        const operators = catalogData.operators[key];
-        if (operators) {
-          const operatorData = operators.find(op => op.name === operator);
-          if (operatorData) {
-            const normalizedChannels = normalizeChannels(operatorData.channels || [], operatorData.name, operatorData);
-            return res.json({
-              name: operatorData.name,
-              defaultChannel: operatorData.defaultChannel,
-              channels: normalizedChannels,
-              allChannels: normalizedChannels.map(ch => ch.name),
-              catalog: operatorData.catalog,
-              ocpVersion: operatorData.ocpVersion,
-              catalogUrl: operatorData.catalogUrl
-            });
-          }
+    const results = await getOperationResults(operation);
+    res.json({
+      directory: path.join(operation.mirrorDestination || DEFAULT_MIRROR_DIR, CLUSTER_RESOURCES_SUBDIR),
+      resources: results.clusterResources
+    });
+  } catch (error: any) {
+    console.error('Error listing cluster resources:', error);
+    res.status(500).json({ error: 'Failed to list cluster resources' });
+  }
+});
+
+app.get('/api/operations/:id/cluster-resources/:filename', async (req: Request, res: Response) => {
+  try {
+    let operation: OperationRecord;
+    try {
+      operation = await getOperation(req.params.id);
+    } catch {
+      return res.status(404).json({ error: 'Operation not found' });
+    }
+
+    const filePath = await resolveClusterResource(operation, req.params.filename);
+    if (!filePath) {
+      return res.status(404).json({ error: 'Cluster resource not found' });
+    }
+
+    const content = await fsp.readFile(filePath, 'utf8');
+    res.json({ filename: req.params.filename, content });
+  } catch (error: any) {
+    console.error('Error reading cluster resource:', error);
+    res.status(500).json({ error: 'Failed to read cluster resource' });
+  }
+});
+
+app.get('/api/operations/:id/cluster-resources/:filename/download', async (req: Request, res: Response) => {
+  try {
+    let operation: OperationRecord;
+    try {
+      operation = await getOperation(req.params.id);
+    } catch {
+      return res.status(404).json({ error: 'Operation not found' });
+    }
+
+    const filePath = await resolveClusterResource(operation, req.params.filename);
+    if (!filePath) {
+      return res.status(404).json({ error: 'Cluster resource not found' });
+    }
+
+    res.download(filePath, req.params.filename);
+  } catch (error: any) {
+    console.error('Error downloading cluster resource:', error);
+    res.status(500).json({ error: 'Failed to download cluster resource' });
+  }
+});
+
+app.get('/api/operations/:id/dry-run', async (req: Request, res: Response) => {
+  try {
+    let operation: OperationRecord;
+    try {
+      operation = await getOperation(req.params.id);
+    } catch {
+      return res.status(404).json({ error: 'Operation not found' });
+    }
+
+    if (!operation.dryRun) {
+      return res.status(400).json({ error: 'Operation is not a dry run' });
+    }
+
+    try {
+      const content = await fsp.readFile(path.join(DRY_RUNS_DIR, operation.id, DRY_RUN_IMAGES_FILE), 'utf8');
+      const dryRunImages: DryRunImages = JSON.parse(content);
+      res.json(dryRunImages);
+    } catch {
+      res.status(404).json({
+        error: 'Dry-run results not available',
+        status: operation.status,
+        help: operation.status === 'running' || operation.status === 'queued'
+          ? 'Results are available once the dry run finishes.'
+          : 'oc-mirror did not produce mapping.txt for this dry run. Check the operation logs.'
+      });
+    }
+  } catch (error: any) {
+    console.error('Error reading dry-run results:', error);
+    res.status(500).json({ error: 'Failed to get dry-run results' });
+  }
+});
+
+app.get('/api/operations/:id/dry-run/:file', async (req: Request, res: Response) => {
+  try {
+    const { id, file } = req.params;
+    if (![...DRY_RUN_FILES, DRY_RUN_IMAGES_FILE].includes(file)) {
+      return res.status(400).json({
+        error: 'Invalid dry-run file',
+        provided: file,
+        help: `Use one of: ${[...DRY_RUN_FILES, DRY_RUN_IMAGES_FILE].join(', ')}`
+      });
+    }
+
+    const filePath = path.join(DRY_RUNS_DIR, path.basename(id), file);
+    const exists = await fsp.access(filePath).then(() => true).catch(() => false);
+    if (!exists) {
+      return res.status(404).json({ error: 'Dry-run file not found' });
+    }
+
+    res.download(filePath, `${path.basename(id).slice(0, 8)}-${file}`);
+  } catch (error: any) {
+    console.error('Error downloading dry-run file:', error);
+    res.status(500).json({ error: 'Failed to download dry-run file' });
+  }
+});
+
+type ImageCategory = 'release' | 'operator' | 'additional' | 'helm';
+
+const IMAGE_CATEGORIES: ImageCategory[] = ['release', 'operator', 'additional', 'helm'];
+
+interface CategoryProgress {
+  copied: number;
+  total: number;
+  failed: number;
+}
+
+interface ProgressSnapshot {
+  phase: string;
+  copied: number;
+  total: number;
+  failed: number;
+  percent: number;
+  etaSeconds: number | null;
+  categories: Record<ImageCategory, CategoryProgress>;
+}
+
+type ProgressEvent =
+  | { event: 'phase'; data: { phase: string; message: string } }
+  | { event: 'progress'; data: ProgressSnapshot }
+  | { event: 'log-error'; data: { message: string } };
+
+const PHASE_PATTERNS: { pattern: RegExp; phase: string }[] = [
+  { pattern: /collecting release images/i, phase: 'collecting-release' },
+  { pattern: /collecting operator images/i, phase: 'collecting-operator' },
+  { pattern: /collecting additional images/i, phase: 'collecting-additional' },
+  { pattern: /collecting helm images/i, phase: 'collecting-helm' },
+  { pattern: /start copying the images|images to copy/i, phase: 'copying' },
+  { pattern: /preparing the tarball archive|generating archive/i, phase: 'archiving' },
+  { pattern: /generating (idms|itms|catalog ?source|cluster ?catalog)|rebuilding catalogs/i, phase: 'generating-resources' },
+  { pattern: /goodbye, thank you for using oc-mirror/i, phase: 'complete' },
+];
+
+function detectImageCategory(line: string): ImageCategory | null {
+  const match = line.match(/\b(release|operator|additional|helm)\b/i);
+  return match ? (match[1].toLowerCase() as ImageCategory) : null;
+}
+
+// oc-mirror prefixes its lines with the local time, e.g. "2024/10/28 11:44:14".
+// Only differences between them are used, so the time zone does not matter.
+function parseOcMirrorLogTime(line: string): number | null {
+  const match = line.match(/^(\d{4})\/(\d{2})\/(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  return match ? Date.UTC(+match[1], +match[2] - 1, +match[3], +match[4], +match[5], +match[6]) : null;
+}
+
+// Turns oc-mirror output into typed progress events. The parser keeps partial
+// lines between chunks, so it can be fed raw log data as it is read.
+// The ETA is based on when copying started: the operation's startedAt plus the
+// time between the first log line and the copy phase line, so replaying an old
+// log gives the same figure it had while the operation ran. now is the end of
+// the measured interval, the completion time for finished operations.
+function createProgressParser(options: { startedAt?: number | null; now?: () => number } = {}) {
+  const now = options.now || Date.now;
+  const categories = Object.fromEntries(
+    IMAGE_CATEGORIES.map(category => [category, { copied: 0, total: 0, failed: 0 }])
+  ) as Record<ImageCategory, CategoryProgress>;
+  let phase = 'starting';
+  let copied = 0;
+  let total = 0;
+  let failed = 0;
+  let copyStartedAt: number | null = null;
+  let firstLogTime: number | null = null;
+  let pending = '';
+
+  const snapshot = (): ProgressSnapshot => {
+    const categoryCopied = IMAGE_CATEGORIES.reduce((sum, category) => sum + categories[category].copied, 0);
+    const categoryTotal = IMAGE_CATEGORIES.reduce((sum, category) => sum + categories[category].total, 0);
+    const overallCopied = Math.max(copied, categoryCopied);
+    const overallTotal = Math.max(total, categoryTotal);
+    let etaSeconds: number | null = null;
+
+    if (copyStartedAt !== null && overallCopied > 0 && overallTotal > overallCopied) {
+      const elapsedSeconds = Math.max(0, now() - copyStartedAt) / 1000;
+      etaSeconds = Math.round((elapsedSeconds / overallCopied) * (overallTotal - overallCopied));
+    }
+
+    return {
+      phase,
+      copied: overallCopied,
+      total: overallTotal,
+      failed,
+      percent: overallTotal > 0 ? Math.min(100, Math.round((overallCopied / overallTotal) * 100)) : 0,
+      etaSeconds,
+      categories: JSON.parse(JSON.stringify(categories)),
+    };
+  };
+
+  const parseLine = (line: string, events: ProgressEvent[]): boolean => {
+    let progressChanged = false;
+    const logTime = parseOcMirrorLogTime(line);
+    if (firstLogTime === null) {
+      firstLogTime = logTime;
+    }
+
+    for (const { pattern, phase: nextPhase } of PHASE_PATTERNS) {
+      if (pattern.test(line) && nextPhase !== phase) {
+        phase = nextPhase;
+        if (phase === 'copying' && copyStartedAt === null) {
+          copyStartedAt = options.startedAt == null
+            ? now()
+            : options.startedAt + (logTime !== null && firstLogTime !== null ? logTime - firstLogTime : 0);
         }
+        events.push({ event: 'phase', data: { phase, message: line.trim() } });
+        progressChanged = true;
+        break;
+      }
+    }
+
+    const imagesToCopy = line.match(/images to copy\s+(\d+)/i);
+    if (imagesToCopy) {
+      const category = detectImageCategory(line.slice(0, imagesToCopy.index));
+      if (category) {
+        categories[category].total = parseInt(imagesToCopy[1], 10);
       } else {
-        for (const operators of Object.values(catalogData.operators)) {
-          const operatorData = operators.find(op => op.name === operator);
-          if (operatorData) {
-            const normalizedChannels = normalizeChannels(operatorData.channels || [], operatorData.name, operatorData);
-            return res.json({
-              name: operatorData.name,
-              defaultChannel: operatorData.defaultChannel,
-              channels: normalizedChannels,
-              allChannels: normalizedChannels.map(ch => ch.name),
-              catalog: operatorData.catalog,
-              ocpVersion: operatorData.ocpVersion,
-              catalogUrl: operatorData.catalogUrl
-            });
+        total = parseInt(imagesToCopy[1], 10);
+      }
+      progressChanged = true;
+    }
+
+    const categorySummary = line.match(/(\d+)\s*\/\s*(\d+)\s+(release|operator|additional|helm) images? mirrored/i);
+    if (categorySummary) {
+      const category = categorySummary[3].toLowerCase() as ImageCategory;
+      categories[category].copied = parseInt(categorySummary[1], 10);
+      categories[category].total = parseInt(categorySummary[2], 10);
+      categories[category].failed = Math.max(0, categories[category].total - categories[category].copied);
+      return true;
+    }
+
+    const counter = line.match(/^\s*([✓✗])\s+\(?\s*(\d+)\s*\/\s*(\d+)\s*\)?/);
+    if (counter) {
+      copied = Math.max(copied, parseInt(counter[2], 10));
+      total = Math.max(total, parseInt(counter[3], 10));
+      if (counter[1] === '✗') {
+        failed += 1;
+      }
+      progressChanged = true;
+    }
+
+    const successCopy = line.match(/Success copying/i);
+    if (successCopy) {
+      const category = detectImageCategory(line);
+      if (category) {
+        categories[category].copied += 1;
+      } else if (!counter) {
+        copied += 1;
+      }
+      progressChanged = true;
+    }
+
+    if (/\[ERROR\]|\berror:/i.test(line)) {
+      events.push({ event: 'log-error', data: { message: line.trim() } });
+    }
+
+    return progressChanged;
+  };
+
+  return {
+    push(chunk: string): ProgressEvent[] {
+      const events: ProgressEvent[] = [];
+      const lines = (pending + chunk).split(/\r?\n|\r/);
+      pending = lines.pop() || '';
+
+      let progressChanged = false;
+      for (const line of lines) {
+        if (line.trim()) {
+          progressChanged = parseLine(line, events) || progressChanged;
+        }
+      }
+
+      // Coalesce progress to one event per chunk so replaying a long log on
+      // connect does not flood the client.
+      if (progressChanged) {
+        events.push({ event: 'progress', data: snapshot() });
+      }
+      return events;
+    },
+    snapshot,
+  };
+}
+
+app.get('/api/operations/:id/logstream', async (req: Request, res: Response) => {
+  const { id } = req.params;
+  const logFile = path.join(LOGS_DIR, `${id}.log`);
+  const operation = await getOperation(id).catch(() => null);
+  const startedAt = operation?.startedAt ? Date.parse(operation.startedAt) : NaN;
+  const completedAt = operation?.completedAt ? Date.parse(operation.completedAt) : NaN;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  let filePos = 0;
+  let finished = false;
+  let idleTicks = 0;
+  let reading = false;
+  const decoder = new StringDecoder('utf8');
+  const progressParser = createProgressParser({
+    startedAt: Number.isNaN(startedAt) ? null : startedAt,
+    now: () => (Number.isNaN(completedAt) ? Date.now() : completedAt)
+  });
+
+  const sendEvent = (event: string, data: unknown): void => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const sendNewLines = async (): Promise<void> => {
+    if (finished || reading) return;
+    try {
+      const stats = await fsp.stat(logFile);
+      if (stats.size > filePos) {
+        reading = true;
+        const stream = fs.createReadStream(logFile, { start: filePos, end: stats.size - 1 });
+        stream.on('data', (chunk: Buffer | string) => {
+          const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+          if (!text) return;
+          res.write(`data: ${text.replace(/\n/g, '\ndata: ')}\n\n`);
+          for (const { event, data } of progressParser.push(text)) {
+            sendEvent(event, data);
           }
+        });
+        stream.on('end', () => {
+          filePos = stats.size;
+          reading = false;
+        });
+        stream.on('error', (error: Error) => {
+          reading = false;
+          console.error('Error reading log stream:', error);
+        });
+        idleTicks = 0;
+      } else {
+        idleTicks += 1;
+      }
+
+      const isRunning = runningProcesses.has(id);
+      if (!isRunning && !reading && idleTicks >= 2) {
+        let status = 'unknown';
+        try {
+          const operation = await getOperation(id);
+          status = operation?.status || status;
+        } catch {}
+
+        for (const { event, data } of progressParser.push('\n')) {
+          sendEvent(event, data);
         }
+        sendEvent('done', { id, status, progress: progressParser.snapshot() });
+        finished = true;
+        clearInterval(interval);
+        res.end();
+      }
+    } catch (error: any) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        console.error('Error streaming logs:', error);
       }
     }
+  };
+
+  const interval = setInterval(sendNewLines, 1000);
+  sendNewLines();
+
+  req.on('close', () => {
+    finished = true;
+    clearInterval(interval);
+  });
+});
 
-    if (catalogUrl) {
-      const channels = await queryOperatorChannels(catalogUrl as string, operator);
-      if (channels && Array.isArray(channels) && channels.length > 0) {
-        const normalizedChannels = normalizeChannels(channels, operator);
-        return res.json(normalizedChannels);
-      }
+// Mirror subdirectories are created by operations under MIRROR_BASE_DIR; each
+// holds the archives and working-dir of every run that used it.
+const MIRROR_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+// Created by ensureDirectories() and used when no subdirectory is given, so never deleted.
+const RESERVED_MIRROR_DIRECTORIES = [DEFAULT_MIRROR_DIR, CUSTOM_MIRROR_DIR];
+
+// A delete and an operation start on the same directory both claim it
+// synchronously before they act, so neither can slip in between the other's
+// check of the operation records and its write.
+const deletingMirrors = new Set<string>();
+const startingMirrors = new Map<string, number>();
+
+// Returns a release function, or null if the directory is being deleted.
+function claimMirrorForOperation(mirrorPath: string): (() => void) | null {
+  if (deletingMirrors.has(mirrorPath)) {
+    return null;
+  }
+  startingMirrors.set(mirrorPath, (startingMirrors.get(mirrorPath) || 0) + 1);
+  return () => {
+    const remaining = (startingMirrors.get(mirrorPath) || 1) - 1;
+    if (remaining > 0) {
+      startingMirrors.set(mirrorPath, remaining);
+    } else {
+      startingMirrors.delete(mirrorPath);
     }
+  };
+}
 
-    if (operatorCache.channels[operator] && isCacheValid()) {
-      const normalizedChannels = normalizeChannels(operatorCache.channels[operator], operator);
-      return res.json(normalizedChannels);
-    }
+async function getDirectorySize(dirPath: string): Promise<number> {
+  let size = 0;
+  const entries = await fsp.readdir(dirPath, { withFileTypes: true });
 
-    const cache = await updateOperatorCache();
-    const operatorInfo = Object.values(cache.operators).find(op => op.name === operator);
-    
-    if (!operatorInfo) {
-      return res.status(404).json({ error: 'Operator not found' });
+  for (const entry of entries) {
+    const fullPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      size += await getDirectorySize(fullPath).catch(() => 0);
+    } else if (entry.isFile()) {
+      size += (await fsp.stat(fullPath).catch(() => ({ size: 0 }))).size;
     }
+  }
+  return size;
+}
 
-    const channels = await queryOperatorChannels(operatorInfo.catalog!, operator);
-    
-    if (channels && Array.isArray(channels) && channels.length > 0) {
-      operatorCache.channels[operator] = channels;
-      const normalizedChannels = normalizeChannels(channels, operator);
-      return res.json(normalizedChannels);
-    }
-    
-    res.status(404).json({ error: 'No channels found for this operator' });
-  } catch (error: any) {
-    console.error(`Error fetching channels for ${req.params.operator}:`, error);
-    res.status(500).json({ error: 'Failed to get operator channels' });
+function isMirrorInUse(mirrorPath: string, operations: OperationRecord[]): boolean {
+  return operations.some(operation =>
+    (operation.status === 'running' || operation.status === 'queued')
+    && (operation.mirrorDestination || DEFAULT_MIRROR_DIR) === mirrorPath
+  );
+}
+
+async function describeMirrorDirectory(name: string, operations: OperationRecord[]): Promise<MirrorDirectory> {
+  const mirrorPath = path.join(MIRROR_BASE_DIR, name);
+  const [stats, results, totalSize] = await Promise.all([
+    fsp.stat(mirrorPath),
+    collectOperationResults(mirrorPath),
+    getDirectorySize(mirrorPath).catch(() => 0)
+  ]);
+
+  // getOperations() is sorted newest first.
+  const lastOperation = operations.find(operation => (operation.mirrorDestination || DEFAULT_MIRROR_DIR) === mirrorPath);
+
+  return {
+    name,
+    path: mirrorPath,
+    archives: results.archives,
+    archiveSize: results.archiveSize,
+    totalSize,
+    modifiedAt: stats.mtime.toISOString(),
+    configFile: lastOperation?.configFile || null,
+    lastOperation: lastOperation ? {
+      id: lastOperation.id,
+      name: lastOperation.name,
+      status: lastOperation.status,
+      workflow: lastOperation.workflow,
+      startedAt: lastOperation.startedAt,
+      completedAt: lastOperation.completedAt
+    } : null,
+    inUse: isMirrorInUse(mirrorPath, operations),
+    reserved: RESERVED_MIRROR_DIRECTORIES.includes(mirrorPath)
+  };
+}
+
+async function resolveMirrorDirectory(name: string): Promise<string | null> {
+  if (!MIRROR_NAME_PATTERN.test(name)) {
+    return null;
   }
-});
 
-app.get('/api/operators/channels', async (req: Request, res: Response) => {
+  const mirrorPath = path.join(MIRROR_BASE_DIR, name);
   try {
-    const { catalogUrl, operatorName } = req.query;
-    
-    if (!catalogUrl || !operatorName) {
-      return res.status(400).json({ error: 'catalogUrl and operatorName query parameters are required' });
-    }
-    
-    const channels = await queryOperatorChannels(catalogUrl as string, operatorName as string);
-    if (channels && Array.isArray(channels) && channels.length > 0) {
-      const normalizedChannels = normalizeChannels(channels, operatorName as string);
-      return res.json(normalizedChannels);
-    }
-    
-    res.status(404).json({ error: 'No channels found for this operator' });
-  } catch (error: any) {
-    console.error(`Error fetching channels:`, error);
-    res.status(500).json({ error: 'Failed to get operator channels' });
+    return (await fsp.stat(mirrorPath)).isDirectory() ? mirrorPath : null;
+  } catch {
+    return null;
   }
-});
+}
 
-app.get('/api/operators/:operator/dependencies', async (req: Request, res: Response) => {
+app.get('/api/mirrors', async (req: Request, res: Response) => {
   try {
-    const { operator } = req.params;
-    const { catalogUrl } = req.query;
-    
-    let dependencies: OperatorDependency[] = [];
-    let catalogType: string | null = null;
-    let catalogVersion: string | null = null;
+    const [operations, systemInfo] = await Promise.all([getOperations(), getSystemInfo()]);
 
-    if (catalogUrl) {
-      catalogType = getCatalogNameFromUrl(catalogUrl as string);
-      catalogVersion = (catalogUrl as string).includes(':') ? (catalogUrl as string).split(':')[1] : 'v4.19';
-      
-      dependencies = await getOperatorDependencies(catalogType, catalogVersion, operator);
-    } else {
-      const catalogData = await loadPreFetchedCatalogData();
-      if (catalogData && catalogData.index && catalogData.index.catalogs) {
-        for (const catalog of catalogData.index.catalogs) {
-          const deps = await getOperatorDependencies(
-            catalog.catalog_type,
-            catalog.ocp_version,
-            operator
-          );
-          
-          if (deps.length > 0) {
-            dependencies = deps;
-            catalogType = catalog.catalog_type;
-            catalogVersion = catalog.ocp_version;
-            break;
-          }
-        }
+    let names: string[] = [];
+    try {
+      const entries = await fsp.readdir(MIRROR_BASE_DIR, { withFileTypes: true });
+      names = entries
+        .filter(entry => entry.isDirectory() && MIRROR_NAME_PATTERN.test(entry.name))
+        .map(entry => entry.name)
+        .sort();
+    } catch (error: any) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        throw error;
       }
     }
-    
-    if (dependencies.length === 0) {
-      return res.json({ 
-        operator,
-        dependencies: [],
-        message: 'No dependencies found for this operator'
-      });
-    }
-    
+
+    const mirrors = await Promise.all(names.map(name => describeMirrorDirectory(name, operations)));
+
     res.json({
-      operator,
-      catalogType,
-      catalogVersion,
-      dependencies,
-      count: dependencies.length
+      baseDir: MIRROR_BASE_DIR,
+      mirrors,
+      totalSize: mirrors.reduce((sum, mirror) => sum + mirror.totalSize, 0),
+      availableDiskSpace: systemInfo.availableDiskSpace,
+      totalDiskSpace: systemInfo.totalDiskSpace
     });
   } catch (error: any) {
-    console.error(`Error getting dependencies for ${req.params.operator}:`, error);
-    res.status(500).json({ error: 'Failed to get operator dependencies' });
+    console.error('Error listing mirror directories:', error);
+    res.status(500).json({ error: 'Failed to list mirror directories' });
   }
 });
 
-app.get('/api/operations', async (req: Request, res: Response) => {
+app.get('/api/mirrors/:name', async (req: Request, res: Response) => {
   try {
-    const operations = await getOperations();
-    res.json(operations);
-  } catch (error: any) {
-    res.status(500).json({ error: 'Failed to get operations' });
-  }
-});
+    if (!await resolveMirrorDirectory(req.params.name)) {
+      return res.status(404).json({ error: 'Mirror directory not found' });
+    }
 
-app.get('/api/operations/history', async (req: Request, res: Response) => {
-  try {
-    const operations = await getOperations();
-    res.json(operations);
+    res.json(await describeMirrorDirectory(req.params.name, await getOperations()));
   } catch (error: any) {
-    res.status(500).json({ error: 'Failed to get operation history' });
+    console.error('Error reading mirror directory:', error);
+    res.status(500).json({ error: 'Failed to read mirror directory' });
   }
 });
 
-app.post('/api/operations/start', async (req: Request, res: Response) => {
+app.delete('/api/mirrors/:name', async (req: Request, res: Response) => {
   try {
-    const { configFile, mirrorDestinationSubdir } = req.body;
-    const operationId = uuidv4();
-    const configPath = path.join(CONFIGS_DIR, configFile);
+    const mirrorPath = await resolveMirrorDirectory(req.params.name);
+    if (!mirrorPath) {
+      return res.status(404).json({ error: 'Mirror directory not found' });
+    }
 
-    try {
-      await fsp.access(configPath);
-    } catch (error: any) {
-      return res.status(404).json({ error: 'Configuration file not found' });
+    if (RESERVED_MIRROR_DIRECTORIES.includes(mirrorPath)) {
+      return res.status(400).json({
+        error: 'This mirror directory cannot be deleted',
+        provided: req.params.name,
+        help: 'The server creates and uses this directory itself. Delete its archives on the host instead'
+      });
     }
 
-    const cacheDir = CACHE_DIR;
-    const baseMirrorPath = MIRROR_BASE_DIR;
-    let subdirName = 'default';
-    
-    if (mirrorDestinationSubdir && mirrorDestinationSubdir.trim()) {
-      const subdirInput = mirrorDestinationSubdir.trim();
+    if (deletingMirrors.has(mirrorPath)) {
+      return res.status(409).json({ error: 'Mirror directory is already being deleted' });
+    }
 
-      if (subdirInput.includes('/') || subdirInput.includes('..') || subdirInput.includes('\\')) {
-        return res.status(400).json({ 
-          error: 'Subdirectory name cannot contain path separators or traversal characters',
-          provided: subdirInput,
-          help: 'Use a simple name like "odf" or "production" (no slashes or special characters)'
+    deletingMirrors.add(mirrorPath);
+    try {
+      if (startingMirrors.has(mirrorPath) || isMirrorInUse(mirrorPath, await getOperations())) {
+        return res.status(409).json({
+          error: 'Mirror directory is in use by a running or queued operation',
+          help: 'Stop the operation or wait for it to finish before deleting this directory'
         });
       }
-      
-      if (!subdirInput || subdirInput.length === 0) {
-        return res.status(400).json({ error: 'Subdirectory name cannot be empty' });
-      }
 
-      if (!/^[a-zA-Z0-9_-]+$/.test(subdirInput)) {
-        return res.status(400).json({ 
-          error: 'Subdirectory name contains invalid characters',
-          provided: subdirInput,
-          help: 'Use only letters, numbers, dashes (-), and underscores (_)'
-        });
-      }
-      
-      subdirName = subdirInput;
+      await fsp.rm(mirrorPath, { recursive: true, force: true });
+    } finally {
+      deletingMirrors.delete(mirrorPath);
     }
+    res.json({ message: `Mirror directory ${req.params.name} deleted successfully` });
+  } catch (error: any) {
+    console.error('Error deleting mirror directory:', error);
+    res.status(500).json({ error: 'Failed to delete mirror directory' });
+  }
+});
 
-    const mirrorPath = path.join(baseMirrorPath, subdirName);
-
-    try {
-      await fsp.mkdir(baseMirrorPath, { recursive: true, mode: 0o777 });
-      const testFile = path.join(baseMirrorPath, '.test-write');
-      try {
-        await fsp.writeFile(testFile, 'test', { flag: 'w' });
-        await fsp.unlink(testFile);
-      } catch (writeError: any) {
-        console.error(`Cannot write to base mirror directory ${baseMirrorPath}:`, writeError);
-        return res.status(500).json({ 
-          error: 'Base mirror directory is not writable',
-          path: baseMirrorPath,
-          details: writeError.message,
-          code: writeError.code
-        });
-      }
-    } catch (error: any) {
-      console.error(`Error accessing base mirror directory ${baseMirrorPath}:`, error);
-      return res.status(500).json({ 
-        error: 'Cannot access base mirror directory',
-        path: baseMirrorPath,
-        details: error.message,
-        code: error.code
-      });
+app.get('/api/mirrors/:name/archives/:archive/download', async (req: Request, res: Response) => {
+  try {
+    const mirrorPath = await resolveMirrorDirectory(req.params.name);
+    if (!mirrorPath) {
+      return res.status(404).json({ error: 'Mirror directory not found' });
     }
 
-    try {
-      const dirExists = await fsp.access(mirrorPath).then(() => true).catch(() => false);
+    const { archives } = await collectOperationResults(mirrorPath);
+    if (!archives.some(archive => archive.name === req.params.archive)) {
+      return res.status(404).json({ error: 'Archive not found' });
+    }
 
-      if (!dirExists) {
-        await fsp.mkdir(mirrorPath, { recursive: true, mode: 0o775 });
-        console.log(`Created new mirror directory: ${mirrorPath}`);
-      } else {
-        console.log(`Using existing mirror directory: ${mirrorPath}`);
-      }
+    res.download(path.join(mirrorPath, path.basename(req.params.archive)), req.params.archive);
+  } catch (error: any) {
+    console.error('Error downloading archive:', error);
+    res.status(500).json({ error: 'Failed to download archive' });
+  }
+});
 
-      await fsp.access(mirrorPath, fs.constants.W_OK);
+// Templates are ImageSetConfigurations with {{placeholder}} markers, resolved
+// textually before the YAML is parsed so placeholders can appear anywhere.
+const TEMPLATE_PLACEHOLDERS = ['ocpVersion'];
+const TEMPLATE_PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
 
-      const testFile = path.join(mirrorPath, '.test-write');
-      try {
-        await fsp.writeFile(testFile, 'test', { flag: 'w' });
-        await fsp.unlink(testFile);
-      } catch (writeError: any) {
-        console.error(`Cannot write to mirror directory ${mirrorPath}:`, writeError);
-        return res.status(500).json({ 
-          error: 'Mirror destination directory exists but is not writable',
-          path: mirrorPath,
-          subdirectory: subdirName,
-          details: writeError.message,
-          code: writeError.code,
-          help: 'The directory exists but the container cannot write to it. Check permissions on the host.'
-        });
-      }
-    } catch (error: any) {
-      console.error(`Error creating/accessing mirror directory ${mirrorPath}:`, error);
-      return res.status(500).json({ 
-        error: 'Cannot create or access mirror destination directory',
-        path: mirrorPath,
-        subdirectory: subdirName,
-        details: error.message,
-        code: error.code
-      });
+// Only a missing file means there are no templates yet; an unreadable one is an
+// error, so a save never replaces templates that failed to load with an empty list.
+async function loadTemplates(): Promise<ConfigTemplate[]> {
+  try {
+    return JSON.parse(await fsp.readFile(TEMPLATES_FILE, 'utf8'));
+  } catch (error: any) {
+    if (error.code === 'ENOENT') {
+      return [];
     }
+    throw error;
+  }
+}
 
-    const operation: OperationRecord = {
-      id: operationId,
-      name: `Mirror Operation ${operationId.slice(0, 8)}`,
-      configFile,
-      mirrorDestination: mirrorPath,
-      status: 'running',
-      startedAt: new Date().toISOString(),
-      logs: []
-    };
+// Callers hold withFileLock(TEMPLATES_FILE) around the load and save.
+async function saveTemplates(templates: ConfigTemplate[]): Promise<void> {
+  await writeFileAtomic(TEMPLATES_FILE, JSON.stringify(templates, null, 2));
+}
 
-    try {
-      await saveOperation(operation);
-    } catch (error: any) {
-      console.error(`Error saving operation ${operationId}:`, error);
-      return res.status(500).json({ 
-        error: 'Failed to create operation record',
-        details: error.message
-      });
-    }
+function findTemplatePlaceholders(content: string): string[] {
+  return [...new Set([...content.matchAll(TEMPLATE_PLACEHOLDER_PATTERN)].map(match => match[1]))];
+}
 
-    const logFile = path.join(LOGS_DIR, `${operationId}.log`);
-    const logStream = fs.createWriteStream(logFile);
+function renderTemplate(content: string, values: Record<string, string>): string {
+  return content.replace(TEMPLATE_PLACEHOLDER_PATTERN, (marker, name: string) => values[name] ?? marker);
+}
 
-    const mirrorUrl = pathToFileURL(mirrorPath).href;
+// Returns an error response body when the template fields are invalid.
+function validateTemplate(template: Partial<ConfigTemplate>): Record<string, any> | null {
+  if (!template.name || !template.name.trim()) {
+    return { error: 'Template name is required' };
+  }
+  if (!template.content || !template.content.trim()) {
+    return { error: 'Template content is required' };
+  }
 
-  const child = spawn('oc-mirror', [
-      '--v2',
-      '--config', configPath,
-      '--dest-tls-verify=false',
-      '--src-tls-verify=false',
-      '--cache-dir', cacheDir,
-      '--authfile', AUTHFILE_PATH,
-      mirrorUrl
-    ], {
-      stdio: ['ignore', 'pipe', 'pipe'],
-      cwd: APP_ROOT_DIR
-    });
+  const unknown = findTemplatePlaceholders(template.content).filter(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+  if (unknown.length > 0) {
+    return {
+      error: 'Unknown template placeholders',
+      provided: unknown,
+      help: `Supported placeholders: ${TEMPLATE_PLACEHOLDERS.map(name => `{{${name}}}`).join(', ')}`
+    };
+  }
 
-    runningProcesses.set(operationId, {
-      pid: child.pid,
-      child: child
-    });
+  let parsed: any;
+  try {
+    parsed = YAML.parse(renderTemplate(template.content, { ocpVersion: '4.16' }));
+  } catch (error: any) {
+    return { error: 'Template is not valid YAML', details: error.message };
+  }
+  if (!isPlainObject(parsed) || parsed.kind !== 'ImageSetConfiguration' || !isPlainObject(parsed.mirror)) {
+    return { error: 'Template must be an ImageSetConfiguration with a mirror section' };
+  }
+  return null;
+}
 
-    child.stdout!.pipe(logStream);
-    child.stderr!.pipe(logStream);
-    
-    let stdout = '';
-    let stderr = '';
-    
-    child.stdout!.on('data', (data: Buffer) => {
-      stdout += data.toString();
-    });
-    
-    child.stderr!.on('data', (data: Buffer) => {
-      stderr += data.toString();
-    });
-    
-    child.on('close', async (code: number | null) => {
-      runningProcesses.delete(operationId);
-      logStream.end();
+function pickTemplateFields(body: any): Partial<ConfigTemplate> {
+  const fields: Partial<ConfigTemplate> = {};
+  if (body.name !== undefined) fields.name = String(body.name).trim();
+  if (body.description !== undefined) fields.description = String(body.description).trim() || undefined;
+  if (body.content !== undefined) {
+    fields.content = typeof body.content === 'string' ? body.content : YAML.stringify(body.content);
+  }
+  return fields;
+}
 
-      let logs = stdout + stderr;
-      if (!logs) {
-        try {
-          logs = await fsp.readFile(logFile, 'utf8');
-        } catch {}
-      }
+app.get('/api/templates', async (req: Request, res: Response) => {
+  try {
+    const templates = await loadTemplates();
+    res.json(templates.map(template => ({ ...template, placeholders: findTemplatePlaceholders(template.content) })));
+  } catch (error: any) {
+    console.error('Error loading templates:', error);
+    res.status(500).json({ error: 'Failed to load templates' });
+  }
+});
 
-      const hasErrorInLogs = logs.toLowerCase().includes('[error]') || logs.toLowerCase().includes('error:');
-      let finalStatus: OperationRecord['status'] = 'success';
-      if (code !== 0 || hasErrorInLogs) finalStatus = 'failed';
+app.get('/api/templates/:id', async (req: Request, res: Response) => {
+  try {
+    const template = (await loadTemplates()).find(entry => entry.id === req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json({ ...template, placeholders: findTemplatePlaceholders(template.content) });
+  } catch (error: any) {
+    console.error('Error loading template:', error);
+    res.status(500).json({ error: 'Failed to load template' });
+  }
+});
 
-      const opFile = path.join(OPERATIONS_DIR, `${operationId}.json`);
-      const opData: OperationRecord = JSON.parse(await fsp.readFile(opFile, 'utf8'));
-      if (opData.status === 'stopped') finalStatus = 'stopped';
-      
-      const completedAt = new Date().toISOString();
-      const duration = Math.floor((new Date(completedAt).getTime() - new Date(operation.startedAt).getTime()) / 1000);
-      
-      await updateOperation(operationId, {
-        status: finalStatus,
-        completedAt,
-        duration,
-        errorMessage: code !== 0 ? `Process exited with code ${code}` : (hasErrorInLogs ? 'Error detected in logs' : null),
-        logs: logs.split('\n')
-      });
-    });
+app.post('/api/templates', async (req: Request, res: Response) => {
+  try {
+    const now = new Date().toISOString();
+    const template = {
+      ...pickTemplateFields(req.body),
+      id: uuidv4(),
+      createdAt: now,
+      updatedAt: now
+    } as ConfigTemplate;
+
+    const validationError = validateTemplate(template);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
 
-    child.on('error', async (error: Error) => {
-      runningProcesses.delete(operationId);
-      logStream.end();
-      
-      const completedAt = new Date().toISOString();
-      const duration = Math.floor((new Date(completedAt).getTime() - new Date(operation.startedAt).getTime()) / 1000);
-      
-      await updateOperation(operationId, {
-        status: 'failed',
-        completedAt,
-        duration,
-        errorMessage: error.message,
-        logs: [error.message]
-      });
+    await withFileLock(TEMPLATES_FILE, async () => {
+      const templates = await loadTemplates();
+      templates.push(template);
+      await saveTemplates(templates);
     });
 
-    res.json({ message: 'Operation started successfully', operationId });
+    res.status(201).json(template);
   } catch (error: any) {
-    console.error('Error starting operation:', error);
-    res.status(500).json({ error: 'Failed to start operation' });
+    console.error('Error creating template:', error);
+    res.status(500).json({ error: 'Failed to create template' });
   }
 });
 
-app.post('/api/operations/:id/stop', async (req: Request, res: Response) => {
+app.put('/api/templates/:id', async (req: Request, res: Response) => {
   try {
-    const { id } = req.params;
-
-    const processInfo = runningProcesses.get(id);
-    if (processInfo) {
-      try {
-        processInfo.child.kill('SIGTERM');
+    const result = await withFileLock(TEMPLATES_FILE, async () => {
+      const templates = await loadTemplates();
+      const index = templates.findIndex(template => template.id === req.params.id);
+      if (index === -1) {
+        return { status: 404, body: { error: 'Template not found' } };
+      }
 
-        setTimeout(() => {
-          if (processInfo.child.killed === false) {
-            processInfo.child.kill('SIGKILL');
-          }
-        }, 5000);
+      const template: ConfigTemplate = {
+        ...templates[index],
+        ...pickTemplateFields(req.body),
+        updatedAt: new Date().toISOString()
+      };
 
-        runningProcesses.delete(id);
-      } catch (killError: any) {
-        console.error('Error killing process:', killError);
+      const validationError = validateTemplate(template);
+      if (validationError) {
+        return { status: 400, body: validationError };
       }
-    }
 
-    await updateOperation(id, {
-      status: 'stopped',
-      completedAt: new Date().toISOString()
+      templates[index] = template;
+      await saveTemplates(templates);
+      return { status: 200, body: template };
     });
-    
-    res.json({ message: 'Operation stopped successfully' });
+
+    res.status(result.status).json(result.body);
   } catch (error: any) {
-    console.error('Error stopping operation:', error);
-    res.status(500).json({ error: 'Failed to stop operation' });
+    console.error('Error updating template:', error);
+    res.status(500).json({ error: 'Failed to update template' });
   }
 });
 
-app.delete('/api/operations/:id', async (req: Request, res: Response) => {
+app.delete('/api/templates/:id', async (req: Request, res: Response) => {
   try {
-    const { id } = req.params;
-    const filename = `${id}.json`;
-    const filepath = path.join(OPERATIONS_DIR, filename);
-    
-    try {
-      await fsp.unlink(filepath);
-    } catch (error: any) {
+    const deleted = await withFileLock(TEMPLATES_FILE, async () => {
+      const templates = await loadTemplates();
+      const remaining = templates.filter(template => template.id !== req.params.id);
+      if (remaining.length === templates.length) {
+        return false;
+      }
+      await saveTemplates(remaining);
+      return true;
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Template not found' });
     }
-    
-    res.json({ message: 'Operation deleted successfully' });
+
+    res.json({ message: 'Template deleted successfully' });
   } catch (error: any) {
-    res.status(500).json({ error: 'Failed to delete operation' });
+    console.error('Error deleting template:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
   }
 });
 
-app.get('/api/operations/:id/logs', async (req: Request, res: Response) => {
+// Resolves the placeholders for one OCP version and validates the result, so
+// channel names are checked against the pre-fetched catalog of that version.
+app.post('/api/templates/:id/render', async (req: Request, res: Response) => {
   try {
-    const { id } = req.params;
-    const operation = await getOperation(id);
-    let logs = '';
+    const ocpVersion = String(req.body.ocpVersion || '').trim();
+    if (!OCP_MINOR_VERSION_PATTERN.test(ocpVersion)) {
+      return res.status(400).json({
+        error: 'Invalid OCP version',
+        provided: req.body.ocpVersion,
+        help: 'Use a major.minor version, e.g. 4.19'
+      });
+    }
 
-    const logFile = path.join(LOGS_DIR, `${id}.log`);
+    const template = (await loadTemplates()).find(entry => entry.id === req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const content = renderTemplate(template.content, { ocpVersion });
+    let parsed: any;
     try {
-      logs = await fsp.readFile(logFile, 'utf8');
-    } catch (e: any) {
-      if (operation.logs && operation.logs.length > 0) {
-        logs = operation.logs.join('\n');
-      }
+      parsed = YAML.parse(content);
+    } catch (error: any) {
+      return res.status(400).json({ error: 'Rendered template is not valid YAML', details: error.message });
     }
-    
-    res.json({ logs });
+    const { valid, errors, warnings } = await validateImageSetConfiguration(parsed);
+
+    res.json({ templateId: template.id, ocpVersion, content, valid, errors, warnings });
   } catch (error: any) {
-    res.status(500).json({ error: 'Failed to get operation logs' });
+    console.error('Error rendering template:', error);
+    res.status(500).json({ error: 'Failed to render template' });
   }
 });
 
-app.get('/api/operations/:id/details', async (req: Request, res: Response) => {
+// Cron tasks for enabled schedules, keyed by schedule id. Schedules themselves
+// live in SCHEDULES_FILE so they survive restarts.
+const scheduledTasks = new Map<string, ScheduledTask>();
+
+async function loadSchedules(): Promise<ScheduleRecord[]> {
   try {
-    const { id } = req.params;
-    const operation = await getOperation(id);
-    
-    if (!operation) {
-      return res.status(404).json({ error: 'Operation not found' });
+    return JSON.parse(await fsp.readFile(SCHEDULES_FILE, 'utf8'));
+  } catch (error: any) {
+    if (error.code === 'ENOENT') {
+      return [];
     }
+    throw error;
+  }
+}
 
-    const details = {
-      imagesMirrored: 0,
-      operatorsMirrored: 0,
-      totalSize: 0,
-      platformImages: 0,
-      additionalImages: 0,
-      helmCharts: 0,
-      configFile: operation.configFile,
-      manifestFiles: [
-        'imageContentSourcePolicy.yaml',
-        'catalogSource.yaml',
-        'mapping.txt'
-      ]
-    };
+// Callers hold withFileLock(SCHEDULES_FILE) around the load and save, so a
+// schedule run finishing while a schedule is edited cannot drop either change.
+async function saveSchedules(schedules: ScheduleRecord[]): Promise<void> {
+  await writeFileAtomic(SCHEDULES_FILE, JSON.stringify(schedules, null, 2));
+}
 
-    if (operation.logs && Array.isArray(operation.logs)) {
-      const logs = operation.logs.join('\n');
+function updateSchedule(id: string, updates: Partial<ScheduleRecord>): Promise<ScheduleRecord | null> {
+  return withFileLock(SCHEDULES_FILE, async () => {
+    const schedules = await loadSchedules();
+    const index = schedules.findIndex(schedule => schedule.id === id);
+    if (index === -1) {
+      return null;
+    }
+    schedules[index] = { ...schedules[index], ...updates };
+    await saveSchedules(schedules);
+    return schedules[index];
+  });
+}
 
-      const imagesToCopyMatch = logs.match(/📌 images to copy (\d+)/);
-      if (imagesToCopyMatch) {
-        details.imagesMirrored = parseInt(imagesToCopyMatch[1]);
-      }
+async function triggerSchedule(id: string): Promise<void> {
+  const schedule = (await loadSchedules()).find(s => s.id === id);
+  if (!schedule || !schedule.enabled) {
+    return;
+  }
 
-      const operatorSuccessMatch = logs.match(/✓ (\d+) \/ (\d+) operator images mirrored successfully/);
-      if (operatorSuccessMatch) {
-        details.operatorsMirrored = parseInt(operatorSuccessMatch[1]);
-      }
+  const lastRunAt = new Date().toISOString();
 
-      const catalogMatches = logs.match(/Collected catalog ([^\n]+)/g);
-      if (catalogMatches) {
-        details.operatorsMirrored = catalogMatches.length;
+  if (schedule.lastOperationId) {
+    try {
+      const previous = await getOperation(schedule.lastOperationId);
+      if (previous.status === 'running' || previous.status === 'queued') {
+        console.log(`Skipping schedule ${schedule.name}: previous run ${previous.id} is still ${previous.status}`);
+        await updateSchedule(id, { lastRunAt, lastError: `Skipped: previous run is still ${previous.status}` });
+        return;
       }
+    } catch {}
+  }
 
-      if (details.imagesMirrored > 0) {
-        details.totalSize = details.imagesMirrored * 50 * 1024 * 1024;
-      }
+  try {
+    const result = await startOperation({
+      configFile: schedule.configFile,
+      mirrorDestinationSubdir: schedule.mirrorDestinationSubdir,
+      workflow: schedule.workflow,
+      targetRegistry: schedule.targetRegistry,
+      dryRun: schedule.dryRun,
+      scheduleId: schedule.id,
+      scheduleName: schedule.name
+    });
 
-      const releaseImagesMatch = logs.match(/🔍 collecting release images/);
-      if (releaseImagesMatch) {
-        const releaseImagesCollected = logs.match(/Success copying.*release.*➡️ cache/g);
-        if (releaseImagesCollected) {
-          details.platformImages = releaseImagesCollected.length;
-        } else {
-          details.platformImages = 0;
-        }
-      } else {
-        details.platformImages = 0;
-      }
+    if (result.statusCode !== 200) {
+      console.error(`Schedule ${schedule.name} failed to start an operation:`, result.body.error);
+      await updateSchedule(id, { lastRunAt, lastError: result.body.error });
+      return;
+    }
 
-      const additionalImagesMatch = logs.match(/🔍 collecting additional images/);
-      if (additionalImagesMatch) {
-        const additionalImagesCollected = logs.match(/Success copying.*additional.*➡️ cache/g);
-        if (additionalImagesCollected) {
-          details.additionalImages = additionalImagesCollected.length;
-        } else {
-          details.additionalImages = 0;
-        }
-      } else {
-        details.additionalImages = 0;
-      }
+    console.log(`Schedule ${schedule.name} started operation ${result.body.operationId}`);
+    await updateSchedule(id, { lastRunAt, lastOperationId: result.body.operationId, lastError: null });
+  } catch (error: any) {
+    console.error(`Error running schedule ${schedule.name}:`, error);
+    await updateSchedule(id, { lastRunAt, lastError: error.message });
+  }
+}
 
-      const helmImagesMatch = logs.match(/🔍 collecting helm images/);
-      if (helmImagesMatch) {
-        const helmChartsCollected = logs.match(/Success copying.*helm.*➡️ cache/g);
-        if (helmChartsCollected) {
-          details.helmCharts = helmChartsCollected.length;
-        } else {
-          details.helmCharts = 0;
-        }
-      } else {
-        details.helmCharts = 0;
-      }
-    }
-    
-    res.json(details);
+function registerSchedule(schedule: ScheduleRecord): void {
+  scheduledTasks.get(schedule.id)?.stop();
+  scheduledTasks.delete(schedule.id);
+
+  if (schedule.enabled && cron.validate(schedule.cronExpression)) {
+    scheduledTasks.set(schedule.id, cron.schedule(schedule.cronExpression, () => {
+      triggerSchedule(schedule.id).catch((error: any) => {
+        console.error(`Error running schedule ${schedule.name}:`, error);
+      });
+    }));
+  }
+}
+
+async function restoreSchedules(): Promise<void> {
+  const schedules = await loadSchedules();
+  for (const schedule of schedules) {
+    registerSchedule(schedule);
+  }
+  if (schedules.length > 0) {
+    console.log(`Loaded ${schedules.length} schedules (${scheduledTasks.size} enabled)`);
+  }
+}
+
+// Returns an error response body when the schedule fields are invalid.
+async function validateSchedule(schedule: Partial<ScheduleRecord>): Promise<Record<string, any> | null> {
+  if (!schedule.name || !schedule.name.trim()) {
+    return { error: 'Schedule name is required' };
+  }
+  if (!schedule.cronExpression || !cron.validate(schedule.cronExpression)) {
+    return {
+      error: 'Invalid cron expression',
+      provided: schedule.cronExpression,
+      help: 'Use five fields (minute hour day-of-month month day-of-week), e.g. "0 2 * * 0" for Sundays at 02:00'
+    };
+  }
+  if (!schedule.configFile) {
+    return { error: 'Configuration file is required' };
+  }
+  try {
+    await fsp.access(path.join(CONFIGS_DIR, path.basename(schedule.configFile)));
+  } catch {
+    return { error: 'Configuration file not found', provided: schedule.configFile };
+  }
+  if (!schedule.workflow || !MIRROR_WORKFLOWS.includes(schedule.workflow)) {
+    return {
+      error: 'Invalid workflow',
+      provided: schedule.workflow,
+      help: `Use one of: ${MIRROR_WORKFLOWS.join(', ')}`
+    };
+  }
+  if (schedule.workflow !== 'mirrorToDisk' && !normalizeTargetRegistry(schedule.targetRegistry)) {
+    return {
+      error: 'A valid target registry is required for this workflow',
+      provided: schedule.targetRegistry
+    };
+  }
+  if (schedule.mirrorDestinationSubdir && !/^[a-zA-Z0-9_-]+$/.test(schedule.mirrorDestinationSubdir)) {
+    return {
+      error: 'Subdirectory name contains invalid characters',
+      provided: schedule.mirrorDestinationSubdir,
+      help: 'Use only letters, numbers, dashes (-), and underscores (_)'
+    };
+  }
+  return null;
+}
+
+function pickScheduleFields(body: any): Partial<ScheduleRecord> {
+  const fields: Partial<ScheduleRecord> = {};
+  if (body.name !== undefined) fields.name = String(body.name).trim();
+  if (body.cronExpression !== undefined) fields.cronExpression = String(body.cronExpression).trim();
+  if (body.configFile !== undefined) fields.configFile = body.configFile;
+  if (body.mirrorDestinationSubdir !== undefined) fields.mirrorDestinationSubdir = String(body.mirrorDestinationSubdir).trim() || undefined;
+  if (body.workflow !== undefined) fields.workflow = body.workflow;
+  if (body.targetRegistry !== undefined) fields.targetRegistry = normalizeTargetRegistry(body.targetRegistry) || body.targetRegistry || undefined;
+  if (body.dryRun !== undefined) fields.dryRun = body.dryRun === true;
+  if (body.enabled !== undefined) fields.enabled = body.enabled !== false;
+  return fields;
+}
+
+app.get('/api/schedules', async (req: Request, res: Response) => {
+  try {
+    res.json(await loadSchedules());
   } catch (error: any) {
-    console.error('Error getting operation details:', error);
-    res.status(500).json({ error: 'Failed to get operation details' });
+    console.error('Error loading schedules:', error);
+    res.status(500).json({ error: 'Failed to load schedules' });
   }
 });
 
-app.get('/api/operations/:id/logstream', (req: Request, res: Response) => {
-  const { id } = req.params;
-  const logFile = path.join(LOGS_DIR, `${id}.log`);
+app.post('/api/schedules', async (req: Request, res: Response) => {
+  try {
+    const now = new Date().toISOString();
+    const schedule: ScheduleRecord = {
+      workflow: 'mirrorToDisk',
+      enabled: true,
+      ...pickScheduleFields(req.body),
+      id: uuidv4(),
+      createdAt: now,
+      updatedAt: now
+    } as ScheduleRecord;
+
+    const validationError = await validateSchedule(schedule);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
 
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
+    await withFileLock(SCHEDULES_FILE, async () => {
+      const schedules = await loadSchedules();
+      schedules.push(schedule);
+      await saveSchedules(schedules);
+    });
+    registerSchedule(schedule);
 
-  let filePos = 0;
-  let finished = false;
-  let idleTicks = 0;
+    res.status(201).json(schedule);
+  } catch (error: any) {
+    console.error('Error creating schedule:', error);
+    res.status(500).json({ error: 'Failed to create schedule' });
+  }
+});
 
-  const sendNewLines = async (): Promise<void> => {
-    if (finished) return;
-    try {
-      const stats = await fsp.stat(logFile);
-      if (stats.size > filePos) {
-        const stream = fs.createReadStream(logFile, { start: filePos, end: stats.size });
-        stream.on('data', (chunk: Buffer | string) => {
-          res.write(`data: ${chunk.toString().replace(/\n/g, '\ndata: ')}\n\n`);
-        });
-        stream.on('end', () => {
-          filePos = stats.size;
-        });
-        stream.on('error', (error: Error) => {
-          console.error('Error reading log stream:', error);
-        });
-        idleTicks = 0;
-      } else {
-        idleTicks += 1;
+app.put('/api/schedules/:id', async (req: Request, res: Response) => {
+  try {
+    const result = await withFileLock(SCHEDULES_FILE, async () => {
+      const schedules = await loadSchedules();
+      const index = schedules.findIndex(schedule => schedule.id === req.params.id);
+      if (index === -1) {
+        return { status: 404, body: { error: 'Schedule not found' } };
       }
 
-      const isRunning = runningProcesses.has(id);
-      if (!isRunning && idleTicks >= 2) {
-        let status = 'unknown';
-        try {
-          const operation = await getOperation(id);
-          status = operation?.status || status;
-        } catch {}
+      const schedule: ScheduleRecord = {
+        ...schedules[index],
+        ...pickScheduleFields(req.body),
+        updatedAt: new Date().toISOString()
+      };
 
-        res.write(`event: done\ndata: ${JSON.stringify({ id, status })}\n\n`);
-        finished = true;
-        clearInterval(interval);
-        res.end();
+      const validationError = await validateSchedule(schedule);
+      if (validationError) {
+        return { status: 400, body: validationError };
       }
-    } catch (error: any) {
-      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
-        console.error('Error streaming logs:', error);
+
+      schedules[index] = schedule;
+      await saveSchedules(schedules);
+      registerSchedule(schedule);
+      return { status: 200, body: schedule };
+    });
+
+    res.status(result.status).json(result.body);
+  } catch (error: any) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+app.delete('/api/schedules/:id', async (req: Request, res: Response) => {
+  try {
+    const deleted = await withFileLock(SCHEDULES_FILE, async () => {
+      const schedules = await loadSchedules();
+      const remaining = schedules.filter(schedule => schedule.id !== req.params.id);
+      if (remaining.length === schedules.length) {
+        return false;
       }
+      await saveSchedules(remaining);
+      return true;
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Schedule not found' });
     }
-  };
 
-  const interval = setInterval(sendNewLines, 1000);
-  sendNewLines();
+    scheduledTasks.get(req.params.id)?.stop();
+    scheduledTasks.delete(req.params.id);
 
-  req.on('close', () => {
-    finished = true;
-    clearInterval(interval);
-  });
+    res.json({ message: 'Schedule deleted successfully' });
+  } catch (error: any) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
 });
 
 app.get('/api/settings', async (req: Request, res: Response) => {
@@ -1993,24 +7406,7 @@ app.get('/api/settings', async (req: Request, res: Response) => {
       const content = await fsp.readFile(settingsPath, 'utf8');
       res.json(JSON.parse(content));
     } catch (error: any) {
-      const defaultSettings = {
-        maxConcurrentOperations: 1,
-        logRetentionDays: 30,
-        autoCleanup: true,
-        registryCredentials: {
-          username: '',
-          password: '',
-          registry: ''
-        },
-        proxySettings: {
-          enabled: false,
-          host: '',
-          port: '',
-          username: '',
-          password: ''
-        }
-      };
-      res.json(defaultSettings);
+      res.json(DEFAULT_SETTINGS);
     }
   } catch (error: any) {
     res.status(500).json({ error: 'Failed to get settings' });
@@ -2021,6 +7417,7 @@ app.post('/api/settings', async (req: Request, res: Response) => {
   try {
     const settingsPath = path.join(STORAGE_DIR, 'settings.json');
     await fsp.writeFile(settingsPath, JSON.stringify(req.body, null, 2));
+    processQueue();
     res.json({ message: 'Settings saved successfully' });
   } catch (error: any) {
     res.status(500).json({ error: 'Failed to save settings' });
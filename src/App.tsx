@@ -27,14 +27,22 @@ import {
   SyncAltIcon,
   HistoryIcon,
   WrenchIcon,
+  OutlinedCalendarAltIcon,
+  DatabaseIcon,
+  EraserIcon,
+  CatalogIcon,
 } from '@patternfly/react-icons';
 import { AlertProvider } from './AlertContext';
 import redhatLogo from '/Logo-Red.svg';
 
 const Dashboard = lazy(() => import('./components/Dashboard'));
 const MirrorConfig = lazy(() => import('./components/MirrorConfig'));
+const Catalogs = lazy(() => import('./components/Catalogs'));
 const MirrorOperations = lazy(() => import('./components/MirrorOperations'));
 const History = lazy(() => import('./components/History'));
+const MirrorStorage = lazy(() => import('./components/MirrorStorage'));
+const RegistryCleanup = lazy(() => import('./components/RegistryCleanup'));
+const Schedules = lazy(() => import('./components/Schedules'));
 const Settings = lazy(() => import('./components/Settings'));
 
 interface NavRoute {
@@ -47,8 +55,12 @@ interface NavRoute {
 const navRoutes: NavRoute[] = [
   { path: '/', label: 'Dashboard', icon: <TachometerAltIcon />, component: Dashboard },
   { path: '/config', label: 'Mirror Configuration', icon: <CogIcon />, component: MirrorConfig },
+  { path: '/catalogs', label: 'Catalogs', icon: <CatalogIcon />, component: Catalogs },
   { path: '/operations', label: 'Mirror Operations', icon: <SyncAltIcon />, component: MirrorOperations },
   { path: '/history', label: 'History', icon: <HistoryIcon />, component: History },
+  { path: '/storage', label: 'Mirror Storage', icon: <DatabaseIcon />, component: MirrorStorage },
+  { path: '/cleanup', label: 'Registry Cleanup', icon: <EraserIcon />, component: RegistryCleanup },
+  { path: '/schedules', label: 'Schedules', icon: <OutlinedCalendarAltIcon />, component: Schedules },
   { path: '/settings', label: 'Settings', icon: <WrenchIcon />, component: Settings },
 ];
 
@@ -0,0 +1,399 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+import {
+  Card,
+  CardBody,
+  CardTitle,
+  CardHeader,
+  Form,
+  FormGroup,
+  TextInput,
+  Button,
+  Label,
+  Alert,
+  Modal,
+  ModalBody,
+  ModalFooter,
+  ModalHeader,
+  ModalVariant,
+  Title,
+  Flex,
+  FlexItem,
+  EmptyState,
+  EmptyStateBody,
+  HelperText,
+  HelperTextItem,
+} from '@patternfly/react-core';
+import {
+  CatalogIcon,
+  PlusCircleIcon,
+  TrashAltIcon,
+  SyncAltIcon,
+  UploadIcon,
+  FolderOpenIcon,
+} from '@patternfly/react-icons';
+import { Table, Thead, Tbody, Tr, Th, Td } from '@patternfly/react-table';
+import { useAlerts } from '../AlertContext';
+
+interface CatalogInfo {
+  name: string;
+  url: string;
+  description: string;
+  custom?: boolean;
+  operatorCount: number;
+  fetchedAt?: string | null;
+  ageHours?: number | null;
+  stale?: boolean;
+}
+
+interface CustomCatalog {
+  id: string;
+  name: string;
+  description?: string;
+  image: string;
+  catalogType: string;
+  catalogVersion: string;
+  operatorCount: number;
+  createdAt: string;
+}
+
+interface RegisterForm {
+  name: string;
+  image: string;
+  description: string;
+}
+
+const emptyForm: RegisterForm = {
+  name: '',
+  image: '',
+  description: '',
+};
+
+// Relative path of a file picked through a directory input, so the server can
+// keep the configs/<package>/ layout.
+const getUploadPath = (file: File): string =>
+  (file as File & { webkitRelativePath?: string }).webkitRelativePath || file.name;
+
+const formatCatalogAge = (ageHours: number): string =>
+  ageHours < 48 ? `${Math.round(ageHours)} hours ago` : `${Math.round(ageHours / 24)} days ago`;
+
+const Catalogs: React.FC = () => {
+  const { addSuccessAlert, addDangerAlert } = useAlerts();
+
+  const [catalogs, setCatalogs] = useState<CatalogInfo[]>([]);
+  const [customCatalogs, setCustomCatalogs] = useState<CustomCatalog[]>([]);
+  const [showRegisterModal, setShowRegisterModal] = useState(false);
+  const [form, setForm] = useState<RegisterForm>({ ...emptyForm });
+  const [files, setFiles] = useState<File[]>([]);
+  const [registering, setRegistering] = useState(false);
+  const [deleteCatalog, setDeleteCatalog] = useState<CustomCatalog | null>(null);
+  const [reloading, setReloading] = useState(false);
+  const archiveInputRef = useRef<HTMLInputElement>(null);
+  const directoryInputRef = useRef<HTMLInputElement>(null);
+
+  const fetchCatalogs = useCallback(async () => {
+    try {
+      const [catalogsResponse, customResponse] = await Promise.all([
+        axios.get('/api/catalogs'),
+        axios.get('/api/catalogs/custom'),
+      ]);
+      setCatalogs(catalogsResponse.data);
+      setCustomCatalogs(customResponse.data);
+    } catch (error) {
+      console.error('Error fetching catalogs:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCatalogs();
+  }, [fetchCatalogs]);
+
+  const openRegisterModal = () => {
+    setForm({ ...emptyForm });
+    setFiles([]);
+    setShowRegisterModal(true);
+  };
+
+  const handleFilesSelected = (event: React.ChangeEvent<HTMLInputElement>) => {
+    setFiles(Array.from(event.target.files || []));
+    event.target.value = '';
+  };
+
+  const registerCatalog = async () => {
+    const data = new FormData();
+    data.append('name', form.name.trim());
+    data.append('image', form.image.trim());
+    data.append('description', form.description.trim());
+    files.forEach(file => data.append('files', file, getUploadPath(file)));
+
+    try {
+      setRegistering(true);
+      const response = await axios.post('/api/catalogs/custom', data);
+      addSuccessAlert(`Catalog "${response.data.name}" registered with ${response.data.operatorCount} operators`);
+      setShowRegisterModal(false);
+      fetchCatalogs();
+    } catch (error: unknown) {
+      const err = error as { response?: { data?: { error?: string; help?: string; details?: string } }; message?: string };
+      console.error('Error registering catalog:', error);
+      const responseData = err.response?.data;
+      const detail = responseData?.details || responseData?.help;
+      addDangerAlert(`Failed to register catalog: ${responseData?.error || err.message}${detail ? ` (${detail})` : ''}`);
+    } finally {
+      setRegistering(false);
+    }
+  };
+
+  const reloadCatalogData = async () => {
+    try {
+      setReloading(true);
+      const response = await axios.post('/api/catalogs/reload');
+      addSuccessAlert(`Reloaded ${response.data.catalogs} catalogs with ${response.data.operators} operators from disk`);
+      fetchCatalogs();
+    } catch (error: unknown) {
+      const err = error as { response?: { data?: { error?: string; details?: string } }; message?: string };
+      console.error('Error reloading catalog data:', error);
+      const responseData = err.response?.data;
+      addDangerAlert(`${responseData?.error || err.message}${responseData?.details ? ` (${responseData.details})` : ''}`);
+    } finally {
+      setReloading(false);
+    }
+  };
+
+  const confirmDeleteCatalog = async () => {
+    if (!deleteCatalog) return;
+    try {
+      await axios.delete(`/api/catalogs/custom/${deleteCatalog.id}`);
+      addSuccessAlert(`Catalog "${deleteCatalog.name}" deleted`);
+      setDeleteCatalog(null);
+      fetchCatalogs();
+    } catch (error) {
+      console.error('Error deleting catalog:', error);
+      addDangerAlert('Failed to delete catalog');
+    }
+  };
+
+  const staleCatalogs = catalogs.filter(catalog => catalog.stale);
+  const isFormValid = form.name.trim() && form.image.trim() && files.length > 0;
+  const selectedFilesLabel = files.length === 1
+    ? getUploadPath(files[0])
+    : `${files.length} files${files.length > 0 ? ` from ${getUploadPath(files[0]).split('/')[0]}/` : ''}`;
+
+  return (
+    <div>
+      <Card>
+        <CardHeader>
+          <Flex justifyContent={{ default: 'justifyContentSpaceBetween' }} alignItems={{ default: 'alignItemsCenter' }}>
+            <FlexItem>
+              <CardTitle>
+                <Title headingLevel="h2">
+                  <CatalogIcon /> Operator Catalogs
+                </Title>
+              </CardTitle>
+            </FlexItem>
+            <FlexItem>
+              <Flex spaceItems={{ default: 'spaceItemsSm' }}>
+                <FlexItem>
+                  <Button variant="secondary" icon={<SyncAltIcon />} onClick={fetchCatalogs}>
+                    Refresh
+                  </Button>
+                </FlexItem>
+                <FlexItem>
+                  <Button variant="secondary" onClick={reloadCatalogData} isLoading={reloading} isDisabled={reloading}>
+                    Reload Catalog Data
+                  </Button>
+                </FlexItem>
+                <FlexItem>
+                  <Button variant="primary" icon={<PlusCircleIcon />} onClick={openRegisterModal}>
+                    Register Catalog
+                  </Button>
+                </FlexItem>
+              </Flex>
+            </FlexItem>
+          </Flex>
+        </CardHeader>
+        <CardBody>
+          {staleCatalogs.length > 0 && (
+            <Alert
+              variant="warning"
+              isInline
+              title={`${staleCatalogs.length} of ${catalogs.length} catalog snapshot(s) are out of date`}
+              style={{ marginBottom: '1rem' }}
+            >
+              Operators, channels and versions may be missing from the configuration builder. Run{' '}
+              <code>./fetch-catalogs-host.sh</code> to refresh them; the server picks up the new data automatically, or use{' '}
+              <strong>Reload Catalog Data</strong>.
+            </Alert>
+          )}
+          {catalogs.length === 0 ? (
+            <EmptyState>
+              <Title headingLevel="h4" size="lg">No catalogs</Title>
+              <EmptyStateBody>
+                No pre-fetched catalog data was found. Register a custom or mirrored catalog index to select its operators in the configuration builder.
+              </EmptyStateBody>
+            </EmptyState>
+          ) : (
+            <Table aria-label="Catalogs" variant="compact">
+              <Thead>
+                <Tr>
+                  <Th>Name</Th>
+                  <Th>Image</Th>
+                  <Th>Operators</Th>
+                  <Th>Fetched</Th>
+                  <Th>Actions</Th>
+                </Tr>
+              </Thead>
+              <Tbody>
+                {catalogs.map(catalog => {
+                  const customCatalog = catalog.custom ? customCatalogs.find(entry => entry.image === catalog.url) : undefined;
+                  return (
+                    <Tr key={catalog.url}>
+                      <Td dataLabel="Name">
+                        <div style={{ fontWeight: 700 }}>
+                          {catalog.name} {catalog.custom && <Label isCompact color="orange">Custom</Label>}
+                        </div>
+                        <div style={{ fontSize: '0.85rem', color: 'var(--pf-v6-global--Color--200)' }}>
+                          {catalog.description}
+                        </div>
+                      </Td>
+                      <Td dataLabel="Image">
+                        <code>{catalog.url}</code>
+                      </Td>
+                      <Td dataLabel="Operators">{catalog.operatorCount}</Td>
+                      <Td dataLabel="Fetched">
+                        {catalog.fetchedAt && catalog.ageHours != null ? (
+                          <span title={new Date(catalog.fetchedAt).toLocaleString()}>
+                            {formatCatalogAge(catalog.ageHours)}{' '}
+                            {catalog.stale && <Label isCompact color="orange">Stale</Label>}
+                          </span>
+                        ) : (
+                          '-'
+                        )}
+                      </Td>
+                      <Td dataLabel="Actions">
+                        {customCatalog && (
+                          <Button variant="danger" icon={<TrashAltIcon />} size="sm" onClick={() => setDeleteCatalog(customCatalog)}>
+                            Delete
+                          </Button>
+                        )}
+                      </Td>
+                    </Tr>
+                  );
+                })}
+              </Tbody>
+            </Table>
+          )}
+        </CardBody>
+      </Card>
+
+      <Modal
+        variant={ModalVariant.medium}
+        isOpen={showRegisterModal}
+        onClose={() => setShowRegisterModal(false)}
+        aria-label="Register catalog"
+      >
+        <ModalHeader title="Register Catalog" />
+        <ModalBody>
+          <Form>
+            <FormGroup label="Name" fieldId="catalog-name" isRequired>
+              <TextInput
+                id="catalog-name"
+                value={form.name}
+                onChange={(_event, value) => setForm({ ...form, name: value })}
+                placeholder="Lab operators"
+              />
+            </FormGroup>
+            <FormGroup label="Catalog Image" fieldId="catalog-image" isRequired>
+              <TextInput
+                id="catalog-image"
+                value={form.image}
+                onChange={(_event, value) => setForm({ ...form, image: value })}
+                placeholder="registry.example.com:5000/operators/my-index:v1.0"
+                style={{ fontFamily: 'monospace' }}
+              />
+              <HelperText>
+                <HelperTextItem>Written as the catalog in generated configurations; the tag is used as the catalog version.</HelperTextItem>
+              </HelperText>
+            </FormGroup>
+            <FormGroup label="Description" fieldId="catalog-description">
+              <TextInput
+                id="catalog-description"
+                value={form.description}
+                onChange={(_event, value) => setForm({ ...form, description: value })}
+              />
+            </FormGroup>
+            <FormGroup label="Catalog Content" fieldId="catalog-files" isRequired>
+              <Flex spaceItems={{ default: 'spaceItemsSm' }} alignItems={{ default: 'alignItemsCenter' }}>
+                <FlexItem>
+                  <Button variant="secondary" icon={<UploadIcon />} onClick={() => archiveInputRef.current?.click()}>
+                    Upload Tarball
+                  </Button>
+                </FlexItem>
+                <FlexItem>
+                  <Button variant="secondary" icon={<FolderOpenIcon />} onClick={() => directoryInputRef.current?.click()}>
+                    Upload Directory
+                  </Button>
+                </FlexItem>
+                {files.length > 0 && (
+                  <FlexItem>
+                    <code>{selectedFilesLabel}</code>
+                  </FlexItem>
+                )}
+              </Flex>
+              <input
+                ref={archiveInputRef}
+                type="file"
+                accept=".tar,.tar.gz,.tgz"
+                style={{ display: 'none' }}
+                onChange={handleFilesSelected}
+              />
+              <input
+                ref={directoryInputRef}
+                type="file"
+                multiple
+                style={{ display: 'none' }}
+                onChange={handleFilesSelected}
+                {...{ webkitdirectory: '' }}
+              />
+              <HelperText>
+                <HelperTextItem>
+                  The File-Based Catalog from the index image, e.g. extracted with <code>oc image extract &lt;image&gt; --path /configs/:./configs</code>. JSON and YAML files are read.
+                </HelperTextItem>
+              </HelperText>
+            </FormGroup>
+          </Form>
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="primary" onClick={registerCatalog} isLoading={registering} isDisabled={!isFormValid || registering}>
+            Register
+          </Button>
+          <Button variant="link" onClick={() => setShowRegisterModal(false)}>
+            Cancel
+          </Button>
+        </ModalFooter>
+      </Modal>
+
+      <Modal
+        variant={ModalVariant.small}
+        isOpen={deleteCatalog !== null}
+        onClose={() => setDeleteCatalog(null)}
+        aria-label="Delete catalog"
+      >
+        <ModalHeader title="Delete Catalog" />
+        <ModalBody>
+          Are you sure you want to delete catalog <span style={{ fontWeight: 600 }}>&quot;{deleteCatalog?.name}&quot;</span>?
+          Saved configurations that reference <code>{deleteCatalog?.image}</code> are not changed, but will no longer be checked against it.
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="danger" onClick={confirmDeleteCatalog}>
+            Delete
+          </Button>
+          <Button variant="link" onClick={() => setDeleteCatalog(null)}>
+            Cancel
+          </Button>
+        </ModalFooter>
+      </Modal>
+    </div>
+  );
+};
+
+export default Catalogs;
@@ -19,6 +19,8 @@ import {
   DescriptionListDescription,
   EmptyState,
   EmptyStateBody,
+  Alert,
+  AlertActionLink,
 } from '@patternfly/react-core';
 import {
   SyncAltIcon,
@@ -30,6 +32,7 @@ import {
   ListIcon,
   HeartbeatIcon,
   ClockIcon,
+  ExclamationTriangleIcon,
 } from '@patternfly/react-icons';
 import { Table, Thead, Tbody, Tr, Th, Td } from '@patternfly/react-table';
 import { useAlerts } from '../AlertContext';
@@ -39,14 +42,20 @@ interface Stats {
   successfulOperations: number;
   failedOperations: number;
   runningOperations: number;
+  interruptedOperations?: number;
+  queuedOperations?: number;
+  maxConcurrentOperations?: number;
 }
 
 interface Operation {
+  id: string;
   name: string;
   configFile: string;
   status: string;
   startedAt: string;
   duration: number | null;
+  queuePosition?: number;
+  errorMessage?: string | null;
 }
 
 interface SystemStatus {
@@ -55,7 +64,7 @@ interface SystemStatus {
   systemHealth: string;
 }
 
-type LabelColor = 'green' | 'red' | 'blue' | 'orange' | 'grey';
+type LabelColor = 'green' | 'red' | 'blue' | 'orange' | 'grey' | 'purple';
 
 const getStatusLabelColor = (status: string): LabelColor => {
   switch (status) {
@@ -96,9 +105,13 @@ const getOperationLabelColor = (status: string): LabelColor => {
       return 'green';
     case 'running':
       return 'blue';
+    case 'queued':
+      return 'purple';
     case 'failed':
     case 'stopped':
       return 'red';
+    case 'interrupted':
+      return 'orange';
     default:
       return 'grey';
   }
@@ -110,10 +123,14 @@ const getOperationStatusText = (status: string): string => {
       return 'Success';
     case 'running':
       return 'Running';
+    case 'queued':
+      return 'Queued';
     case 'failed':
       return 'Failed';
     case 'stopped':
       return 'Stopped';
+    case 'interrupted':
+      return 'Interrupted';
     default:
       return 'Unknown';
   }
@@ -125,16 +142,20 @@ const getOperationStatusIcon = (status: string) => {
       return <CheckCircleIcon />;
     case 'running':
       return <InProgressIcon />;
+    case 'queued':
+      return <ClockIcon />;
     case 'failed':
     case 'stopped':
       return <TimesCircleIcon />;
+    case 'interrupted':
+      return <ExclamationTriangleIcon />;
     default:
       return null;
   }
 };
 
 const Dashboard: React.FC = () => {
-  const { addDangerAlert } = useAlerts();
+  const { addDangerAlert, addSuccessAlert } = useAlerts();
   const navigate = useNavigate();
 
   const [stats, setStats] = useState<Stats>({
@@ -176,7 +197,20 @@ const Dashboard: React.FC = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  const retryOperation = async (op: Operation) => {
+    try {
+      await axios.post(`/api/operations/${op.id}/retry`);
+      addSuccessAlert(`Retrying ${op.name}`);
+      fetchDashboardData();
+    } catch (error: unknown) {
+      const err = error as { response?: { data?: { error?: string } }; message?: string };
+      console.error('Error retrying operation:', error);
+      addDangerAlert(`Failed to retry operation: ${err.response?.data?.error || err.message}`);
+    }
+  };
+
   const lastOperation = recentOperations.length > 0 ? recentOperations[0] : null;
+  const interruptedOperations = recentOperations.filter(op => op.status === 'interrupted');
 
   if (loading) {
     return (
@@ -261,6 +295,22 @@ const Dashboard: React.FC = () => {
         </Card>
       </PageSection>
 
+      {interruptedOperations.length > 0 && (
+        <PageSection>
+          <Alert
+            variant="warning"
+            title={`${stats.interruptedOperations || interruptedOperations.length} operation${(stats.interruptedOperations || interruptedOperations.length) === 1 ? ' was' : 's were'} interrupted by a server restart`}
+            actionLinks={interruptedOperations.map(op => (
+              <AlertActionLink key={op.id} onClick={() => retryOperation(op)}>
+                Retry {op.name}
+              </AlertActionLink>
+            ))}
+          >
+            {interruptedOperations[0].errorMessage}
+          </Alert>
+        </PageSection>
+      )}
+
       {/* Operation Statistics */}
       <PageSection>
         <Card>
@@ -316,7 +366,15 @@ const Dashboard: React.FC = () => {
                     </Title>
                     <Label color="blue" icon={<InProgressIcon />}>
                       Running
+                      {stats.maxConcurrentOperations ? ` (max ${stats.maxConcurrentOperations})` : ''}
                     </Label>
+                    {(stats.queuedOperations || 0) > 0 && (
+                      <div style={{ marginTop: '0.5rem' }}>
+                        <Label color="purple" icon={<ClockIcon />}>
+                          {stats.queuedOperations} Queued
+                        </Label>
+                      </div>
+                    )}
                   </CardBody>
                 </Card>
               </GridItem>
@@ -373,6 +431,7 @@ const Dashboard: React.FC = () => {
                           icon={getOperationStatusIcon(op.status)}
                         >
                           {getOperationStatusText(op.status)}
+                          {op.status === 'queued' && op.queuePosition ? ` #${op.queuePosition}` : ''}
                         </Label>
                       </Td>
                       <Td dataLabel="Started">{new Date(op.startedAt).toLocaleString()}</Td>
@@ -21,6 +21,13 @@ import {
   Title,
   EmptyState,
   EmptyStateBody,
+  Modal,
+  ModalBody,
+  ModalHeader,
+  ModalVariant,
+  DatePicker,
+  Pagination,
+  SearchInput,
 } from '@patternfly/react-core';
 import {
   HistoryIcon,
@@ -35,22 +42,78 @@ import {
   SyncAltIcon,
   OutlinedClockIcon,
   ListIcon,
+  RedoIcon,
+  EyeIcon,
+  OutlinedCalendarAltIcon,
+  ExclamationTriangleIcon,
 } from '@patternfly/react-icons';
-import { Table, Thead, Tbody, Tr, Th, Td } from '@patternfly/react-table';
+import { Table, Thead, Tbody, Tr, Th, Td, ThProps } from '@patternfly/react-table';
 import { useAlerts } from '../AlertContext';
 
+type MirrorWorkflow = 'mirrorToDisk' | 'diskToMirror' | 'mirrorToMirror' | 'delete';
+
 interface Operation {
   id: string;
   name: string;
   configFile: string;
-  status: 'running' | 'success' | 'failed' | 'stopped';
+  status: 'queued' | 'running' | 'success' | 'failed' | 'stopped' | 'interrupted';
+  queuePosition?: number;
   startedAt: string;
   completedAt?: string;
   duration?: number;
   errorMessage?: string;
+  workflow?: MirrorWorkflow;
+  source?: string;
+  destination?: string;
+  parentOperationId?: string;
+  attempt?: number;
+  scheduleId?: string;
+  scheduleName?: string;
+  dryRun?: boolean;
+  dryRunSummary?: {
+    total: number;
+    missing: number;
+    release: number;
+    operator: number;
+    additional: number;
+  };
+}
+
+const WORKFLOW_LABELS: Record<MirrorWorkflow, string> = {
+  mirrorToDisk: 'Mirror to Disk',
+  diskToMirror: 'Disk to Mirror',
+  mirrorToMirror: 'Mirror to Mirror',
+  delete: 'Registry Delete',
+};
+
+type SortField = 'name' | 'status' | 'startedAt' | 'duration';
+
+// Column order of the operations table, used to map sort indexes to fields.
+const SORT_COLUMNS: SortField[] = ['name', 'status', 'startedAt', 'duration'];
+
+interface HistoryPage {
+  operations: Operation[];
+  total: number;
+  facets: {
+    configFiles: string[];
+    destinations: string[];
+  };
+}
+
+interface ArchiveFile {
+  name: string;
+  size: number;
+}
+
+interface ClusterResourceFile {
+  name: string;
+  kind: string;
+  size: number;
 }
 
 interface OperationDetails {
+  archives?: ArchiveFile[];
+  clusterResources?: ClusterResourceFile[];
   imagesMirrored?: number;
   operatorsMirrored?: number;
   totalSize?: number;
@@ -62,30 +125,61 @@ interface OperationDetails {
 }
 
 const History: React.FC = () => {
-  const { addDangerAlert } = useAlerts();
+  const { addDangerAlert, addSuccessAlert, addInfoAlert } = useAlerts();
 
   const [operations, setOperations] = useState<Operation[]>([]);
+  const [total, setTotal] = useState(0);
+  const [configFiles, setConfigFiles] = useState<string[]>([]);
   const [selectedOperation, setSelectedOperation] = useState<Operation | null>(null);
   const [operationDetails, setOperationDetails] = useState<OperationDetails | null>(null);
-  const [loading, setLoading] = useState(false);
+  const [retryChain, setRetryChain] = useState<Operation[]>([]);
+  const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all');
+  const [configFilter, setConfigFilter] = useState('');
+  const [destinationInput, setDestinationInput] = useState('');
+  const [destinationFilter, setDestinationFilter] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [sortBy, setSortBy] = useState<SortField>('startedAt');
+  const [sortOrder, setSortOrder] = useState<'asc' | 'desc'>('desc');
+  const [page, setPage] = useState(1);
+  const [perPage, setPerPage] = useState(20);
   const [liveLog, setLiveLog] = useState('');
   const [logSource, setLogSource] = useState<EventSource | null>(null);
+  const [viewedResource, setViewedResource] = useState<{ filename: string; content: string } | null>(null);
   const operationRowRefs = useRef<Record<string, HTMLDivElement | null>>({});
   const logRef = useRef<HTMLDivElement>(null);
 
+  const getFilterParams = useCallback(() => {
+    const params: Record<string, string> = { sortBy, sortOrder };
+    if (filter === 'dryRun') {
+      params.dryRun = 'true';
+    } else if (filter !== 'all') {
+      params.status = filter;
+    }
+    if (configFilter) params.configFile = configFilter;
+    if (destinationFilter) params.destination = destinationFilter;
+    if (fromDate) params.from = fromDate;
+    if (toDate) params.to = toDate;
+    return params;
+  }, [filter, configFilter, destinationFilter, fromDate, toDate, sortBy, sortOrder]);
+
   const fetchHistory = useCallback(async () => {
     try {
-      setLoading(true);
-      const response = await axios.get('/api/operations/history');
-      setOperations(response.data);
-    } catch (error) {
+      const response = await axios.get<HistoryPage>('/api/operations/history', {
+        params: { ...getFilterParams(), page, pageSize: perPage },
+      });
+      setOperations(response.data.operations);
+      setTotal(response.data.total);
+      setConfigFiles(response.data.facets.configFiles);
+    } catch (error: unknown) {
+      const err = error as { response?: { data?: { error?: string } }; message?: string };
       console.error('Error fetching history:', error);
-      addDangerAlert('Failed to load operation history');
+      addDangerAlert(`Failed to load operation history: ${err.response?.data?.error || err.message}`);
     } finally {
       setLoading(false);
     }
-  }, [addDangerAlert]);
+  }, [addDangerAlert, getFilterParams, page, perPage]);
 
   useEffect(() => {
     fetchHistory();
@@ -196,6 +290,16 @@ const History: React.FC = () => {
     }
   };
 
+  const fetchRetryChain = async (operationId: string) => {
+    try {
+      const response = await axios.get(`/api/operations/${operationId}/retry-chain`);
+      setRetryChain(response.data);
+    } catch (error) {
+      console.error('Error fetching retry chain:', error);
+      setRetryChain([]);
+    }
+  };
+
   const clearSelectedOperation = () => {
     if (logSource) {
       logSource.close();
@@ -204,6 +308,7 @@ const History: React.FC = () => {
 
     setSelectedOperation(null);
     setOperationDetails(null);
+    setRetryChain([]);
     setLiveLog('');
   };
 
@@ -211,10 +316,58 @@ const History: React.FC = () => {
     setOperationDetails(null);
     setSelectedOperation(operation);
     fetchOperationDetails(operation.id);
+    fetchRetryChain(operation.id);
+  };
+
+  // Any change to the filters starts again from the first page.
+  const updateFilter = <T,>(setter: (value: T) => void) => (value: T) => {
+    setter(value);
+    setPage(1);
   };
 
-  const getStatusLabel = (status: string) => {
+  const getSortParams = (columnIndex: number): ThProps['sort'] => ({
+    sortBy: {
+      index: SORT_COLUMNS.indexOf(sortBy),
+      direction: sortOrder,
+    },
+    onSort: (_event, index, direction) => {
+      setSortBy(SORT_COLUMNS[index]);
+      setSortOrder(direction);
+      setPage(1);
+    },
+    columnIndex,
+  });
+
+  const viewClusterResource = async (operationId: string, filename: string) => {
+    try {
+      const response = await axios.get(`/api/operations/${operationId}/cluster-resources/${encodeURIComponent(filename)}`);
+      setViewedResource(response.data);
+    } catch (error) {
+      console.error('Error loading cluster resource:', error);
+      addDangerAlert(`Failed to load ${filename}`);
+    }
+  };
+
+  const retryOperation = async (operation: Operation) => {
+    try {
+      const response = await axios.post(`/api/operations/${operation.id}/retry`);
+      if (response.data.status === 'queued') {
+        addInfoAlert(`Retry queued at position ${response.data.queuePosition}`);
+      } else {
+        addSuccessAlert(`Retry started (attempt ${response.data.attempt})`);
+      }
+      fetchHistory();
+    } catch (error: unknown) {
+      const err = error as { response?: { data?: { error?: string } }; message?: string };
+      console.error('Error retrying operation:', error);
+      addDangerAlert(`Failed to retry operation: ${err.response?.data?.error || err.message}`);
+    }
+  };
+
+  const getStatusLabel = (status: string, queuePosition?: number) => {
     switch (status) {
+      case 'queued':
+        return <Label color="purple" icon={<OutlinedClockIcon />}>Queued{queuePosition ? ` #${queuePosition}` : ''}</Label>;
       case 'success':
         return <Label color="green" icon={<CheckCircleIcon />}>Success</Label>;
       case 'running':
@@ -223,6 +376,8 @@ const History: React.FC = () => {
         return <Label color="red" icon={<TimesCircleIcon />}>Failed</Label>;
       case 'stopped':
         return <Label color="orange" icon={<StopIcon />}>Stopped</Label>;
+      case 'interrupted':
+        return <Label color="orange" icon={<ExclamationTriangleIcon />}>Interrupted</Label>;
       default:
         return <Label color="grey">Unknown</Label>;
     }
@@ -246,11 +401,6 @@ const History: React.FC = () => {
     return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
   };
 
-  const filteredOperations = operations.filter(op => {
-    if (filter === 'all') return true;
-    return op.status === filter;
-  });
-
   const renderOperationDetails = () => {
     if (!selectedOperation) {
       return null;
@@ -269,7 +419,7 @@ const History: React.FC = () => {
           </DescriptionListGroup>
           <DescriptionListGroup>
             <DescriptionListTerm>Status</DescriptionListTerm>
-            <DescriptionListDescription>{getStatusLabel(selectedOperation.status)}</DescriptionListDescription>
+            <DescriptionListDescription>{getStatusLabel(selectedOperation.status, selectedOperation.queuePosition)}</DescriptionListDescription>
           </DescriptionListGroup>
           <DescriptionListGroup>
             <DescriptionListTerm>Started</DescriptionListTerm>
@@ -289,19 +439,96 @@ const History: React.FC = () => {
             <DescriptionListTerm>Config File</DescriptionListTerm>
             <DescriptionListDescription>{selectedOperation.configFile}</DescriptionListDescription>
           </DescriptionListGroup>
+          <DescriptionListGroup>
+            <DescriptionListTerm>Workflow</DescriptionListTerm>
+            <DescriptionListDescription>
+              {WORKFLOW_LABELS[selectedOperation.workflow || 'mirrorToDisk']}
+              {selectedOperation.dryRun && ' (dry run)'}
+            </DescriptionListDescription>
+          </DescriptionListGroup>
+          {selectedOperation.scheduleId && (
+            <DescriptionListGroup>
+              <DescriptionListTerm>Triggered By</DescriptionListTerm>
+              <DescriptionListDescription>Schedule &quot;{selectedOperation.scheduleName || selectedOperation.scheduleId}&quot;</DescriptionListDescription>
+            </DescriptionListGroup>
+          )}
+          {selectedOperation.dryRunSummary && (
+            <DescriptionListGroup>
+              <DescriptionListTerm>Dry Run Images</DescriptionListTerm>
+              <DescriptionListDescription>
+                {selectedOperation.dryRunSummary.total} total ({selectedOperation.dryRunSummary.release} release, {selectedOperation.dryRunSummary.operator} operator, {selectedOperation.dryRunSummary.additional} additional), {selectedOperation.dryRunSummary.missing} not yet cached
+              </DescriptionListDescription>
+            </DescriptionListGroup>
+          )}
+          {selectedOperation.source && (
+            <DescriptionListGroup>
+              <DescriptionListTerm>Source</DescriptionListTerm>
+              <DescriptionListDescription><code>{selectedOperation.source}</code></DescriptionListDescription>
+            </DescriptionListGroup>
+          )}
+          {selectedOperation.destination && (
+            <DescriptionListGroup>
+              <DescriptionListTerm>Destination</DescriptionListTerm>
+              <DescriptionListDescription><code>{selectedOperation.destination}</code></DescriptionListDescription>
+            </DescriptionListGroup>
+          )}
         </DescriptionList>
 
         {selectedOperation.errorMessage && (
           <Alert
-            variant="danger"
+            variant={selectedOperation.status === 'interrupted' ? 'warning' : 'danger'}
             isInline
-            title="Error"
+            title={selectedOperation.status === 'interrupted' ? 'Interrupted' : 'Error'}
             style={{ marginTop: '1rem' }}
           >
             {selectedOperation.errorMessage}
           </Alert>
         )}
 
+        {(selectedOperation.status === 'failed' || selectedOperation.status === 'stopped' || selectedOperation.status === 'interrupted') && (
+          <Button
+            variant="secondary"
+            icon={<RedoIcon />}
+            onClick={() => retryOperation(selectedOperation)}
+            style={{ marginTop: '1rem' }}
+          >
+            Retry operation
+          </Button>
+        )}
+
+        {retryChain.length > 1 && (
+          <div style={{ marginTop: '1rem' }}>
+            <Title headingLevel="h4" style={{ marginBottom: '0.5rem' }}>
+              <RedoIcon /> Retry Chain
+            </Title>
+            <Table aria-label="Retry chain" variant="compact">
+              <Thead>
+                <Tr>
+                  <Th>Attempt</Th>
+                  <Th>Operation</Th>
+                  <Th>Status</Th>
+                  <Th>Started</Th>
+                </Tr>
+              </Thead>
+              <Tbody>
+                {retryChain.map((op, index) => (
+                  <Tr
+                    key={op.id}
+                    isClickable={op.id !== selectedOperation.id}
+                    isRowSelected={op.id === selectedOperation.id}
+                    onRowClick={() => op.id !== selectedOperation.id && handleOperationSelect(op)}
+                  >
+                    <Td dataLabel="Attempt">{op.attempt || index + 1}</Td>
+                    <Td dataLabel="Operation">{op.name}</Td>
+                    <Td dataLabel="Status">{getStatusLabel(op.status, op.queuePosition)}</Td>
+                    <Td dataLabel="Started">{new Date(op.startedAt).toLocaleString()}</Td>
+                  </Tr>
+                ))}
+              </Tbody>
+            </Table>
+          </div>
+        )}
+
         {operationDetails && (
           <div style={{ marginTop: '1rem' }}>
             <Title headingLevel="h4" style={{ marginBottom: '0.5rem' }}>
@@ -340,6 +567,76 @@ const History: React.FC = () => {
               title={`Configuration File: ${operationDetails.configFile || selectedOperation.configFile}`}
               style={{ marginTop: '1rem' }}
             />
+
+            {operationDetails.archives && operationDetails.archives.length > 0 && (
+              <div style={{ marginTop: '1rem' }}>
+                <Title headingLevel="h4" style={{ marginBottom: '0.5rem' }}>
+                  Archives
+                </Title>
+                <Table aria-label="Archive files" variant="compact">
+                  <Thead>
+                    <Tr>
+                      <Th>File</Th>
+                      <Th>Size</Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {operationDetails.archives.map(archive => (
+                      <Tr key={archive.name}>
+                        <Td dataLabel="File"><code>{archive.name}</code></Td>
+                        <Td dataLabel="Size">{formatFileSize(archive.size)}</Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+              </div>
+            )}
+
+            {operationDetails.clusterResources && operationDetails.clusterResources.length > 0 && (
+              <div style={{ marginTop: '1rem' }}>
+                <Title headingLevel="h4" style={{ marginBottom: '0.5rem' }}>
+                  Cluster Resources
+                </Title>
+                <Table aria-label="Cluster resources" variant="compact">
+                  <Thead>
+                    <Tr>
+                      <Th>File</Th>
+                      <Th>Kind</Th>
+                      <Th>Size</Th>
+                      <Th>Actions</Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {operationDetails.clusterResources.map(resource => (
+                      <Tr key={resource.name}>
+                        <Td dataLabel="File"><code>{resource.name}</code></Td>
+                        <Td dataLabel="Kind">{resource.kind}</Td>
+                        <Td dataLabel="Size">{formatFileSize(resource.size)}</Td>
+                        <Td dataLabel="Actions">
+                          <Button
+                            variant="link"
+                            icon={<EyeIcon />}
+                            size="sm"
+                            onClick={() => viewClusterResource(selectedOperation.id, resource.name)}
+                          >
+                            View
+                          </Button>
+                          <Button
+                            variant="link"
+                            icon={<DownloadIcon />}
+                            size="sm"
+                            component="a"
+                            href={`/api/operations/${selectedOperation.id}/cluster-resources/${encodeURIComponent(resource.name)}/download`}
+                          >
+                            Download
+                          </Button>
+                        </Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+              </div>
+            )}
           </div>
         )}
 
@@ -368,15 +665,35 @@ const History: React.FC = () => {
     );
   };
 
-  const exportHistory = () => {
+  const exportHistory = async () => {
+    let exported: Operation[];
+    try {
+      const response = await axios.get<HistoryPage>('/api/operations/history', {
+        params: { ...getFilterParams(), pageSize: 0 },
+      });
+      exported = response.data.operations;
+    } catch (error) {
+      console.error('Error exporting history:', error);
+      addDangerAlert('Failed to export operation history');
+      return;
+    }
+
+    const namesById = new Map(exported.map(op => [op.id, op.name]));
     const csvContent = [
-      ['Operation Name', 'Status', 'Started', 'Duration', 'Config File', 'Error Message'],
-      ...filteredOperations.map(op => [
+      ['Operation Name', 'Status', 'Started', 'Duration', 'Config File', 'Workflow', 'Dry Run', 'Schedule', 'Source', 'Destination', 'Attempt', 'Retry Of', 'Error Message'],
+      ...exported.map(op => [
         op.name,
         op.status,
         new Date(op.startedAt).toLocaleString(),
         formatDuration(op.duration),
         op.configFile,
+        WORKFLOW_LABELS[op.workflow || 'mirrorToDisk'],
+        op.dryRun ? 'yes' : 'no',
+        op.scheduleName || '',
+        op.source || '',
+        op.destination || '',
+        op.attempt || 1,
+        (op.parentOperationId && (namesById.get(op.parentOperationId) || op.parentOperationId)) || '',
         op.errorMessage || '',
       ]),
     ].map(row => row.map(field => `"${field}"`).join(',')).join('\n');
@@ -419,16 +736,60 @@ const History: React.FC = () => {
               <ToolbarItem>
                 <FormSelect
                   value={filter}
-                  onChange={(_event, value) => setFilter(value)}
+                  onChange={(_event, value) => updateFilter(setFilter)(value)}
                   aria-label="Filter operations"
                 >
                   <FormSelectOption value="all" label="All Operations" />
                   <FormSelectOption value="success" label="Successful" />
                   <FormSelectOption value="failed" label="Failed" />
                   <FormSelectOption value="stopped" label="Stopped" />
+                  <FormSelectOption value="interrupted" label="Interrupted" />
                   <FormSelectOption value="running" label="Running" />
+                  <FormSelectOption value="queued" label="Queued" />
+                  <FormSelectOption value="dryRun" label="Dry Runs" />
+                </FormSelect>
+              </ToolbarItem>
+              <ToolbarItem>
+                <FormSelect
+                  value={configFilter}
+                  onChange={(_event, value) => updateFilter(setConfigFilter)(value)}
+                  aria-label="Filter by configuration"
+                >
+                  <FormSelectOption value="" label="All Configurations" />
+                  {configFiles.map(file => (
+                    <FormSelectOption key={file} value={file} label={file} />
+                  ))}
                 </FormSelect>
               </ToolbarItem>
+              <ToolbarItem>
+                <SearchInput
+                  placeholder="Destination or registry"
+                  value={destinationInput}
+                  onChange={(_event, value) => setDestinationInput(value)}
+                  onSearch={(_event, value) => updateFilter(setDestinationFilter)(value.trim())}
+                  onClear={() => {
+                    setDestinationInput('');
+                    updateFilter(setDestinationFilter)('');
+                  }}
+                  aria-label="Filter by destination"
+                />
+              </ToolbarItem>
+              <ToolbarItem>
+                <DatePicker
+                  value={fromDate}
+                  onChange={(_event, value) => updateFilter(setFromDate)(value)}
+                  placeholder="From (YYYY-MM-DD)"
+                  aria-label="Started on or after"
+                />
+              </ToolbarItem>
+              <ToolbarItem>
+                <DatePicker
+                  value={toDate}
+                  onChange={(_event, value) => updateFilter(setToDate)(value)}
+                  placeholder="To (YYYY-MM-DD)"
+                  aria-label="Started on or before"
+                />
+              </ToolbarItem>
               <ToolbarItem>
                 <Button variant="secondary" icon={<DownloadIcon />} onClick={exportHistory}>
                   Export CSV
@@ -444,7 +805,7 @@ const History: React.FC = () => {
           <Title headingLevel="h3" style={{ marginBottom: '1rem' }}>
             <ListIcon /> Operations List
           </Title>
-          {filteredOperations.length === 0 ? (
+          {operations.length === 0 ? (
             <EmptyState>
               <SearchIcon />
               <EmptyStateBody>No operations found.</EmptyStateBody>
@@ -453,14 +814,14 @@ const History: React.FC = () => {
             <Table aria-label="Operations list">
               <Thead>
                 <Tr>
-                  <Th>Operation</Th>
-                  <Th>Status</Th>
-                  <Th>Started</Th>
-                  <Th>Duration</Th>
+                  <Th sort={getSortParams(0)}>Operation</Th>
+                  <Th sort={getSortParams(1)}>Status</Th>
+                  <Th sort={getSortParams(2)}>Started</Th>
+                  <Th sort={getSortParams(3)}>Duration</Th>
                 </Tr>
               </Thead>
               <Tbody>
-                {filteredOperations.map((op) => {
+                {operations.map((op) => {
                   const isSelected = selectedOperation?.id === op.id;
 
                   return (
@@ -504,13 +865,28 @@ const History: React.FC = () => {
                                 {op.name}
                               </div>
                               <div style={{ fontSize: '0.85rem', color: 'var(--pf-v6-global--Color--200)' }}>
-                                {op.configFile}
+                                {op.configFile} &middot; {WORKFLOW_LABELS[op.workflow || 'mirrorToDisk']}
+                                {op.dryRun && (
+                                  <Label isCompact color="teal" icon={<SearchIcon />} style={{ marginLeft: '0.5rem' }}>
+                                    Dry run
+                                  </Label>
+                                )}
+                                {op.scheduleId && (
+                                  <Label isCompact color="blue" icon={<OutlinedCalendarAltIcon />} style={{ marginLeft: '0.5rem' }}>
+                                    {op.scheduleName || 'Scheduled'}
+                                  </Label>
+                                )}
+                                {op.parentOperationId && (
+                                  <Label isCompact color="orange" icon={<RedoIcon />} style={{ marginLeft: '0.5rem' }}>
+                                    Attempt {op.attempt || 2}
+                                  </Label>
+                                )}
                               </div>
                             </div>
                           </div>
                         </Td>
                         <Td dataLabel="Status">
-                          {getStatusLabel(op.status)}
+                          {getStatusLabel(op.status, op.queuePosition)}
                         </Td>
                         <Td dataLabel="Started">
                           {new Date(op.startedAt).toLocaleString()}
@@ -532,9 +908,34 @@ const History: React.FC = () => {
               </Tbody>
             </Table>
           )}
+          <Pagination
+            itemCount={total}
+            page={page}
+            perPage={perPage}
+            onSetPage={(_event, newPage) => setPage(newPage)}
+            onPerPageSelect={(_event, newPerPage) => {
+              setPerPage(newPerPage);
+              setPage(1);
+            }}
+            variant="bottom"
+            style={{ marginTop: '1rem' }}
+          />
         </CardBody>
       </Card>
 
+      <Modal
+        variant={ModalVariant.large}
+        isOpen={viewedResource !== null}
+        onClose={() => setViewedResource(null)}
+        aria-label="Cluster resource"
+      >
+        <ModalHeader title={viewedResource?.filename} />
+        <ModalBody>
+          <CodeBlock>
+            <CodeBlockCode>{viewedResource?.content}</CodeBlockCode>
+          </CodeBlock>
+        </ModalBody>
+      </Modal>
     </div>
   );
 };
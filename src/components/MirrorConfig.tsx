@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
 import YAML from 'yaml';
+import { useSearchParams } from 'react-router-dom';
 import { useAlerts } from '../AlertContext';
 import {
   Alert,
@@ -44,11 +45,17 @@ import {
   SelectOption,
   SelectList,
   MenuToggle,
+  Modal,
+  ModalBody,
+  ModalFooter,
+  ModalHeader,
+  ModalVariant,
   TextInputGroup,
   TextInputGroupMain,
   TextInputGroupUtilities,
 } from '@patternfly/react-core';
 import { TimesIcon } from '@patternfly/react-icons';
+import { Table, Thead, Tbody, Tr, Th, Td, ExpandableRowContent } from '@patternfly/react-table';
 import {
   ServerIcon,
   CogIcon,
@@ -61,8 +68,12 @@ import {
   DownloadIcon,
   InfoCircleIcon,
   SaveIcon,
+  SyncAltIcon,
   ArrowRightIcon,
   BundleIcon,
+  AnchorIcon,
+  BanIcon,
+  LayerGroupIcon,
 } from '@patternfly/react-icons';
 
 interface PlatformChannel {
@@ -71,6 +82,7 @@ interface PlatformChannel {
   maxVersion: string;
   type: string;
   shortestPath: boolean;
+  full: boolean;
 }
 
 interface OperatorChannel {
@@ -82,6 +94,10 @@ interface OperatorChannel {
 interface OperatorPackage {
   name: string;
   channels: OperatorChannel[];
+  bundles?: { name: string }[];
+  minVersion?: string;
+  maxVersion?: string;
+  defaultChannel?: string;
   isDependency?: boolean;
   autoAddedBy?: string;
 }
@@ -91,6 +107,31 @@ interface OperatorCatalog {
   catalogVersion?: string;
   availableOperators?: string[];
   packages: OperatorPackage[];
+  full?: boolean;
+  skipDependencies?: boolean;
+  targetCatalog?: string;
+  targetTag?: string;
+}
+
+interface HelmChart {
+  name: string;
+  version: string;
+}
+
+interface HelmRepository {
+  name: string;
+  url: string;
+  charts: HelmChart[];
+}
+
+interface LocalHelmChart {
+  name: string;
+  path: string;
+}
+
+interface HelmConfig {
+  repositories: HelmRepository[];
+  local: LocalHelmChart[];
 }
 
 interface ImageSetConfig {
@@ -101,23 +142,148 @@ interface ImageSetConfig {
     platform: {
       channels: PlatformChannel[];
       graph: boolean;
+      architectures: string[];
+      release: string;
+      kubeVirtContainer: boolean;
     };
     operators: OperatorCatalog[];
     additionalImages: { name: string }[];
-    helm: { repositories: never[] };
+    blockedImages: { name: string }[];
+    helm: HelmConfig;
   };
 }
 
+interface ConfigTemplate {
+  id: string;
+  name: string;
+  description?: string;
+  content: string;
+  placeholders: string[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+interface ValidationIssue {
+  path: string;
+  message: string;
+}
+
+interface TemplateRenderResult {
+  templateName: string;
+  ocpVersion: string;
+  errors: ValidationIssue[];
+  warnings: ValidationIssue[];
+}
+
+interface SubscriptionImportResult {
+  ocpVersion: string;
+  subscriptions: { namespace: string; packageName: string; channel: string | null; installedVersion: string | null }[];
+  dependencies: { packageName: string; requiredBy: string }[];
+  skipped: { namespace: string; name: string; reason: string }[];
+  errors: ValidationIssue[];
+  warnings: ValidationIssue[];
+}
+
+interface SizeEstimate {
+  uniqueImages: number;
+  additionalImages: number;
+  blockedImages: number;
+  operators: { catalog: string; package: string; channels: string[]; bundles: number; images: number; resolved: boolean }[];
+  estimatedBytes: number;
+  calibration: { bytesPerImage: number; source: 'operations' | 'default'; samples: number };
+  notEstimated: string[];
+  warnings: string[];
+}
+
+interface CatalogPackageChange {
+  name: string;
+  defaultChannel: { from: string | null; to: string | null };
+  defaultChannelChanged: boolean;
+  addedChannels: string[];
+  removedChannels: string[];
+  headVersions: { channel: string; from: string | null; to: string | null }[];
+}
+
+interface CatalogVersionDiff {
+  catalogType: string;
+  fromUrl: string;
+  toUrl: string;
+  addedPackages: string[];
+  removedPackages: string[];
+  changedPackages: CatalogPackageChange[];
+}
+
+interface RetargetChange {
+  packageName: string;
+  message: string;
+  isBreaking: boolean;
+}
+
+interface RetargetPlan {
+  fromVersion: string;
+  toVersion: string;
+  config: CleanConfig;
+  changes: RetargetChange[];
+  warnings: string[];
+}
+
 interface CatalogInfo {
   name: string;
   url: string;
   description: string;
+  custom?: boolean;
+  ageHours?: number | null;
+  stale?: boolean;
 }
 
 interface DetailedOperator {
   name: string;
   defaultChannel: string;
   allChannels: string[];
+  displayName?: string | null;
+  description?: string | null;
+  provider?: string | null;
+}
+
+interface BundleDetails {
+  name: string;
+  version: string | null;
+  replaces: string | null;
+  skips: string[];
+  skipRange: string | null;
+  createdAt: string | null;
+  image: string | null;
+  relatedImages: { name?: string; image: string }[];
+}
+
+interface UpgradePath {
+  installedVersion: string;
+  targetVersion: string;
+  hops: { name: string; version: string; from: string; via: 'replaces' | 'skips' | 'skipRange'; skipRange: string | null }[];
+  minVersion: string;
+  maxVersion: string;
+  bundlesInBounds: number;
+  extraBundles: string[];
+}
+
+interface BundleBrowser {
+  opIndex: number;
+  pkgIndex: number;
+  chIdx: number;
+  operatorName: string;
+  channel: string;
+  head: string | null;
+  bundles: BundleDetails[];
+}
+
+interface OperatorSearchResult {
+  name: string;
+  displayName: string | null;
+  description: string | null;
+  provider: string | null;
+  keywords: string[];
+  categories: string[];
+  iconUrl: string | null;
 }
 
 interface CleanChannel {
@@ -126,6 +292,7 @@ interface CleanChannel {
   minVersion?: string;
   maxVersion?: string;
   shortestPath?: boolean;
+  full?: boolean;
 }
 
 interface CleanOperatorChannel {
@@ -134,23 +301,45 @@ interface CleanOperatorChannel {
   maxVersion?: string;
 }
 
+interface CleanHelmRepository {
+  name: string;
+  url: string;
+  charts?: { name: string; version?: string }[];
+}
+
 interface CleanConfig {
   kind: string;
   apiVersion: string;
   archiveSize?: number;
   mirror: {
     platform?: {
-      graph: boolean;
-      channels: CleanChannel[];
+      graph?: boolean;
+      channels?: CleanChannel[];
+      architectures?: string[];
+      release?: string;
+      kubeVirtContainer?: boolean;
     };
     operators: {
       catalog: string;
-      packages: {
+      full?: boolean;
+      skipDependencies?: boolean;
+      targetCatalog?: string;
+      targetTag?: string;
+      packages?: {
         name: string;
-        channels: CleanOperatorChannel[];
+        defaultChannel?: string;
+        minVersion?: string;
+        maxVersion?: string;
+        channels?: CleanOperatorChannel[];
+        bundles?: { name: string }[];
       }[];
     }[];
     additionalImages?: { name: string }[];
+    blockedImages?: { name: string }[];
+    helm?: {
+      repositories?: CleanHelmRepository[];
+      local?: LocalHelmChart[];
+    };
   };
 }
 
@@ -158,6 +347,8 @@ type VersionField = 'minVersion' | 'maxVersion';
 
 const OCP_VERSIONS = ['4.16', '4.17', '4.18', '4.19', '4.20'];
 
+const PLATFORM_ARCHITECTURES = ['amd64', 'arm64', 'ppc64le', 's390x', 'multi'];
+
 const FALLBACK_CATALOGS: CatalogInfo[] = [
   {
     name: 'redhat-operator-index',
@@ -181,6 +372,19 @@ const versionToNumber = (version: string): number => {
   return parts[0] * 1_000_000 + parts[1] * 1_000 + (parts[2] || 0);
 };
 
+// Bundles oc-mirror would pick for a channel: those within the bounds, or
+// only the channel head when there are none. Bundles are sorted newest first.
+const isBundleSelected = (bundle: BundleDetails, head: string | null, channel: OperatorChannel): boolean => {
+  if (!channel.minVersion && !channel.maxVersion) {
+    return bundle.name === head;
+  }
+  const version = bundle.version;
+  if (!version) return false;
+  const value = versionToNumber(version.split(/[-+]/)[0]);
+  return (!channel.minVersion || value >= versionToNumber(channel.minVersion)) &&
+    (!channel.maxVersion || value <= versionToNumber(channel.maxVersion));
+};
+
 const isValidVersion = (version: string): boolean => {
   if (!version) return false;
   const parts = version.split('.');
@@ -309,6 +513,191 @@ const getSelectableVersions = (
   });
 };
 
+const parseHelmConfig = (helm: any): HelmConfig => ({
+  repositories: (helm?.repositories || []).map((repo: any) => ({
+    name: repo.name || '',
+    url: repo.url || '',
+    charts: (repo.charts || []).map((chart: any) => ({
+      name: chart.name || '',
+      version: chart.version != null ? String(chart.version) : '',
+    })),
+  })),
+  local: (helm?.local || []).map((chart: any) => ({
+    name: chart.name || '',
+    path: chart.path || '',
+  })),
+});
+
+// Maps a parsed ImageSetConfiguration onto the form state, keeping every
+// v2alpha1 field the form can edit so YAML round-trips without losing data.
+const parseImageSetConfig = (source: Record<string, any>): ImageSetConfig => {
+  const mirror = source.mirror || {};
+  const toNamedList = (list: any): { name: string }[] =>
+    (list || []).map((item: any) => ({ name: item.name || '' }));
+
+  return {
+    kind: source.kind || 'ImageSetConfiguration',
+    apiVersion: source.apiVersion || 'mirror.openshift.io/v2alpha1',
+    archiveSize: source.archiveSize != null ? String(source.archiveSize) : '',
+    mirror: {
+      platform: {
+        channels: (mirror.platform?.channels || []).map((ch: any) => ({
+          name: ch.name || '',
+          minVersion: ch.minVersion || '',
+          maxVersion: ch.maxVersion || '',
+          type: ch.type || 'ocp',
+          shortestPath: ch.shortestPath || false,
+          full: ch.full === true,
+        })),
+        graph: mirror.platform?.graph ?? true,
+        architectures: mirror.platform?.architectures || [],
+        release: mirror.platform?.release || '',
+        kubeVirtContainer: mirror.platform?.kubeVirtContainer === true,
+      },
+      operators: (mirror.operators || []).map((op: any) => ({
+        catalog: op.catalog || '',
+        catalogVersion: op.catalog?.split(':').pop() || '',
+        availableOperators: [],
+        full: op.full === true,
+        skipDependencies: op.skipDependencies === true,
+        targetCatalog: op.targetCatalog || '',
+        targetTag: op.targetTag || '',
+        packages: (op.packages || []).map((pkg: any) => ({
+          name: pkg.name || '',
+          channels: (pkg.channels || []).map((ch: any) => ({
+            name: ch.name || '',
+            minVersion: ch.minVersion || '',
+            maxVersion: ch.maxVersion || '',
+          })),
+          bundles: toNamedList(pkg.bundles),
+          minVersion: pkg.minVersion || '',
+          maxVersion: pkg.maxVersion || '',
+          defaultChannel: pkg.defaultChannel || '',
+        })),
+      })),
+      additionalImages: toNamedList(mirror.additionalImages),
+      blockedImages: toNamedList(mirror.blockedImages),
+      helm: parseHelmConfig(mirror.helm),
+    },
+  };
+};
+
+// Replaces an OCP minor version in catalog tags and channel names with the
+// {{ocpVersion}} placeholder. Full versions such as 4.19.3 are left alone.
+const toTemplateContent = (yamlString: string, ocpVersion: string): string =>
+  yamlString.replace(
+    new RegExp(`(stable-|fast-|candidate-|eus-|:v)${ocpVersion.replace('.', '\\.')}(?![\\d.])`, 'g'),
+    '$1{{ocpVersion}}',
+  );
+
+const detectOcpVersion = (source: ImageSetConfig): string => {
+  const catalogVersion = source.mirror.operators
+    .map(op => op.catalog.match(/:v(\d+\.\d+)$/)?.[1])
+    .find(Boolean);
+  const channelVersion = source.mirror.platform.channels
+    .map(channel => channel.name.match(/-(\d+\.\d+)$/)?.[1])
+    .find(Boolean);
+  const version = catalogVersion || channelVersion || '';
+  return OCP_VERSIONS.includes(version) ? version : '';
+};
+
+// Moves a configuration to another OCP version using the catalog diff:
+// catalog tags and versioned channel names are renamed, packages missing from
+// the target catalog are dropped, and channels it no longer has fall back to
+// its default channel without version bounds.
+const planRetarget = (
+  source: CleanConfig,
+  fromVersion: string,
+  toVersion: string,
+  diffs: CatalogVersionDiff[],
+): Pick<RetargetPlan, 'config' | 'changes'> => {
+  const target: CleanConfig = YAML.parse(
+    toTemplateContent(YAML.stringify(source), fromVersion).replace(/\{\{ocpVersion\}\}/g, toVersion),
+  );
+  const changes: RetargetChange[] = [];
+
+  source.mirror.operators.forEach((operator, opIndex) => {
+    const diff = diffs.find(d => d.fromUrl === operator.catalog);
+    const targetOperator = target.mirror.operators[opIndex];
+    if (!diff || !operator.packages || !targetOperator.packages) {
+      return;
+    }
+    targetOperator.catalog = diff.toUrl;
+
+    const targetPackages = targetOperator.packages;
+    targetOperator.packages = operator.packages.flatMap((pkg, pkgIndex) => {
+      const targetPackage = targetPackages[pkgIndex];
+      if (diff.removedPackages.includes(pkg.name)) {
+        changes.push({ packageName: pkg.name, message: `Removed: not in the OCP ${toVersion} catalog`, isBreaking: true });
+        return [];
+      }
+
+      const change = diff.changedPackages.find(c => c.name === pkg.name);
+      if (!change) {
+        return [pkg];
+      }
+      if (change.defaultChannelChanged) {
+        changes.push({
+          packageName: pkg.name,
+          message: `Default channel changes from ${change.defaultChannel.from || 'none'} to ${change.defaultChannel.to || 'none'}`,
+          isBreaking: false,
+        });
+      }
+
+      const targetChannels = targetPackage.channels || [];
+      const channels = (pkg.channels || []).map((channel, chIndex): CleanOperatorChannel | null => {
+        const renamedTo = targetChannels[chIndex].name !== channel.name ? targetChannels[chIndex].name : null;
+        if (renamedTo && change.addedChannels.includes(renamedTo)) {
+          changes.push({
+            packageName: pkg.name,
+            message: `Channel ${channel.name} becomes ${renamedTo}; version bounds are cleared`,
+            isBreaking: true,
+          });
+          return { name: renamedTo };
+        }
+        if (!change.removedChannels.includes(channel.name)) {
+          const head = change.headVersions.find(h => h.channel === channel.name);
+          if (head) {
+            changes.push({
+              packageName: pkg.name,
+              message: `${channel.name} head moves from ${head.from || 'none'} to ${head.to || 'none'}`,
+              isBreaking: false,
+            });
+          }
+          return channel;
+        }
+        changes.push({
+          packageName: pkg.name,
+          message: `Channel ${channel.name} is dropped; using default channel ${change.defaultChannel.to || 'none'}`,
+          isBreaking: true,
+        });
+        return change.defaultChannel.to ? { name: change.defaultChannel.to } : null;
+      });
+
+      targetPackage.channels = channels
+        .filter((channel): channel is CleanOperatorChannel => channel !== null)
+        .filter((channel, index, list) => list.findIndex(c => c.name === channel.name) === index);
+      return [targetPackage];
+    });
+  });
+
+  return { config: target, changes };
+};
+
+const IMAGE_TAG_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,127}$/;
+
+const getHelmRepositoryUrlValidationMessage = (url: string): string => {
+  if (!url.trim()) {
+    return 'Repository URL is required';
+  }
+
+  if (!/^(https?|oci):\/\/\S+$/.test(url.trim())) {
+    return 'Repository URL must start with http://, https:// or oci://';
+  }
+
+  return '';
+};
+
 const sanitizeArchiveSizeInput = (value: string): string => value.replace(/\D+/g, '');
 
 const getArchiveSizeValidationMessage = (value: string): string => {
@@ -436,17 +825,18 @@ const generateDefaultConfigName = (): string => {
 };
 
 const MirrorConfig: React.FC = () => {
-  const { addSuccessAlert, addDangerAlert, addInfoAlert } = useAlerts();
+  const { addSuccessAlert, addDangerAlert, addWarningAlert, addInfoAlert } = useAlerts();
 
   const [config, setConfig] = useState<ImageSetConfig>({
     kind: 'ImageSetConfiguration',
     apiVersion: 'mirror.openshift.io/v2alpha1',
     archiveSize: '',
     mirror: {
-      platform: { channels: [], graph: true },
+      platform: { channels: [], graph: true, architectures: [], release: '', kubeVirtContainer: false },
       operators: [],
       additionalImages: [],
-      helm: { repositories: [] },
+      blockedImages: [],
+      helm: { repositories: [], local: [] },
     },
   });
 
@@ -461,10 +851,22 @@ const MirrorConfig: React.FC = () => {
   const [isEditingPreview, setIsEditingPreview] = useState(false);
   const [editedYaml, setEditedYaml] = useState('');
   const [showCustomNameInput, setShowCustomNameInput] = useState(false);
+  const [editingConfig, setEditingConfig] = useState<{ filename: string; modified: string; etag: string } | null>(null);
+  const [searchParams, setSearchParams] = useSearchParams();
 
   const [operatorSelectOpen, setOperatorSelectOpen] = useState<Record<string, boolean>>({});
   const [operatorFilterText, setOperatorFilterText] = useState<Record<string, string>>({});
   const operatorFilterInputRef = useRef<Record<string, HTMLInputElement | null>>({});
+  const [bundleBrowser, setBundleBrowser] = useState<BundleBrowser | null>(null);
+  const [expandedBundles, setExpandedBundles] = useState<string[]>([]);
+  const [loadingBundlesKey, setLoadingBundlesKey] = useState('');
+  const [upgradeFrom, setUpgradeFrom] = useState('');
+  const [upgradeTo, setUpgradeTo] = useState('');
+  const [upgradePath, setUpgradePath] = useState<UpgradePath | null>(null);
+  const [upgradePathError, setUpgradePathError] = useState('');
+  const [isUpgradePathLoading, setIsUpgradePathLoading] = useState(false);
+  const [operatorSearch, setOperatorSearch] = useState<Record<string, { query: string; results: OperatorSearchResult[] }>>({});
+  const operatorSearchTimers = useRef<Record<string, ReturnType<typeof setTimeout>>>({});
 
   const [uploadFilename, setUploadFilename] = useState('');
   const [uploadedContent, setUploadedContent] = useState('');
@@ -472,6 +874,28 @@ const MirrorConfig: React.FC = () => {
   const [uploadError, setUploadError] = useState('');
   const [isUploadLoading, setIsUploadLoading] = useState(false);
 
+  const [subscriptionsFilename, setSubscriptionsFilename] = useState('');
+  const [subscriptionsContent, setSubscriptionsContent] = useState('');
+  const [subscriptionsOcpVersion, setSubscriptionsOcpVersion] = useState(OCP_VERSIONS[OCP_VERSIONS.length - 1]);
+  const [subscriptionImport, setSubscriptionImport] = useState<SubscriptionImportResult | null>(null);
+  const [isImportingSubscriptions, setIsImportingSubscriptions] = useState(false);
+
+  const [sizeEstimate, setSizeEstimate] = useState<SizeEstimate | null>(null);
+  const [estimatedYaml, setEstimatedYaml] = useState('');
+  const [isEstimating, setIsEstimating] = useState(false);
+
+  const [templates, setTemplates] = useState<ConfigTemplate[]>([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState('');
+  const [templateOcpVersion, setTemplateOcpVersion] = useState(OCP_VERSIONS[OCP_VERSIONS.length - 1]);
+  const [templateResult, setTemplateResult] = useState<TemplateRenderResult | null>(null);
+  const [retargetVersion, setRetargetVersion] = useState('');
+  const [retargetPlan, setRetargetPlan] = useState<RetargetPlan | null>(null);
+  const [isRetargetLoading, setIsRetargetLoading] = useState(false);
+  const [newTemplateName, setNewTemplateName] = useState('');
+  const [newTemplateDescription, setNewTemplateDescription] = useState('');
+  const [templateSourceVersion, setTemplateSourceVersion] = useState('');
+  const [isTemplateLoading, setIsTemplateLoading] = useState(false);
+
   const operatorCatalogs: CatalogInfo[] =
     availableCatalogs.length > 0 ? availableCatalogs : FALLBACK_CATALOGS;
 
@@ -492,6 +916,29 @@ const MirrorConfig: React.FC = () => {
     fetchAvailableData();
   }, [fetchAvailableData]);
 
+  const fetchTemplates = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/templates');
+      setTemplates(response.data);
+    } catch (error) {
+      console.error('Error fetching templates:', error);
+      addDangerAlert('Failed to load configuration templates');
+    }
+  }, [addDangerAlert]);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  useEffect(() => {
+    const filename = searchParams.get('edit');
+    if (filename) {
+      setSearchParams({}, { replace: true });
+      openSavedConfiguration(filename);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searchParams]);
+
   const fetchOperatorsForCatalog = async (catalogUrl: string): Promise<string[]> => {
     try {
       const response = await axios.get(
@@ -506,6 +953,84 @@ const MirrorConfig: React.FC = () => {
     }
   };
 
+  // Ranked search over package names, display names, keywords, providers and
+  // categories; the picker filters names locally until results arrive.
+  const searchOperators = (selectKey: string, catalogUrl: string, text: string) => {
+    clearTimeout(operatorSearchTimers.current[selectKey]);
+    const query = text.trim();
+    if (!query) return;
+
+    operatorSearchTimers.current[selectKey] = setTimeout(async () => {
+      try {
+        const response = await axios.get('/api/operators/search', { params: { q: query, catalog: catalogUrl } });
+        setOperatorSearch(prev => ({ ...prev, [selectKey]: { query, results: response.data.results } }));
+      } catch (error) {
+        console.error('Error searching operators:', error);
+      }
+    }, 250);
+  };
+
+  const openBundleBrowser = async (opIndex: number, pkgIndex: number, chIdx: number) => {
+    const operator = config.mirror.operators[opIndex];
+    const pkg = operator?.packages[pkgIndex];
+    const channel = pkg?.channels[chIdx];
+    if (!operator || !pkg?.name || !channel?.name) return;
+
+    try {
+      setLoadingBundlesKey(`${opIndex}-${pkgIndex}-${chIdx}`);
+      const response = await axios.get(`/api/operators/${encodeURIComponent(pkg.name)}/bundles`, {
+        params: { catalog: operator.catalog, channel: channel.name },
+      });
+      setExpandedBundles([]);
+      setUpgradeFrom('');
+      setUpgradeTo('');
+      setUpgradePath(null);
+      setUpgradePathError('');
+      setBundleBrowser({
+        opIndex,
+        pkgIndex,
+        chIdx,
+        operatorName: pkg.name,
+        channel: channel.name,
+        head: response.data.head,
+        bundles: response.data.bundles,
+      });
+    } catch (error) {
+      console.error('Error fetching bundles:', error);
+      const err = error as { response?: { data?: { error?: string } }; message?: string };
+      addDangerAlert(`Failed to load bundles: ${err.response?.data?.error || err.message}`);
+    } finally {
+      setLoadingBundlesKey('');
+    }
+  };
+
+  const calculateUpgradePath = async () => {
+    if (!bundleBrowser || !upgradeFrom.trim()) return;
+    const operator = config.mirror.operators[bundleBrowser.opIndex];
+
+    try {
+      setIsUpgradePathLoading(true);
+      setUpgradePathError('');
+      const response = await axios.get(`/api/operators/${encodeURIComponent(bundleBrowser.operatorName)}/upgrade-path`, {
+        params: {
+          catalog: operator.catalog,
+          channel: bundleBrowser.channel,
+          from: upgradeFrom.trim(),
+          ...(upgradeTo && { to: upgradeTo }),
+        },
+      });
+      setUpgradePath(response.data);
+    } catch (error) {
+      console.error('Error calculating upgrade path:', error);
+      const err = error as { response?: { data?: { error?: string; help?: string } }; message?: string };
+      const data = err.response?.data;
+      setUpgradePath(null);
+      setUpgradePathError(`${data?.error || err.message}${data?.help ? `. ${data.help}` : ''}`);
+    } finally {
+      setIsUpgradePathLoading(false);
+    }
+  };
+
   const fetchOperatorChannels = async (
     operatorName: string,
     catalogUrl: string,
@@ -621,6 +1146,7 @@ const MirrorConfig: React.FC = () => {
       maxVersion: '',
       type: 'ocp',
       shortestPath: false,
+      full: false,
     };
     setConfig(prev => ({
       ...prev,
@@ -716,6 +1242,86 @@ const MirrorConfig: React.FC = () => {
     }
   };
 
+  const updatePlatformOptions = (
+    update: Partial<Pick<ImageSetConfig['mirror']['platform'], 'architectures' | 'release' | 'kubeVirtContainer'>>,
+  ) => {
+    setConfig(prev => ({
+      ...prev,
+      mirror: {
+        ...prev.mirror,
+        platform: { ...prev.mirror.platform, ...update },
+      },
+    }));
+  };
+
+  const togglePlatformArchitecture = (architecture: string, checked: boolean) => {
+    const current = config.mirror.platform.architectures;
+    updatePlatformOptions({
+      architectures: checked
+        ? PLATFORM_ARCHITECTURES.filter(arch => arch === architecture || current.includes(arch))
+        : current.filter(arch => arch !== architecture),
+    });
+  };
+
+  const updateOperatorCatalogOptions = (
+    operatorIndex: number,
+    update: Partial<Pick<OperatorCatalog, 'full' | 'skipDependencies' | 'targetCatalog' | 'targetTag'>>,
+  ) => {
+    setConfig(prev => ({
+      ...prev,
+      mirror: {
+        ...prev.mirror,
+        operators: prev.mirror.operators.map((op, i) =>
+          i === operatorIndex ? { ...op, ...update } : op,
+        ),
+      },
+    }));
+  };
+
+  const updatePackageOptions = (
+    operatorIndex: number,
+    packageIndex: number,
+    update: Partial<Pick<OperatorPackage, 'defaultChannel' | 'minVersion' | 'maxVersion'>>,
+  ) => {
+    setConfig(prev => ({
+      ...prev,
+      mirror: {
+        ...prev.mirror,
+        operators: prev.mirror.operators.map((op, i) =>
+          i === operatorIndex
+            ? {
+                ...op,
+                packages: op.packages.map((pkg, pIdx) => (pIdx === packageIndex ? { ...pkg, ...update } : pkg)),
+              }
+            : op,
+        ),
+      },
+    }));
+  };
+
+  const updatePackageBundles = (
+    operatorIndex: number,
+    packageIndex: number,
+    update: (bundles: { name: string }[]) => { name: string }[],
+  ) => {
+    setConfig(prev => ({
+      ...prev,
+      mirror: {
+        ...prev.mirror,
+        operators: prev.mirror.operators.map((op, i) =>
+          i === operatorIndex
+            ? {
+                ...op,
+                packages: op.packages.map((pkg, pIdx) =>
+                  pIdx === packageIndex ? { ...pkg, bundles: update(pkg.bundles || []) } : pkg,
+                ),
+              }
+            : op,
+        ),
+      },
+    }));
+  };
+
   const addOperator = async () => {
     const defaultCatalog =
       operatorCatalogs[0]?.url || 'registry.redhat.io/redhat/redhat-operator-index:v4.16';
@@ -940,18 +1546,34 @@ const MirrorConfig: React.FC = () => {
     field: VersionField,
     value: string,
   ) => {
+    const channel = config.mirror.operators[operatorIndex]?.packages[packageIndex]?.channels[channelIndex];
+    if (!channel) return;
+
+    updateOperatorPackageChannelBounds(operatorIndex, packageIndex, channelIndex, {
+      minVersion: channel.minVersion,
+      maxVersion: channel.maxVersion,
+      [field]: value,
+    });
+  };
+
+  const updateOperatorPackageChannelBounds = (
+    operatorIndex: number,
+    packageIndex: number,
+    channelIndex: number,
+    bounds: Pick<OperatorChannel, 'minVersion' | 'maxVersion'>,
+  ): boolean => {
     const operator = config.mirror.operators[operatorIndex];
     const pkg = operator?.packages[packageIndex];
     const channel = pkg?.channels[channelIndex];
-    if (!operator || !pkg || !channel) return;
+    if (!operator || !pkg || !channel) return false;
 
-    const nextChannel = { ...channel, [field]: value };
+    const nextChannel = { ...channel, ...bounds };
     const versions = getStoredChannelVersions(operator.catalog, pkg.name, nextChannel.name);
     const validationMessage = getOperatorChannelValidationMessage(nextChannel, versions);
 
     if (validationMessage) {
       addDangerAlert(`Operator Channel: ${validationMessage}`);
-      return;
+      return false;
     }
 
     setConfig(prev => ({
@@ -977,6 +1599,30 @@ const MirrorConfig: React.FC = () => {
         ),
       },
     }));
+    return true;
+  };
+
+  // Listed bundles take the place of the package's channels, so oc-mirror
+  // mirrors exactly the bundles of an upgrade path and nothing in between.
+  const setPackageBundles = (operatorIndex: number, packageIndex: number, bundleNames: string[]) => {
+    setConfig(prev => ({
+      ...prev,
+      mirror: {
+        ...prev.mirror,
+        operators: prev.mirror.operators.map((op, i) =>
+          i === operatorIndex
+            ? {
+                ...op,
+                packages: op.packages.map((pkg, pIdx) =>
+                  pIdx === packageIndex
+                    ? { ...pkg, channels: [], bundles: bundleNames.map(name => ({ name })) }
+                    : pkg,
+                ),
+              }
+            : op,
+        ),
+      },
+    }));
   };
 
   const addChannelToPackage = (operatorIndex: number, packageIndex: number, channelName: string) => {
@@ -1036,14 +1682,141 @@ const MirrorConfig: React.FC = () => {
     }));
   };
 
-  const generateCleanConfig = useCallback((): CleanConfig => {
-    const clean: CleanConfig = {
-      kind: 'ImageSetConfiguration',
-      apiVersion: 'mirror.openshift.io/v2alpha1',
-      mirror: { operators: [] },
-    };
+  const addBlockedImage = () => {
+    setConfig(prev => ({
+      ...prev,
+      mirror: {
+        ...prev.mirror,
+        blockedImages: [...prev.mirror.blockedImages, { name: '' }],
+      },
+    }));
+  };
 
-    const archiveSizeValue = config.archiveSize.trim();
+  const removeBlockedImage = (index: number) => {
+    setConfig(prev => ({
+      ...prev,
+      mirror: {
+        ...prev.mirror,
+        blockedImages: prev.mirror.blockedImages.filter((_, i) => i !== index),
+      },
+    }));
+  };
+
+  const updateBlockedImage = (index: number, value: string) => {
+    setConfig(prev => ({
+      ...prev,
+      mirror: {
+        ...prev.mirror,
+        blockedImages: prev.mirror.blockedImages.map((img, i) =>
+          i === index ? { ...img, name: value } : img,
+        ),
+      },
+    }));
+  };
+
+  const updateHelm = (update: (helm: HelmConfig) => HelmConfig) => {
+    setConfig(prev => ({
+      ...prev,
+      mirror: {
+        ...prev.mirror,
+        helm: update(prev.mirror.helm),
+      },
+    }));
+  };
+
+  const addHelmRepository = () => {
+    updateHelm(helm => ({
+      ...helm,
+      repositories: [...helm.repositories, { name: '', url: '', charts: [{ name: '', version: '' }] }],
+    }));
+  };
+
+  const removeHelmRepository = (index: number) => {
+    updateHelm(helm => ({
+      ...helm,
+      repositories: helm.repositories.filter((_, i) => i !== index),
+    }));
+  };
+
+  const updateHelmRepository = (index: number, field: 'name' | 'url', value: string) => {
+    updateHelm(helm => ({
+      ...helm,
+      repositories: helm.repositories.map((repo, i) =>
+        i === index ? { ...repo, [field]: value } : repo,
+      ),
+    }));
+  };
+
+  const addHelmChart = (repoIndex: number) => {
+    updateHelm(helm => ({
+      ...helm,
+      repositories: helm.repositories.map((repo, i) =>
+        i === repoIndex ? { ...repo, charts: [...repo.charts, { name: '', version: '' }] } : repo,
+      ),
+    }));
+  };
+
+  const removeHelmChart = (repoIndex: number, chartIndex: number) => {
+    updateHelm(helm => ({
+      ...helm,
+      repositories: helm.repositories.map((repo, i) =>
+        i === repoIndex
+          ? { ...repo, charts: repo.charts.filter((_, c) => c !== chartIndex) }
+          : repo,
+      ),
+    }));
+  };
+
+  const updateHelmChart = (
+    repoIndex: number,
+    chartIndex: number,
+    field: keyof HelmChart,
+    value: string,
+  ) => {
+    updateHelm(helm => ({
+      ...helm,
+      repositories: helm.repositories.map((repo, i) =>
+        i === repoIndex
+          ? {
+              ...repo,
+              charts: repo.charts.map((chart, c) =>
+                c === chartIndex ? { ...chart, [field]: value } : chart,
+              ),
+            }
+          : repo,
+      ),
+    }));
+  };
+
+  const addLocalHelmChart = () => {
+    updateHelm(helm => ({
+      ...helm,
+      local: [...helm.local, { name: '', path: '' }],
+    }));
+  };
+
+  const removeLocalHelmChart = (index: number) => {
+    updateHelm(helm => ({
+      ...helm,
+      local: helm.local.filter((_, i) => i !== index),
+    }));
+  };
+
+  const updateLocalHelmChart = (index: number, field: keyof LocalHelmChart, value: string) => {
+    updateHelm(helm => ({
+      ...helm,
+      local: helm.local.map((chart, i) => (i === index ? { ...chart, [field]: value } : chart)),
+    }));
+  };
+
+  const generateCleanConfig = useCallback((): CleanConfig => {
+    const clean: CleanConfig = {
+      kind: 'ImageSetConfiguration',
+      apiVersion: 'mirror.openshift.io/v2alpha1',
+      mirror: { operators: [] },
+    };
+
+    const archiveSizeValue = config.archiveSize.trim();
     if (archiveSizeValue && !getArchiveSizeValidationMessage(archiveSizeValue)) {
       clean.archiveSize = Number.parseInt(archiveSizeValue, 10);
     }
@@ -1052,32 +1825,82 @@ const MirrorConfig: React.FC = () => {
       clean.mirror.additionalImages = config.mirror.additionalImages;
     }
 
-    if (config.mirror.platform.channels?.length > 0) {
-      clean.mirror.platform = {
-        graph: config.mirror.platform.graph,
-        channels: config.mirror.platform.channels.map(ch => {
+    if (config.mirror.blockedImages?.length > 0) {
+      clean.mirror.blockedImages = config.mirror.blockedImages;
+    }
+
+    const { platform } = config.mirror;
+    if (platform.channels?.length > 0 || platform.release.trim()) {
+      clean.mirror.platform = {};
+      if (platform.architectures.length > 0) {
+        clean.mirror.platform.architectures = platform.architectures;
+      }
+      if (platform.channels.length > 0) {
+        clean.mirror.platform.graph = platform.graph;
+        clean.mirror.platform.channels = platform.channels.map(ch => {
           const c: CleanChannel = { name: ch.name, type: ch.type };
           if (ch.minVersion?.trim()) c.minVersion = ch.minVersion;
           if (ch.maxVersion?.trim()) c.maxVersion = ch.maxVersion;
           if (ch.shortestPath === true) c.shortestPath = true;
+          if (ch.full === true) c.full = true;
           return c;
-        }),
-      };
+        });
+      }
+      if (platform.release.trim()) {
+        clean.mirror.platform.release = platform.release.trim();
+      }
+      if (platform.kubeVirtContainer) {
+        clean.mirror.platform.kubeVirtContainer = true;
+      }
+    }
+
+    const { repositories, local } = config.mirror.helm;
+    if (repositories.length > 0 || local.length > 0) {
+      clean.mirror.helm = {};
+      if (repositories.length > 0) {
+        clean.mirror.helm.repositories = repositories.map(repo => {
+          const r: CleanHelmRepository = { name: repo.name, url: repo.url.trim() };
+          if (repo.charts.length > 0) {
+            r.charts = repo.charts.map(chart =>
+              chart.version.trim() ? { name: chart.name, version: chart.version.trim() } : { name: chart.name },
+            );
+          }
+          return r;
+        });
+      }
+      if (local.length > 0) {
+        clean.mirror.helm.local = local.map(chart => ({ name: chart.name, path: chart.path.trim() }));
+      }
     }
 
     config.mirror.operators.forEach(operator => {
-      clean.mirror.operators.push({
-        catalog: operator.catalog,
-        packages: operator.packages.map(pkg => ({
-          name: pkg.name,
-          channels: pkg.channels.map(ch => {
-            const c: CleanOperatorChannel = { name: ch.name };
-            if (ch.minVersion?.trim()) c.minVersion = ch.minVersion;
-            if (ch.maxVersion?.trim()) c.maxVersion = ch.maxVersion;
-            return c;
-          }),
-        })),
-      });
+      const cleanOperator: CleanConfig['mirror']['operators'][number] = { catalog: operator.catalog };
+      if (operator.full) cleanOperator.full = true;
+      if (operator.skipDependencies) cleanOperator.skipDependencies = true;
+      if (operator.targetCatalog?.trim()) cleanOperator.targetCatalog = operator.targetCatalog.trim();
+      if (operator.targetTag?.trim()) cleanOperator.targetTag = operator.targetTag.trim();
+      if (operator.packages.length > 0 || !operator.full) {
+        cleanOperator.packages = operator.packages.map(pkg => {
+          const p: NonNullable<typeof cleanOperator.packages>[number] = { name: pkg.name };
+          if (pkg.defaultChannel?.trim()) p.defaultChannel = pkg.defaultChannel.trim();
+          if (pkg.minVersion?.trim()) p.minVersion = pkg.minVersion.trim();
+          if (pkg.maxVersion?.trim()) p.maxVersion = pkg.maxVersion.trim();
+          const bundles = (pkg.bundles || []).filter(bundle => bundle.name.trim());
+          if (pkg.channels.length > 0 || bundles.length === 0) {
+            p.channels = pkg.channels.map(ch => {
+              const c: CleanOperatorChannel = { name: ch.name };
+              if (ch.minVersion?.trim()) c.minVersion = ch.minVersion;
+              if (ch.maxVersion?.trim()) c.maxVersion = ch.maxVersion;
+              return c;
+            });
+          }
+          if (bundles.length > 0) {
+            p.bundles = bundles.map(bundle => ({ name: bundle.name.trim() }));
+          }
+          return p;
+        });
+      }
+      clean.mirror.operators.push(cleanOperator);
     });
 
     return clean;
@@ -1085,15 +1908,18 @@ const MirrorConfig: React.FC = () => {
 
   const validateConfiguration = (currentConfig: ImageSetConfig = config): string[] => {
     const errors: string[] = [];
-    const hasPlatform = currentConfig.mirror.platform.channels.length > 0;
+    const hasPlatform =
+      currentConfig.mirror.platform.channels.length > 0 || Boolean(currentConfig.mirror.platform.release.trim());
     const hasOps = currentConfig.mirror.operators.length > 0;
     const hasImages = currentConfig.mirror.additionalImages.length > 0;
+    const hasHelm =
+      currentConfig.mirror.helm.repositories.length > 0 || currentConfig.mirror.helm.local.length > 0;
     const archiveSizeValidationMessage = getArchiveSizeValidationMessage(
       currentConfig.archiveSize,
     );
 
-    if (!hasPlatform && !hasOps && !hasImages) {
-      errors.push('At least one platform channel, operator, or additional image is required');
+    if (!hasPlatform && !hasOps && !hasImages && !hasHelm) {
+      errors.push('At least one platform channel, operator, additional image, or Helm chart is required');
     }
 
     if (archiveSizeValidationMessage) {
@@ -1108,12 +1934,39 @@ const MirrorConfig: React.FC = () => {
       }
     });
 
+    if (/\s/.test(currentConfig.mirror.platform.release.trim())) {
+      errors.push('Platform release must be a single image reference');
+    }
+
     currentConfig.mirror.operators.forEach((op, oIdx) => {
       if (!op.catalog) errors.push(`Operator ${oIdx + 1} must have a catalog`);
-      if (!op.packages.length) errors.push(`Operator ${oIdx + 1} must have at least one package`);
+      if (!op.packages.length && !op.full) {
+        errors.push(`Operator ${oIdx + 1} must have at least one package or mirror the full catalog`);
+      }
+      if (op.targetCatalog?.trim() && /\s/.test(op.targetCatalog.trim())) {
+        errors.push(`Operator ${oIdx + 1}: target catalog cannot contain spaces`);
+      }
+      if (op.targetTag?.trim() && !IMAGE_TAG_PATTERN.test(op.targetTag.trim())) {
+        errors.push(`Operator ${oIdx + 1}: target tag must be a valid image tag (letters, digits, '_', '.', '-')`);
+      }
       op.packages.forEach((pkg, pIdx) => {
         if (!pkg.name)
           errors.push(`Package ${pIdx + 1} in operator ${oIdx + 1} must have a name`);
+        const bundles = pkg.bundles || [];
+        if (bundles.some(bundle => !bundle.name.trim())) {
+          errors.push(`Bundles in package ${pkg.name || pIdx + 1} of operator ${oIdx + 1} must have a name`);
+        }
+        if (bundles.length > 0 && pkg.channels.length > 0) {
+          errors.push(
+            `Package ${pkg.name || pIdx + 1} of operator ${oIdx + 1}: select either bundles or channels, not both`,
+          );
+        }
+        (['minVersion', 'maxVersion'] as const).forEach(field => {
+          const value = pkg[field]?.trim();
+          if (value && !isValidVersion(value)) {
+            errors.push(`Package ${pkg.name || pIdx + 1} of operator ${oIdx + 1}: ${field} must be a version like 1.2.3`);
+          }
+        });
         pkg.channels.forEach((ch, chIdx) => {
           if (!ch.name) {
             errors.push(
@@ -1135,6 +1988,27 @@ const MirrorConfig: React.FC = () => {
       });
     });
 
+    currentConfig.mirror.blockedImages.forEach((image, bIdx) => {
+      if (!image.name.trim()) errors.push(`Blocked image ${bIdx + 1} must have a name`);
+    });
+
+    currentConfig.mirror.helm.repositories.forEach((repo, rIdx) => {
+      const repoLabel = `Helm repository ${repo.name || rIdx + 1}`;
+      if (!repo.name.trim()) errors.push(`Helm repository ${rIdx + 1} must have a name`);
+      const urlValidationMessage = getHelmRepositoryUrlValidationMessage(repo.url);
+      if (urlValidationMessage) errors.push(`${repoLabel}: ${urlValidationMessage}`);
+      repo.charts.forEach((chart, cIdx) => {
+        if (!chart.name.trim()) errors.push(`Chart ${cIdx + 1} in ${repoLabel} must have a name`);
+      });
+    });
+
+    currentConfig.mirror.helm.local.forEach((chart, lIdx) => {
+      if (!chart.name.trim()) errors.push(`Local Helm chart ${lIdx + 1} must have a name`);
+      if (!chart.path.trim()) {
+        errors.push(`Local Helm chart ${chart.name || lIdx + 1} must have a path`);
+      }
+    });
+
     return errors;
   };
 
@@ -1142,6 +2016,17 @@ const MirrorConfig: React.FC = () => {
     try {
       setLoading(true);
       const yamlString = YAML.stringify(generateCleanConfig());
+
+      if (editingConfig && !showCustomNameInput) {
+        const response = await axios.put(`/api/config/${encodeURIComponent(editingConfig.filename)}`, {
+          config: yamlString,
+          expectedEtag: editingConfig.etag,
+        });
+        setEditingConfig({ filename: editingConfig.filename, modified: response.data.modified, etag: response.data.etag });
+        addSuccessAlert(`Saved changes to ${editingConfig.filename}`);
+        return;
+      }
+
       const configName = customConfigName.trim()
         ? `${customConfigName.trim()}.yaml`
         : generateDefaultConfigName();
@@ -1150,9 +2035,23 @@ const MirrorConfig: React.FC = () => {
       addSuccessAlert('Configuration saved successfully!');
       setCustomConfigName('');
       setShowCustomNameInput(false);
+      setEditingConfig(null);
     } catch (error) {
       console.error('Error saving configuration:', error);
-      addDangerAlert('Failed to save configuration');
+      const err = error as {
+        response?: { status?: number; data?: { error?: string; details?: { path: string; message: string }[] } };
+      };
+      const details = err.response?.data?.details;
+      if (err.response?.status === 409 && editingConfig) {
+        addDangerAlert(
+          `${editingConfig.filename} was changed by someone else after you opened it. ` +
+          'Reload it to see their changes, or save your version under a new name.',
+        );
+        return;
+      }
+      addDangerAlert(details?.length
+        ? `Failed to save configuration: ${details.map(issue => `${issue.path}: ${issue.message}`).join('; ')}`
+        : err.response?.data?.error || 'Failed to save configuration');
     } finally {
       setLoading(false);
     }
@@ -1247,64 +2146,16 @@ const MirrorConfig: React.FC = () => {
     }
   };
 
-  const loadIntoEditor = () => {
-    if (!parsedUpload) {
-      addDangerAlert('No valid configuration to load');
-      return;
-    }
-
-    const mirror = parsedUpload.mirror || {};
-
-    const platformChannels: PlatformChannel[] = (mirror.platform?.channels || []).map(
-      (ch: any) => ({
-        name: ch.name || '',
-        minVersion: ch.minVersion || '',
-        maxVersion: ch.maxVersion || '',
-        type: ch.type || 'ocp',
-        shortestPath: ch.shortestPath || false,
-      }),
-    );
-
-    const operators: OperatorCatalog[] = (mirror.operators || []).map((op: any) => ({
-      catalog: op.catalog || '',
-      catalogVersion: op.catalog?.split(':').pop() || '',
-      availableOperators: [],
-      packages: (op.packages || []).map((pkg: any) => ({
-        name: pkg.name || '',
-        channels: (pkg.channels || []).map((ch: any) => ({
-          name: ch.name || '',
-          minVersion: ch.minVersion || '',
-          maxVersion: ch.maxVersion || '',
-        })),
-      })),
-    }));
-
-    const additionalImages: { name: string }[] = (mirror.additionalImages || []).map(
-      (img: any) => ({ name: img.name || '' }),
-    );
-
-    const archiveSize =
-      parsedUpload.archiveSize != null ? String(parsedUpload.archiveSize) : '';
-
-    const nextConfig: ImageSetConfig = {
-      kind: parsedUpload.kind || 'ImageSetConfiguration',
-      apiVersion: parsedUpload.apiVersion || 'mirror.openshift.io/v2alpha1',
-      archiveSize,
-      mirror: {
-        platform: {
-          channels: platformChannels,
-          graph: mirror.platform?.graph ?? true,
-        },
-        operators,
-        additionalImages,
-        helm: { repositories: [] },
-      },
-    };
+  // Loads a parsed ImageSetConfiguration into the form and fetches the operators
+  // of its catalogs. Returns false and shows the errors when it does not validate.
+  const loadParsedConfig = (source: Record<string, any>): boolean => {
+    const nextConfig = parseImageSetConfig(source);
+    const { operators } = nextConfig.mirror;
 
     const errors = validateConfiguration(nextConfig);
     if (errors.length > 0) {
       errors.forEach(e => addDangerAlert(e));
-      return;
+      return false;
     }
 
     setConfig(nextConfig);
@@ -1332,10 +2183,228 @@ const MirrorConfig: React.FC = () => {
     }, 0);
 
     setActiveTab('platform');
-    addSuccessAlert('Configuration loaded into editor. Switch between tabs to modify.');
+    return true;
+  };
+
+  const loadIntoEditor = () => {
+    if (!parsedUpload) {
+      addDangerAlert('No valid configuration to load');
+      return;
+    }
+
+    if (loadParsedConfig(parsedUpload)) {
+      setEditingConfig(null);
+      addSuccessAlert('Configuration loaded into editor. Switch between tabs to modify.');
+    }
+  };
+
+  const handleSubscriptionsFileChange = (_: any, file: File) => {
+    if (!file) return;
+    setSubscriptionsFilename(file.name);
+    const reader = new FileReader();
+    reader.onload = e => setSubscriptionsContent(e.target?.result as string);
+    reader.readAsText(file);
+  };
+
+  const clearSubscriptionsImport = () => {
+    setSubscriptionsFilename('');
+    setSubscriptionsContent('');
+    setSubscriptionImport(null);
+  };
+
+  const importSubscriptions = async () => {
+    try {
+      setIsImportingSubscriptions(true);
+      const response = await axios.post('/api/config/from-subscriptions', {
+        content: subscriptionsContent,
+        ocpVersion: subscriptionsOcpVersion,
+      });
+      setSubscriptionImport(response.data);
+      if (!loadParsedConfig(YAML.parse(response.data.content) || {})) {
+        return;
+      }
+
+      setEditingConfig(null);
+      setActiveTab('operators');
+      addSuccessAlert(
+        `Loaded ${response.data.subscriptions.length} subscriptions and ${response.data.dependencies.length} dependencies ` +
+        `from the ${subscriptionsOcpVersion} catalogs`,
+      );
+    } catch (error) {
+      console.error('Error importing subscriptions:', error);
+      const err = error as { response?: { data?: { error?: string; help?: string } }; message?: string };
+      const data = err.response?.data;
+      addDangerAlert(`Failed to import subscriptions: ${data?.error || err.message}${data?.help ? `. ${data.help}` : ''}`);
+    } finally {
+      setIsImportingSubscriptions(false);
+    }
+  };
+
+  const openSavedConfiguration = async (filename: string) => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/config/${encodeURIComponent(filename)}`);
+      if (loadParsedConfig(YAML.parse(response.data.content) || {})) {
+        setEditingConfig({ filename, modified: response.data.modified, etag: response.data.etag });
+        setShowCustomNameInput(false);
+        addSuccessAlert(`Editing ${filename}. Saving will update the file in place.`);
+      }
+    } catch (error) {
+      console.error('Error opening configuration:', error);
+      const err = error as { response?: { data?: { error?: string } }; message?: string };
+      addDangerAlert(`Failed to open ${filename}: ${err.response?.data?.error || err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const applyTemplate = async () => {
+    const template = templates.find(t => t.id === selectedTemplateId);
+    if (!template) {
+      addDangerAlert('Select a template first');
+      return;
+    }
+
+    try {
+      setIsTemplateLoading(true);
+      const response = await axios.post(`/api/templates/${template.id}/render`, { ocpVersion: templateOcpVersion });
+      if (!loadParsedConfig(YAML.parse(response.data.content) || {})) {
+        return;
+      }
+
+      setEditingConfig(null);
+      setTemplateResult({
+        templateName: template.name,
+        ocpVersion: templateOcpVersion,
+        errors: response.data.errors,
+        warnings: response.data.warnings,
+      });
+      if (response.data.errors.length > 0) {
+        addWarningAlert(
+          `Loaded ${template.name} for OCP ${templateOcpVersion} with ${response.data.errors.length} issue(s); ` +
+          'see the Templates tab before saving.',
+        );
+      } else {
+        addSuccessAlert(`Loaded ${template.name} for OCP ${templateOcpVersion}`);
+      }
+    } catch (error) {
+      console.error('Error applying template:', error);
+      const err = error as { response?: { data?: { error?: string } }; message?: string };
+      addDangerAlert(`Failed to apply template: ${err.response?.data?.error || err.message}`);
+    } finally {
+      setIsTemplateLoading(false);
+    }
+  };
+
+  const reviewRetarget = async () => {
+    const fromVersion = detectOcpVersion(config);
+    const packages = [...new Set(config.mirror.operators.flatMap(op => op.packages.map(pkg => pkg.name)).filter(Boolean))];
+    if (!fromVersion || !retargetVersion || packages.length === 0) {
+      return;
+    }
+
+    try {
+      setIsRetargetLoading(true);
+      const response = await axios.get('/api/catalogs/diff', {
+        params: { from: fromVersion, to: retargetVersion, packages: packages.join(',') },
+      });
+      const plan = planRetarget(generateCleanConfig(), fromVersion, retargetVersion, response.data.catalogs);
+      setRetargetPlan({ fromVersion, toVersion: retargetVersion, ...plan, warnings: response.data.warnings });
+    } catch (error) {
+      console.error('Error comparing catalogs:', error);
+      const err = error as { response?: { data?: { error?: string } }; message?: string };
+      addDangerAlert(`Failed to compare catalogs: ${err.response?.data?.error || err.message}`);
+    } finally {
+      setIsRetargetLoading(false);
+    }
+  };
+
+  const applyRetarget = () => {
+    if (!retargetPlan || !loadParsedConfig(retargetPlan.config)) {
+      return;
+    }
+    addSuccessAlert(`Configuration retargeted to OCP ${retargetPlan.toVersion}`);
+    setRetargetPlan(null);
+    setRetargetVersion('');
+  };
+
+  const saveAsTemplate = async () => {
+    const sourceVersion = templateSourceVersion || detectOcpVersion(config);
+    if (!newTemplateName.trim()) {
+      addDangerAlert('Template name is required');
+      return;
+    }
+    const errors = validateConfiguration();
+    if (errors.length > 0) {
+      errors.forEach(e => addDangerAlert(e));
+      return;
+    }
+
+    const content = toTemplateContent(YAML.stringify(generateCleanConfig()), sourceVersion);
+    try {
+      setIsTemplateLoading(true);
+      await axios.post('/api/templates', {
+        name: newTemplateName.trim(),
+        description: newTemplateDescription.trim(),
+        content,
+      });
+      if (!content.includes('{{ocpVersion}}')) {
+        addWarningAlert(
+          `The configuration does not reference OCP ${sourceVersion}, so the template resolves the same way for every version.`,
+        );
+      }
+      addSuccessAlert(`Saved template ${newTemplateName.trim()}`);
+      setNewTemplateName('');
+      setNewTemplateDescription('');
+      fetchTemplates();
+    } catch (error) {
+      console.error('Error saving template:', error);
+      const err = error as { response?: { data?: { error?: string } }; message?: string };
+      addDangerAlert(`Failed to save template: ${err.response?.data?.error || err.message}`);
+    } finally {
+      setIsTemplateLoading(false);
+    }
+  };
+
+  const deleteTemplate = async (template: ConfigTemplate) => {
+    try {
+      await axios.delete(`/api/templates/${template.id}`);
+      if (selectedTemplateId === template.id) {
+        setSelectedTemplateId('');
+      }
+      addSuccessAlert(`Deleted template ${template.name}`);
+      fetchTemplates();
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      const err = error as { response?: { data?: { error?: string } }; message?: string };
+      addDangerAlert(`Failed to delete template: ${err.response?.data?.error || err.message}`);
+    }
   };
 
+  const selectedTemplate = templates.find(t => t.id === selectedTemplateId);
   const yamlPreview = YAML.stringify(generateCleanConfig(), { indent: 2 });
+  const formatFileSize = (bytes?: number) => {
+    if (!bytes) return '-';
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(1024));
+    return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
+  };
+
+  const estimateSize = async () => {
+    try {
+      setIsEstimating(true);
+      const response = await axios.post('/api/config/estimate', { config: yamlPreview });
+      setSizeEstimate(response.data);
+      setEstimatedYaml(yamlPreview);
+    } catch (error) {
+      console.error('Error estimating size:', error);
+      const err = error as { response?: { data?: { error?: string } }; message?: string };
+      addDangerAlert(`Failed to estimate size: ${err.response?.data?.error || err.message}`);
+    } finally {
+      setIsEstimating(false);
+    }
+  };
+
   const startEditingPreview = () => {
     setEditedYaml(yamlPreview);
     setIsEditingPreview(true);
@@ -1363,45 +2432,7 @@ const MirrorConfig: React.FC = () => {
         return;
       }
 
-      const mirror = parsed.mirror || {};
-      const platformChannels: PlatformChannel[] = (mirror.platform?.channels || []).map(
-        (ch: any) => ({
-          name: ch.name || '',
-          minVersion: ch.minVersion || '',
-          maxVersion: ch.maxVersion || '',
-          type: ch.type || 'ocp',
-          shortestPath: ch.shortestPath || false,
-        }),
-      );
-      const operators: OperatorCatalog[] = (mirror.operators || []).map((op: any) => ({
-        catalog: op.catalog || '',
-        catalogVersion: op.catalog?.split(':').pop() || '',
-        availableOperators: [],
-        packages: (op.packages || []).map((pkg: any) => ({
-          name: pkg.name || '',
-          channels: (pkg.channels || []).map((ch: any) => ({
-            name: ch.name || '',
-            minVersion: ch.minVersion || '',
-            maxVersion: ch.maxVersion || '',
-          })),
-        })),
-      }));
-      const additionalImages: { name: string }[] = (mirror.additionalImages || []).map(
-        (img: any) => ({ name: img.name || '' }),
-      );
-      const archiveSize = parsed.archiveSize != null ? String(parsed.archiveSize) : '';
-
-      const nextConfig: ImageSetConfig = {
-        kind: parsed.kind,
-        apiVersion: parsed.apiVersion,
-        archiveSize,
-        mirror: {
-          platform: { channels: platformChannels, graph: mirror.platform?.graph ?? true },
-          operators,
-          additionalImages,
-          helm: { repositories: [] },
-        },
-      };
+      const nextConfig = parseImageSetConfig(parsed);
 
       const errors = validateConfiguration(nextConfig);
       if (errors.length > 0) {
@@ -1557,7 +2588,20 @@ const MirrorConfig: React.FC = () => {
                               Find the most direct upgrade path between versions.
                             </HelperTextItem>
                           </HelperText>
-                        </FormGroup>
+                          <Checkbox
+                            id={`platform-ch-full-${index}`}
+                            label="All Versions"
+                            isChecked={channel.full || false}
+                            onChange={(_e, checked) =>
+                              updatePlatformChannel(index, 'full', checked)
+                            }
+                          />
+                          <HelperText>
+                            <HelperTextItem>
+                              Mirror every release in the channel within the version range.
+                            </HelperTextItem>
+                          </HelperText>
+                        </FormGroup>
                       </GridItem>
                     </Grid>
                   </CardBody>
@@ -1572,6 +2616,61 @@ const MirrorConfig: React.FC = () => {
               >
                 Add Platform Channel
               </Button>
+
+              <Card isCompact style={{ marginTop: '1.5rem' }}>
+                <CardHeader>
+                  <CardTitle>Platform Options</CardTitle>
+                </CardHeader>
+                <CardBody>
+                  <Grid hasGutter>
+                    <GridItem span={6}>
+                      <FormGroup label="Architectures" fieldId="platform-architectures">
+                        <Flex>
+                          {PLATFORM_ARCHITECTURES.map(arch => (
+                            <FlexItem key={arch}>
+                              <Checkbox
+                                id={`platform-arch-${arch}`}
+                                label={arch}
+                                isChecked={config.mirror.platform.architectures.includes(arch)}
+                                onChange={(_e, checked) => togglePlatformArchitecture(arch, checked)}
+                              />
+                            </FlexItem>
+                          ))}
+                        </Flex>
+                        <HelperText>
+                          <HelperTextItem>
+                            Release architectures to mirror. Leave all unchecked for amd64 only.
+                          </HelperTextItem>
+                        </HelperText>
+                      </FormGroup>
+                    </GridItem>
+                    <GridItem span={6}>
+                      <FormGroup label="Release Image (optional)" fieldId="platform-release">
+                        <TextInput
+                          id="platform-release"
+                          value={config.mirror.platform.release}
+                          onChange={(_e, val) => updatePlatformOptions({ release: val })}
+                          placeholder="quay.io/openshift-release-dev/ocp-release@sha256:..."
+                        />
+                        <HelperText>
+                          <HelperTextItem>
+                            Mirror one specific release payload by image reference.
+                          </HelperTextItem>
+                        </HelperText>
+                      </FormGroup>
+                    </GridItem>
+                    <GridItem span={12}>
+                      <Checkbox
+                        id="platform-kubevirt"
+                        label="Include KubeVirt container image"
+                        description="Mirror the KubeVirt container disk image used by OpenShift Virtualization hosted control planes."
+                        isChecked={config.mirror.platform.kubeVirtContainer}
+                        onChange={(_e, checked) => updatePlatformOptions({ kubeVirtContainer: checked })}
+                      />
+                    </GridItem>
+                  </Grid>
+                </CardBody>
+              </Card>
             </Tab>
 
             <Tab
@@ -1589,6 +2688,81 @@ const MirrorConfig: React.FC = () => {
 
               {loading && <Spinner size="lg" />}
 
+              {detectOcpVersion(config) && config.mirror.operators.some(op => op.packages.length > 0) && (
+                <Card isCompact style={{ marginBottom: '1rem' }}>
+                  <CardHeader>
+                    <CardTitle>Retarget to Another OCP Version</CardTitle>
+                  </CardHeader>
+                  <CardBody>
+                    <Grid hasGutter>
+                      <GridItem span={4}>
+                        <FormGroup label={`Move from OCP ${detectOcpVersion(config)} to`} fieldId="retarget-version">
+                          <FormSelect
+                            id="retarget-version"
+                            value={retargetVersion}
+                            onChange={(_e, val) => {
+                              setRetargetVersion(val);
+                              setRetargetPlan(null);
+                            }}
+                          >
+                            <FormSelectOption value="" label="Select a version" isPlaceholder />
+                            {OCP_VERSIONS.filter(v => v !== detectOcpVersion(config)).map(v => (
+                              <FormSelectOption key={v} value={v} label={v} />
+                            ))}
+                          </FormSelect>
+                        </FormGroup>
+                      </GridItem>
+                      <GridItem span={3} style={{ alignSelf: 'end' }}>
+                        <Button
+                          variant="secondary"
+                          icon={<SyncAltIcon />}
+                          onClick={reviewRetarget}
+                          isDisabled={!retargetVersion || isRetargetLoading}
+                          isLoading={isRetargetLoading}
+                        >
+                          Review Changes
+                        </Button>
+                      </GridItem>
+                    </Grid>
+
+                    {retargetPlan && (
+                      <Alert
+                        variant={retargetPlan.changes.some(c => c.isBreaking) ? AlertVariant.warning : AlertVariant.info}
+                        isInline
+                        title={retargetPlan.changes.length > 0
+                          ? `${retargetPlan.changes.length} catalog change(s) from OCP ${retargetPlan.fromVersion} to ${retargetPlan.toVersion}`
+                          : `No catalog changes for these packages from OCP ${retargetPlan.fromVersion} to ${retargetPlan.toVersion}`}
+                        style={{ marginTop: '1rem' }}
+                        actionLinks={
+                          <>
+                            <Button variant="primary" icon={<ArrowRightIcon />} onClick={applyRetarget}>
+                              Retarget to {retargetPlan.toVersion}
+                            </Button>
+                            <Button variant="link" onClick={() => setRetargetPlan(null)}>
+                              Cancel
+                            </Button>
+                          </>
+                        }
+                      >
+                        <p>Catalog tags and versioned channel names are updated to {retargetPlan.toVersion}.</p>
+                        {retargetPlan.changes.length + retargetPlan.warnings.length > 0 && (
+                          <ul>
+                            {retargetPlan.changes.map((change, index) => (
+                              <li key={index}>
+                                <strong>{change.packageName}</strong>: {change.message}
+                              </li>
+                            ))}
+                            {retargetPlan.warnings.map((warning, index) => (
+                              <li key={`warning-${index}`}>{warning}</li>
+                            ))}
+                          </ul>
+                        )}
+                      </Alert>
+                    )}
+                  </CardBody>
+                </Card>
+              )}
+
               {config.mirror.operators.map((operator, opIndex) => (
                 <Card key={opIndex} isCompact style={{ marginBottom: '1rem' }}>
                   <CardHeader
@@ -1637,12 +2811,77 @@ const MirrorConfig: React.FC = () => {
                           <FormSelectOption
                             key={cat.url}
                             value={cat.url}
-                            label={`${cat.name} (OCP ${cat.url.split(':').pop()}) - ${cat.description}`}
+                            label={`${cat.name} (${cat.custom ? '' : 'OCP '}${cat.url.split(':').pop()}) - ${cat.description}`}
                           />
                         ))}
                       </FormSelect>
+                      {(() => {
+                        const selectedCatalog = operatorCatalogs.find(cat => cat.url === operator.catalog);
+                        if (!selectedCatalog?.stale || selectedCatalog.ageHours == null) return null;
+                        return (
+                          <HelperText>
+                            <HelperTextItem variant="warning">
+                              This catalog&apos;s data was fetched{' '}
+                              {selectedCatalog.ageHours < 48
+                                ? `${Math.round(selectedCatalog.ageHours)} hour(s)`
+                                : `${Math.round(selectedCatalog.ageHours / 24)} day(s)`} ago;
+                              newer operator versions and channels may be missing.
+                            </HelperTextItem>
+                          </HelperText>
+                        );
+                      })()}
                     </FormGroup>
 
+                    <Grid hasGutter style={{ marginTop: '1rem' }}>
+                      <GridItem span={4}>
+                        <FormGroup label="Target Catalog (optional)" fieldId={`op-target-catalog-${opIndex}`}>
+                          <TextInput
+                            id={`op-target-catalog-${opIndex}`}
+                            value={operator.targetCatalog || ''}
+                            onChange={(_e, val) => updateOperatorCatalogOptions(opIndex, { targetCatalog: val })}
+                            placeholder="my-namespace/redhat-operator-index"
+                          />
+                        </FormGroup>
+                      </GridItem>
+                      <GridItem span={4}>
+                        <FormGroup label="Target Tag (optional)" fieldId={`op-target-tag-${opIndex}`}>
+                          <TextInput
+                            id={`op-target-tag-${opIndex}`}
+                            value={operator.targetTag || ''}
+                            onChange={(_e, val) => updateOperatorCatalogOptions(opIndex, { targetTag: val })}
+                            placeholder="v4.16"
+                          />
+                        </FormGroup>
+                      </GridItem>
+                      <GridItem span={4}>
+                        <FormGroup label="Options" fieldId={`op-full-${opIndex}`}>
+                          <Checkbox
+                            id={`op-full-${opIndex}`}
+                            label="Full catalog"
+                            isChecked={operator.full || false}
+                            onChange={(_e, checked) => updateOperatorCatalogOptions(opIndex, { full: checked })}
+                          />
+                          <HelperText>
+                            <HelperTextItem>
+                              Mirror every version in the selected channels instead of only the heads.
+                              Without packages, the whole catalog is mirrored.
+                            </HelperTextItem>
+                          </HelperText>
+                          <Checkbox
+                            id={`op-skip-deps-${opIndex}`}
+                            label="Skip dependencies"
+                            isChecked={operator.skipDependencies || false}
+                            onChange={(_e, checked) => updateOperatorCatalogOptions(opIndex, { skipDependencies: checked })}
+                          />
+                          <HelperText>
+                            <HelperTextItem>
+                              Do not let oc-mirror add the packages these operators depend on.
+                            </HelperTextItem>
+                          </HelperText>
+                        </FormGroup>
+                      </GridItem>
+                    </Grid>
+
                     <br />
                     <Title headingLevel="h5"><BundleIcon /> Operators</Title>
 
@@ -1685,6 +2924,8 @@ const MirrorConfig: React.FC = () => {
                               const filtered = filterText
                                 ? sorted.filter(n => n.toLowerCase().includes(filterText.toLowerCase()))
                                 : sorted;
+                              const search = operatorSearch[selectKey];
+                              const ranked = filterText.trim() && search?.query === filterText.trim() ? search.results : null;
 
                               const onToggle = () => {
                                 setOperatorSelectOpen(prev => ({ ...prev, [selectKey]: !prev[selectKey] }));
@@ -1703,6 +2944,7 @@ const MirrorConfig: React.FC = () => {
 
                               const onFilterChange = (_e: any, value: string) => {
                                 setOperatorFilterText(prev => ({ ...prev, [selectKey]: value }));
+                                searchOperators(selectKey, operator.catalog, value);
                                 if (!isOpen) {
                                   setOperatorSelectOpen(prev => ({ ...prev, [selectKey]: true }));
                                 }
@@ -1759,7 +3001,26 @@ const MirrorConfig: React.FC = () => {
                                   shouldFocusFirstItemOnOpen={false}
                                 >
                                   <SelectList style={{ maxHeight: '300px', overflow: 'auto' }}>
-                                    {filtered.length > 0 ? (
+                                    {ranked && ranked.length > 0 ? (
+                                      ranked.map(result => (
+                                        <SelectOption
+                                          key={result.name}
+                                          value={result.name}
+                                          icon={result.iconUrl
+                                            ? <img src={result.iconUrl} alt="" style={{ width: '24px', height: '24px', objectFit: 'contain' }} />
+                                            : undefined}
+                                          description={
+                                            <>
+                                              <code>{result.name}</code>
+                                              {result.provider && <> &middot; {result.provider}</>}
+                                              {result.description && <div>{result.description}</div>}
+                                            </>
+                                          }
+                                        >
+                                          {result.displayName || result.name}
+                                        </SelectOption>
+                                      ))
+                                    ) : !ranked && filtered.length > 0 ? (
                                       filtered.map(name => (
                                         <SelectOption key={name} value={name}>
                                           {name}
@@ -1781,6 +3042,19 @@ const MirrorConfig: React.FC = () => {
                             return (
                               <Card isPlain isCompact style={{ marginTop: '0.5rem', marginBottom: '0.5rem' }}>
                                 <CardBody>
+                                  {(info.displayName || info.description) && (
+                                    <div style={{ marginBottom: '0.5rem' }}>
+                                      {info.displayName && (
+                                        <span style={{ fontWeight: 600 }}>
+                                          {info.displayName}
+                                          {info.provider && <span style={{ fontWeight: 400 }}> by {info.provider}</span>}
+                                        </span>
+                                      )}
+                                      {info.description && (
+                                        <div style={{ color: 'var(--pf-v6-global--Color--200)' }}>{info.description}</div>
+                                      )}
+                                    </div>
+                                  )}
                                   <Split hasGutter>
                                     <SplitItem>
                                       <span style={{ fontWeight: 600 }}>Default Channel:</span>
@@ -1915,6 +3189,18 @@ const MirrorConfig: React.FC = () => {
                                       </FormSelect>
                                     </FormGroup>
                                   </FlexItem>
+                                  <FlexItem>
+                                    <Button
+                                      variant="secondary"
+                                      icon={<BundleIcon />}
+                                      onClick={() => openBundleBrowser(opIndex, pkgIndex, chIdx)}
+                                      isDisabled={!pkg.name || !channel.name || loadingBundlesKey !== ''}
+                                      isLoading={loadingBundlesKey === `${opIndex}-${pkgIndex}-${chIdx}`}
+                                      size="sm"
+                                    >
+                                      Bundles
+                                    </Button>
+                                  </FlexItem>
                                   <FlexItem>
                                     <Button
                                       variant="danger"
@@ -1931,6 +3217,100 @@ const MirrorConfig: React.FC = () => {
                               );
                             })}
                           </FormGroup>
+
+                          <FormGroup
+                            label="Bundles (optional)"
+                            fieldId={`op-pkg-bundles-${opIndex}-${pkgIndex}`}
+                          >
+                            {(pkg.bundles || []).map((bundle, bIdx) => (
+                              <Flex
+                                key={bIdx}
+                                alignItems={{ default: 'alignItemsCenter' }}
+                                style={{ marginBottom: '0.5rem' }}
+                              >
+                                <FlexItem grow={{ default: 'grow' }}>
+                                  <TextInput
+                                    id={`op-pkg-bundle-${opIndex}-${pkgIndex}-${bIdx}`}
+                                    aria-label={`Bundle ${bIdx + 1}`}
+                                    value={bundle.name}
+                                    onChange={(_e, val) =>
+                                      updatePackageBundles(opIndex, pkgIndex, bundles =>
+                                        bundles.map((b, i) => (i === bIdx ? { name: val } : b)),
+                                      )
+                                    }
+                                    placeholder={`${pkg.name || 'operator'}.v1.0.0`}
+                                  />
+                                </FlexItem>
+                                <FlexItem>
+                                  <Button
+                                    variant="danger"
+                                    icon={<TrashIcon />}
+                                    onClick={() =>
+                                      updatePackageBundles(opIndex, pkgIndex, bundles =>
+                                        bundles.filter((_, i) => i !== bIdx),
+                                      )
+                                    }
+                                    size="sm"
+                                  >
+                                    Remove
+                                  </Button>
+                                </FlexItem>
+                              </Flex>
+                            ))}
+                            <Button
+                              variant="link"
+                              icon={<PlusCircleIcon />}
+                              onClick={() =>
+                                updatePackageBundles(opIndex, pkgIndex, bundles => [...bundles, { name: '' }])
+                              }
+                            >
+                              Add Bundle
+                            </Button>
+                            <HelperText>
+                              <HelperTextItem>
+                                Mirror only these bundle versions. Bundles cannot be combined with channels.
+                              </HelperTextItem>
+                            </HelperText>
+                          </FormGroup>
+
+                          <Grid hasGutter>
+                            <GridItem span={4}>
+                              <FormGroup label="Default Channel (optional)" fieldId={`op-pkg-default-${opIndex}-${pkgIndex}`}>
+                                <TextInput
+                                  id={`op-pkg-default-${opIndex}-${pkgIndex}`}
+                                  value={pkg.defaultChannel || ''}
+                                  onChange={(_e, val) => updatePackageOptions(opIndex, pkgIndex, { defaultChannel: val })}
+                                  placeholder="stable"
+                                />
+                              </FormGroup>
+                            </GridItem>
+                            <GridItem span={4}>
+                              <FormGroup label="Package Min Version (optional)" fieldId={`op-pkg-min-${opIndex}-${pkgIndex}`}>
+                                <TextInput
+                                  id={`op-pkg-min-${opIndex}-${pkgIndex}`}
+                                  value={pkg.minVersion || ''}
+                                  onChange={(_e, val) => updatePackageOptions(opIndex, pkgIndex, { minVersion: val })}
+                                  placeholder="1.0.0"
+                                />
+                              </FormGroup>
+                            </GridItem>
+                            <GridItem span={4}>
+                              <FormGroup label="Package Max Version (optional)" fieldId={`op-pkg-max-${opIndex}-${pkgIndex}`}>
+                                <TextInput
+                                  id={`op-pkg-max-${opIndex}-${pkgIndex}`}
+                                  value={pkg.maxVersion || ''}
+                                  onChange={(_e, val) => updatePackageOptions(opIndex, pkgIndex, { maxVersion: val })}
+                                  placeholder="2.0.0"
+                                />
+                              </FormGroup>
+                            </GridItem>
+                          </Grid>
+                          <HelperText>
+                            <HelperTextItem>
+                              The default channel overrides the catalog's for the mirrored package. Package versions
+                              bound the default channel when no channels are selected.
+                            </HelperTextItem>
+                          </HelperText>
                         </CardBody>
                       </Card>
                     ))}
@@ -1997,6 +3377,235 @@ const MirrorConfig: React.FC = () => {
               <Button variant="primary" icon={<PlusCircleIcon />} onClick={addAdditionalImage} style={{ marginTop: '1rem' }}>
                 Add Image
               </Button>
+
+              <br />
+              <br />
+              <Title headingLevel="h3"><BanIcon /> Blocked Images</Title>
+              <p>Exclude images from mirroring, even when a release, operator or Helm chart references them.</p>
+
+              {config.mirror.blockedImages.map((image, index) => (
+                <Card key={index} isCompact style={{ marginBottom: '1rem' }}>
+                  <CardHeader
+                    actions={{
+                      actions: (
+                        <Button
+                          variant="danger"
+                          icon={<TrashIcon />}
+                          onClick={() => removeBlockedImage(index)}
+                        >
+                          Remove
+                        </Button>
+                      ),
+                    }}
+                  >
+                    <CardTitle>Blocked Image {index + 1}</CardTitle>
+                  </CardHeader>
+                  <CardBody>
+                    <FormGroup label="Image Name" fieldId={`blocked-img-name-${index}`}>
+                      <TextInput
+                        id={`blocked-img-name-${index}`}
+                        value={image.name}
+                        onChange={(_e, val) => updateBlockedImage(index, val)}
+                        placeholder="registry.redhat.io/example/image"
+                      />
+                    </FormGroup>
+                  </CardBody>
+                </Card>
+              ))}
+
+              <Button variant="secondary" icon={<PlusCircleIcon />} onClick={addBlockedImage} style={{ marginTop: '1rem' }}>
+                Add Blocked Image
+              </Button>
+            </Tab>
+
+            <Tab
+              eventKey="helm"
+              title={
+                <>
+                  <TabTitleIcon><AnchorIcon /></TabTitleIcon>
+                  <TabTitleText>Helm Charts</TabTitleText>
+                </>
+              }
+            >
+              <br />
+              <div
+                style={{
+                  display: 'inline-flex',
+                  alignItems: 'center',
+                  gap: '0.25rem',
+                }}
+              >
+                <Title headingLevel="h3" style={{ margin: 0 }}>
+                  <AnchorIcon /> Helm Repositories
+                </Title>
+                <InfoPopoverButton
+                  ariaLabel="Helm repository guidance"
+                  bodyContent={
+                    <div>
+                      oc-mirror renders each chart and mirrors the images it references.
+                      Leave the version empty to use the latest chart version.
+                    </div>
+                  }
+                />
+              </div>
+              <p>Mirror charts, and the images they use, from remote Helm repositories.</p>
+
+              {config.mirror.helm.repositories.map((repo, repoIndex) => {
+                const urlValidationMessage = repo.url ? getHelmRepositoryUrlValidationMessage(repo.url) : '';
+
+                return (
+                  <Card key={repoIndex} isCompact style={{ marginBottom: '1rem' }}>
+                    <CardHeader
+                      actions={{
+                        actions: (
+                          <Button
+                            variant="danger"
+                            icon={<TrashIcon />}
+                            onClick={() => removeHelmRepository(repoIndex)}
+                          >
+                            Remove
+                          </Button>
+                        ),
+                      }}
+                    >
+                      <CardTitle>Repository {repoIndex + 1}</CardTitle>
+                    </CardHeader>
+                    <CardBody>
+                      <Grid hasGutter>
+                        <GridItem span={4}>
+                          <FormGroup label="Name" fieldId={`helm-repo-name-${repoIndex}`} isRequired>
+                            <TextInput
+                              id={`helm-repo-name-${repoIndex}`}
+                              value={repo.name}
+                              onChange={(_e, val) => updateHelmRepository(repoIndex, 'name', val)}
+                              placeholder="podinfo"
+                            />
+                          </FormGroup>
+                        </GridItem>
+                        <GridItem span={8}>
+                          <FormGroup label="URL" fieldId={`helm-repo-url-${repoIndex}`} isRequired>
+                            <TextInput
+                              id={`helm-repo-url-${repoIndex}`}
+                              value={repo.url}
+                              onChange={(_e, val) => updateHelmRepository(repoIndex, 'url', val)}
+                              validated={urlValidationMessage ? 'error' : 'default'}
+                              placeholder="https://stefanprodan.github.io/podinfo"
+                            />
+                            {urlValidationMessage && (
+                              <HelperText>
+                                <HelperTextItem variant="error">{urlValidationMessage}</HelperTextItem>
+                              </HelperText>
+                            )}
+                          </FormGroup>
+                        </GridItem>
+                      </Grid>
+
+                      <br />
+                      <Title headingLevel="h5">Charts</Title>
+                      {repo.charts.map((chart, chartIndex) => (
+                        <Grid hasGutter key={chartIndex} style={{ marginBottom: '0.5rem' }}>
+                          <GridItem span={5}>
+                            <FormGroup label="Chart Name" fieldId={`helm-chart-name-${repoIndex}-${chartIndex}`}>
+                              <TextInput
+                                id={`helm-chart-name-${repoIndex}-${chartIndex}`}
+                                value={chart.name}
+                                onChange={(_e, val) => updateHelmChart(repoIndex, chartIndex, 'name', val)}
+                                placeholder="podinfo"
+                              />
+                            </FormGroup>
+                          </GridItem>
+                          <GridItem span={5}>
+                            <FormGroup
+                              label="Version (optional)"
+                              fieldId={`helm-chart-version-${repoIndex}-${chartIndex}`}
+                            >
+                              <TextInput
+                                id={`helm-chart-version-${repoIndex}-${chartIndex}`}
+                                value={chart.version}
+                                onChange={(_e, val) => updateHelmChart(repoIndex, chartIndex, 'version', val)}
+                                placeholder="5.0.0"
+                              />
+                            </FormGroup>
+                          </GridItem>
+                          <GridItem span={2} style={{ alignSelf: 'end' }}>
+                            <Button
+                              variant="plain"
+                              aria-label="Remove chart"
+                              icon={<TrashIcon />}
+                              onClick={() => removeHelmChart(repoIndex, chartIndex)}
+                            />
+                          </GridItem>
+                        </Grid>
+                      ))}
+                      <Button
+                        variant="secondary"
+                        icon={<PlusCircleIcon />}
+                        onClick={() => addHelmChart(repoIndex)}
+                        size="sm"
+                      >
+                        Add Chart
+                      </Button>
+                    </CardBody>
+                  </Card>
+                );
+              })}
+
+              <Button variant="primary" icon={<PlusCircleIcon />} onClick={addHelmRepository} style={{ marginTop: '1rem' }}>
+                Add Helm Repository
+              </Button>
+
+              <br />
+              <br />
+              <Title headingLevel="h3"><AnchorIcon /> Local Charts</Title>
+              <p>Mirror images from chart archives that already exist on the server, e.g. <code>/app/data/charts/podinfo-5.0.0.tgz</code>.</p>
+
+              {config.mirror.helm.local.map((chart, index) => (
+                <Card key={index} isCompact style={{ marginBottom: '1rem' }}>
+                  <CardHeader
+                    actions={{
+                      actions: (
+                        <Button
+                          variant="danger"
+                          icon={<TrashIcon />}
+                          onClick={() => removeLocalHelmChart(index)}
+                        >
+                          Remove
+                        </Button>
+                      ),
+                    }}
+                  >
+                    <CardTitle>Local Chart {index + 1}</CardTitle>
+                  </CardHeader>
+                  <CardBody>
+                    <Grid hasGutter>
+                      <GridItem span={4}>
+                        <FormGroup label="Name" fieldId={`helm-local-name-${index}`} isRequired>
+                          <TextInput
+                            id={`helm-local-name-${index}`}
+                            value={chart.name}
+                            onChange={(_e, val) => updateLocalHelmChart(index, 'name', val)}
+                            placeholder="podinfo"
+                          />
+                        </FormGroup>
+                      </GridItem>
+                      <GridItem span={8}>
+                        <FormGroup label="Path" fieldId={`helm-local-path-${index}`} isRequired>
+                          <TextInput
+                            id={`helm-local-path-${index}`}
+                            value={chart.path}
+                            onChange={(_e, val) => updateLocalHelmChart(index, 'path', val)}
+                            placeholder="/app/data/charts/podinfo-5.0.0.tgz"
+                          />
+                        </FormGroup>
+                      </GridItem>
+                    </Grid>
+                  </CardBody>
+                </Card>
+              ))}
+
+              <Button variant="primary" icon={<PlusCircleIcon />} onClick={addLocalHelmChart} style={{ marginTop: '1rem' }}>
+                Add Local Chart
+              </Button>
             </Tab>
 
             <Tab
@@ -2092,6 +3701,90 @@ const MirrorConfig: React.FC = () => {
                 </CardBody>
               </Card>
 
+              <Card isCompact style={{ marginBottom: '1.5rem' }}>
+                <CardHeader
+                  actions={{
+                    actions: (
+                      <Button
+                        variant="secondary"
+                        onClick={estimateSize}
+                        isDisabled={isEstimating}
+                        isLoading={isEstimating}
+                      >
+                        {sizeEstimate ? 'Re-estimate' : 'Estimate Size'}
+                      </Button>
+                    ),
+                  }}
+                >
+                  <CardTitle>Estimated Size</CardTitle>
+                </CardHeader>
+                <CardBody>
+                  {!sizeEstimate ? (
+                    <p>
+                      Count the images this configuration pulls from the pre-fetched catalog bundles and estimate
+                      the disk space a mirror to disk needs.
+                    </p>
+                  ) : (
+                    <>
+                      {estimatedYaml !== yamlPreview && (
+                        <Alert
+                          variant={AlertVariant.info}
+                          isInline
+                          isPlain
+                          title="The configuration changed since this estimate"
+                          style={{ marginBottom: '0.5rem' }}
+                        />
+                      )}
+                      <DescriptionList isHorizontal isCompact>
+                        <DescriptionListGroup>
+                          <DescriptionListTerm>Estimated size</DescriptionListTerm>
+                          <DescriptionListDescription>
+                            <strong>{formatFileSize(sizeEstimate.estimatedBytes)}</strong>
+                            {sizeEstimate.notEstimated.length > 0 &&
+                              ` plus ${sizeEstimate.notEstimated
+                                .map(section => (section === 'platform' ? 'release payloads' : 'Helm charts'))
+                                .join(' and ')}, which are not estimated`}
+                          </DescriptionListDescription>
+                        </DescriptionListGroup>
+                        <DescriptionListGroup>
+                          <DescriptionListTerm>Unique images</DescriptionListTerm>
+                          <DescriptionListDescription>
+                            {sizeEstimate.uniqueImages} ({sizeEstimate.additionalImages} additional
+                            {sizeEstimate.blockedImages > 0 && `, ${sizeEstimate.blockedImages} blocked and not counted`})
+                          </DescriptionListDescription>
+                        </DescriptionListGroup>
+                        <DescriptionListGroup>
+                          <DescriptionListTerm>Size per image</DescriptionListTerm>
+                          <DescriptionListDescription>
+                            {formatFileSize(sizeEstimate.calibration.bytesPerImage)}{' '}
+                            {sizeEstimate.calibration.source === 'operations'
+                              ? `(measured on ${sizeEstimate.calibration.samples} completed mirror-to-disk operations)`
+                              : '(default; no completed mirror-to-disk operation to calibrate from yet)'}
+                          </DescriptionListDescription>
+                        </DescriptionListGroup>
+                        {sizeEstimate.operators.map((op, index) => (
+                          <DescriptionListGroup key={index}>
+                            <DescriptionListTerm>{op.package}</DescriptionListTerm>
+                            <DescriptionListDescription>
+                              {op.resolved
+                                ? `${op.images} images from ${op.bundles} bundles${op.channels.length > 0 ? ` (${op.channels.join(', ')})` : ''}`
+                                : 'Not counted'}
+                            </DescriptionListDescription>
+                          </DescriptionListGroup>
+                        ))}
+                      </DescriptionList>
+                      {sizeEstimate.warnings.length > 0 && (
+                        <HelperText style={{ marginTop: '0.5rem' }}>
+                          {sizeEstimate.warnings.map((warning, index) => (
+                            <HelperTextItem key={index} variant="warning">{warning}</HelperTextItem>
+                          ))}
+                        </HelperText>
+                      )}
+                    </>
+                  )}
+                </CardBody>
+              </Card>
+
               {isEditingPreview ? (
                 <>
                   <TextArea
@@ -2127,6 +3820,196 @@ const MirrorConfig: React.FC = () => {
               )}
             </Tab>
 
+            <Tab
+              eventKey="templates"
+              title={
+                <>
+                  <TabTitleIcon><LayerGroupIcon /></TabTitleIcon>
+                  <TabTitleText>Templates</TabTitleText>
+                </>
+              }
+            >
+              <br />
+              <Title headingLevel="h3"><LayerGroupIcon /> Configuration Templates</Title>
+              <p>
+                Templates are shared configurations with an <code>{'{{ocpVersion}}'}</code> placeholder in
+                catalog tags and channel names. Apply one for an OpenShift version to fill in the form.
+              </p>
+
+              <Card isCompact style={{ marginTop: '1rem' }}>
+                <CardHeader>
+                  <CardTitle>Start from a Template</CardTitle>
+                </CardHeader>
+                <CardBody>
+                  {templates.length === 0 ? (
+                    <p>No templates yet. Save the current configuration as a template below.</p>
+                  ) : (
+                    <Grid hasGutter>
+                      <GridItem span={6}>
+                        <FormGroup label="Template" fieldId="template-select">
+                          <FormSelect
+                            id="template-select"
+                            value={selectedTemplateId}
+                            onChange={(_e, val) => setSelectedTemplateId(val)}
+                          >
+                            <FormSelectOption value="" label="Select a template" isPlaceholder />
+                            {templates.map(t => (
+                              <FormSelectOption key={t.id} value={t.id} label={t.name} />
+                            ))}
+                          </FormSelect>
+                        </FormGroup>
+                      </GridItem>
+                      <GridItem span={3}>
+                        <FormGroup label="OCP Version" fieldId="template-ocp-version">
+                          <FormSelect
+                            id="template-ocp-version"
+                            value={templateOcpVersion}
+                            onChange={(_e, val) => setTemplateOcpVersion(val)}
+                          >
+                            {OCP_VERSIONS.map(v => (
+                              <FormSelectOption key={v} value={v} label={v} />
+                            ))}
+                          </FormSelect>
+                        </FormGroup>
+                      </GridItem>
+                      <GridItem span={3} style={{ alignSelf: 'end' }}>
+                        <Button
+                          variant="primary"
+                          icon={<ArrowRightIcon />}
+                          onClick={applyTemplate}
+                          isDisabled={!selectedTemplateId || isTemplateLoading}
+                          isLoading={isTemplateLoading}
+                        >
+                          Apply Template
+                        </Button>
+                      </GridItem>
+                      {selectedTemplate?.description && (
+                        <GridItem span={12}>
+                          <HelperText>
+                            <HelperTextItem>{selectedTemplate.description}</HelperTextItem>
+                          </HelperText>
+                        </GridItem>
+                      )}
+                    </Grid>
+                  )}
+
+                  {templateResult && (
+                    <Alert
+                      variant={templateResult.errors.length > 0 ? AlertVariant.warning : AlertVariant.success}
+                      isInline
+                      title={templateResult.errors.length > 0
+                        ? `${templateResult.templateName} for OCP ${templateResult.ocpVersion} needs attention`
+                        : `${templateResult.templateName} resolved for OCP ${templateResult.ocpVersion}`}
+                      style={{ marginTop: '1rem' }}
+                    >
+                      {templateResult.errors.length > 0 && (
+                        <p>These fields do not match the pre-fetched catalogs for this version. Fix them before saving.</p>
+                      )}
+                      {[...templateResult.errors, ...templateResult.warnings].length > 0 && (
+                        <ul>
+                          {[...templateResult.errors, ...templateResult.warnings].map((issue, index) => (
+                            <li key={index}><code>{issue.path}</code>: {issue.message}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </Alert>
+                  )}
+                </CardBody>
+              </Card>
+
+              <Card isCompact style={{ marginTop: '1rem' }}>
+                <CardHeader>
+                  <CardTitle>Save Current Configuration as Template</CardTitle>
+                </CardHeader>
+                <CardBody>
+                  <Grid hasGutter>
+                    <GridItem span={4}>
+                      <FormGroup label="Name" fieldId="new-template-name" isRequired>
+                        <TextInput
+                          id="new-template-name"
+                          value={newTemplateName}
+                          onChange={(_e, val) => setNewTemplateName(val)}
+                          placeholder="e.g. ODF + ACM"
+                        />
+                      </FormGroup>
+                    </GridItem>
+                    <GridItem span={5}>
+                      <FormGroup label="Description" fieldId="new-template-description">
+                        <TextInput
+                          id="new-template-description"
+                          value={newTemplateDescription}
+                          onChange={(_e, val) => setNewTemplateDescription(val)}
+                        />
+                      </FormGroup>
+                    </GridItem>
+                    <GridItem span={3}>
+                      <FormGroup label="Version to replace" fieldId="template-source-version">
+                        <FormSelect
+                          id="template-source-version"
+                          value={templateSourceVersion || detectOcpVersion(config)}
+                          onChange={(_e, val) => setTemplateSourceVersion(val)}
+                        >
+                          <FormSelectOption value="" label="Select a version" isPlaceholder />
+                          {OCP_VERSIONS.map(v => (
+                            <FormSelectOption key={v} value={v} label={v} />
+                          ))}
+                        </FormSelect>
+                      </FormGroup>
+                    </GridItem>
+                  </Grid>
+                  <HelperText style={{ marginTop: '0.5rem' }}>
+                    <HelperTextItem>
+                      Catalog tags such as <code>:v4.19</code> and channel names such as <code>stable-4.19</code> are
+                      saved with <code>{'{{ocpVersion}}'}</code> in place of this version. Full versions in min/max
+                      bounds are kept as they are.
+                    </HelperTextItem>
+                  </HelperText>
+                  <Button
+                    variant="secondary"
+                    icon={<SaveIcon />}
+                    onClick={saveAsTemplate}
+                    isDisabled={!newTemplateName.trim() || !(templateSourceVersion || detectOcpVersion(config)) || isTemplateLoading}
+                    style={{ marginTop: '1rem' }}
+                  >
+                    Save as Template
+                  </Button>
+                </CardBody>
+              </Card>
+
+              {templates.length > 0 && (
+                <Card isCompact style={{ marginTop: '1rem' }}>
+                  <CardHeader>
+                    <CardTitle>Saved Templates</CardTitle>
+                  </CardHeader>
+                  <CardBody>
+                    {templates.map(t => (
+                      <Split key={t.id} hasGutter style={{ marginBottom: '0.5rem', alignItems: 'center' }}>
+                        <SplitItem isFilled>
+                          <strong>{t.name}</strong>
+                          {t.description && <> &ndash; {t.description}</>}
+                          {' '}
+                          {t.placeholders.map(name => (
+                            <Label key={name} isCompact style={{ marginLeft: '0.25rem' }}>{`{{${name}}}`}</Label>
+                          ))}
+                          <div style={{ fontSize: '0.85rem', color: 'var(--pf-v6-global--Color--200)' }}>
+                            Updated {new Date(t.updatedAt).toLocaleString()}
+                          </div>
+                        </SplitItem>
+                        <SplitItem>
+                          <Button
+                            variant="plain"
+                            aria-label={`Delete template ${t.name}`}
+                            icon={<TrashIcon />}
+                            onClick={() => deleteTemplate(t)}
+                          />
+                        </SplitItem>
+                      </Split>
+                    ))}
+                  </CardBody>
+                </Card>
+              )}
+            </Tab>
+
             <Tab
               eventKey="upload"
               title={
@@ -2208,6 +4091,15 @@ const MirrorConfig: React.FC = () => {
                             <DescriptionListDescription>{parsedUpload.mirror.additionalImages.length}</DescriptionListDescription>
                           </DescriptionListGroup>
                         )}
+                        {(parsedUpload.mirror?.helm?.repositories || parsedUpload.mirror?.helm?.local) && (
+                          <DescriptionListGroup>
+                            <DescriptionListTerm>Helm Charts</DescriptionListTerm>
+                            <DescriptionListDescription>
+                              {(parsedUpload.mirror.helm.repositories || []).length} repositories,{' '}
+                              {(parsedUpload.mirror.helm.local || []).length} local
+                            </DescriptionListDescription>
+                          </DescriptionListGroup>
+                        )}
                       </DescriptionList>
                     </Alert>
                   )}
@@ -2249,6 +4141,118 @@ const MirrorConfig: React.FC = () => {
                   </Split>
                 </CardBody>
               </Card>
+
+              <Title headingLevel="h3" style={{ marginTop: '2rem' }}>
+                <UploadIcon /> Import from Cluster Subscriptions
+              </Title>
+              <p>
+                Build a configuration for an existing cluster from its installed operators. Upload the output of{' '}
+                <code>oc get subscriptions,csv -A -o yaml</code> and pick the OCP version whose catalogs to mirror
+                from. Each subscription becomes a package on its channel with <code>minVersion</code> set to the
+                installed version, and the operators it depends on are added as well.
+              </p>
+
+              <Card isPlain isCompact style={{ marginTop: '1rem' }}>
+                <CardBody>
+                  <Grid hasGutter>
+                    <GridItem span={9}>
+                      <FormGroup label="Subscriptions and CSVs" fieldId="subscriptions-upload">
+                        <FileUpload
+                          id="subscriptions-upload"
+                          type="text"
+                          value={subscriptionsContent}
+                          filename={subscriptionsFilename}
+                          filenamePlaceholder="Drag and drop the exported YAML or click to browse"
+                          onFileInputChange={handleSubscriptionsFileChange}
+                          onDataChange={(_e, val) => setSubscriptionsContent(val)}
+                          onTextChange={(_e, val) => setSubscriptionsContent(val)}
+                          onClearClick={clearSubscriptionsImport}
+                          browseButtonText="Browse"
+                          clearButtonText="Clear"
+                          allowEditingUploadedText
+                        />
+                      </FormGroup>
+                    </GridItem>
+                    <GridItem span={3}>
+                      <FormGroup label="Catalog OCP Version" fieldId="subscriptions-ocp-version">
+                        <FormSelect
+                          id="subscriptions-ocp-version"
+                          value={subscriptionsOcpVersion}
+                          onChange={(_e, val) => setSubscriptionsOcpVersion(val)}
+                        >
+                          {OCP_VERSIONS.map(v => (
+                            <FormSelectOption key={v} value={v} label={v} />
+                          ))}
+                        </FormSelect>
+                      </FormGroup>
+                    </GridItem>
+                  </Grid>
+
+                  {subscriptionImport && (
+                    <Alert
+                      variant={subscriptionImport.skipped.length > 0 || subscriptionImport.errors.length > 0
+                        ? AlertVariant.warning
+                        : AlertVariant.success}
+                      isInline
+                      title={`${subscriptionImport.subscriptions.length} subscriptions mapped onto the ${subscriptionImport.ocpVersion} catalogs`}
+                      style={{ marginTop: '1rem' }}
+                    >
+                      <ul>
+                        {subscriptionImport.subscriptions.map((sub, index) => (
+                          <li key={index}>
+                            <strong>{sub.packageName}</strong> ({sub.namespace}): {sub.channel || 'no channel'}
+                            {sub.installedVersion ? `, installed ${sub.installedVersion}` : ', installed version unknown'}
+                          </li>
+                        ))}
+                        {subscriptionImport.dependencies.map(dep => (
+                          <li key={dep.packageName}>
+                            <strong>{dep.packageName}</strong>: dependency of {dep.requiredBy}
+                          </li>
+                        ))}
+                      </ul>
+                      {subscriptionImport.skipped.length > 0 && (
+                        <>
+                          <p>Skipped:</p>
+                          <ul>
+                            {subscriptionImport.skipped.map((sub, index) => (
+                              <li key={index}>{sub.name} ({sub.namespace}): {sub.reason}</li>
+                            ))}
+                          </ul>
+                        </>
+                      )}
+                      {[...subscriptionImport.errors, ...subscriptionImport.warnings].length > 0 && (
+                        <>
+                          <p>Checked against the pre-fetched catalogs:</p>
+                          <ul>
+                            {[...subscriptionImport.errors, ...subscriptionImport.warnings].map((issue, index) => (
+                              <li key={index}><code>{issue.path}</code>: {issue.message}</li>
+                            ))}
+                          </ul>
+                        </>
+                      )}
+                    </Alert>
+                  )}
+
+                  <Split hasGutter style={{ marginTop: '1rem' }}>
+                    <SplitItem>
+                      <Button
+                        variant="primary"
+                        icon={<ArrowRightIcon />}
+                        onClick={importSubscriptions}
+                        isDisabled={!subscriptionsContent.trim() || isImportingSubscriptions}
+                        isLoading={isImportingSubscriptions}
+                      >
+                        Generate Configuration
+                      </Button>
+                    </SplitItem>
+                    <SplitItem>
+                      <Button variant="link" onClick={clearSubscriptionsImport}>
+                        Clear
+                      </Button>
+                    </SplitItem>
+                  </Split>
+                </CardBody>
+              </Card>
             </Tab>
           </Tabs>
         </CardBody>
@@ -2267,7 +4271,9 @@ const MirrorConfig: React.FC = () => {
               <div style={{ fontSize: '1rem' }}>
                 {showCustomNameInput && customConfigName.trim()
                   ? `Will save as: ${customConfigName.trim()}.yaml`
-                  : generateDefaultConfigName()}
+                  : editingConfig && !showCustomNameInput
+                    ? <>Editing <strong>{editingConfig.filename}</strong> (last modified {new Date(editingConfig.modified).toLocaleString()})</>
+                    : generateDefaultConfigName()}
               </div>
             </FlexItem>
 
@@ -2294,7 +4300,7 @@ const MirrorConfig: React.FC = () => {
                     isDisabled={loading}
                     isLoading={loading}
                   >
-                    Save Configuration
+                    {editingConfig && !showCustomNameInput ? 'Save Changes' : 'Save Configuration'}
                   </Button>
                 </SplitItem>
                 <SplitItem>
@@ -2311,15 +4317,272 @@ const MirrorConfig: React.FC = () => {
                     variant="link"
                     onClick={() => setShowCustomNameInput(!showCustomNameInput)}
                   >
-                    {showCustomNameInput ? 'Cancel Rename' : 'Rename'}
+                    {showCustomNameInput ? 'Cancel Rename' : editingConfig ? 'Save as New' : 'Rename'}
                   </Button>
                 </SplitItem>
+                {editingConfig && (
+                  <SplitItem>
+                    <Button
+                      variant="link"
+                      icon={<SyncAltIcon />}
+                      onClick={() => openSavedConfiguration(editingConfig.filename)}
+                      isDisabled={loading}
+                    >
+                      Reload from Server
+                    </Button>
+                  </SplitItem>
+                )}
+                {editingConfig && (
+                  <SplitItem>
+                    <Button variant="link" onClick={() => setEditingConfig(null)}>
+                      Stop Editing
+                    </Button>
+                  </SplitItem>
+                )}
               </Split>
             </FlexItem>
           </Flex>
         </CardBody>
       </Card>
 
+      <Modal
+        variant={ModalVariant.large}
+        isOpen={bundleBrowser !== null}
+        onClose={() => setBundleBrowser(null)}
+        aria-label="Channel bundles"
+      >
+        {bundleBrowser && (() => {
+          const { opIndex, pkgIndex, chIdx, head, bundles } = bundleBrowser;
+          const channel = config.mirror.operators[opIndex]?.packages[pkgIndex]?.channels[chIdx];
+          if (!channel) return null;
+          const selected = bundles.filter(bundle => isBundleSelected(bundle, head, channel));
+          const selectedImages = new Set(selected.flatMap(bundle =>
+            [bundle.image, ...bundle.relatedImages.map(related => related.image)].filter(Boolean)));
+          const pathBundles = new Set(upgradePath?.hops.map(hop => hop.name) || []);
+
+          return (
+            <>
+              <ModalHeader title={`${bundleBrowser.operatorName} - ${bundleBrowser.channel}`} />
+              <ModalBody>
+                <p>
+                  {channel.minVersion || channel.maxVersion
+                    ? `Versions ${channel.minVersion || 'oldest'} to ${channel.maxVersion || 'latest'}`
+                    : 'No version bounds (channel head only)'}
+                  : {selected.length} of {bundles.length} bundle(s) with {selectedImages.size} unique image(s) would be mirrored.
+                  Use <strong>Min</strong> and <strong>Max</strong> to set the channel&apos;s bounds.
+                </p>
+                <Card isPlain isCompact style={{ marginBottom: '1rem' }}>
+                  <CardTitle>Upgrade Path</CardTitle>
+                  <CardBody>
+                    <Flex alignItems={{ default: 'alignItemsFlexEnd' }} spaceItems={{ default: 'spaceItemsMd' }}>
+                      <FlexItem>
+                        <FormGroup label="Installed Version" fieldId="upgrade-from">
+                          <TextInput
+                            id="upgrade-from"
+                            value={upgradeFrom}
+                            onChange={(_event, value) => setUpgradeFrom(value)}
+                            placeholder="e.g. 4.16.3"
+                          />
+                        </FormGroup>
+                      </FlexItem>
+                      <FlexItem>
+                        <FormGroup label="Target Version" fieldId="upgrade-to">
+                          <FormSelect
+                            id="upgrade-to"
+                            value={upgradeTo}
+                            onChange={(_event, value) => setUpgradeTo(value)}
+                          >
+                            <FormSelectOption value="" label="Channel head" />
+                            {bundles.filter(bundle => bundle.version).map(bundle => (
+                              <FormSelectOption key={bundle.name} value={bundle.version!} label={bundle.version!} />
+                            ))}
+                          </FormSelect>
+                        </FormGroup>
+                      </FlexItem>
+                      <FlexItem>
+                        <Button
+                          variant="secondary"
+                          onClick={calculateUpgradePath}
+                          isLoading={isUpgradePathLoading}
+                          isDisabled={!upgradeFrom.trim() || isUpgradePathLoading}
+                        >
+                          Calculate Path
+                        </Button>
+                      </FlexItem>
+                    </Flex>
+                    {upgradePathError && (
+                      <Alert variant="danger" isInline isPlain title={upgradePathError} style={{ marginTop: '0.75rem' }} />
+                    )}
+                    {upgradePath && (
+                      <Alert
+                        variant="info"
+                        isInline
+                        title={`${upgradePath.installedVersion} to ${upgradePath.targetVersion} in ${upgradePath.hops.length} hop(s)`}
+                        style={{ marginTop: '0.75rem' }}
+                        actionLinks={
+                          <>
+                            <Button
+                              variant="link"
+                              isInline
+                              onClick={() => {
+                                if (updateOperatorPackageChannelBounds(opIndex, pkgIndex, chIdx, {
+                                  minVersion: upgradePath.minVersion,
+                                  maxVersion: upgradePath.maxVersion,
+                                })) {
+                                  addSuccessAlert(`Channel bounds set to ${upgradePath.minVersion} - ${upgradePath.maxVersion}`);
+                                }
+                              }}
+                            >
+                              Apply as Min/Max Versions
+                            </Button>
+                            <Button
+                              variant="link"
+                              isInline
+                              onClick={() => {
+                                setPackageBundles(opIndex, pkgIndex, upgradePath.hops.map(hop => hop.name));
+                                setBundleBrowser(null);
+                                addSuccessAlert(
+                                  `${bundleBrowser.operatorName} now mirrors only the ${upgradePath.hops.length} bundle(s) on the path; its channels were replaced by the bundle list`,
+                                );
+                              }}
+                            >
+                              Mirror Only Path Bundles
+                            </Button>
+                          </>
+                        }
+                      >
+                        <ol style={{ paddingLeft: '1.25rem', listStyle: 'decimal' }}>
+                          {upgradePath.hops.map(hop => (
+                            <li key={hop.name}>
+                              <code>{hop.from}</code> to <code>{hop.version}</code> via {hop.via}
+                              {hop.skipRange && <> (<code>{hop.skipRange}</code>)</>}
+                            </li>
+                          ))}
+                        </ol>
+                        {upgradePath.extraBundles.length > 0 && (
+                          <p style={{ marginTop: '0.5rem' }}>
+                            These bounds also mirror {upgradePath.extraBundles.length} bundle(s) not on the path:{' '}
+                            {upgradePath.extraBundles.join(', ')}. Mirror only the path bundles to leave them out.
+                          </p>
+                        )}
+                      </Alert>
+                    )}
+                  </CardBody>
+                </Card>
+                <Table aria-label="Bundles" variant="compact">
+                  <Thead>
+                    <Tr>
+                      <Th screenReaderText="Related images" />
+                      <Th>Version</Th>
+                      <Th>Upgrade Edges</Th>
+                      <Th>Created</Th>
+                      <Th>Images</Th>
+                      <Th>Bounds</Th>
+                    </Tr>
+                  </Thead>
+                  {bundles.map((bundle, rowIndex) => {
+                    const isExpanded = expandedBundles.includes(bundle.name);
+                    const isSelected = isBundleSelected(bundle, head, channel);
+                    return (
+                      <Tbody key={bundle.name} isExpanded={isExpanded}>
+                        <Tr>
+                          <Td
+                            expand={{
+                              rowIndex,
+                              isExpanded,
+                              onToggle: () => setExpandedBundles(prev =>
+                                isExpanded ? prev.filter(name => name !== bundle.name) : [...prev, bundle.name]),
+                            }}
+                          />
+                          <Td dataLabel="Version">
+                            <div style={{ fontWeight: 700 }}>
+                              {bundle.version || '-'}{' '}
+                              {bundle.name === head && <Label isCompact color="green">Head</Label>}{' '}
+                              {isSelected && <Label isCompact color="blue">Selected</Label>}{' '}
+                              {pathBundles.has(bundle.name) && <Label isCompact color="purple">Upgrade path</Label>}
+                            </div>
+                            <div style={{ fontSize: '0.85rem', color: 'var(--pf-v6-global--Color--200)' }}>
+                              {bundle.name}
+                            </div>
+                          </Td>
+                          <Td dataLabel="Upgrade Edges" style={{ fontSize: '0.85rem' }}>
+                            {bundle.replaces && <div>replaces <code>{bundle.replaces}</code></div>}
+                            {bundle.skips.length > 0 && <div>skips {bundle.skips.map(skip => <code key={skip}>{skip} </code>)}</div>}
+                            {bundle.skipRange && <div>skipRange <code>{bundle.skipRange}</code></div>}
+                            {!bundle.replaces && bundle.skips.length === 0 && !bundle.skipRange && '-'}
+                          </Td>
+                          <Td dataLabel="Created">
+                            {bundle.createdAt && !Number.isNaN(Date.parse(bundle.createdAt))
+                              ? new Date(bundle.createdAt).toLocaleDateString()
+                              : bundle.createdAt || '-'}
+                          </Td>
+                          <Td dataLabel="Images">{bundle.relatedImages.length}</Td>
+                          <Td dataLabel="Bounds">
+                            {bundle.version && (
+                              <Flex spaceItems={{ default: 'spaceItemsSm' }} flexWrap={{ default: 'nowrap' }}>
+                                <FlexItem>
+                                  <Button
+                                    variant={channel.minVersion === bundle.version ? 'primary' : 'secondary'}
+                                    size="sm"
+                                    onClick={() => updateOperatorPackageChannelVersion(
+                                      opIndex, pkgIndex, chIdx, 'minVersion',
+                                      channel.minVersion === bundle.version ? '' : bundle.version!,
+                                    )}
+                                  >
+                                    Min
+                                  </Button>
+                                </FlexItem>
+                                <FlexItem>
+                                  <Button
+                                    variant={channel.maxVersion === bundle.version ? 'primary' : 'secondary'}
+                                    size="sm"
+                                    onClick={() => updateOperatorPackageChannelVersion(
+                                      opIndex, pkgIndex, chIdx, 'maxVersion',
+                                      channel.maxVersion === bundle.version ? '' : bundle.version!,
+                                    )}
+                                  >
+                                    Max
+                                  </Button>
+                                </FlexItem>
+                              </Flex>
+                            )}
+                          </Td>
+                        </Tr>
+                        <Tr isExpanded={isExpanded}>
+                          <Td colSpan={6}>
+                            <ExpandableRowContent>
+                              {bundle.image && (
+                                <div><span style={{ fontWeight: 600 }}>Bundle image:</span> <code>{bundle.image}</code></div>
+                              )}
+                              {bundle.relatedImages.length > 0 ? (
+                                <ul style={{ marginTop: '0.5rem' }}>
+                                  {bundle.relatedImages.map(related => (
+                                    <li key={`${related.name}-${related.image}`}>
+                                      {related.name && <span style={{ fontWeight: 600 }}>{related.name}: </span>}
+                                      <code>{related.image}</code>
+                                    </li>
+                                  ))}
+                                </ul>
+                              ) : (
+                                <p>No related images listed for this bundle.</p>
+                              )}
+                            </ExpandableRowContent>
+                          </Td>
+                        </Tr>
+                      </Tbody>
+                    );
+                  })}
+                </Table>
+              </ModalBody>
+              <ModalFooter>
+                <Button variant="primary" onClick={() => setBundleBrowser(null)}>
+                  Done
+                </Button>
+              </ModalFooter>
+            </>
+          );
+        })()}
+      </Modal>
     </div>
   );
 };
@@ -1,5 +1,6 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
 import {
   Card,
   CardBody,
@@ -30,6 +31,15 @@ import {
   DescriptionListGroup,
   DescriptionListTerm,
   DescriptionListDescription,
+  HelperText,
+  HelperTextItem,
+  Progress,
+  ProgressMeasureLocation,
+  ProgressSize,
+  Checkbox,
+  ToggleGroup,
+  ToggleGroupItem,
+  SearchInput,
 } from '@patternfly/react-core';
 import {
   SyncAltIcon,
@@ -45,6 +55,15 @@ import {
   OutlinedClockIcon,
   EyeIcon,
   EyeSlashIcon,
+  AngleUpIcon,
+  AngleDownIcon,
+  RedoIcon,
+  SearchIcon,
+  DownloadIcon,
+  ExclamationTriangleIcon,
+  HistoryIcon,
+  UndoIcon,
+  PencilAltIcon,
 } from '@patternfly/react-icons';
 import { Table, Thead, Tbody, Tr, Th, Td } from '@patternfly/react-table';
 import { useAlerts } from '../AlertContext';
@@ -54,20 +73,174 @@ interface ConfigFile {
   size: string;
 }
 
+interface ConfigRevision {
+  id: string;
+  createdAt: string;
+  size: number;
+  source: 'initial' | 'save' | 'upload' | 'restore';
+  restoredFrom?: string;
+}
+
+interface ConfigDiffChange {
+  type: 'added' | 'removed' | 'changed';
+  kind: string;
+  path: string;
+  field?: string;
+  before?: unknown;
+  after?: unknown;
+}
+
+interface ConfigDiff {
+  summary: { added: number; removed: number; changed: number };
+  changes: ConfigDiffChange[];
+}
+
+const REVISION_SOURCE_LABELS: Record<ConfigRevision['source'], string> = {
+  initial: 'Before history',
+  save: 'Saved',
+  upload: 'Uploaded',
+  restore: 'Restored',
+};
+
+const DIFF_KIND_LABELS: Record<string, string> = {
+  archiveSize: 'Archive size',
+  platform: 'Platform',
+  platformChannel: 'Platform channel',
+  catalog: 'Catalog',
+  package: 'Package',
+  channel: 'Channel',
+  additionalImage: 'Additional image',
+  blockedImage: 'Blocked image',
+  helmRepository: 'Helm repository',
+  helmChart: 'Helm chart',
+  localHelmChart: 'Local Helm chart',
+};
+
+const formatDiffValue = (value: unknown) => {
+  if (value === null || value === undefined) return 'unset';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+type MirrorWorkflow = 'mirrorToDisk' | 'diskToMirror' | 'mirrorToMirror';
+
 interface Operation {
   id: string;
   name: string;
   configFile: string;
-  status: 'running' | 'success' | 'failed' | 'stopped';
+  status: 'queued' | 'running' | 'success' | 'failed' | 'stopped' | 'interrupted';
+  queuePosition?: number;
   startedAt: string;
   completedAt?: string;
   duration?: number;
   mirrorDestination?: string;
+  workflow?: MirrorWorkflow | 'delete';
+  source?: string;
+  destination?: string;
+  parentOperationId?: string;
+  attempt?: number;
+  dryRun?: boolean;
+  dryRunSummary?: DryRunSummary;
   errorMessage?: string;
 }
 
+type DryRunImageGroup = 'release' | 'operator' | 'additional';
+
+interface DryRunImage {
+  source: string;
+  destination: string;
+  missing: boolean;
+}
+
+interface DryRunSummary {
+  total: number;
+  missing: number;
+  release: number;
+  operator: number;
+  additional: number;
+}
+
+interface DryRunImages {
+  summary: DryRunSummary;
+  images: Record<DryRunImageGroup, DryRunImage[]>;
+}
+
+const DRY_RUN_GROUP_LABELS: Record<DryRunImageGroup, string> = {
+  release: 'Release',
+  operator: 'Operator',
+  additional: 'Additional',
+};
+
+const WORKFLOW_OPTIONS: { value: MirrorWorkflow; label: string; description: string }[] = [
+  {
+    value: 'mirrorToDisk',
+    label: 'Mirror to Disk',
+    description: 'Pull images from upstream registries into an archive set under the mirror subdirectory.',
+  },
+  {
+    value: 'diskToMirror',
+    label: 'Disk to Mirror',
+    description: 'Push the archive set stored in the mirror subdirectory into the target registry.',
+  },
+  {
+    value: 'mirrorToMirror',
+    label: 'Mirror to Mirror',
+    description: 'Copy images directly from upstream registries into the target registry. The mirror subdirectory is used as the workspace.',
+  },
+];
+
+const getWorkflowLabel = (workflow?: MirrorWorkflow | 'delete') => {
+  if (workflow === 'delete') return 'Registry Delete';
+  return WORKFLOW_OPTIONS.find(option => option.value === (workflow || 'mirrorToDisk'))?.label || 'Mirror to Disk';
+};
+
+type ImageCategory = 'release' | 'operator' | 'additional' | 'helm';
+
+interface CategoryProgress {
+  copied: number;
+  total: number;
+  failed: number;
+}
+
+interface OperationProgress {
+  phase: string;
+  copied: number;
+  total: number;
+  failed: number;
+  percent: number;
+  etaSeconds: number | null;
+  categories: Record<ImageCategory, CategoryProgress>;
+}
+
+const CATEGORY_LABELS: Record<ImageCategory, string> = {
+  release: 'Release images',
+  operator: 'Operator images',
+  additional: 'Additional images',
+  helm: 'Helm images',
+};
+
+const PHASE_LABELS: Record<string, string> = {
+  starting: 'Starting',
+  'collecting-release': 'Collecting release images',
+  'collecting-operator': 'Collecting operator images',
+  'collecting-additional': 'Collecting additional images',
+  'collecting-helm': 'Collecting Helm images',
+  copying: 'Copying images',
+  archiving: 'Building archive',
+  'generating-resources': 'Generating cluster resources',
+  complete: 'Complete',
+};
+
+const formatEta = (seconds: number | null) => {
+  if (seconds === null) return 'Calculating...';
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
 const MirrorOperations: React.FC = () => {
   const { addSuccessAlert, addDangerAlert, addInfoAlert } = useAlerts();
+  const navigate = useNavigate();
 
   const [operations, setOperations] = useState<Operation[]>([]);
   const [selectedConfig, setSelectedConfig] = useState('');
@@ -75,12 +248,28 @@ const MirrorOperations: React.FC = () => {
   const [runningOperation, setRunningOperation] = useState<Operation | null>(null);
   const [logs, setLogs] = useState('');
   const [logStream, setLogStream] = useState<EventSource | null>(null);
+  const [progress, setProgress] = useState<OperationProgress | null>(null);
+  const [phase, setPhase] = useState('');
+  const [streamErrors, setStreamErrors] = useState<string[]>([]);
   const [loading, setLoading] = useState(false);
   const [showLogs, setShowLogs] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [deleteFilename, setDeleteFilename] = useState('');
   const [deleteOperationId, setDeleteOperationId] = useState<string | null>(null);
   const [mirrorDestinationSubdir, setMirrorDestinationSubdir] = useState('');
+  const [workflow, setWorkflow] = useState<MirrorWorkflow>('mirrorToDisk');
+  const [targetRegistry, setTargetRegistry] = useState('');
+  const [dryRun, setDryRun] = useState(false);
+  const [dryRunOperation, setDryRunOperation] = useState<Operation | null>(null);
+  const [dryRunImages, setDryRunImages] = useState<DryRunImages | null>(null);
+  const [dryRunGroup, setDryRunGroup] = useState<DryRunImageGroup>('release');
+  const [dryRunSearch, setDryRunSearch] = useState('');
+  const [showRevisions, setShowRevisions] = useState(false);
+  const [revisions, setRevisions] = useState<ConfigRevision[]>([]);
+  const [diffFrom, setDiffFrom] = useState('');
+  const [diffTo, setDiffTo] = useState('current');
+  const [configDiff, setConfigDiff] = useState<ConfigDiff | null>(null);
+  const requiresTargetRegistry = workflow !== 'mirrorToDisk';
   const [showMirrorLocation, setShowMirrorLocation] = useState<Record<string, boolean>>({});
 
   const operationsRef = useRef<Operation[]>([]);
@@ -112,14 +301,14 @@ const MirrorOperations: React.FC = () => {
 
     setTimeout(() => fetchLogs(op.id), 500);
 
-    const isTerminalStatus = op.status === 'success' || op.status === 'failed' || op.status === 'stopped';
+    const isTerminalStatus = op.status === 'success' || op.status === 'failed' || op.status === 'stopped' || op.status === 'interrupted';
     if (!isTerminalStatus) return;
 
     if (!notifiedOperationsRef.current.has(op.id)) {
       notifiedOperationsRef.current.add(op.id);
 
       if (op.status === 'success') {
-        addSuccessAlert('Mirror Operation Completed!');
+        addSuccessAlert(op.dryRun ? 'Dry Run Completed! Review the image list before mirroring.' : 'Mirror Operation Completed!');
       } else if (op.status === 'failed') {
         addDangerAlert('Mirror Operation Failed');
       } else if (op.status === 'stopped') {
@@ -136,11 +325,26 @@ const MirrorOperations: React.FC = () => {
     const eventSource = new EventSource(`/api/operations/${operationId}/logstream`);
     setLogStream(eventSource);
     logStreamOperationIdRef.current = operationId;
+    setProgress(null);
+    setPhase('');
+    setStreamErrors([]);
 
     eventSource.onmessage = (event) => {
       setLogs(prevLogs => prevLogs + event.data);
     };
 
+    eventSource.addEventListener('phase', (event) => {
+      try {
+        setPhase(JSON.parse((event as MessageEvent).data).phase);
+      } catch { /* ignore parse errors */ }
+    });
+
+    eventSource.addEventListener('progress', (event) => {
+      try {
+        setProgress(JSON.parse((event as MessageEvent).data));
+      } catch { /* ignore parse errors */ }
+    });
+
     eventSource.addEventListener('done', (event) => {
       let payload: { status?: string } | null = null;
       try {
@@ -160,6 +364,13 @@ const MirrorOperations: React.FC = () => {
       stopLogStream();
     });
 
+    eventSource.addEventListener('log-error', (event) => {
+      try {
+        const { message } = JSON.parse((event as MessageEvent).data);
+        setStreamErrors(prev => [...prev, message]);
+      } catch { /* ignore parse errors */ }
+    });
+
     eventSource.onerror = () => {
       eventSource.close();
       setLogStream(null);
@@ -187,7 +398,7 @@ const MirrorOperations: React.FC = () => {
       response.data.forEach((op: Operation) => {
         const prevOp = previousOps.find(p => p.id === op.id);
         const justCompleted = prevOp && prevOp.status === 'running' &&
-          (op.status === 'success' || op.status === 'failed' || op.status === 'stopped');
+          (op.status === 'success' || op.status === 'failed' || op.status === 'stopped' || op.status === 'interrupted');
 
         if (justCompleted) {
           handleOperationCompleted(op);
@@ -202,7 +413,7 @@ const MirrorOperations: React.FC = () => {
       if (!running && lastRunningOperationIdRef.current) {
         const lastOpId = lastRunningOperationIdRef.current;
         const completedOp = response.data.find((op: Operation) => op.id === lastOpId);
-        if (completedOp && (completedOp.status === 'success' || completedOp.status === 'failed' || completedOp.status === 'stopped')) {
+        if (completedOp && (completedOp.status === 'success' || completedOp.status === 'failed' || completedOp.status === 'stopped' || completedOp.status === 'interrupted')) {
           handleOperationCompleted(completedOp);
           if (logStreamOperationIdRef.current === completedOp.id) {
             stopLogStream();
@@ -261,34 +472,33 @@ const MirrorOperations: React.FC = () => {
       return;
     }
 
+    if (requiresTargetRegistry && !targetRegistry.trim()) {
+      addDangerAlert('Please enter a target registry for this workflow');
+      return;
+    }
+
     try {
       setLoading(true);
       const response = await axios.post('/api/operations/start', {
         configFile: selectedConfig,
         mirrorDestinationSubdir: mirrorDestinationSubdir.trim() || undefined,
+        workflow,
+        targetRegistry: requiresTargetRegistry ? targetRegistry.trim() : undefined,
+        dryRun,
       });
 
-      addSuccessAlert('Operation started successfully!');
-      setShowLogs(true);
+      if (response.data.status === 'queued') {
+        addInfoAlert(`Operation queued at position ${response.data.queuePosition}`);
+      } else {
+        addSuccessAlert('Operation started successfully!');
+        setShowLogs(true);
+      }
       fetchOperations();
       setMirrorDestinationSubdir('');
-
-      if (response.data.status === 'running') {
-        const logInterval = setInterval(async () => {
-          try {
-            const logResponse = await axios.get(`/api/operations/${response.data.id}/logs`);
-            setLogs(logResponse.data.logs || '');
-          } catch (error) {
-            console.error('Error polling logs:', error);
-          }
-        }, 2000);
-
-        setTimeout(() => clearInterval(logInterval), 300000);
-      }
     } catch (error: unknown) {
-      const err = error as { response?: { data?: { message?: string } }; message?: string };
+      const err = error as { response?: { data?: { message?: string; error?: string } }; message?: string };
       console.error('Error starting operation:', error);
-      addDangerAlert(`Failed to start operation: ${err.response?.data?.message || err.message}`);
+      addDangerAlert(`Failed to start operation: ${err.response?.data?.error || err.response?.data?.message || err.message}`);
     } finally {
       setLoading(false);
     }
@@ -330,6 +540,123 @@ const MirrorOperations: React.FC = () => {
     }
   };
 
+  const moveQueuedOperation = async (operationId: string, position: number) => {
+    try {
+      await axios.post(`/api/operations/${operationId}/queue-position`, { position });
+      fetchOperations();
+    } catch (error) {
+      console.error('Error reordering queue:', error);
+      addDangerAlert('Failed to reorder queue');
+    }
+  };
+
+  const cancelQueuedOperation = async (operationId: string) => {
+    try {
+      await axios.post(`/api/operations/${operationId}/stop`);
+      addInfoAlert('Queued operation cancelled');
+      fetchOperations();
+    } catch (error) {
+      console.error('Error cancelling queued operation:', error);
+      addDangerAlert('Failed to cancel queued operation');
+    }
+  };
+
+  const retryOperation = async (operationId: string) => {
+    try {
+      const response = await axios.post(`/api/operations/${operationId}/retry`);
+      if (response.data.status === 'queued') {
+        addInfoAlert(`Retry queued at position ${response.data.queuePosition}`);
+      } else {
+        addSuccessAlert(`Retry started (attempt ${response.data.attempt})`);
+        setShowLogs(true);
+      }
+      fetchOperations();
+    } catch (error: unknown) {
+      const err = error as { response?: { data?: { error?: string } }; message?: string };
+      console.error('Error retrying operation:', error);
+      addDangerAlert(`Failed to retry operation: ${err.response?.data?.error || err.message}`);
+    }
+  };
+
+  const openDryRunImages = async (op: Operation) => {
+    try {
+      const response = await axios.get(`/api/operations/${op.id}/dry-run`);
+      const images: DryRunImages = response.data;
+      setDryRunImages(images);
+      setDryRunOperation(op);
+      setDryRunSearch('');
+      setDryRunGroup((Object.keys(DRY_RUN_GROUP_LABELS) as DryRunImageGroup[]).find(group => images.images[group].length > 0) || 'release');
+    } catch (error: unknown) {
+      const err = error as { response?: { data?: { error?: string; help?: string } }; message?: string };
+      console.error('Error loading dry-run results:', error);
+      addDangerAlert(`Failed to load dry-run results: ${err.response?.data?.help || err.response?.data?.error || err.message}`);
+    }
+  };
+
+  const closeDryRunImages = () => {
+    setDryRunOperation(null);
+    setDryRunImages(null);
+  };
+
+  const filteredDryRunImages = dryRunImages
+    ? dryRunImages.images[dryRunGroup].filter(image =>
+      image.source.toLowerCase().includes(dryRunSearch.toLowerCase()) ||
+      image.destination.toLowerCase().includes(dryRunSearch.toLowerCase()))
+    : [];
+
+  const fetchConfigDiff = async (configName: string, from: string, to: string) => {
+    if (!from) {
+      setConfigDiff(null);
+      return;
+    }
+    try {
+      const response = await axios.get(`/api/config/${encodeURIComponent(configName)}/diff`, { params: { from, to } });
+      setConfigDiff(response.data);
+    } catch (error: unknown) {
+      const err = error as { response?: { data?: { error?: string } }; message?: string };
+      console.error('Error comparing revisions:', error);
+      setConfigDiff(null);
+      addDangerAlert(`Failed to compare revisions: ${err.response?.data?.error || err.message}`);
+    }
+  };
+
+  const openRevisions = async (configName: string) => {
+    try {
+      const response = await axios.get(`/api/config/${encodeURIComponent(configName)}/revisions`);
+      const list: ConfigRevision[] = response.data;
+      setRevisions(list);
+      setShowRevisions(true);
+      // Newest first, so the second entry is the revision before the current content
+      const from = list[1]?.id || list[0]?.id || '';
+      setDiffFrom(from);
+      setDiffTo('current');
+      fetchConfigDiff(configName, from, 'current');
+    } catch (error: unknown) {
+      const err = error as { response?: { data?: { error?: string } }; message?: string };
+      console.error('Error loading revisions:', error);
+      addDangerAlert(`Failed to load revisions: ${err.response?.data?.error || err.message}`);
+    }
+  };
+
+  const closeRevisions = () => {
+    setShowRevisions(false);
+    setRevisions([]);
+    setConfigDiff(null);
+  };
+
+  const restoreRevision = async (revision: ConfigRevision) => {
+    try {
+      await axios.post(`/api/config/${encodeURIComponent(selectedConfig)}/revisions/${revision.id}/restore`);
+      addSuccessAlert(`Restored "${selectedConfig}" to the revision from ${new Date(revision.createdAt).toLocaleString()}`);
+      fetchConfigurations();
+      openRevisions(selectedConfig);
+    } catch (error: unknown) {
+      const err = error as { response?: { data?: { error?: string } }; message?: string };
+      console.error('Error restoring revision:', error);
+      addDangerAlert(`Failed to restore revision: ${err.response?.data?.error || err.message}`);
+    }
+  };
+
   const promptDeleteOperation = (operationId: string) => {
     setDeleteOperationId(operationId);
     setDeleteFilename('');
@@ -350,8 +677,10 @@ const MirrorOperations: React.FC = () => {
     }
   };
 
-  const getStatusLabel = (status: string) => {
+  const getStatusLabel = (status: string, queuePosition?: number) => {
     switch (status) {
+      case 'queued':
+        return <Label color="purple" icon={<OutlinedClockIcon />}>Queued{queuePosition ? ` #${queuePosition}` : ''}</Label>;
       case 'success':
         return <Label color="green" icon={<CheckCircleIcon />}>Success</Label>;
       case 'running':
@@ -360,6 +689,8 @@ const MirrorOperations: React.FC = () => {
         return <Label color="red" icon={<TimesCircleIcon />}>Failed</Label>;
       case 'stopped':
         return <Label color="orange" icon={<StopIcon />}>Stopped</Label>;
+      case 'interrupted':
+        return <Label color="orange" icon={<ExclamationTriangleIcon />}>Interrupted</Label>;
       default:
         return <Label color="grey">Unknown</Label>;
     }
@@ -415,6 +746,8 @@ const MirrorOperations: React.FC = () => {
   };
 
   const isDeleteConfig = deleteFilename && !deleteOperationId;
+  const queuedCount = operations.filter(op => op.status === 'queued').length;
+  const selectedWorkflowOption = WORKFLOW_OPTIONS.find(option => option.value === workflow);
 
   return (
     <div>
@@ -459,6 +792,28 @@ const MirrorOperations: React.FC = () => {
                   ))}
                 </FormSelect>
               </FlexItem>
+              {selectedConfig && (
+                <FlexItem>
+                  <Button
+                    variant="secondary"
+                    icon={<PencilAltIcon />}
+                    onClick={() => navigate(`/config?edit=${encodeURIComponent(selectedConfig)}`)}
+                  >
+                    Edit
+                  </Button>
+                </FlexItem>
+              )}
+              {selectedConfig && (
+                <FlexItem>
+                  <Button
+                    variant="secondary"
+                    icon={<HistoryIcon />}
+                    onClick={() => openRevisions(selectedConfig)}
+                  >
+                    Revisions
+                  </Button>
+                </FlexItem>
+              )}
               {selectedConfig && (
                 <FlexItem>
                   <Button
@@ -473,6 +828,32 @@ const MirrorOperations: React.FC = () => {
             </Flex>
           </FormGroup>
 
+          <FormGroup label="Workflow" fieldId="workflow-select" style={{ marginTop: '1rem' }}>
+            <FormSelect
+              id="workflow-select"
+              value={workflow}
+              onChange={(_event, value) => setWorkflow(value as MirrorWorkflow)}
+              aria-label="Select mirror workflow"
+              style={{ maxWidth: '400px' }}
+            >
+              {WORKFLOW_OPTIONS.map(option => (
+                <FormSelectOption key={option.value} value={option.value} label={option.label} />
+              ))}
+            </FormSelect>
+            <HelperText>
+              <HelperTextItem>{selectedWorkflowOption?.description}</HelperTextItem>
+            </HelperText>
+          </FormGroup>
+
+          <Checkbox
+            id="dry-run"
+            label="Dry run"
+            description="Only list the images this configuration would mirror (mapping.txt and missing.txt). Nothing is copied."
+            isChecked={dryRun}
+            onChange={(_event, checked) => setDryRun(checked)}
+            style={{ marginTop: '1rem' }}
+          />
+
           <Flex alignItems={{ default: 'alignItemsFlexEnd' }} style={{ marginTop: '1rem' }}>
             <FlexItem>
               <FormGroup
@@ -495,7 +876,7 @@ const MirrorOperations: React.FC = () => {
                       <span>Mirror Destination Subdirectory</span>
                     </span>
                     <Popover
-                      bodyContent="Mirror files are saved to data/mirrors/<subdirectory>. Leave empty for &quot;default&quot;. The subdirectory is created automatically with correct permissions."
+                      bodyContent="Mirror files are saved to data/mirrors/<subdirectory>. Leave empty for &quot;default&quot;. The subdirectory is created automatically with correct permissions. For Disk to Mirror it is the archive source; for Mirror to Mirror it is the oc-mirror workspace."
                     >
                       <Button
                         variant="plain"
@@ -530,18 +911,41 @@ const MirrorOperations: React.FC = () => {
                 />
               </FormGroup>
             </FlexItem>
+            {requiresTargetRegistry && (
+              <FlexItem>
+                <FormGroup label="Target Registry" fieldId="target-registry" isRequired>
+                  <TextInput
+                    id="target-registry"
+                    value={targetRegistry}
+                    onChange={(_event, value) => setTargetRegistry(value)}
+                    placeholder="registry.example.com:5000/mirror"
+                    style={{ width: '320px' }}
+                  />
+                </FormGroup>
+              </FlexItem>
+            )}
             <FlexItem>
               <Button
                 variant="primary"
                 icon={loading ? <Spinner size="md" /> : <PlayIcon />}
                 onClick={startOperation}
-                isDisabled={!selectedConfig || loading}
+                isDisabled={!selectedConfig || loading || (requiresTargetRegistry && !targetRegistry.trim())}
               >
-                Start Operation
+                {dryRun ? 'Start Dry Run' : 'Start Operation'}
               </Button>
             </FlexItem>
           </Flex>
 
+          {queuedCount > 0 && (
+            <Alert
+              variant="custom"
+              isInline
+              isPlain
+              title={`${queuedCount} operation${queuedCount === 1 ? '' : 's'} waiting in the queue. Queued operations start in order as running operations finish.`}
+              style={{ marginTop: '1rem' }}
+            />
+          )}
+
           {runningOperation && (
             <Alert
               variant="info"
@@ -613,10 +1017,33 @@ const MirrorOperations: React.FC = () => {
                       <div>
                         <div style={{ fontWeight: 700 }}>{op.name}</div>
                         <div style={{ fontSize: '0.85rem', color: 'var(--pf-v6-global--Color--200)' }}>{op.configFile}</div>
+                        <div style={{ fontSize: '0.85rem', color: 'var(--pf-v6-global--Color--200)' }}>
+                          <Label isCompact color="purple">{getWorkflowLabel(op.workflow)}</Label>
+                          {op.dryRun && (
+                            <Label isCompact color="teal" icon={<SearchIcon />} style={{ marginLeft: '0.5rem' }}>
+                              Dry run
+                            </Label>
+                          )}
+                          {op.parentOperationId && (
+                            <Label isCompact color="orange" icon={<RedoIcon />} style={{ marginLeft: '0.5rem' }}>
+                              Attempt {op.attempt || 2}
+                            </Label>
+                          )}
+                          {op.destination && (
+                            <span style={{ marginLeft: '0.5rem' }}>
+                              {op.source || '-'} &rarr; {op.destination}
+                            </span>
+                          )}
+                        </div>
                       </div>
                     </Td>
                     <Td dataLabel="Status">
-                      {getStatusLabel(op.status)}
+                      {getStatusLabel(op.status, op.queuePosition)}
+                      {op.status === 'interrupted' && op.errorMessage && (
+                        <div style={{ fontSize: '0.85rem', color: 'var(--pf-v6-global--Color--200)', maxWidth: '300px', marginTop: '0.25rem' }}>
+                          {op.errorMessage}
+                        </div>
+                      )}
                     </Td>
                     <Td dataLabel="Started">
                       {new Date(op.startedAt).toLocaleString()}
@@ -633,7 +1060,50 @@ const MirrorOperations: React.FC = () => {
                             </Button>
                           </FlexItem>
                         )}
-                        {op.status === 'success' && op.mirrorDestination && (
+                        {op.status === 'queued' && op.queuePosition && (
+                          <>
+                            <FlexItem>
+                              <Button
+                                variant="secondary"
+                                icon={<AngleUpIcon />}
+                                size="sm"
+                                aria-label="Move up in queue"
+                                isDisabled={op.queuePosition <= 1}
+                                onClick={() => moveQueuedOperation(op.id, op.queuePosition! - 1)}
+                              />
+                            </FlexItem>
+                            <FlexItem>
+                              <Button
+                                variant="secondary"
+                                icon={<AngleDownIcon />}
+                                size="sm"
+                                aria-label="Move down in queue"
+                                isDisabled={op.queuePosition >= queuedCount}
+                                onClick={() => moveQueuedOperation(op.id, op.queuePosition! + 1)}
+                              />
+                            </FlexItem>
+                            <FlexItem>
+                              <Button variant="warning" icon={<TimesCircleIcon />} size="sm" onClick={() => cancelQueuedOperation(op.id)}>
+                                Cancel
+                              </Button>
+                            </FlexItem>
+                          </>
+                        )}
+                        {(op.status === 'failed' || op.status === 'stopped' || op.status === 'interrupted') && (
+                          <FlexItem>
+                            <Button variant="secondary" icon={<RedoIcon />} size="sm" onClick={() => retryOperation(op.id)}>
+                              Retry
+                            </Button>
+                          </FlexItem>
+                        )}
+                        {op.dryRun && op.status !== 'queued' && op.status !== 'running' && (
+                          <FlexItem>
+                            <Button variant="secondary" icon={<SearchIcon />} size="sm" onClick={() => openDryRunImages(op)}>
+                              Images{op.dryRunSummary ? ` (${op.dryRunSummary.total})` : ''}
+                            </Button>
+                          </FlexItem>
+                        )}
+                        {op.status === 'success' && op.mirrorDestination && !op.dryRun && (
                           <FlexItem>
                             <Button
                               variant="secondary"
@@ -670,7 +1140,7 @@ const MirrorOperations: React.FC = () => {
                           </Button>
                         </FlexItem>
                       </Flex>
-                      {op.status === 'success' && op.mirrorDestination && showMirrorLocation[op.id] && (
+                      {op.status === 'success' && op.mirrorDestination && !op.dryRun && showMirrorLocation[op.id] && (
                         <div style={{ marginTop: '0.75rem' }}>
                           <Alert variant="success" isInline isPlain title="Mirror Files Location">
                             <Flex alignItems={{ default: 'alignItemsCenter' }} spaceItems={{ default: 'spaceItemsSm' }}>
@@ -742,10 +1212,297 @@ const MirrorOperations: React.FC = () => {
               <DescriptionListTerm>Duration</DescriptionListTerm>
               <DescriptionListDescription>{formatDuration(runningOperation.duration)}</DescriptionListDescription>
             </DescriptionListGroup>
+            <DescriptionListGroup>
+              <DescriptionListTerm>Phase</DescriptionListTerm>
+              <DescriptionListDescription>{PHASE_LABELS[progress?.phase || phase] || 'Starting'}</DescriptionListDescription>
+            </DescriptionListGroup>
+            {progress && progress.total > 0 && (
+              <DescriptionListGroup>
+                <DescriptionListTerm>ETA</DescriptionListTerm>
+                <DescriptionListDescription>{progress.phase === 'copying' ? formatEta(progress.etaSeconds) : '-'}</DescriptionListDescription>
+              </DescriptionListGroup>
+            )}
           </DescriptionList>
+          {progress && progress.total > 0 && (
+            <div style={{ marginTop: '1rem' }}>
+              <Progress
+                title={`Images copied: ${progress.copied} / ${progress.total}${progress.failed > 0 ? ` (${progress.failed} failed)` : ''}`}
+                value={progress.percent}
+                measureLocation={ProgressMeasureLocation.outside}
+                variant={progress.failed > 0 ? 'warning' : undefined}
+              />
+              {(Object.keys(CATEGORY_LABELS) as ImageCategory[])
+                .filter(category => progress.categories[category].total > 0)
+                .map(category => {
+                  const { copied, total, failed } = progress.categories[category];
+                  return (
+                    <Progress
+                      key={category}
+                      title={`${CATEGORY_LABELS[category]}: ${copied} / ${total}${failed > 0 ? ` (${failed} failed)` : ''}`}
+                      value={Math.round((copied / total) * 100)}
+                      size={ProgressSize.sm}
+                      measureLocation={ProgressMeasureLocation.outside}
+                      variant={failed > 0 ? 'warning' : undefined}
+                      style={{ marginTop: '0.5rem' }}
+                    />
+                  );
+                })}
+            </div>
+          )}
+          {streamErrors.length > 0 && (
+            <Alert
+              variant="warning"
+              isInline
+              isPlain
+              title={`${streamErrors.length} error${streamErrors.length === 1 ? '' : 's'} reported by oc-mirror`}
+              style={{ marginTop: '1rem' }}
+            >
+              {streamErrors.slice(-5).map((message, index) => (
+                <div key={index} style={{ fontFamily: 'monospace', fontSize: '0.85em' }}>{message}</div>
+              ))}
+            </Alert>
+          )}
         </Alert>
       )}
 
+      <Modal
+        variant={ModalVariant.large}
+        isOpen={dryRunOperation !== null}
+        onClose={closeDryRunImages}
+        aria-label="Dry-run images"
+      >
+        <ModalHeader
+          title={`Dry Run Images: ${dryRunOperation?.name || ''}`}
+          description={dryRunImages
+            ? `${dryRunImages.summary.total} images, ${dryRunImages.summary.missing} not yet in the cache`
+            : undefined}
+        />
+        <ModalBody>
+          {dryRunImages && dryRunOperation && (
+            <>
+              <Flex justifyContent={{ default: 'justifyContentSpaceBetween' }} alignItems={{ default: 'alignItemsCenter' }}>
+                <FlexItem>
+                  <ToggleGroup aria-label="Image group">
+                    {(Object.keys(DRY_RUN_GROUP_LABELS) as DryRunImageGroup[]).map(group => (
+                      <ToggleGroupItem
+                        key={group}
+                        text={`${DRY_RUN_GROUP_LABELS[group]} (${dryRunImages.images[group].length})`}
+                        buttonId={`dry-run-group-${group}`}
+                        isSelected={dryRunGroup === group}
+                        onChange={() => setDryRunGroup(group)}
+                      />
+                    ))}
+                  </ToggleGroup>
+                </FlexItem>
+                <FlexItem>
+                  <SearchInput
+                    placeholder="Filter images"
+                    value={dryRunSearch}
+                    onChange={(_event, value) => setDryRunSearch(value)}
+                    onClear={() => setDryRunSearch('')}
+                    style={{ width: '300px' }}
+                  />
+                </FlexItem>
+              </Flex>
+
+              <div style={{ maxHeight: '400px', overflow: 'auto', marginTop: '1rem' }}>
+                {filteredDryRunImages.length === 0 ? (
+                  <EmptyState>
+                    <EmptyStateBody>No images in this group.</EmptyStateBody>
+                  </EmptyState>
+                ) : (
+                  <Table aria-label="Dry-run images" variant="compact">
+                    <Thead>
+                      <Tr>
+                        <Th>Source</Th>
+                        <Th>Destination</Th>
+                        <Th>Cache</Th>
+                      </Tr>
+                    </Thead>
+                    <Tbody>
+                      {filteredDryRunImages.map(image => (
+                        <Tr key={image.source}>
+                          <Td dataLabel="Source"><code style={{ wordBreak: 'break-all' }}>{image.source}</code></Td>
+                          <Td dataLabel="Destination"><code style={{ wordBreak: 'break-all' }}>{image.destination || '-'}</code></Td>
+                          <Td dataLabel="Cache">
+                            {image.missing ? <Label isCompact color="orange">Missing</Label> : <Label isCompact color="green">Cached</Label>}
+                          </Td>
+                        </Tr>
+                      ))}
+                    </Tbody>
+                  </Table>
+                )}
+              </div>
+            </>
+          )}
+        </ModalBody>
+        <ModalFooter>
+          {dryRunOperation && ['mapping.txt', 'missing.txt', 'images.json'].map(file => (
+            <Button
+              key={file}
+              variant="secondary"
+              icon={<DownloadIcon />}
+              component="a"
+              href={`/api/operations/${dryRunOperation.id}/dry-run/${file}`}
+            >
+              {file}
+            </Button>
+          ))}
+          <Button variant="link" onClick={closeDryRunImages}>
+            Close
+          </Button>
+        </ModalFooter>
+      </Modal>
+
+      <Modal
+        variant={ModalVariant.large}
+        isOpen={showRevisions}
+        onClose={closeRevisions}
+        aria-label="Configuration revisions"
+      >
+        <ModalHeader
+          title={`Revisions: ${selectedConfig}`}
+          description="Every save, upload and restore keeps a copy of the configuration."
+        />
+        <ModalBody>
+          {revisions.length === 0 ? (
+            <EmptyState>
+              <EmptyStateBody>No revisions yet. A revision is recorded the next time this configuration is saved.</EmptyStateBody>
+            </EmptyState>
+          ) : (
+            <>
+              <div style={{ maxHeight: '240px', overflow: 'auto' }}>
+                <Table aria-label="Configuration revisions" variant="compact">
+                  <Thead>
+                    <Tr>
+                      <Th>Saved</Th>
+                      <Th>Source</Th>
+                      <Th>Size</Th>
+                      <Th>Actions</Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {revisions.map((revision, index) => (
+                      <Tr key={revision.id}>
+                        <Td dataLabel="Saved">
+                          {new Date(revision.createdAt).toLocaleString()}
+                          {index === 0 && <Label isCompact color="blue" style={{ marginLeft: '0.5rem' }}>Current</Label>}
+                        </Td>
+                        <Td dataLabel="Source">{REVISION_SOURCE_LABELS[revision.source]}</Td>
+                        <Td dataLabel="Size">{(revision.size / 1024).toFixed(2)} KB</Td>
+                        <Td dataLabel="Actions">
+                          <Button
+                            variant="link"
+                            size="sm"
+                            onClick={() => {
+                              setDiffFrom(revision.id);
+                              setDiffTo('current');
+                              fetchConfigDiff(selectedConfig, revision.id, 'current');
+                            }}
+                          >
+                            Compare with current
+                          </Button>
+                          {index > 0 && (
+                            <Button variant="link" size="sm" icon={<UndoIcon />} onClick={() => restoreRevision(revision)}>
+                              Restore
+                            </Button>
+                          )}
+                        </Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+              </div>
+
+              <Flex style={{ marginTop: '1rem' }} alignItems={{ default: 'alignItemsFlexEnd' }}>
+                <FlexItem>
+                  <FormGroup label="Compare" fieldId="diff-from">
+                    <FormSelect
+                      id="diff-from"
+                      value={diffFrom}
+                      onChange={(_event, value) => {
+                        setDiffFrom(value);
+                        fetchConfigDiff(selectedConfig, value, diffTo);
+                      }}
+                    >
+                      {revisions.map(revision => (
+                        <FormSelectOption key={revision.id} value={revision.id} label={new Date(revision.createdAt).toLocaleString()} />
+                      ))}
+                    </FormSelect>
+                  </FormGroup>
+                </FlexItem>
+                <FlexItem>
+                  <FormGroup label="With" fieldId="diff-to">
+                    <FormSelect
+                      id="diff-to"
+                      value={diffTo}
+                      onChange={(_event, value) => {
+                        setDiffTo(value);
+                        fetchConfigDiff(selectedConfig, diffFrom, value);
+                      }}
+                    >
+                      <FormSelectOption value="current" label="Current file" />
+                      {revisions.map(revision => (
+                        <FormSelectOption key={revision.id} value={revision.id} label={new Date(revision.createdAt).toLocaleString()} />
+                      ))}
+                    </FormSelect>
+                  </FormGroup>
+                </FlexItem>
+              </Flex>
+
+              {configDiff && (
+                <div style={{ marginTop: '1rem' }}>
+                  <Flex spaceItems={{ default: 'spaceItemsSm' }}>
+                    <FlexItem><Label color="green">{configDiff.summary.added} added</Label></FlexItem>
+                    <FlexItem><Label color="red">{configDiff.summary.removed} removed</Label></FlexItem>
+                    <FlexItem><Label color="orange">{configDiff.summary.changed} changed</Label></FlexItem>
+                  </Flex>
+                  {configDiff.changes.length === 0 ? (
+                    <p style={{ marginTop: '0.5rem' }}>The two versions are identical.</p>
+                  ) : (
+                    <div style={{ maxHeight: '300px', overflow: 'auto', marginTop: '0.5rem' }}>
+                      <Table aria-label="Configuration diff" variant="compact">
+                        <Thead>
+                          <Tr>
+                            <Th>Change</Th>
+                            <Th>Item</Th>
+                            <Th>Path</Th>
+                            <Th>Details</Th>
+                          </Tr>
+                        </Thead>
+                        <Tbody>
+                          {configDiff.changes.map(change => (
+                            <Tr key={`${change.type}-${change.path}`}>
+                              <Td dataLabel="Change">
+                                {change.type === 'added' && <Label isCompact color="green">Added</Label>}
+                                {change.type === 'removed' && <Label isCompact color="red">Removed</Label>}
+                                {change.type === 'changed' && <Label isCompact color="orange">Changed</Label>}
+                              </Td>
+                              <Td dataLabel="Item">{DIFF_KIND_LABELS[change.kind] || change.kind}</Td>
+                              <Td dataLabel="Path"><code style={{ wordBreak: 'break-all' }}>{change.path}</code></Td>
+                              <Td dataLabel="Details">
+                                {change.type === 'changed' && (
+                                  <>{change.field}: {formatDiffValue(change.before)} &rarr; {formatDiffValue(change.after)}</>
+                                )}
+                              </Td>
+                            </Tr>
+                          ))}
+                        </Tbody>
+                      </Table>
+                    </div>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="link" onClick={closeRevisions}>
+            Close
+          </Button>
+        </ModalFooter>
+      </Modal>
+
       <Modal
         variant={ModalVariant.small}
         isOpen={showDeleteModal}
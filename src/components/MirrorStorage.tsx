@@ -0,0 +1,369 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Card,
+  CardBody,
+  CardTitle,
+  CardHeader,
+  Button,
+  Label,
+  Modal,
+  ModalBody,
+  ModalFooter,
+  ModalHeader,
+  ModalVariant,
+  Title,
+  Flex,
+  FlexItem,
+  Grid,
+  GridItem,
+  Progress,
+  ProgressMeasureLocation,
+  EmptyState,
+  EmptyStateBody,
+  Spinner,
+} from '@patternfly/react-core';
+import {
+  DatabaseIcon,
+  DownloadIcon,
+  TrashAltIcon,
+  SyncAltIcon,
+  CheckCircleIcon,
+  TimesCircleIcon,
+  StopIcon,
+  OutlinedClockIcon,
+  ExclamationTriangleIcon,
+} from '@patternfly/react-icons';
+import { Table, Thead, Tbody, Tr, Th, Td, ExpandableRowContent } from '@patternfly/react-table';
+import { useAlerts } from '../AlertContext';
+
+type MirrorWorkflow = 'mirrorToDisk' | 'diskToMirror' | 'mirrorToMirror' | 'delete';
+
+interface ArchiveFile {
+  name: string;
+  size: number;
+}
+
+interface MirrorDirectory {
+  name: string;
+  path: string;
+  archives: ArchiveFile[];
+  archiveSize: number;
+  totalSize: number;
+  modifiedAt: string;
+  configFile: string | null;
+  lastOperation: {
+    id: string;
+    name: string;
+    status: 'queued' | 'running' | 'success' | 'failed' | 'stopped' | 'interrupted';
+    workflow?: MirrorWorkflow;
+    startedAt: string;
+    completedAt?: string;
+  } | null;
+  inUse: boolean;
+  reserved: boolean;
+}
+
+interface MirrorInventory {
+  baseDir: string;
+  mirrors: MirrorDirectory[];
+  totalSize: number;
+  availableDiskSpace: number;
+  totalDiskSpace: number;
+}
+
+const WORKFLOW_LABELS: Record<MirrorWorkflow, string> = {
+  mirrorToDisk: 'Mirror to Disk',
+  diskToMirror: 'Disk to Mirror',
+  mirrorToMirror: 'Mirror to Mirror',
+  delete: 'Registry Delete',
+};
+
+const MirrorStorage: React.FC = () => {
+  const { addSuccessAlert, addDangerAlert } = useAlerts();
+
+  const [inventory, setInventory] = useState<MirrorInventory | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState<string[]>([]);
+  const [deleteMirror, setDeleteMirror] = useState<MirrorDirectory | null>(null);
+  const [deleting, setDeleting] = useState(false);
+
+  const fetchInventory = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/mirrors');
+      setInventory(response.data);
+    } catch (error) {
+      console.error('Error fetching mirror directories:', error);
+      addDangerAlert('Failed to load mirror directories');
+    } finally {
+      setLoading(false);
+    }
+  }, [addDangerAlert]);
+
+  useEffect(() => {
+    fetchInventory();
+    const interval = setInterval(fetchInventory, 30000);
+    return () => clearInterval(interval);
+  }, [fetchInventory]);
+
+  const confirmDeleteMirror = async () => {
+    if (!deleteMirror) return;
+    try {
+      setDeleting(true);
+      await axios.delete(`/api/mirrors/${deleteMirror.name}`);
+      addSuccessAlert(`Mirror directory "${deleteMirror.name}" deleted`);
+      setDeleteMirror(null);
+      fetchInventory();
+    } catch (error: unknown) {
+      const err = error as { response?: { data?: { error?: string } }; message?: string };
+      console.error('Error deleting mirror directory:', error);
+      addDangerAlert(`Failed to delete mirror directory: ${err.response?.data?.error || err.message}`);
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const toggleExpanded = (name: string) => {
+    setExpanded(prev => (prev.includes(name) ? prev.filter(item => item !== name) : [...prev, name]));
+  };
+
+  const formatFileSize = (bytes?: number) => {
+    if (!bytes) return '-';
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(1024));
+    return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
+  };
+
+  const getStatusLabel = (status: string) => {
+    switch (status) {
+      case 'queued':
+        return <Label isCompact color="purple" icon={<OutlinedClockIcon />}>Queued</Label>;
+      case 'success':
+        return <Label isCompact color="green" icon={<CheckCircleIcon />}>Success</Label>;
+      case 'running':
+        return <Label isCompact color="blue" icon={<SyncAltIcon />}>Running</Label>;
+      case 'failed':
+        return <Label isCompact color="red" icon={<TimesCircleIcon />}>Failed</Label>;
+      case 'stopped':
+        return <Label isCompact color="orange" icon={<StopIcon />}>Stopped</Label>;
+      case 'interrupted':
+        return <Label isCompact color="orange" icon={<ExclamationTriangleIcon />}>Interrupted</Label>;
+      default:
+        return <Label isCompact color="grey">Unknown</Label>;
+    }
+  };
+
+  if (loading) {
+    return (
+      <EmptyState>
+        <Spinner size="xl" />
+        <EmptyStateBody>Loading mirror storage...</EmptyStateBody>
+      </EmptyState>
+    );
+  }
+
+  const usedDiskSpace = inventory ? inventory.totalDiskSpace - inventory.availableDiskSpace : 0;
+  const diskUsagePercent = inventory?.totalDiskSpace ? Math.round((usedDiskSpace / inventory.totalDiskSpace) * 100) : 0;
+
+  return (
+    <div>
+      <Card>
+        <CardHeader>
+          <Flex justifyContent={{ default: 'justifyContentSpaceBetween' }} alignItems={{ default: 'alignItemsCenter' }}>
+            <FlexItem>
+              <CardTitle>
+                <Title headingLevel="h2">
+                  <DatabaseIcon /> Mirror Storage
+                </Title>
+              </CardTitle>
+            </FlexItem>
+            <FlexItem>
+              <Button variant="secondary" icon={<SyncAltIcon />} onClick={fetchInventory}>
+                Refresh
+              </Button>
+            </FlexItem>
+          </Flex>
+        </CardHeader>
+        <CardBody>
+          <p>
+            Archives and workspaces written by mirror operations under <code>{inventory?.baseDir}</code>.
+          </p>
+          <Grid hasGutter style={{ marginTop: '1rem' }}>
+            <GridItem span={4}>
+              <Card isPlain>
+                <CardHeader>
+                  <CardTitle>Mirror Data</CardTitle>
+                </CardHeader>
+                <CardBody>{formatFileSize(inventory?.totalSize)}</CardBody>
+              </Card>
+            </GridItem>
+            <GridItem span={4}>
+              <Card isPlain>
+                <CardHeader>
+                  <CardTitle>Available Disk Space</CardTitle>
+                </CardHeader>
+                <CardBody>{formatFileSize(inventory?.availableDiskSpace)}</CardBody>
+              </Card>
+            </GridItem>
+            <GridItem span={4}>
+              <Card isPlain>
+                <CardHeader>
+                  <CardTitle>Total Disk Space</CardTitle>
+                </CardHeader>
+                <CardBody>{formatFileSize(inventory?.totalDiskSpace)}</CardBody>
+              </Card>
+            </GridItem>
+          </Grid>
+          {!!inventory?.totalDiskSpace && (
+            <Progress
+              value={diskUsagePercent}
+              title="Disk usage"
+              label={`${formatFileSize(usedDiskSpace)} of ${formatFileSize(inventory.totalDiskSpace)} used`}
+              measureLocation={ProgressMeasureLocation.outside}
+              variant={diskUsagePercent >= 90 ? 'danger' : diskUsagePercent >= 75 ? 'warning' : undefined}
+              style={{ marginTop: '1rem' }}
+            />
+          )}
+        </CardBody>
+      </Card>
+
+      <Card style={{ marginTop: '1rem' }}>
+        <CardBody>
+          {!inventory || inventory.mirrors.length === 0 ? (
+            <EmptyState>
+              <Title headingLevel="h4" size="lg">No mirror directories</Title>
+              <EmptyStateBody>
+                Mirror directories are created when an operation runs. Start one from Mirror Operations.
+              </EmptyStateBody>
+            </EmptyState>
+          ) : (
+            <Table aria-label="Mirror directories">
+              <Thead>
+                <Tr>
+                  <Th screenReaderText="Show archives" />
+                  <Th>Directory</Th>
+                  <Th>Archives</Th>
+                  <Th>Total Size</Th>
+                  <Th>Last Operation</Th>
+                  <Th>Source Config</Th>
+                  <Th>Actions</Th>
+                </Tr>
+              </Thead>
+              {inventory.mirrors.map((mirror, rowIndex) => {
+                const isExpanded = expanded.includes(mirror.name);
+
+                return (
+                  <Tbody key={mirror.name} isExpanded={isExpanded}>
+                    <Tr>
+                      <Td
+                        expand={mirror.archives.length > 0 ? {
+                          rowIndex,
+                          isExpanded,
+                          onToggle: () => toggleExpanded(mirror.name),
+                        } : undefined}
+                      />
+                      <Td dataLabel="Directory">
+                        <div style={{ fontWeight: 700 }}>{mirror.name}</div>
+                        <div style={{ fontSize: '0.85rem', color: 'var(--pf-v6-global--Color--200)' }}>
+                          Modified {new Date(mirror.modifiedAt).toLocaleString()}
+                        </div>
+                      </Td>
+                      <Td dataLabel="Archives">
+                        {mirror.archives.length > 0
+                          ? `${mirror.archives.length} (${formatFileSize(mirror.archiveSize)})`
+                          : 'None'}
+                      </Td>
+                      <Td dataLabel="Total Size">{formatFileSize(mirror.totalSize)}</Td>
+                      <Td dataLabel="Last Operation">
+                        {mirror.lastOperation ? (
+                          <>
+                            <div>{mirror.lastOperation.name} {getStatusLabel(mirror.lastOperation.status)}</div>
+                            <div style={{ fontSize: '0.85rem', color: 'var(--pf-v6-global--Color--200)' }}>
+                              {WORKFLOW_LABELS[mirror.lastOperation.workflow || 'mirrorToDisk']} &middot; {new Date(mirror.lastOperation.startedAt).toLocaleString()}
+                            </div>
+                          </>
+                        ) : '-'}
+                      </Td>
+                      <Td dataLabel="Source Config">{mirror.configFile || '-'}</Td>
+                      <Td dataLabel="Actions">
+                        {mirror.inUse ? (
+                          <Label color="blue" icon={<SyncAltIcon />}>In use</Label>
+                        ) : mirror.reserved ? (
+                          <Label>Reserved</Label>
+                        ) : (
+                          <Button variant="danger" icon={<TrashAltIcon />} size="sm" onClick={() => setDeleteMirror(mirror)}>
+                            Delete
+                          </Button>
+                        )}
+                      </Td>
+                    </Tr>
+                    {mirror.archives.length > 0 && (
+                      <Tr isExpanded={isExpanded}>
+                        <Td colSpan={7}>
+                          <ExpandableRowContent>
+                            <Table aria-label={`Archives in ${mirror.name}`} variant="compact">
+                              <Thead>
+                                <Tr>
+                                  <Th>File</Th>
+                                  <Th>Size</Th>
+                                  <Th>Actions</Th>
+                                </Tr>
+                              </Thead>
+                              <Tbody>
+                                {mirror.archives.map(archive => (
+                                  <Tr key={archive.name}>
+                                    <Td dataLabel="File"><code>{archive.name}</code></Td>
+                                    <Td dataLabel="Size">{formatFileSize(archive.size)}</Td>
+                                    <Td dataLabel="Actions">
+                                      <Button
+                                        variant="link"
+                                        icon={<DownloadIcon />}
+                                        size="sm"
+                                        component="a"
+                                        href={`/api/mirrors/${mirror.name}/archives/${encodeURIComponent(archive.name)}/download`}
+                                      >
+                                        Download
+                                      </Button>
+                                    </Td>
+                                  </Tr>
+                                ))}
+                              </Tbody>
+                            </Table>
+                          </ExpandableRowContent>
+                        </Td>
+                      </Tr>
+                    )}
+                  </Tbody>
+                );
+              })}
+            </Table>
+          )}
+        </CardBody>
+      </Card>
+
+      <Modal
+        variant={ModalVariant.small}
+        isOpen={deleteMirror !== null}
+        onClose={() => setDeleteMirror(null)}
+        aria-label="Delete mirror directory"
+      >
+        <ModalHeader title="Delete Mirror Directory" />
+        <ModalBody>
+          Are you sure you want to delete <span style={{ fontWeight: 600 }}>{deleteMirror?.path}</span>?
+          This removes {formatFileSize(deleteMirror?.totalSize)} of archives and workspace data and cannot be undone.
+          Operation history is kept.
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="danger" onClick={confirmDeleteMirror} isLoading={deleting} isDisabled={deleting}>
+            Delete
+          </Button>
+          <Button variant="link" onClick={() => setDeleteMirror(null)}>
+            Cancel
+          </Button>
+        </ModalFooter>
+      </Modal>
+    </div>
+  );
+};
+
+export default MirrorStorage;
@@ -0,0 +1,649 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Alert,
+  Card,
+  CardBody,
+  CardTitle,
+  CardHeader,
+  Button,
+  Checkbox,
+  CodeBlock,
+  CodeBlockCode,
+  EmptyState,
+  EmptyStateBody,
+  Flex,
+  FlexItem,
+  FormGroup,
+  FormSelect,
+  FormSelectOption,
+  Grid,
+  GridItem,
+  HelperText,
+  HelperTextItem,
+  Label,
+  Modal,
+  ModalBody,
+  ModalFooter,
+  ModalHeader,
+  ModalVariant,
+  TextArea,
+  TextInput,
+  Title,
+} from '@patternfly/react-core';
+import {
+  EraserIcon,
+  SyncAltIcon,
+  SaveIcon,
+  PlayIcon,
+  EyeIcon,
+  TrashAltIcon,
+  CheckCircleIcon,
+  TimesCircleIcon,
+  StopIcon,
+  OutlinedClockIcon,
+  ExclamationTriangleIcon,
+} from '@patternfly/react-icons';
+import { Table, Thead, Tbody, Tr, Th, Td } from '@patternfly/react-table';
+import { useAlerts } from '../AlertContext';
+
+interface ConfigFile {
+  name: string;
+  size: string;
+  modified: string;
+}
+
+interface MirrorDirectory {
+  name: string;
+}
+
+type DeleteStage = 'generate' | 'execute' | 'all';
+
+interface DeleteOperation {
+  id: string;
+  name: string;
+  configFile: string;
+  status: 'queued' | 'running' | 'success' | 'failed' | 'stopped' | 'interrupted';
+  deleteStage?: DeleteStage;
+  targetRegistry?: string;
+  mirrorDestination?: string;
+  startedAt: string;
+  errorMessage?: string | null;
+}
+
+const DELETE_STAGE_LABELS: Record<DeleteStage, string> = {
+  generate: 'Plan only',
+  execute: 'Execute plan',
+  all: 'Plan and execute',
+};
+
+type ApiError = {
+  response?: { data?: { error?: string; details?: { path: string; message: string }[] } };
+  message?: string;
+};
+
+const getErrorMessage = (error: unknown) => {
+  const err = error as ApiError;
+  const details = err.response?.data?.details;
+  if (details?.length) {
+    return details.map(issue => `${issue.path}: ${issue.message}`).join('; ');
+  }
+  return err.response?.data?.error || err.message;
+};
+
+const RegistryCleanup: React.FC = () => {
+  const { addSuccessAlert, addDangerAlert, addInfoAlert } = useAlerts();
+
+  const [configs, setConfigs] = useState<ConfigFile[]>([]);
+  const [deleteConfigs, setDeleteConfigs] = useState<ConfigFile[]>([]);
+  const [mirrors, setMirrors] = useState<MirrorDirectory[]>([]);
+  const [operations, setOperations] = useState<DeleteOperation[]>([]);
+
+  const [sourceConfig, setSourceConfig] = useState('');
+  const [keepConfig, setKeepConfig] = useState('');
+  const [generatedYaml, setGeneratedYaml] = useState('');
+  const [generateWarnings, setGenerateWarnings] = useState<string[]>([]);
+  const [deleteConfigName, setDeleteConfigName] = useState('');
+  const [generating, setGenerating] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const [selectedDeleteConfig, setSelectedDeleteConfig] = useState('');
+  const [targetRegistry, setTargetRegistry] = useState('');
+  const [workspace, setWorkspace] = useState('default');
+  const [executeAfterGenerate, setExecuteAfterGenerate] = useState(false);
+  const [forceCacheDelete, setForceCacheDelete] = useState(false);
+  const [starting, setStarting] = useState(false);
+
+  const [viewer, setViewer] = useState<{ title: string; content: string } | null>(null);
+  const [executePlan, setExecutePlan] = useState<DeleteOperation | null>(null);
+  const [removeConfig, setRemoveConfig] = useState<string | null>(null);
+
+  const fetchDeleteConfigs = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/delete-configs');
+      setDeleteConfigs(response.data);
+    } catch (error) {
+      console.error('Error fetching delete configurations:', error);
+    }
+  }, []);
+
+  const fetchOperations = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/operations/history', {
+        params: { workflow: 'delete', pageSize: 20 },
+      });
+      setOperations(response.data.operations);
+    } catch (error) {
+      console.error('Error fetching delete operations:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    const fetchInitialData = async () => {
+      try {
+        const [configsRes, mirrorsRes] = await Promise.all([
+          axios.get('/api/config/list'),
+          axios.get('/api/mirrors'),
+        ]);
+        setConfigs(configsRes.data);
+        setMirrors(mirrorsRes.data.mirrors);
+      } catch (error) {
+        console.error('Error fetching configurations:', error);
+        addDangerAlert('Failed to load configurations and mirror directories');
+      }
+    };
+    fetchInitialData();
+    fetchDeleteConfigs();
+  }, [addDangerAlert, fetchDeleteConfigs]);
+
+  useEffect(() => {
+    fetchOperations();
+    const interval = setInterval(fetchOperations, 10000);
+    return () => clearInterval(interval);
+  }, [fetchOperations]);
+
+  const generateDeleteConfig = async () => {
+    if (!sourceConfig) return;
+    try {
+      setGenerating(true);
+      const response = await axios.post('/api/delete-configs/generate', {
+        configFile: sourceConfig,
+        keepConfigFile: keepConfig || undefined,
+      });
+      setGeneratedYaml(response.data.content);
+      setGenerateWarnings(response.data.warnings);
+      setDeleteConfigName(`delete-${sourceConfig.replace(/\.ya?ml$/, '')}`);
+      if (response.data.empty) {
+        addInfoAlert('Nothing to delete: the kept configuration still mirrors everything in the source configuration');
+      }
+    } catch (error) {
+      console.error('Error generating delete configuration:', error);
+      addDangerAlert(`Failed to generate delete configuration: ${getErrorMessage(error)}`);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const saveDeleteConfig = async () => {
+    try {
+      setSaving(true);
+      const response = await axios.post('/api/delete-configs', {
+        name: deleteConfigName.trim(),
+        content: generatedYaml,
+      });
+      addSuccessAlert(`Delete configuration saved as ${response.data.filename}`);
+      setSelectedDeleteConfig(response.data.filename);
+      setGeneratedYaml('');
+      setGenerateWarnings([]);
+      fetchDeleteConfigs();
+    } catch (error) {
+      console.error('Error saving delete configuration:', error);
+      addDangerAlert(`Failed to save delete configuration: ${getErrorMessage(error)}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const viewDeleteConfig = async (filename: string) => {
+    try {
+      const response = await axios.get(`/api/delete-configs/${encodeURIComponent(filename)}`);
+      setViewer({ title: filename, content: response.data.content });
+    } catch (error) {
+      addDangerAlert(`Failed to load ${filename}: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const confirmRemoveConfig = async () => {
+    if (!removeConfig) return;
+    try {
+      await axios.delete(`/api/delete-configs/${encodeURIComponent(removeConfig)}`);
+      if (selectedDeleteConfig === removeConfig) setSelectedDeleteConfig('');
+      setRemoveConfig(null);
+      fetchDeleteConfigs();
+    } catch (error) {
+      addDangerAlert(`Failed to delete ${removeConfig}: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const startDelete = async () => {
+    try {
+      setStarting(true);
+      const response = await axios.post('/api/operations/delete', {
+        deleteConfigFile: selectedDeleteConfig,
+        targetRegistry,
+        mirrorDestinationSubdir: workspace,
+        execute: executeAfterGenerate,
+        forceCacheDelete,
+      });
+      addSuccessAlert(
+        response.data.status === 'queued'
+          ? `Delete operation queued at position ${response.data.queuePosition}`
+          : 'Delete operation started. Follow its logs in Mirror Operations or History.',
+      );
+      fetchOperations();
+    } catch (error) {
+      console.error('Error starting delete operation:', error);
+      addDangerAlert(`Failed to start delete operation: ${getErrorMessage(error)}`);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const viewPlan = async (operation: DeleteOperation) => {
+    try {
+      const response = await axios.get(`/api/operations/${operation.id}/delete-plan`);
+      setViewer({ title: `Images to delete (${operation.name})`, content: response.data.content });
+    } catch (error) {
+      addDangerAlert(`Failed to load delete plan: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const confirmExecutePlan = async () => {
+    if (!executePlan) return;
+    try {
+      await axios.post(`/api/operations/${executePlan.id}/delete-execute`, { forceCacheDelete });
+      addSuccessAlert(`Deleting the images planned by ${executePlan.name}`);
+      setExecutePlan(null);
+      fetchOperations();
+    } catch (error) {
+      addDangerAlert(`Failed to execute delete plan: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const getStatusLabel = (status: string) => {
+    switch (status) {
+      case 'queued':
+        return <Label isCompact color="purple" icon={<OutlinedClockIcon />}>Queued</Label>;
+      case 'success':
+        return <Label isCompact color="green" icon={<CheckCircleIcon />}>Success</Label>;
+      case 'running':
+        return <Label isCompact color="blue" icon={<SyncAltIcon />}>Running</Label>;
+      case 'failed':
+        return <Label isCompact color="red" icon={<TimesCircleIcon />}>Failed</Label>;
+      case 'stopped':
+        return <Label isCompact color="orange" icon={<StopIcon />}>Stopped</Label>;
+      case 'interrupted':
+        return <Label isCompact color="orange" icon={<ExclamationTriangleIcon />}>Interrupted</Label>;
+      default:
+        return <Label isCompact color="grey">Unknown</Label>;
+    }
+  };
+
+  return (
+    <div>
+      <Card>
+        <CardHeader>
+          <CardTitle>
+            <Title headingLevel="h2">
+              <EraserIcon /> Registry Cleanup
+            </Title>
+          </CardTitle>
+        </CardHeader>
+        <CardBody>
+          Prune images from a disconnected registry with oc-mirror&apos;s delete workflow. Generate a
+          DeleteImageSetConfiguration from a saved configuration, review it, then let oc-mirror plan and
+          delete the images.
+        </CardBody>
+      </Card>
+
+      <Card style={{ marginTop: '1rem' }}>
+        <CardHeader>
+          <CardTitle>
+            <Title headingLevel="h3">1. Generate a Delete Configuration</Title>
+          </CardTitle>
+        </CardHeader>
+        <CardBody>
+          <Grid hasGutter>
+            <GridItem span={5}>
+              <FormGroup label="Delete what this configuration mirrors" fieldId="delete-source-config" isRequired>
+                <FormSelect
+                  id="delete-source-config"
+                  value={sourceConfig}
+                  onChange={(_e, value) => setSourceConfig(value)}
+                >
+                  <FormSelectOption value="" label="Select a configuration file..." isPlaceholder />
+                  {configs.map(config => (
+                    <FormSelectOption key={config.name} value={config.name} label={config.name} />
+                  ))}
+                </FormSelect>
+              </FormGroup>
+            </GridItem>
+            <GridItem span={5}>
+              <FormGroup label="Except what this configuration still mirrors (optional)" fieldId="delete-keep-config">
+                <FormSelect
+                  id="delete-keep-config"
+                  value={keepConfig}
+                  onChange={(_e, value) => setKeepConfig(value)}
+                >
+                  <FormSelectOption value="" label="Delete everything in the source configuration" />
+                  {configs
+                    .filter(config => config.name !== sourceConfig)
+                    .map(config => (
+                      <FormSelectOption key={config.name} value={config.name} label={config.name} />
+                    ))}
+                </FormSelect>
+                <HelperText>
+                  <HelperTextItem>
+                    Pick the newer configuration to delete only removed packages, channels and images, and
+                    operator versions below a raised minimum version.
+                  </HelperTextItem>
+                </HelperText>
+              </FormGroup>
+            </GridItem>
+            <GridItem span={2}>
+              <Button
+                variant="primary"
+                onClick={generateDeleteConfig}
+                isDisabled={!sourceConfig || generating}
+                isLoading={generating}
+                style={{ marginTop: '1.75rem' }}
+              >
+                Generate
+              </Button>
+            </GridItem>
+          </Grid>
+
+          {generatedYaml && (
+            <div style={{ marginTop: '1rem' }}>
+              {generateWarnings.map(warning => (
+                <Alert key={warning} variant="warning" isInline isPlain title={warning} style={{ marginBottom: '0.5rem' }} />
+              ))}
+              <FormGroup label="Review and edit" fieldId="delete-config-yaml">
+                <TextArea
+                  id="delete-config-yaml"
+                  value={generatedYaml}
+                  onChange={(_e, value) => setGeneratedYaml(value)}
+                  rows={16}
+                  style={{ fontFamily: 'monospace' }}
+                />
+              </FormGroup>
+              <Flex alignItems={{ default: 'alignItemsFlexEnd' }} style={{ marginTop: '0.5rem' }}>
+                <FlexItem grow={{ default: 'grow' }}>
+                  <FormGroup label="Save as" fieldId="delete-config-name">
+                    <TextInput
+                      id="delete-config-name"
+                      value={deleteConfigName}
+                      onChange={(_e, value) => setDeleteConfigName(value)}
+                      placeholder="Name (without .yaml extension)"
+                    />
+                  </FormGroup>
+                </FlexItem>
+                <FlexItem>
+                  <Button
+                    variant="primary"
+                    icon={<SaveIcon />}
+                    onClick={saveDeleteConfig}
+                    isDisabled={!deleteConfigName.trim() || saving}
+                    isLoading={saving}
+                  >
+                    Save Delete Configuration
+                  </Button>
+                </FlexItem>
+              </Flex>
+            </div>
+          )}
+        </CardBody>
+      </Card>
+
+      <Card style={{ marginTop: '1rem' }}>
+        <CardHeader>
+          <CardTitle>
+            <Title headingLevel="h3">2. Run the Delete Workflow</Title>
+          </CardTitle>
+        </CardHeader>
+        <CardBody>
+          {deleteConfigs.length === 0 ? (
+            <EmptyState>
+              <Title headingLevel="h4" size="lg">No delete configurations</Title>
+              <EmptyStateBody>Generate and save a delete configuration first.</EmptyStateBody>
+            </EmptyState>
+          ) : (
+            <>
+              <Table aria-label="Delete configurations" variant="compact">
+                <Thead>
+                  <Tr>
+                    <Th>Delete Configuration</Th>
+                    <Th>Size</Th>
+                    <Th>Modified</Th>
+                    <Th>Actions</Th>
+                  </Tr>
+                </Thead>
+                <Tbody>
+                  {deleteConfigs.map(config => (
+                    <Tr key={config.name}>
+                      <Td dataLabel="Delete Configuration"><code>{config.name}</code></Td>
+                      <Td dataLabel="Size">{config.size}</Td>
+                      <Td dataLabel="Modified">{new Date(config.modified).toLocaleString()}</Td>
+                      <Td dataLabel="Actions">
+                        <Button variant="link" icon={<EyeIcon />} size="sm" onClick={() => viewDeleteConfig(config.name)}>
+                          View
+                        </Button>
+                        <Button variant="link" isDanger icon={<TrashAltIcon />} size="sm" onClick={() => setRemoveConfig(config.name)}>
+                          Delete
+                        </Button>
+                      </Td>
+                    </Tr>
+                  ))}
+                </Tbody>
+              </Table>
+
+              <Grid hasGutter style={{ marginTop: '1rem' }}>
+                <GridItem span={4}>
+                  <FormGroup label="Delete configuration" fieldId="delete-run-config" isRequired>
+                    <FormSelect
+                      id="delete-run-config"
+                      value={selectedDeleteConfig}
+                      onChange={(_e, value) => setSelectedDeleteConfig(value)}
+                    >
+                      <FormSelectOption value="" label="Select a delete configuration..." isPlaceholder />
+                      {deleteConfigs.map(config => (
+                        <FormSelectOption key={config.name} value={config.name} label={config.name} />
+                      ))}
+                    </FormSelect>
+                  </FormGroup>
+                </GridItem>
+                <GridItem span={4}>
+                  <FormGroup label="Target registry" fieldId="delete-run-registry" isRequired>
+                    <TextInput
+                      id="delete-run-registry"
+                      value={targetRegistry}
+                      onChange={(_e, value) => setTargetRegistry(value)}
+                      placeholder="registry.example.com:5000/mirror"
+                    />
+                  </FormGroup>
+                </GridItem>
+                <GridItem span={4}>
+                  <FormGroup label="Workspace" fieldId="delete-run-workspace">
+                    <FormSelect
+                      id="delete-run-workspace"
+                      value={workspace}
+                      onChange={(_e, value) => setWorkspace(value)}
+                    >
+                      {(mirrors.some(mirror => mirror.name === 'default') ? mirrors : [{ name: 'default' }, ...mirrors]).map(mirror => (
+                        <FormSelectOption key={mirror.name} value={mirror.name} label={mirror.name} />
+                      ))}
+                    </FormSelect>
+                    <HelperText>
+                      <HelperTextItem>The mirror subdirectory used when these images were mirrored.</HelperTextItem>
+                    </HelperText>
+                  </FormGroup>
+                </GridItem>
+                <GridItem span={12}>
+                  <Checkbox
+                    id="delete-run-execute"
+                    label="Delete the images right after generating the plan"
+                    description="Leave unchecked to generate the list of images first, review it below, and execute it afterwards."
+                    isChecked={executeAfterGenerate}
+                    onChange={(_e, checked) => setExecuteAfterGenerate(checked)}
+                  />
+                  <Checkbox
+                    id="delete-run-force-cache"
+                    label="Also delete the images from the local cache"
+                    isChecked={forceCacheDelete}
+                    onChange={(_e, checked) => setForceCacheDelete(checked)}
+                    style={{ marginTop: '0.5rem' }}
+                  />
+                </GridItem>
+              </Grid>
+              <Button
+                variant={executeAfterGenerate ? 'danger' : 'primary'}
+                icon={<PlayIcon />}
+                onClick={startDelete}
+                isDisabled={!selectedDeleteConfig || !targetRegistry.trim() || starting}
+                isLoading={starting}
+                style={{ marginTop: '1rem' }}
+              >
+                {executeAfterGenerate ? 'Generate and Delete' : 'Generate Plan'}
+              </Button>
+            </>
+          )}
+        </CardBody>
+      </Card>
+
+      <Card style={{ marginTop: '1rem' }}>
+        <CardHeader
+          actions={{
+            actions: (
+              <Button variant="secondary" icon={<SyncAltIcon />} onClick={fetchOperations}>
+                Refresh
+              </Button>
+            ),
+          }}
+        >
+          <CardTitle>
+            <Title headingLevel="h3">3. Review and Execute</Title>
+          </CardTitle>
+        </CardHeader>
+        <CardBody>
+          {operations.length === 0 ? (
+            <EmptyState>
+              <Title headingLevel="h4" size="lg">No delete operations yet</Title>
+            </EmptyState>
+          ) : (
+            <Table aria-label="Delete operations">
+              <Thead>
+                <Tr>
+                  <Th>Operation</Th>
+                  <Th>Type</Th>
+                  <Th>Delete Configuration</Th>
+                  <Th>Registry</Th>
+                  <Th>Status</Th>
+                  <Th>Started</Th>
+                  <Th>Actions</Th>
+                </Tr>
+              </Thead>
+              <Tbody>
+                {operations.map(operation => (
+                  <Tr key={operation.id}>
+                    <Td dataLabel="Operation">{operation.name}</Td>
+                    <Td dataLabel="Type">{DELETE_STAGE_LABELS[operation.deleteStage || 'all']}</Td>
+                    <Td dataLabel="Delete Configuration"><code>{operation.configFile}</code></Td>
+                    <Td dataLabel="Registry">{operation.targetRegistry || '-'}</Td>
+                    <Td dataLabel="Status">{getStatusLabel(operation.status)}</Td>
+                    <Td dataLabel="Started">{new Date(operation.startedAt).toLocaleString()}</Td>
+                    <Td dataLabel="Actions">
+                      {operation.status === 'success' && (
+                        <Button variant="link" icon={<EyeIcon />} size="sm" onClick={() => viewPlan(operation)}>
+                          View Plan
+                        </Button>
+                      )}
+                      {operation.status === 'success' && operation.deleteStage === 'generate' && (
+                        <Button variant="link" isDanger icon={<PlayIcon />} size="sm" onClick={() => setExecutePlan(operation)}>
+                          Execute
+                        </Button>
+                      )}
+                    </Td>
+                  </Tr>
+                ))}
+              </Tbody>
+            </Table>
+          )}
+        </CardBody>
+      </Card>
+
+      <Modal
+        variant={ModalVariant.large}
+        isOpen={viewer !== null}
+        onClose={() => setViewer(null)}
+        aria-label="View delete configuration"
+      >
+        <ModalHeader title={viewer?.title} />
+        <ModalBody>
+          <CodeBlock>
+            <CodeBlockCode>{viewer?.content}</CodeBlockCode>
+          </CodeBlock>
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="link" onClick={() => setViewer(null)}>
+            Close
+          </Button>
+        </ModalFooter>
+      </Modal>
+
+      <Modal
+        variant={ModalVariant.small}
+        isOpen={removeConfig !== null}
+        onClose={() => setRemoveConfig(null)}
+        aria-label="Delete delete configuration"
+      >
+        <ModalHeader title="Delete Configuration" />
+        <ModalBody>
+          Are you sure you want to delete <span style={{ fontWeight: 600 }}>{removeConfig}</span>? Operations that
+          used it stay in History.
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="danger" onClick={confirmRemoveConfig}>
+            Delete
+          </Button>
+          <Button variant="link" onClick={() => setRemoveConfig(null)}>
+            Cancel
+          </Button>
+        </ModalFooter>
+      </Modal>
+
+      <Modal
+        variant={ModalVariant.small}
+        isOpen={executePlan !== null}
+        onClose={() => setExecutePlan(null)}
+        aria-label="Execute delete plan"
+      >
+        <ModalHeader title="Delete Images" />
+        <ModalBody>
+          Delete every image listed in the plan of <span style={{ fontWeight: 600 }}>{executePlan?.name}</span> from{' '}
+          <span style={{ fontWeight: 600 }}>{executePlan?.targetRegistry}</span>? Clusters still using these images
+          will no longer be able to pull them. This cannot be undone.
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="danger" onClick={confirmExecutePlan}>
+            Delete Images
+          </Button>
+          <Button variant="link" onClick={() => setExecutePlan(null)}>
+            Cancel
+          </Button>
+        </ModalFooter>
+      </Modal>
+    </div>
+  );
+};
+
+export default RegistryCleanup;
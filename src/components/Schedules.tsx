@@ -0,0 +1,452 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Card,
+  CardBody,
+  CardTitle,
+  CardHeader,
+  Form,
+  FormGroup,
+  FormSelect,
+  FormSelectOption,
+  TextInput,
+  Checkbox,
+  Switch,
+  Button,
+  Label,
+  Modal,
+  ModalBody,
+  ModalFooter,
+  ModalHeader,
+  ModalVariant,
+  Title,
+  Flex,
+  FlexItem,
+  EmptyState,
+  EmptyStateBody,
+  HelperText,
+  HelperTextItem,
+} from '@patternfly/react-core';
+import {
+  OutlinedCalendarAltIcon,
+  PlusCircleIcon,
+  PencilAltIcon,
+  TrashAltIcon,
+  SyncAltIcon,
+  ExclamationTriangleIcon,
+} from '@patternfly/react-icons';
+import { Table, Thead, Tbody, Tr, Th, Td } from '@patternfly/react-table';
+import { useAlerts } from '../AlertContext';
+
+type MirrorWorkflow = 'mirrorToDisk' | 'diskToMirror' | 'mirrorToMirror';
+
+interface Schedule {
+  id: string;
+  name: string;
+  cronExpression: string;
+  configFile: string;
+  mirrorDestinationSubdir?: string;
+  workflow: MirrorWorkflow;
+  targetRegistry?: string;
+  dryRun?: boolean;
+  enabled: boolean;
+  createdAt: string;
+  updatedAt: string;
+  lastRunAt?: string;
+  lastOperationId?: string;
+  lastError?: string | null;
+}
+
+interface ConfigFile {
+  name: string;
+  size: string;
+}
+
+interface ScheduleForm {
+  name: string;
+  cronExpression: string;
+  configFile: string;
+  mirrorDestinationSubdir: string;
+  workflow: MirrorWorkflow;
+  targetRegistry: string;
+  dryRun: boolean;
+  enabled: boolean;
+}
+
+const WORKFLOW_LABELS: Record<MirrorWorkflow, string> = {
+  mirrorToDisk: 'Mirror to Disk',
+  diskToMirror: 'Disk to Mirror',
+  mirrorToMirror: 'Mirror to Mirror',
+};
+
+const CRON_PRESETS = [
+  { value: '0 2 * * 0', label: 'Weekly (Sunday 02:00)' },
+  { value: '0 2 * * *', label: 'Daily (02:00)' },
+  { value: '0 2 1 * *', label: 'Monthly (1st at 02:00)' },
+];
+
+const emptyForm: ScheduleForm = {
+  name: '',
+  cronExpression: '0 2 * * 0',
+  configFile: '',
+  mirrorDestinationSubdir: '',
+  workflow: 'mirrorToDisk',
+  targetRegistry: '',
+  dryRun: false,
+  enabled: true,
+};
+
+const Schedules: React.FC = () => {
+  const { addSuccessAlert, addDangerAlert } = useAlerts();
+
+  const [schedules, setSchedules] = useState<Schedule[]>([]);
+  const [availableConfigs, setAvailableConfigs] = useState<ConfigFile[]>([]);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [form, setForm] = useState<ScheduleForm>({ ...emptyForm });
+  const [saving, setSaving] = useState(false);
+  const [deleteSchedule, setDeleteSchedule] = useState<Schedule | null>(null);
+
+  const fetchSchedules = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/schedules');
+      setSchedules(response.data);
+    } catch (error) {
+      console.error('Error fetching schedules:', error);
+    }
+  }, []);
+
+  const fetchConfigurations = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/config/list');
+      setAvailableConfigs(response.data);
+    } catch (error) {
+      console.error('Error fetching configurations:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSchedules();
+    fetchConfigurations();
+    const interval = setInterval(fetchSchedules, 30000);
+    return () => clearInterval(interval);
+  }, [fetchSchedules, fetchConfigurations]);
+
+  const openCreateModal = () => {
+    setEditingId(null);
+    setForm({ ...emptyForm, configFile: availableConfigs[0]?.name || '' });
+    setShowFormModal(true);
+  };
+
+  const openEditModal = (schedule: Schedule) => {
+    setEditingId(schedule.id);
+    setForm({
+      name: schedule.name,
+      cronExpression: schedule.cronExpression,
+      configFile: schedule.configFile,
+      mirrorDestinationSubdir: schedule.mirrorDestinationSubdir || '',
+      workflow: schedule.workflow,
+      targetRegistry: schedule.targetRegistry || '',
+      dryRun: !!schedule.dryRun,
+      enabled: schedule.enabled,
+    });
+    setShowFormModal(true);
+  };
+
+  const saveSchedule = async () => {
+    const payload = {
+      ...form,
+      targetRegistry: form.workflow === 'mirrorToDisk' ? '' : form.targetRegistry.trim(),
+    };
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        await axios.put(`/api/schedules/${editingId}`, payload);
+        addSuccessAlert(`Schedule "${form.name}" updated`);
+      } else {
+        await axios.post('/api/schedules', payload);
+        addSuccessAlert(`Schedule "${form.name}" created`);
+      }
+      setShowFormModal(false);
+      fetchSchedules();
+    } catch (error: unknown) {
+      const err = error as { response?: { data?: { error?: string; help?: string } }; message?: string };
+      console.error('Error saving schedule:', error);
+      const data = err.response?.data;
+      addDangerAlert(`Failed to save schedule: ${data?.error || err.message}${data?.help ? ` (${data.help})` : ''}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleSchedule = async (schedule: Schedule, enabled: boolean) => {
+    try {
+      await axios.put(`/api/schedules/${schedule.id}`, { enabled });
+      addSuccessAlert(`Schedule "${schedule.name}" ${enabled ? 'resumed' : 'paused'}`);
+      fetchSchedules();
+    } catch (error) {
+      console.error('Error updating schedule:', error);
+      addDangerAlert('Failed to update schedule');
+    }
+  };
+
+  const confirmDeleteSchedule = async () => {
+    if (!deleteSchedule) return;
+    try {
+      await axios.delete(`/api/schedules/${deleteSchedule.id}`);
+      addSuccessAlert(`Schedule "${deleteSchedule.name}" deleted`);
+      setDeleteSchedule(null);
+      fetchSchedules();
+    } catch (error) {
+      console.error('Error deleting schedule:', error);
+      addDangerAlert('Failed to delete schedule');
+    }
+  };
+
+  const requiresTargetRegistry = form.workflow !== 'mirrorToDisk';
+  const isFormValid = form.name.trim() && form.cronExpression.trim() && form.configFile &&
+    (!requiresTargetRegistry || form.targetRegistry.trim());
+
+  return (
+    <div>
+      <Card>
+        <CardHeader>
+          <Flex justifyContent={{ default: 'justifyContentSpaceBetween' }} alignItems={{ default: 'alignItemsCenter' }}>
+            <FlexItem>
+              <CardTitle>
+                <Title headingLevel="h2">
+                  <OutlinedCalendarAltIcon /> Scheduled Mirror Jobs
+                </Title>
+              </CardTitle>
+            </FlexItem>
+            <FlexItem>
+              <Flex spaceItems={{ default: 'spaceItemsSm' }}>
+                <FlexItem>
+                  <Button variant="secondary" icon={<SyncAltIcon />} onClick={fetchSchedules}>
+                    Refresh
+                  </Button>
+                </FlexItem>
+                <FlexItem>
+                  <Button variant="primary" icon={<PlusCircleIcon />} onClick={openCreateModal}>
+                    Create Schedule
+                  </Button>
+                </FlexItem>
+              </Flex>
+            </FlexItem>
+          </Flex>
+        </CardHeader>
+        <CardBody>
+          {schedules.length === 0 ? (
+            <EmptyState>
+              <Title headingLevel="h4" size="lg">No schedules</Title>
+              <EmptyStateBody>
+                Create a schedule to re-run an ImageSetConfiguration on a recurring basis, for example weekly to pick up z-stream and operator updates.
+              </EmptyStateBody>
+            </EmptyState>
+          ) : (
+            <Table aria-label="Schedules" variant="compact">
+              <Thead>
+                <Tr>
+                  <Th>Name</Th>
+                  <Th>Schedule</Th>
+                  <Th>Configuration</Th>
+                  <Th>Last Run</Th>
+                  <Th>Enabled</Th>
+                  <Th>Actions</Th>
+                </Tr>
+              </Thead>
+              <Tbody>
+                {schedules.map(schedule => (
+                  <Tr key={schedule.id}>
+                    <Td dataLabel="Name">
+                      <div style={{ fontWeight: 700 }}>{schedule.name}</div>
+                      {schedule.dryRun && <Label isCompact color="teal">Dry run</Label>}
+                    </Td>
+                    <Td dataLabel="Schedule">
+                      <code>{schedule.cronExpression}</code>
+                    </Td>
+                    <Td dataLabel="Configuration">
+                      <div>{schedule.configFile}</div>
+                      <div style={{ fontSize: '0.85rem', color: 'var(--pf-v6-global--Color--200)' }}>
+                        <Label isCompact color="purple">{WORKFLOW_LABELS[schedule.workflow]}</Label>
+                        <span style={{ marginLeft: '0.5rem' }}>
+                          data/mirrors/{schedule.mirrorDestinationSubdir || 'default'}
+                          {schedule.targetRegistry && <> &rarr; docker://{schedule.targetRegistry}</>}
+                        </span>
+                      </div>
+                    </Td>
+                    <Td dataLabel="Last Run">
+                      {schedule.lastRunAt ? new Date(schedule.lastRunAt).toLocaleString() : 'Never'}
+                      {schedule.lastError && (
+                        <div style={{ fontSize: '0.85rem', color: 'var(--pf-t--global--text--color--status--warning--default, #795600)' }}>
+                          <ExclamationTriangleIcon /> {schedule.lastError}
+                        </div>
+                      )}
+                    </Td>
+                    <Td dataLabel="Enabled">
+                      <Switch
+                        id={`schedule-enabled-${schedule.id}`}
+                        aria-label={schedule.enabled ? 'Pause schedule' : 'Resume schedule'}
+                        isChecked={schedule.enabled}
+                        onChange={(_event, checked) => toggleSchedule(schedule, checked)}
+                      />
+                    </Td>
+                    <Td dataLabel="Actions">
+                      <Flex spaceItems={{ default: 'spaceItemsSm' }}>
+                        <FlexItem>
+                          <Button variant="secondary" icon={<PencilAltIcon />} size="sm" onClick={() => openEditModal(schedule)}>
+                            Edit
+                          </Button>
+                        </FlexItem>
+                        <FlexItem>
+                          <Button variant="danger" icon={<TrashAltIcon />} size="sm" onClick={() => setDeleteSchedule(schedule)}>
+                            Delete
+                          </Button>
+                        </FlexItem>
+                      </Flex>
+                    </Td>
+                  </Tr>
+                ))}
+              </Tbody>
+            </Table>
+          )}
+        </CardBody>
+      </Card>
+
+      <Modal
+        variant={ModalVariant.medium}
+        isOpen={showFormModal}
+        onClose={() => setShowFormModal(false)}
+        aria-label="Schedule"
+      >
+        <ModalHeader title={editingId ? 'Edit Schedule' : 'Create Schedule'} />
+        <ModalBody>
+          <Form>
+            <FormGroup label="Name" fieldId="schedule-name" isRequired>
+              <TextInput
+                id="schedule-name"
+                value={form.name}
+                onChange={(_event, value) => setForm({ ...form, name: value })}
+                placeholder="Weekly OCP 4.16 refresh"
+              />
+            </FormGroup>
+            <FormGroup label="Cron Expression" fieldId="schedule-cron" isRequired>
+              <Flex>
+                <FlexItem>
+                  <TextInput
+                    id="schedule-cron"
+                    value={form.cronExpression}
+                    onChange={(_event, value) => setForm({ ...form, cronExpression: value })}
+                    style={{ width: '200px', fontFamily: 'monospace' }}
+                  />
+                </FlexItem>
+                <FlexItem>
+                  <FormSelect
+                    id="schedule-cron-preset"
+                    value=""
+                    onChange={(_event, value) => value && setForm({ ...form, cronExpression: value })}
+                    aria-label="Cron presets"
+                  >
+                    <FormSelectOption value="" label="Presets..." />
+                    {CRON_PRESETS.map(preset => (
+                      <FormSelectOption key={preset.value} value={preset.value} label={preset.label} />
+                    ))}
+                  </FormSelect>
+                </FlexItem>
+              </Flex>
+              <HelperText>
+                <HelperTextItem>minute hour day-of-month month day-of-week, evaluated in the server&apos;s time zone</HelperTextItem>
+              </HelperText>
+            </FormGroup>
+            <FormGroup label="Configuration File" fieldId="schedule-config" isRequired>
+              <FormSelect
+                id="schedule-config"
+                value={form.configFile}
+                onChange={(_event, value) => setForm({ ...form, configFile: value })}
+              >
+                <FormSelectOption value="" label="Select a configuration file..." isDisabled />
+                {availableConfigs.map(config => (
+                  <FormSelectOption key={config.name} value={config.name} label={config.name} />
+                ))}
+              </FormSelect>
+            </FormGroup>
+            <FormGroup label="Workflow" fieldId="schedule-workflow">
+              <FormSelect
+                id="schedule-workflow"
+                value={form.workflow}
+                onChange={(_event, value) => setForm({ ...form, workflow: value as MirrorWorkflow })}
+              >
+                {(Object.keys(WORKFLOW_LABELS) as MirrorWorkflow[]).map(workflow => (
+                  <FormSelectOption key={workflow} value={workflow} label={WORKFLOW_LABELS[workflow]} />
+                ))}
+              </FormSelect>
+            </FormGroup>
+            <FormGroup label="Mirror Destination Subdirectory" fieldId="schedule-subdir">
+              <TextInput
+                id="schedule-subdir"
+                value={form.mirrorDestinationSubdir}
+                onChange={(_event, value) => setForm({ ...form, mirrorDestinationSubdir: value })}
+                placeholder="default"
+              />
+            </FormGroup>
+            {requiresTargetRegistry && (
+              <FormGroup label="Target Registry" fieldId="schedule-target-registry" isRequired>
+                <TextInput
+                  id="schedule-target-registry"
+                  value={form.targetRegistry}
+                  onChange={(_event, value) => setForm({ ...form, targetRegistry: value })}
+                  placeholder="registry.example.com:5000/mirror"
+                />
+              </FormGroup>
+            )}
+            <Checkbox
+              id="schedule-dry-run"
+              label="Dry run"
+              description="Only list the images the configuration would mirror."
+              isChecked={form.dryRun}
+              onChange={(_event, checked) => setForm({ ...form, dryRun: checked })}
+            />
+            <Switch
+              id="schedule-enabled"
+              label="Enabled"
+              isChecked={form.enabled}
+              onChange={(_event, checked) => setForm({ ...form, enabled: checked })}
+            />
+          </Form>
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="primary" onClick={saveSchedule} isLoading={saving} isDisabled={!isFormValid || saving}>
+            {editingId ? 'Save' : 'Create'}
+          </Button>
+          <Button variant="link" onClick={() => setShowFormModal(false)}>
+            Cancel
+          </Button>
+        </ModalFooter>
+      </Modal>
+
+      <Modal
+        variant={ModalVariant.small}
+        isOpen={deleteSchedule !== null}
+        onClose={() => setDeleteSchedule(null)}
+        aria-label="Delete schedule"
+      >
+        <ModalHeader title="Delete Schedule" />
+        <ModalBody>
+          Are you sure you want to delete schedule <span style={{ fontWeight: 600 }}>&quot;{deleteSchedule?.name}&quot;</span>?
+          Operations it already started stay in the history.
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="danger" onClick={confirmDeleteSchedule}>
+            Delete
+          </Button>
+          <Button variant="link" onClick={() => setDeleteSchedule(null)}>
+            Cancel
+          </Button>
+        </ModalFooter>
+      </Modal>
+    </div>
+  );
+};
+
+export default Schedules;
@@ -243,7 +243,7 @@ const SettingsPage: React.FC = () => {
                     max={5}
                   />
                   <HelperText>
-                    <HelperTextItem>Maximum number of mirror operations that can run simultaneously</HelperTextItem>
+                    <HelperTextItem>Maximum number of mirror operations that can run simultaneously. Additional operations wait in a queue.</HelperTextItem>
                   </HelperText>
                 </FormGroup>
 